@@ -0,0 +1,33 @@
+// api/metrics.js
+// Prometheus scrape endpoint (text exposition format 0.0.4):
+//
+//   GET /api/metrics
+//
+// Series (lib/metrics.js): tb_http_requests_total and
+// tb_http_request_duration_seconds per route, tb_errors_total per route and
+// stage, tb_stage_duration_seconds per route and stage (store_load, embedding,
+// scoring, table_rendering, llm.<call site>, ...), and
+// tb_llm_call_duration_seconds / tb_llm_tokens_total per call site and model.
+// Values are per process. Needs the "metrics" scope (lib/auth.js).
+
+import { requireAuth } from "../lib/auth.js";
+import { renderMetrics } from "../lib/metrics.js";
+import { withRequestTrace } from "../lib/trace.js";
+
+async function handler(req, res) {
+  if (req.method !== "GET") {
+    res.statusCode = 405;
+    res.setHeader("Allow", "GET");
+    res.setHeader("Content-Type", "application/json");
+    res.end(JSON.stringify({ error: "Method not allowed" }));
+    return;
+  }
+  if (!requireAuth(req, res, "metrics")) return;
+
+  res.statusCode = 200;
+  res.setHeader("Content-Type", "text/plain; version=0.0.4; charset=utf-8");
+  res.setHeader("Cache-Control", "no-store");
+  res.end(renderMetrics());
+}
+
+export default withRequestTrace("metrics", handler);
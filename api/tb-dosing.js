@@ -0,0 +1,611 @@
+// api/tb-dosing.js
+// Deterministic WHO weight-band dosing lookup. Reads the dosing tables listed
+// in config/dosing-tables.json and returns the dose for the patient's weight
+// band exactly as the table states it, with the source row, so dosing answers
+// never depend on model arithmetic.
+//
+// Table layouts:
+//   drug_rows  one row per medicine/formulation, one column per weight band
+//   band_rows  one row per weight band, one column per medicine/formulation
+//   fixed      one row per medicine with a single dose (no weight bands)
+
+import fs from "fs";
+import path from "path";
+import { loadTableRows, normalizeTableRows } from "./tb-rag-query.js";
+import { FDC_LETTERS, TB_DRUG_ALIASES } from "../lib/tb-drugs.js";
+import { requireAuth } from "../lib/auth.js";
+import { withRequestTrace } from "../lib/trace.js";
+
+const INDICATIONS = ["ds_tb", "dr_tb", "tpt"];
+const LAYOUTS = ["drug_rows", "band_rows", "fixed"];
+
+let DOSING_TABLES = null;
+
+// ---------- Text helpers ----------
+
+// Drops footnote markers ("[ b]", "[b, e]") and stray dashes around labels.
+function cleanCell(value) {
+  return String(value ?? "")
+    .replace(/\[\s*[a-z](?:\s*,\s*[a-z])*\s*\]/gi, "")
+    .replace(/\s+/g, " ")
+    .replace(/\s+\)/g, ")")
+    .replace(/\s+[–—-]$/, "")
+    .trim();
+}
+
+function isBlankDose(text) {
+  return !text || /^[–—-]+$/.test(text);
+}
+
+// A cell that points elsewhere instead of giving a dose ("Adult dosages
+// recommended", "Calculate according to the dilution used").
+function isDoseText(text) {
+  return /\d/.test(text);
+}
+
+function looseIncludes(haystack, needle) {
+  const squash = (s) => String(s || "").toLowerCase().replace(/\s+/g, "");
+  return squash(haystack).includes(squash(needle));
+}
+
+// ---------- Weight bands ----------
+
+const NUM = "(\\d+(?:\\.\\d+)?)";
+const CLOSED_BAND = new RegExp(`^${NUM}\\s*(?:–|-|to)\\s*${NUM}$`, "i");
+const HALF_OPEN_BAND = new RegExp(`^${NUM}\\s*(?:–|-|to)\\s*<\\s*${NUM}$`, "i");
+const TOP_BAND = new RegExp(`^(?:≥|>=|>)\\s*${NUM}$`);
+const BOTTOM_BAND = new RegExp(`^<\\s*${NUM}$`);
+
+// Parses a band label into { label, min_kg, max_kg, age }: weights in
+// [min_kg, max_kg), max_kg null for the open top band. Returns null for
+// headers that are not weight bands.
+export function parseWeightBand(label) {
+  let text = cleanCell(label).replace(/\bkg\b/gi, "").trim();
+  let age = null;
+
+  const ageQualifier = text.match(/\(\s*([<≥>])\s*(\d+)\s*months?\s*\)/i);
+  if (ageQualifier) {
+    const months = Number(ageQualifier[2]);
+    const label = `${ageQualifier[1]} ${months} months`;
+    age = ageQualifier[1] === "<"
+      ? { min_months: 0, max_months: months, label }
+      : { min_months: months, max_months: null, label };
+    text = text.replace(ageQualifier[0], "").trim();
+  }
+
+  const band = (min, max) => ({ label: cleanCell(label), min_kg: min, max_kg: max, age });
+  let m;
+  if ((m = text.match(HALF_OPEN_BAND))) return band(Number(m[1]), Number(m[2]));
+  if ((m = text.match(CLOSED_BAND))) {
+    // "4–7.9 kg" runs up to the next band's lower bound (8 kg).
+    return band(Number(m[1]), Math.round((Number(m[2]) + 0.1) * 10) / 10);
+  }
+  // The top band is printed as "≥ 65" or "> 65"; both start where the band
+  // below ("50 to <65") stops.
+  if ((m = text.match(TOP_BAND))) return band(Number(m[1]), null);
+  if ((m = text.match(BOTTOM_BAND))) return band(0, Number(m[1]));
+  return null;
+}
+
+function inWeightBand(weight, band) {
+  return weight >= band.min_kg && (band.max_kg === null || weight < band.max_kg);
+}
+
+function inAgeRange(ageMonths, age) {
+  if (!age || ageMonths === null) return true;
+  return ageMonths >= age.min_months && (age.max_months === null || ageMonths < age.max_months);
+}
+
+function formatRange(bands) {
+  const min = Math.min(...bands.map((b) => b.min_kg));
+  const max = bands.some((b) => b.max_kg === null) ? null : Math.max(...bands.map((b) => b.max_kg));
+  return max === null ? `≥${min} kg` : `${min}–<${max} kg`;
+}
+
+// ---------- Dose cells ----------
+
+const AGE_SEGMENT = /(?:(\d+)\s*to\s*)?([<≥>])\s*(\d+)\s*months?\s*:/gi;
+
+// "0 to <3 months: 1.5 od ... ≥ 3 months: 3 od ..." -> one entry per age range.
+function splitAgeSegments(text) {
+  const marks = Array.from(text.matchAll(AGE_SEGMENT));
+  if (!marks.length) return null;
+
+  return marks.map((m, i) => {
+    const end = i + 1 < marks.length ? marks[i + 1].index : text.length;
+    const months = Number(m[3]);
+    const lower = m[1] !== undefined ? Number(m[1]) : m[2] === "<" ? 0 : months;
+    return {
+      age: { min_months: lower, max_months: m[2] === "<" ? months : null },
+      age_label: m[0].replace(/:$/, "").trim(),
+      dose: text.slice(m.index + m[0].length, end).trim()
+    };
+  });
+}
+
+function formulationUnit(formulation) {
+  const t = formulation.toLowerCase();
+  if (/cap or tab/.test(t)) return "capsule or tablet";
+  if (/\bdt\b|dispersible/.test(t)) return "dispersible tablet";
+  if (/\bcap\b|capsule/.test(t)) return "capsule";
+  if (/\bsusp\b|\bsoln\b/.test(t)) return "mL";
+  if (/sachet/.test(t)) return "sachet";
+  if (/vial|ampoule/.test(t)) return "vial";
+  return "tablet";
+}
+
+// Quantity for the simple cell shapes ("2", "1.5 tablets", "1 bd", "5 mL
+// (0.5 dt)", "0.5 (5 mL)"); null when the cell is a schedule or free text.
+function parseQuantity(dose, unit) {
+  let m = dose.match(/^(\d+(?:\.\d+)?)\s*(?:tablets?|tabs?|caps?|dt)?\s*(od|bd|tid|M\/W\/F|M\/F)?$/i);
+  if (m) return { value: Number(m[1]), unit, frequency: m[2] || null };
+
+  m = dose.match(/^(\d+(?:\.\d+)?)\s*mL(?:\s*\((\d+(?:\.\d+)?)\s*(?:tab|dt|cap)s?\))?\s*(od|bd|tid)?$/i);
+  if (m) {
+    return {
+      value: Number(m[1]),
+      unit: "mL",
+      frequency: m[3] || null,
+      ...(m[2] ? { equivalent: { value: Number(m[2]), unit } } : {})
+    };
+  }
+
+  m = dose.match(/^(\d+(?:\.\d+)?)\s*\((\d+(?:\.\d+)?)\s*mL\s*\)$/i);
+  if (m) {
+    return { value: Number(m[1]), unit, frequency: null, equivalent: { value: Number(m[2]), unit: "mL" } };
+  }
+  return null;
+}
+
+// mg per dose for single-medicine formulations with one printed strength.
+function doseMg(quantity, formulation, combination) {
+  if (!quantity || combination) return null;
+  if (quantity.unit === "mL") {
+    const conc = formulation.match(/(\d+(?:\.\d+)?)\s*mg\s*\/\s*mL/i);
+    return conc ? Math.round(quantity.value * Number(conc[1]) * 100) / 100 : null;
+  }
+  const strengths = Array.from(formulation.matchAll(/(?<![\d/.])(\d+(?:\.\d+)?)\s*mg\b(?!\s*\/)/gi));
+  if (strengths.length !== 1) return null;
+  return Math.round(quantity.value * Number(strengths[0][1]) * 100) / 100;
+}
+
+// ---------- Medicine matching ----------
+
+// Canonical medicine names mentioned in a table label or a request.
+function drugComponents(text, { bareCode = false } = {}) {
+  const raw = cleanCell(text);
+  const lower = raw.toLowerCase();
+  const tokens = new Set(lower.split(/[^a-z0-9]+/).filter(Boolean));
+  const found = new Set();
+
+  for (const [name, aliases] of Object.entries(TB_DRUG_ALIASES)) {
+    if (lower.includes(name) || aliases.some((a) => tokens.has(a))) found.add(name);
+  }
+
+  // FDC codes: "(HRZE)", "(H)", "HRZ 50/75/150", "E 100 mg". A request may
+  // also be just the code ("HRZE", "hr fdc").
+  const codes = Array.from(raw.matchAll(/(?:^|[\s(:])([HRZEP]{1,5})(?=\)|\s+\d)/g)).map((m) => m[1]);
+  if (bareCode) {
+    const bare = lower.replace(/\bfdc\b/g, "").replace(/\s+/g, "");
+    if (/^[hrzep]{1,5}$/.test(bare)) codes.push(bare);
+  }
+  let combination = /\bfdc\b/i.test(raw) || /\band\b|\+/.test(lower.replace(/\(.*?\)/g, ""));
+  for (const code of codes) {
+    if (code.length > 1) combination = true;
+    for (const letter of code.toLowerCase()) found.add(FDC_LETTERS[letter]);
+  }
+
+  return { names: found, combination: combination && found.size > 1 };
+}
+
+// A single-medicine request never matches an FDC row; an FDC request only
+// matches rows with exactly its components. "Cycloserine or terizidone"
+// rows list alternatives and match either name.
+function matchesDrug(entry, wanted) {
+  if (entry.combination || wanted.combination) {
+    return (
+      entry.combination === wanted.combination &&
+      entry.names.size === wanted.names.size &&
+      Array.from(wanted.names).every((n) => entry.names.has(n))
+    );
+  }
+  return Array.from(wanted.names).every((n) => entry.names.has(n));
+}
+
+// Rows that together make up a combination the tables do not list for every
+// weight: children <25 kg take HRZE as HRZ 50/75/150 mg plus E 100 mg
+// (Table 5.5). Groups are rows of one table and phase whose components
+// partition the requested ones, each row covering at least one.
+function componentGroups(entries, wanted) {
+  const groups = new Map();
+  for (const entry of entries) {
+    const names = Array.from(entry.names);
+    if (!names.length || entry.names.size >= wanted.names.size) continue;
+    if (!names.every((n) => wanted.names.has(n))) continue;
+    const key = `${entry.table.id}|${entry.phase || ""}`;
+    (groups.get(key) || groups.set(key, []).get(key)).push(entry);
+  }
+
+  const complete = [];
+  for (const rows of groups.values()) {
+    const covered = new Set();
+    let overlaps = false;
+    for (const row of rows) {
+      for (const n of row.names) {
+        if (covered.has(n)) overlaps = true;
+        covered.add(n);
+      }
+    }
+    if (!overlaps && covered.size === wanted.names.size) complete.push(rows);
+  }
+  return complete;
+}
+
+// ---------- Loading ----------
+
+function columnText(row, columns) {
+  const list = Array.isArray(columns) ? columns : columns ? [columns] : [];
+  const parts = list.map((col) => {
+    const value = cleanCell(row[col]);
+    // "Formulation (mg)" cells hold bare strengths ("300", "75/150").
+    return /\(mg\)/i.test(col) && /^[\d./]+$/.test(value) ? `${value} mg` : value;
+  });
+  return Array.from(new Set(parts.filter(Boolean))).join(" ");
+}
+
+function makeEntry(table, { drug, formulation, regimen = null, phase = null, notes = null, cells }) {
+  const { names, combination } = drugComponents(drug);
+  return { table, drug, formulation, regimen, phase, notes, names, combination, cells };
+}
+
+function compileTable(table, logicalRows) {
+  const headers = Object.keys(logicalRows[0] || {}).filter((h) => h !== "_row_index");
+  const cols = table.columns || {};
+  const entries = [];
+
+  if (table.layout === "drug_rows") {
+    const bandColumns = headers
+      .map((h) => ({ column: h, band: parseWeightBand(h) }))
+      .filter((c) => c.band);
+    for (const row of logicalRows) {
+      const drug = columnText(row, cols.drug);
+      if (!drug) continue;
+      entries.push(
+        makeEntry(table, {
+          drug,
+          formulation: columnText(row, cols.formulation) || drug,
+          regimen: columnText(row, cols.regimen) || null,
+          notes: columnText(row, cols.notes) || null,
+          cells: bandColumns.map((c) => ({ ...c, row_index: row._row_index, text: row[c.column] }))
+        })
+      );
+    }
+  } else if (table.layout === "band_rows") {
+    const bandColumn = cols.band || headers[0];
+    const bands = logicalRows
+      .map((row) => ({ row, band: parseWeightBand(row[bandColumn]) }))
+      .filter((b) => b.band);
+    for (const header of headers.filter((h) => h !== bandColumn)) {
+      // "Intensive phase: HRZ 50/75/150 mg"
+      const [phase, label] = header.includes(":") ? header.split(/:\s*/, 2) : [null, header];
+      entries.push(
+        makeEntry(table, {
+          drug: cleanCell(label),
+          formulation: cleanCell(label),
+          phase,
+          cells: bands.map(({ row, band }) => ({
+            column: header,
+            band,
+            row_index: row._row_index,
+            text: row[header]
+          }))
+        })
+      );
+    }
+  } else {
+    for (const row of logicalRows) {
+      const drug = columnText(row, cols.drug);
+      if (!drug) continue;
+      entries.push(
+        makeEntry(table, {
+          drug,
+          formulation: drug,
+          cells: [{
+            column: cols.dose,
+            band: { label: "any weight", min_kg: 0, max_kg: null, age: null },
+            row_index: row._row_index,
+            text: row[cols.dose]
+          }]
+        })
+      );
+    }
+  }
+
+  if (!entries.length) {
+    throw new Error(`dosing table ${table.id}: no rows read from ${table.attachment_path} (check column names)`);
+  }
+  return entries;
+}
+
+export function loadDosingTables(file) {
+  const raw = JSON.parse(fs.readFileSync(file, "utf-8"));
+  if (!raw || !Array.isArray(raw.tables)) {
+    throw new Error(`${file}: expected { tables: [...] }`);
+  }
+
+  const entries = [];
+  for (const table of raw.tables) {
+    if (!table?.id || !table.attachment_path) {
+      throw new Error(`${file}: every table needs id and attachment_path`);
+    }
+    if (!INDICATIONS.includes(table.indication)) {
+      throw new Error(`${file}: ${table.id}: indication must be one of ${INDICATIONS.join(", ")}`);
+    }
+    if (!LAYOUTS.includes(table.layout)) {
+      throw new Error(`${file}: ${table.id}: layout must be one of ${LAYOUTS.join(", ")}`);
+    }
+    const { logicalRows } = normalizeTableRows(loadTableRows(table.attachment_path));
+    entries.push(...compileTable(table, logicalRows));
+  }
+
+  return { version: raw.version ?? null, source: file, tables: raw.tables, entries };
+}
+
+// TB_DOSING_TABLES_PATH overrides config/dosing-tables.json.
+export function getDosingTables() {
+  if (!DOSING_TABLES) {
+    const file =
+      process.env.TB_DOSING_TABLES_PATH ||
+      path.join(process.cwd(), "config", "dosing-tables.json");
+    DOSING_TABLES = loadDosingTables(file);
+  }
+  return DOSING_TABLES;
+}
+
+export function setDosingTables(tables) {
+  DOSING_TABLES = tables;
+}
+
+// ---------- Calculator ----------
+
+function badRequest(message, statusCode = 400) {
+  const err = new Error(message);
+  err.statusCode = statusCode;
+  return err;
+}
+
+function readAgeMonths(input) {
+  const { age_months, age_years } = input;
+  for (const [key, value] of [["age_months", age_months], ["age_years", age_years]]) {
+    if (value !== undefined && value !== null && !(typeof value === "number" && value >= 0)) {
+      throw badRequest(`${key} must be a non-negative number`);
+    }
+  }
+  if (typeof age_months === "number") return age_months;
+  if (typeof age_years === "number") return age_years * 12;
+  return null;
+}
+
+function sourceFor(entry, cell) {
+  const { table } = entry;
+  return {
+    doc_id: table.doc_id,
+    table_id: table.table_id,
+    row_index: Number(cell.row_index),
+    column: cell.column,
+    attachment_path: table.attachment_path,
+    raw_cell: String(cell.text ?? "")
+  };
+}
+
+function describe(entry) {
+  return {
+    table: entry.table.label || entry.table.table_id,
+    indication: entry.table.indication,
+    regimen: entry.regimen || entry.table.regimen || null,
+    phase: entry.phase,
+    drug: entry.drug,
+    formulation: entry.formulation
+  };
+}
+
+function buildMatch(entry, cell, dose, ageMonths, ageSegment = null) {
+  const unit = formulationUnit(entry.formulation);
+  const quantity = parseQuantity(dose, unit);
+  return {
+    ...describe(entry),
+    band: { label: cell.band.label, min_kg: cell.band.min_kg, max_kg: cell.band.max_kg },
+    dose,
+    quantity,
+    dose_mg: doseMg(quantity, entry.formulation, entry.combination),
+    age_condition: ageSegment?.age_label || cell.band.age?.label || null,
+    ...(ageMonths === null && (ageSegment || cell.band.age) ? { requires_age: true } : {}),
+    notes: entry.notes,
+    source: sourceFor(entry, cell)
+  };
+}
+
+// input: { drug, weight_kg, age_months? | age_years?, formulation?, regimen?, indication? }
+// Returns every table row dose for the weight band, plus rows that list the
+// medicine but have no dose at this weight, only a pointer to another table,
+// or a minimum age the patient is not known to meet (not_available). A combination no
+// row gives at this weight comes back as its parts (component_of); with no
+// dose at all, a warning says which weights the tables cover.
+export function calculateWeightBandDose(input = {}, tables = getDosingTables()) {
+  const { drug, formulation, regimen, indication } = input;
+  const weight = input.weight_kg;
+
+  if (typeof drug !== "string" || !drug.trim()) throw badRequest("Missing drug");
+  if (typeof weight !== "number" || !(weight > 0) || weight > 250) {
+    throw badRequest("weight_kg must be a number between 0 and 250");
+  }
+  if (indication !== undefined && indication !== null && !INDICATIONS.includes(indication)) {
+    throw badRequest(`indication must be one of ${INDICATIONS.join(", ")}`);
+  }
+  const ageMonths = readAgeMonths(input);
+
+  const wanted = drugComponents(drug, { bareCode: true });
+  if (!wanted.names.size) {
+    const known = Object.keys(TB_DRUG_ALIASES).join(", ");
+    throw badRequest(`Unrecognised medicine "${drug}". Use a medicine name or FDC code (e.g. HRZE); known: ${known}.`);
+  }
+
+  const selectable = tables.entries.filter(
+    (e) =>
+      (!indication || e.table.indication === indication) &&
+      (!formulation || looseIncludes(e.formulation, formulation)) &&
+      (!regimen || looseIncludes(`${e.regimen || ""} ${e.table.regimen || ""} ${e.phase || ""}`, regimen))
+  );
+  const candidates = selectable.filter((e) => matchesDrug(e, wanted));
+  const groups = wanted.combination ? componentGroups(selectable, wanted) : [];
+  if (!candidates.length && !groups.length) {
+    const filters = [indication && `indication ${indication}`, formulation && `formulation "${formulation}"`, regimen && `regimen "${regimen}"`]
+      .filter(Boolean)
+      .join(", ");
+    throw badRequest(`No WHO dosing table row lists "${drug}"${filters ? ` with ${filters}` : ""}.`, 404);
+  }
+
+  const matches = [];
+  const notAvailable = [];
+  const warnings = [];
+  const seen = new Set();
+  let ageNeeded = false;
+  const skip = (entry, reason, extra = {}) => {
+    const key = `${entry.table.id}|${entry.drug}|${entry.formulation}|${reason}`;
+    if (seen.has(key)) return;
+    seen.add(key);
+    notAvailable.push({ ...describe(entry), ...extra, reason });
+  };
+
+  const collect = (entry, extra = {}) => {
+    const minAge = entry.table.min_age_years;
+    if (minAge && ageMonths !== null && ageMonths < minAge * 12) {
+      skip(entry, `Table applies to patients aged ≥${minAge} years.`);
+      return;
+    }
+    if (minAge && ageMonths === null) {
+      skip(entry, `Table applies to patients aged ≥${minAge} years; age not given.`);
+      ageNeeded = true;
+      return;
+    }
+
+    const cells = entry.cells.filter(
+      (c) => inWeightBand(weight, c.band) && inAgeRange(ageMonths, c.band.age)
+    );
+    if (!cells.length) {
+      skip(entry, `Weight ${weight} kg is outside the table's bands (${formatRange(entry.cells.map((c) => c.band))}).`);
+      return;
+    }
+
+    for (const cell of cells) {
+      const text = cleanCell(cell.text);
+      if (isBlankDose(text)) {
+        skip(entry, "Formulation not used in this weight band.", { source: sourceFor(entry, cell) });
+        continue;
+      }
+      if (!isDoseText(text)) {
+        skip(entry, `No dose in this weight band; the table says "${text}".`, { source: sourceFor(entry, cell) });
+        continue;
+      }
+
+      const segments = splitAgeSegments(text);
+      if (!segments) {
+        matches.push({ ...buildMatch(entry, cell, text, ageMonths), ...extra });
+        continue;
+      }
+      const applicable = segments.filter((s) => inAgeRange(ageMonths, s.age));
+      for (const segment of applicable) {
+        matches.push({ ...buildMatch(entry, cell, segment.dose, ageMonths, segment), ...extra });
+      }
+    }
+  };
+
+  for (const entry of candidates) collect(entry);
+
+  // No row lists the combination at this weight: dose it from its parts when
+  // a table gives every part for this band (HRZE → HRZ + E below 25 kg).
+  if (!matches.length) {
+    for (const rows of groups) {
+      const before = matches.length;
+      const skippedBefore = notAvailable.length;
+      const label = rows.map((r) => r.drug).join(" + ");
+      for (const row of rows) collect(row, { component_of: drug });
+      const added = matches.slice(before);
+      if (rows.every((row) => added.some((m) => m.drug === row.drug))) {
+        warnings.push(
+          `${drug} is not given as one product at ${weight} kg; ${rows[0].table.table_id} doses it as ${label} (give each).`
+        );
+      } else {
+        matches.length = before;
+        notAvailable.length = skippedBefore;
+      }
+    }
+  }
+
+  if (!matches.length) {
+    const ranges = formatRange(candidates.concat(groups.flat()).flatMap((e) => e.cells.map((c) => c.band)));
+    warnings.push(`No WHO dosing table gives a dose for "${drug}" at ${weight} kg; the tables cover ${ranges}.`);
+  }
+
+  if (ageNeeded) {
+    warnings.push("Some tables apply only from a minimum age and were left out; pass age_years or age_months to include them.");
+  }
+  if (matches.some((m) => m.requires_age)) {
+    warnings.push("Some doses depend on age in months; pass age_months to select one.");
+  }
+
+  return {
+    drug,
+    weight_kg: weight,
+    age_months: ageMonths,
+    indication: indication || null,
+    matches,
+    not_available: notAvailable,
+    warnings,
+    tables_version: tables.version
+  };
+}
+
+// ---------- Main handler ----------
+
+async function handler(req, res) {
+  if (req.method !== "POST") {
+    res.status(405).json({ error: "Method not allowed" });
+    return;
+  }
+  if (!requireAuth(req, res, "tools")) return;
+
+  let body = {};
+  try {
+    body =
+      typeof req.body === "object" && req.body ? req.body : JSON.parse(await readBody(req));
+  } catch {
+    res.status(400).json({ error: "Invalid JSON" });
+    return;
+  }
+
+  try {
+    const result = calculateWeightBandDose(body);
+    req.trace.log.info("dosing lookup", {
+      drug: body.drug,
+      weight_kg: body.weight_kg,
+      matches: result.matches.length
+    });
+    res.status(200).json(result);
+  } catch (err) {
+    const status = err.statusCode || 500;
+    if (status >= 500) req.trace.log.error("dosing lookup failed", { err });
+    res.status(status).json({ error: err?.message || "Invalid request" });
+  }
+}
+
+export default withRequestTrace("tb-dosing", handler);
+
+// ---- helpers ----
+function readBody(req) {
+  return new Promise((resolve) => {
+    let d = "";
+    req.on("data", (c) => (d += c));
+    req.on("end", () => resolve(d || "{}"));
+  });
+}
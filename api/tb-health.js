@@ -0,0 +1,48 @@
+// api/tb-health.js
+// Health check for load balancers and deploy smoke tests: loads the RAG store
+// (if not already loaded) and reports its integrity checks, and checks that
+// TDA receipts can be signed and stored (TB_TDA_RECEIPT_SECRET, and
+// TB_TDA_RECEIPT_DIR in production), without which TDA scoring is refused.
+//
+//   GET /api/tb-health            -> { status, rag: { ok, checked_at, summary, checks },
+//                                      tda_receipts: { ok, checks } }
+//   GET /api/tb-health?detail=1   -> checks include example offending chunks
+//
+// 200 when neither has errors, 503 otherwise (including a store that failed
+// to load). Warnings such as undeployed figure images keep 200.
+
+import { getRagIntegrityReport } from "./tb-rag-query.js";
+import { checkTdaReceiptConfig } from "../lib/tda-receipts.js";
+import { withRequestTrace } from "../lib/trace.js";
+import { queryParam } from "../lib/http.js";
+
+async function handler(req, res) {
+  if (req.method !== "GET") {
+    res.setHeader("Allow", ["GET"]);
+    return res.status(405).json({ error: "Method not allowed" });
+  }
+
+  const receipts = checkTdaReceiptConfig();
+  try {
+    const report = await getRagIntegrityReport();
+    const detail = queryParam(req, "detail") === "1";
+    const checks = detail ? report.checks : report.checks.map(({ examples, ...c }) => c);
+    const ok = report.ok && receipts.ok;
+
+    return res.status(ok ? 200 : 503).json({
+      status: ok ? "ok" : "error",
+      rag: { ok: report.ok, checked_at: report.checked_at, summary: report.summary, checks },
+      tda_receipts: receipts
+    });
+  } catch (err) {
+    req.trace.log.error("health check failed", { err });
+    return res.status(503).json({
+      status: "error",
+      error: "RAG store unavailable",
+      detail: err?.message || null,
+      tda_receipts: receipts
+    });
+  }
+}
+
+export default withRequestTrace("tb-health", handler);
@@ -0,0 +1,63 @@
+// api/tb-interactions.js
+// Drug–drug interaction checker over the WHO interaction tables. The index is
+// built when the RAG store loads (see lib/rag/interactions.js); this route and
+// the mentor's checkDrugInteractions tool only match against it.
+
+import { getInteractionIndex } from "./tb-rag-query.js";
+import { findInteractions } from "../lib/rag/interactions.js";
+import { requireAuth } from "../lib/auth.js";
+import { withRequestTrace } from "../lib/trace.js";
+
+// input: { regimen?, tb_drugs?, co_medications: [] }
+export async function checkDrugInteractions(input = {}) {
+  const index = await getInteractionIndex();
+  return {
+    ...findInteractions(index, input),
+    index: { tables: index.tables.length, records: index.records.length, terms_version: index.terms_version }
+  };
+}
+
+// ---------- Main handler ----------
+
+async function handler(req, res) {
+  if (req.method !== "POST") {
+    res.status(405).json({ error: "Method not allowed" });
+    return;
+  }
+  if (!requireAuth(req, res, "tools")) return;
+
+  let body = {};
+  try {
+    body =
+      typeof req.body === "object" && req.body ? req.body : JSON.parse(await readBody(req));
+  } catch {
+    res.status(400).json({ error: "Invalid JSON" });
+    return;
+  }
+
+  try {
+    const result = await checkDrugInteractions(body);
+    req.trace.log.info("interaction check", {
+      regimen: body.regimen,
+      tb_drugs: result.tb_drugs,
+      co_medications: body.co_medications,
+      interactions: result.interactions.length
+    });
+    res.status(200).json(result);
+  } catch (err) {
+    const status = err.statusCode || 500;
+    if (status >= 500) req.trace.log.error("interaction check failed", { err });
+    res.status(status).json({ error: err?.message || "Invalid request" });
+  }
+}
+
+export default withRequestTrace("tb-interactions", handler);
+
+// ---- helpers ----
+function readBody(req) {
+  return new Promise((resolve) => {
+    let d = "";
+    req.on("data", (c) => (d += c));
+    req.on("end", () => resolve(d || "{}"));
+  });
+}
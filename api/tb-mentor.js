@@ -1,8 +1,40 @@
 import fs from "fs";
 import path from "path";
-import OpenAI from "openai";
-import { computePediatricTbTdaScore } from "./tb_peds_tda.js";
-import ragHandler from "./tb-rag-query.js";
+import { computePediatricTbTdaScore, runPediatricTbAlgorithm } from "./tb_peds_tda.js";
+import { recordTdaReceipt } from "../lib/tda-receipts.js";
+import { actorOf, requireAuth } from "../lib/auth.js";
+import { calculateWeightBandDose } from "./tb-dosing.js";
+import { checkDrugInteractions } from "./tb-interactions.js";
+import ragHandler, { IN_PROCESS } from "./tb-rag-query.js";
+import { buildCitations, collectFigures, collectRetrievedChunks } from "../lib/citations.js";
+import { chatModelFor, getLlmProvider } from "../lib/llm/index.js";
+import { createUsageMeter, meterProvider } from "../lib/llm/usage.js";
+import { enforceQuota, quotaIdentity, recordUsage } from "../lib/quotas.js";
+import { recordUsageMetrics } from "../lib/usage-metrics.js";
+import { NOOP_TRACE, traceProvider, withRequestTrace } from "../lib/trace.js";
+import { parseToolArgs, validateToolArgs } from "../lib/tool-args.js";
+import {
+  PHI_PLACEHOLDER_NOTE,
+  createPhiVault,
+  createRestoreStream,
+  phiRedactionEnabled
+} from "../lib/phi.js";
+import {
+  canAccessSession,
+  getSessionStore,
+  isValidSessionId,
+  lockSession,
+  sessionTranscript,
+  trimSessionMessages
+} from "../lib/session-store.js";
+import {
+  AUDIENCES,
+  TONE_PRESETS,
+  buildToneDirective,
+  getDefaultTone,
+  isValidTone,
+  toneLabel
+} from "../lib/tone.js";
 
 /**
  * TB Mentor API route
@@ -10,21 +42,181 @@ import ragHandler from "./tb-rag-query.js";
  * Drop this file into your Next.js `pages/api` folder as `tb-mentor.js`.
  * Then POST { "message": "your case description" } to /api/tb-mentor.
  *
- * You MUST set OPENAI_API_KEY in your environment.
+ * Send `Accept: text/event-stream` to receive the answer as Server-Sent Events:
+ * tool_call_started / tool_call_finished, token (answer deltas), answer,
+ * then reasoning / snapshot / status as each resolves, and finally done
+ * (carrying the same body as the JSON response) or error.
+ *
+ * Optional body fields: `tone` (basic_clinical | general_doctor | specialist,
+ * defaulting to MENTOR_TONE or general_doctor) and `audience` ("clinician" or
+ * "patient" for a one-turn patient-facing explanation), and `session_id` (from
+ * /api/tb-sessions) to continue a server-side session instead of sending `history`.
+ *
+ * Requests authenticate with an API key or a signed clinician token (see
+ * lib/auth.js, scope "mentor"); sessions and TDA receipts are tied to that identity.
+ * Turns are rate limited and charged against monthly token/cost budgets per
+ * identity and site (lib/quotas.js); over a limit the route answers 429 with
+ * `Retry-After`.
+ *
+ * Each turn is bounded (rounds, tool calls, RAG calls, tokens, wall clock; see
+ * TURN_LIMITS). When a budget runs out the best answer so far is returned with
+ * `truncated: true` and a `truncationReason`.
+ *
+ * The response carries `citations` (retrieved chunks the answer's WHO citations
+ * point to), `unmatchedCitations` (citations with no retrieved counterpart) and
+ * `figures` (retrieved WHO figures with a public URL, dimensions and caption).
+ *
+ * `usage` reports tokens and estimated cost (config/llm-prices.json) for the
+ * turn, per stage: tool_loop (with each completion round), rag_embedding,
+ * reasoning, snapshot and status.
+ *
+ * Patient identifiers in `message` and `history` (names, phone numbers,
+ * national IDs, dates of birth, facility/patient numbers, addresses) are
+ * replaced with placeholders such as [NAME_1] before any LLM or embedding call
+ * (lib/phi.js) and put back into everything sent to the client: tokens, answer,
+ * reasoning, snapshot and status. Sessions keep the mapping so later turns reuse
+ * the same placeholders. TB_PHI_REDACTION=off disables this.
+ *
+ * Every response carries an `X-Request-Id` header (a valid incoming one is
+ * kept) and `request_id`; the same ID tags the structured logs and spans of
+ * the RAG and TDA calls made during the turn (lib/trace.js).
+ *
+ * You MUST set OPENAI_API_KEY in your environment (or pick another provider with
+ * TB_LLM_PROVIDER; TB_LLM_PROVIDER=fake runs fully offline).
  * You ALSO need your existing /api/tb-rag-query and /api/tb_peds_tda routes working.
  */
 
-const client = new OpenAI({
-  apiKey: process.env.OPENAI_API_KEY
-});
-
 // vvv System prompt comes from my last custom GPT instructions
 const SYSTEM_PROMPT = fs.readFileSync(
   path.join(process.cwd(), "prompts/mentor-system.txt"),
   "utf8"
 );
 
-// Tools derived from your tb-openapi-schema.yaml (RAG) and tb_peds_tda.js (TDA)
+// How many stored session messages (incl. tool calls/results) go back into the prompt.
+const SESSION_PROMPT_MESSAGES = Number(process.env.TB_SESSION_PROMPT_MESSAGES) || 60;
+
+// Age inputs shared by the TDA score and the full algorithm flow. The server
+// derives the band (and HR/RR thresholds) from age_months or date_of_birth.
+const TDA_AGE_SCHEMA = {
+  age_months: {
+    type: "number",
+    description: "Age in completed months (preferred). Children aged 120 months (10 years) or more are rejected.",
+    minimum: 0
+  },
+  date_of_birth: {
+    type: "string",
+    description: "Date of birth (YYYY-MM-DD), when age in months is not stated.",
+    examples: ["2022-03-14"]
+  },
+  visit_date: {
+    type: "string",
+    description: "Visit date (YYYY-MM-DD) used with date_of_birth; defaults to today.",
+    examples: ["2025-01-20"]
+  },
+  age_band: {
+    type: "string",
+    description: "Fallback only, when neither age_months nor date_of_birth is known.",
+    enum: ["<2m", "2-12m", "1-5y", ">5y"]
+  }
+};
+
+// Clinical findings shared by the TDA score and the full algorithm flow.
+const TDA_FINDINGS_SCHEMA = {
+  symptoms: {
+    type: "object",
+    description:
+      "Symptom flags used in the WHO algorithm. If tachycardia or tachypnoea are omitted here, " +
+      "they may be inferred from vitals when provided.",
+    additionalProperties: false,
+    properties: {
+      cough_gt_2w: {
+        type: "boolean",
+        description: "Cough lasting more than 2 weeks."
+      },
+      fever_gt_2w: {
+        type: "boolean",
+        description: "Fever lasting more than 2 weeks."
+      },
+      lethargy: {
+        type: "boolean",
+        description: "Lethargy or reduced activity."
+      },
+      weight_loss_or_ftt: {
+        type: "boolean",
+        description: "Weight loss or failure to thrive."
+      },
+      haemoptysis: {
+        type: "boolean",
+        description: "Haemoptysis (coughing up blood)."
+      },
+      night_sweats: {
+        type: "boolean",
+        description: "Night sweats."
+      },
+      swollen_nodes: {
+        type: "boolean",
+        description: "Swollen lymph nodes suggestive of TB."
+      },
+      tachycardia: {
+        type: "boolean",
+        description:
+          "Clinically identified tachycardia. If omitted, may be inferred from vitals.hr using age-specific thresholds."
+      },
+      tachypnoea: {
+        type: "boolean",
+        description:
+          "Clinically identified tachypnoea. If omitted, may be inferred from vitals.rr using age-specific thresholds."
+      }
+    }
+  },
+  vitals: {
+    type: "object",
+    description:
+      "Optional vital signs used to infer tachycardia and tachypnoea when those flags are not explicitly set in symptoms.",
+    additionalProperties: false,
+    properties: {
+      hr: {
+        type: "number",
+        description: "Heart rate in beats per minute."
+      },
+      rr: {
+        type: "number",
+        description: "Respiratory rate in breaths per minute."
+      }
+    }
+  },
+  cxr: {
+    type: "object",
+    description:
+      "Chest X-ray findings (used only for Algorithm A). " +
+      "Ignored when algorithm is B (no CXR).",
+    additionalProperties: false,
+    properties: {
+      cavities: {
+        type: "boolean",
+        description: "Pulmonary cavities on chest X-ray."
+      },
+      enlarged_nodes: {
+        type: "boolean",
+        description: "Enlarged intrathoracic lymph nodes."
+      },
+      opacities: {
+        type: "boolean",
+        description: "Parenchymal opacities on chest X-ray."
+      },
+      miliary: {
+        type: "boolean",
+        description: "Miliary pattern on chest X-ray."
+      },
+      effusion: {
+        type: "boolean",
+        description: "Pleural effusion on chest X-ray."
+      }
+    }
+  }
+};
+
+// Tools derived from your tb-openapi-schema.yaml (RAG), tb_peds_tda.js (TDA), tb-dosing.js (dosing) and tb-interactions.js (DDIs)
 const tools = [
   {
     type: "function",
@@ -90,6 +282,14 @@ Use this before giving any case-specific TB explanation or reasoning.
               'Most nuance (e.g., TB/HIV, renal disease, pregnancy) should be expressed in the question text, not as scope values.',
             enum: ["prevention", "screening", "diagnosis", "treatment"],
             examples: ["diagnosis"]
+          },
+          edition: {
+            type: "string",
+            description:
+              "Optional: pin a specific guideline edition, as a doc_id or \"module<N>@<year>\", only when comparing " +
+              "an older edition with current guidance. By default retrieval prefers the newest edition and marks " +
+              "superseded passages with superseded_by.",
+            examples: ["module5@2022"]
           }
         }
       }
@@ -103,11 +303,12 @@ Use this before giving any case-specific TB explanation or reasoning.
         "Compute the WHO Pediatric TB Disease Algorithm (TDA) score for children <10 years " +
         "using Algorithm A (with chest X-ray) or Algorithm B (without chest X-ray). " +
         "Returns the total score, whether it meets the WHO treatment-threshold, " +
-        "and a human-readable explanation of how each point was assigned.",
+        "a human-readable explanation of how each point was assigned, the scoring items not assessed " +
+        "(missing_items) and the score range they allow (score_range.could_flip).",
       parameters: {
         type: "object",
         additionalProperties: false,
-        required: ["algorithm", "age_band"],
+        required: ["algorithm"],
         properties: {
           algorithm: {
             type: "string",
@@ -115,103 +316,159 @@ Use this before giving any case-specific TB explanation or reasoning.
               'Which WHO pediatric TB algorithm to use. "A" when CXR is available, "B" when CXR is not available.',
             enum: ["A", "B"]
           },
-          age_band: {
+          ...TDA_AGE_SCHEMA,
+          ...TDA_FINDINGS_SCHEMA
+        }
+      }
+    }
+  },
+  {
+    type: "function",
+    function: {
+      name: "runPediatricTbAlgorithm",
+      description:
+        "Walk the full WHO Module 5 integrated treatment decision algorithm for a child <10 years with " +
+        "presumptive pulmonary TB: entry criteria, danger signs, high-risk groups (HIV, severe acute " +
+        "malnutrition), Xpert/mWRD result, then Algorithm A/B scoring and reassessment. Returns the recommended " +
+        "next step (test, treat, reassess in N weeks, refer, or exit) and the branch taken at each state.",
+      parameters: {
+        type: "object",
+        additionalProperties: false,
+        properties: {
+          ...TDA_AGE_SCHEMA,
+          presumptive_tb: {
+            type: "boolean",
+            description:
+              "The clinician judges the child to have presumptive pulmonary TB even though none of the listed " +
+              "symptoms is marked true. Without it the flow exits at entry when no TB symptom is present."
+          },
+          danger_signs: {
+            type: "boolean",
+            description: "IMCI (<5 years) or ETAT (5–9 years) danger signs present."
+          },
+          hiv: {
+            type: "boolean",
+            description: "Child is living with HIV."
+          },
+          sam: {
+            type: "boolean",
+            description: "Child has severe acute malnutrition."
+          },
+          xpert: {
+            type: "string",
+            description: "Result of Xpert MTB/RIF (Ultra) or another mWRD; \"not_done\" when no test has been run yet.",
+            enum: ["mtb_detected", "rif_resistance_detected", "not_detected", "indeterminate", "not_done", "unavailable"]
+          },
+          xpert_available: {
+            type: "boolean",
+            description: "Set false when mWRD testing cannot be done, so the flow proceeds to scoring."
+          },
+          cxr_available: {
+            type: "boolean",
+            description: "Whether chest X-ray is available (selects Algorithm A vs B)."
+          },
+          reassessment: {
+            type: "boolean",
+            description: "This is a follow-up visit after an earlier below-threshold result and symptoms persist."
+          },
+          ...TDA_FINDINGS_SCHEMA
+        }
+      }
+    }
+  },
+  {
+    type: "function",
+    function: {
+      name: "calculateWeightBandDose",
+      description:
+        "Look up the WHO weight-band dose of a TB medicine from the WHO dosing tables (Module 4 annex tables, " +
+        "Module 1 TPT tables, Module 5 pediatric tables). Returns, for every matching formulation, the dose exactly " +
+        "as printed for the patient's weight band, the tablet/mL count, mg per dose when derivable, and the source " +
+        "table row. Use this for every dose you state; never calculate doses yourself. Rows with component_of dose a " +
+        "combination from its parts (e.g. HRZE as HRZ + E below 25 kg); give every part. Read warnings when there are no matches.",
+      parameters: {
+        type: "object",
+        additionalProperties: false,
+        required: ["drug", "weight_kg"],
+        properties: {
+          drug: {
             type: "string",
             description:
-              "Age band used for age-specific tachycardia and tachypnoea thresholds.",
-            enum: ["<2m", "2-12m", "1-5y", ">5y"]
+              "Medicine name or abbreviation (e.g. \"isoniazid\", \"Lfx\", \"bedaquiline\") or a first-line FDC code " +
+              "(e.g. \"HRZE\", \"HR\"). A single medicine never matches FDC rows.",
+            minLength: 1,
+            examples: ["HRZE", "rifapentine"]
+          },
+          weight_kg: {
+            type: "number",
+            description: "Patient weight in kilograms.",
+            minimum: 0.5,
+            maximum: 250
           },
-          symptoms: {
-            type: "object",
+          age_months: {
+            type: "number",
             description:
-              "Symptom flags used in the WHO algorithm. If tachycardia or tachypnoea are omitted here, " +
-              "they may be inferred from vitals when provided.",
-            additionalProperties: false,
-            properties: {
-              cough_gt_2w: {
-                type: "boolean",
-                description: "Cough lasting more than 2 weeks."
-              },
-              fever_gt_2w: {
-                type: "boolean",
-                description: "Fever lasting more than 2 weeks."
-              },
-              lethargy: {
-                type: "boolean",
-                description: "Lethargy or reduced activity."
-              },
-              weight_loss_or_ftt: {
-                type: "boolean",
-                description: "Weight loss or failure to thrive."
-              },
-              haemoptysis: {
-                type: "boolean",
-                description: "Haemoptysis (coughing up blood)."
-              },
-              night_sweats: {
-                type: "boolean",
-                description: "Night sweats."
-              },
-              swollen_nodes: {
-                type: "boolean",
-                description: "Swollen lymph nodes suggestive of TB."
-              },
-              tachycardia: {
-                type: "boolean",
-                description:
-                  "Clinically identified tachycardia. If omitted, may be inferred from vitals.hr using age-specific thresholds."
-              },
-              tachypnoea: {
-                type: "boolean",
-                description:
-                  "Clinically identified tachypnoea. If omitted, may be inferred from vitals.rr using age-specific thresholds."
-              }
-            }
+              "Patient age in months. Needed for infants, where some bands and doses differ by age (e.g. <3 months).",
+            minimum: 0
           },
-          vitals: {
-            type: "object",
+          age_years: {
+            type: "number",
             description:
-              "Optional vital signs used to infer tachycardia and tachypnoea when those flags are not explicitly set in symptoms.",
-            additionalProperties: false,
-            properties: {
-              hr: {
-                type: "number",
-                description: "Heart rate in beats per minute."
-              },
-              rr: {
-                type: "number",
-                description: "Respiratory rate in breaths per minute."
-              }
-            }
+              "Patient age in years, when age in months is not needed. Tables for adults and adolescents only " +
+              "(e.g. ≥14 years) are left out when no age is given.",
+            minimum: 0
           },
-          cxr: {
-            type: "object",
+          indication: {
+            type: "string",
             description:
-              "Chest X-ray findings (used only for Algorithm A). " +
-              "Ignored when algorithm is B (no CXR).",
-            additionalProperties: false,
-            properties: {
-              cavities: {
-                type: "boolean",
-                description: "Pulmonary cavities on chest X-ray."
-              },
-              enlarged_nodes: {
-                type: "boolean",
-                description: "Enlarged intrathoracic lymph nodes."
-              },
-              opacities: {
-                type: "boolean",
-                description: "Parenchymal opacities on chest X-ray."
-              },
-              miliary: {
-                type: "boolean",
-                description: "Miliary pattern on chest X-ray."
-              },
-              effusion: {
-                type: "boolean",
-                description: "Pleural effusion on chest X-ray."
-              }
-            }
+              "Which tables to use: drug-susceptible TB treatment, drug-resistant TB treatment, or TB preventive treatment.",
+            enum: ["ds_tb", "dr_tb", "tpt"]
+          },
+          formulation: {
+            type: "string",
+            description: "Optional formulation filter, matched against the table text (e.g. \"100 mg dt\", \"300 mg\").",
+            examples: ["100 mg dt"]
+          },
+          regimen: {
+            type: "string",
+            description: "Optional regimen or phase filter (e.g. \"3HP\", \"6Lfx\", \"BPaLM\", \"Intensive phase\").",
+            examples: ["3HP"]
+          }
+        }
+      }
+    }
+  },
+  {
+    type: "function",
+    function: {
+      name: "checkDrugInteractions",
+      description:
+        "Check a TB regimen against the patient's other medicines (ARVs, anticonvulsants, contraceptives, " +
+        "QT-prolonging drugs, HCV antivirals, ...) using the WHO drug–drug interaction tables. Returns every " +
+        "matching interaction with severity, effect, management recommendation and source table row, plus the " +
+        "medicines no indexed row covers. Only a few WHO tables are indexed (see coverage); an unmatched " +
+        "medicine is not evidence of no interaction.",
+      parameters: {
+        type: "object",
+        additionalProperties: false,
+        required: ["co_medications"],
+        properties: {
+          regimen: {
+            type: "string",
+            description: "TB regimen as written in the guidelines (e.g. \"2HRZE/4HR\", \"3HP\", \"BPaLM\").",
+            examples: ["2HRZE/4HR"]
+          },
+          tb_drugs: {
+            type: "array",
+            description: "TB medicines by name or abbreviation, when no regimen code applies.",
+            items: { type: "string", minLength: 1 },
+            examples: [["bedaquiline", "linezolid"]]
+          },
+          co_medications: {
+            type: "array",
+            description: "The patient's other medicines by name or common abbreviation (e.g. \"DTG\", \"LPV/r\").",
+            items: { type: "string", minLength: 1 },
+            examples: [["dolutegravir", "carbamazepine"]]
           }
         }
       }
@@ -234,11 +491,11 @@ function extractToolsUsed(messages) {
   return Array.from(used);
 }
 
-async function getReasoningSummary(client, assistantContent) {
+async function getReasoningSummary(llm, assistantContent, log) {
 
   try {
-    const completion = await client.chat.completions.create({
-      model: "gpt-5.1",
+    const completion = await llm.chat({
+      model: chatModelFor("reasoning"),
       temperature: 0,
       messages: [
         {
@@ -251,15 +508,15 @@ async function getReasoningSummary(client, assistantContent) {
     });
     return completion.choices?.[0]?.message?.content || null;
   } catch (err) {
-    console.warn("Reasoning summary error:", err?.message || err);
+    log.warn("reasoning summary failed", { err });
     return null;
   }
 }
 
-async function buildCaseSnapshot(client, caseMessages) {
+async function buildCaseSnapshot(llm, caseMessages, log) {
   try {
-    const completion = await client.chat.completions.create({
-      model: "gpt-5.1",
+    const completion = await llm.chat({
+      model: chatModelFor("snapshot"),
       temperature: 0,
       response_format: { type: "json_object" },
       messages: [
@@ -296,15 +553,15 @@ async function buildCaseSnapshot(client, caseMessages) {
       }
     };
   } catch (err) {
-    console.warn("Case snapshot error:", err?.message || err);
+    log.warn("case snapshot failed", { err });
     return { caseSummary: null, snapshot: null };
   }
 }
 
-async function buildMentorStatus(client, convoMessages) {
+async function buildMentorStatus(llm, convoMessages, log) {
   try {
-    const completion = await client.chat.completions.create({
-      model: "gpt-5.1",
+    const completion = await llm.chat({
+      model: chatModelFor("status"),
       temperature: 0,
       response_format: { type: "json_object" },
       messages: [
@@ -337,13 +594,27 @@ async function buildMentorStatus(client, convoMessages) {
       riskPosture: typeof parsed.riskPosture === "string" ? parsed.riskPosture : ""
     };
   } catch (err) {
-    console.warn("Mentor status error:", err?.message || err);
+    log.warn("mentor status failed", { err });
     return null;
   }
 }
 
-async function callLocalRag(args) {
-  const req = { method: "POST", body: args, headers: {} };
+// Tool calls run in the turn's context: { identity, meter, trace }.
+//
+// The IN_PROCESS marker is what makes the RAG route skip its own credential
+// and quota checks; `auth` only tells it whose identity the call runs under
+// (required: without one it answers 500). It charges its embedding to the
+// turn's usage meter and records its stages under the turn's request ID.
+async function callLocalRag(args, { identity = null, meter = null, trace = null } = {}) {
+  const req = {
+    method: "POST",
+    body: args,
+    headers: {},
+    auth: identity,
+    usageMeter: meter,
+    parentTrace: trace,
+    [IN_PROCESS]: true
+  };
 
   const { statusCode, body } = await new Promise((resolve, reject) => {
     const res = {
@@ -375,7 +646,8 @@ async function callLocalRag(args) {
   return parsed;
 }
 
-async function callRag(args) {
+async function callRag(args, ctx = {}) {
+  const trace = ctx.trace || NOOP_TRACE;
   const forceRemote =
     (process.env.TB_RAG_FORCE_REMOTE || "").toLowerCase() === "true" ||
     process.env.TB_RAG_FORCE_REMOTE === "1";
@@ -386,7 +658,7 @@ async function callRag(args) {
 
   if (!forceRemote) {
     try {
-      return await callLocalRag(args);
+      return await callLocalRag(args, ctx);
     } catch (err) {
       const canFallback =
         ragBase &&
@@ -395,10 +667,9 @@ async function callRag(args) {
       if (!canFallback) {
         throw err;
       }
-      console.warn(
-        "[tb-mentor][rag] local store unavailable; falling back to remote:",
-        err?.code || err?.message || err
-      );
+      trace.log.warn("local RAG store unavailable; falling back to remote", {
+        error: err?.code || err?.message || String(err)
+      });
     }
   }
 
@@ -410,12 +681,15 @@ async function callRag(args) {
 
   const headers = { "Content-Type": "application/json" };
   if (ragKey) headers.Authorization = `Bearer ${ragKey}`;
+  if (trace.requestId) headers["X-Request-Id"] = trace.requestId;
 
-  const res = await fetch(`${ragBase}/api/tb-rag-query`, {
-    method: "POST",
-    headers,
-    body: JSON.stringify(args)
-  });
+  const res = await trace.span("rag.remote", () =>
+    fetch(`${ragBase}/api/tb-rag-query`, {
+      method: "POST",
+      headers,
+      body: JSON.stringify(args)
+    })
+  );
 
   if (!res.ok) {
     let detail = "";
@@ -429,15 +703,40 @@ async function callRag(args) {
   return await res.json();
 }
 
-async function callTda(args) {
+async function callTda(args, { identity = null, trace = NOOP_TRACE } = {}) {
   // Default to local computation; only call remote if explicitly forced.
   const forceRemote = (process.env.TB_TDA_FORCE_REMOTE || "").toLowerCase() === "true" ||
     process.env.TB_TDA_FORCE_REMOTE === "1";
   if (!forceRemote) {
-    const { derived, ...result } = computePediatricTbTdaScore(args);
-    console.log("[tb-mentor][tda-local] request", JSON.stringify(args));
-    console.log("[tb-mentor][tda-local] result", JSON.stringify(result));
-    return result;
+    let scored;
+    try {
+      scored = computePediatricTbTdaScore(args);
+    } catch (err) {
+      if (!err.statusCode) throw err;
+      return { error: err.code || "TDA_INVALID_INPUT", detail: err.message, issues: err.issues };
+    }
+    let receipt;
+    try {
+      receipt = await recordTdaReceipt({
+        kind: "score",
+        source: "tb-mentor",
+        input: args,
+        result: scored,
+        actor: actorOf(identity)
+      });
+    } catch (err) {
+      if (err.code !== "TDA_RECEIPT_UNAVAILABLE") throw err;
+      // No score without its audit receipt; the model reports the tool as unavailable.
+      return { error: err.code, detail: err.message };
+    }
+    trace.log.info("tda local score", {
+      input: args,
+      score: scored.score,
+      threshold: scored.threshold,
+      meets_threshold: scored.meets_threshold,
+      receipt_id: receipt.id
+    });
+    return { ...scored, receipt_id: receipt.id };
   }
 
   const tdaBase = process.env.TB_TDA_BASE_URL || process.env.TB_MENTOR_BASE_URL || "";
@@ -449,12 +748,15 @@ async function callTda(args) {
 
   const headers = { "Content-Type": "application/json" };
   if (tdaKey) headers.Authorization = `Bearer ${tdaKey}`;
+  if (trace.requestId) headers["X-Request-Id"] = trace.requestId;
 
-  const res = await fetch(`${tdaBase}/api/tb_peds_tda`, {
-    method: "POST",
-    headers,
-    body: JSON.stringify(args)
-  });
+  const res = await trace.span("tda.remote", () =>
+    fetch(`${tdaBase}/api/tb_peds_tda`, {
+      method: "POST",
+      headers,
+      body: JSON.stringify(args)
+    })
+  );
 
   if (!res.ok) {
     throw new Error(`tb_peds_tda error: ${res.status} ${res.statusText}`);
@@ -463,121 +765,646 @@ async function callTda(args) {
   return await res.json();
 }
 
-export default async function handler(req, res) {
+// ---------- Server-Sent Events ----------
+
+// Streaming is opt-in: clients ask for it with `Accept: text/event-stream`
+// (or `stream: true` in the body for environments that cannot set headers).
+function wantsEventStream(req) {
+  const accept = String(req.headers?.accept || "").toLowerCase();
+  return accept.includes("text/event-stream") || req.body?.stream === true;
+}
+
+function createEventStream(res) {
+  res.statusCode = 200;
+  res.setHeader("Content-Type", "text/event-stream; charset=utf-8");
+  res.setHeader("Cache-Control", "no-cache, no-transform");
+  res.setHeader("Connection", "keep-alive");
+  res.setHeader("X-Accel-Buffering", "no");
+  if (typeof res.flushHeaders === "function") res.flushHeaders();
+
+  let closed = false;
+  return {
+    send(event, data) {
+      if (closed) return;
+      res.write(`event: ${event}\ndata: ${JSON.stringify(data ?? {})}\n\n`);
+    },
+    close() {
+      if (closed) return;
+      closed = true;
+      res.end();
+    }
+  };
+}
+
+// Same request as the non-streaming path, but assembles the assistant message
+// (content + tool_calls) from deltas and reports content tokens as they arrive.
+async function streamCompletion(llm, params, onToken, options) {
+  const stream = await llm.chat(
+    { ...params, stream: true, stream_options: { include_usage: true } },
+    options
+  );
+
+  const msg = { role: "assistant", content: "" };
+  const toolCalls = [];
+  let usage = null;
+
+  for await (const chunk of stream) {
+    if (chunk.usage) usage = chunk.usage;
+    const delta = chunk.choices?.[0]?.delta;
+    if (!delta) continue;
+
+    if (delta.content) {
+      msg.content += delta.content;
+      onToken(delta.content);
+    }
+
+    for (const tc of delta.tool_calls || []) {
+      const slot =
+        toolCalls[tc.index] ||
+        (toolCalls[tc.index] = {
+          id: "",
+          type: "function",
+          function: { name: "", arguments: "" }
+        });
+      if (tc.id) slot.id = tc.id;
+      if (tc.function?.name) slot.function.name += tc.function.name;
+      if (tc.function?.arguments) slot.function.arguments += tc.function.arguments;
+    }
+  }
+
+  const calls = toolCalls.filter(Boolean);
+  if (calls.length) msg.tool_calls = calls;
+  if (!msg.content) msg.content = calls.length ? null : "";
+  return { msg, usage };
+}
+
+// ---------- Tool loop ----------
+
+// Per-turn budgets. Each can be overridden from the environment.
+const TURN_LIMITS = {
+  maxRounds: Number(process.env.TB_MENTOR_MAX_ROUNDS) || 6,
+  maxToolCalls: Number(process.env.TB_MENTOR_MAX_TOOL_CALLS) || 10,
+  maxRagCalls: Number(process.env.TB_MENTOR_MAX_RAG_CALLS) || 4,
+  maxTokens: Number(process.env.TB_MENTOR_MAX_TURN_TOKENS) || 250000,
+  deadlineMs: Number(process.env.TB_MENTOR_DEADLINE_MS) || 90000,
+  // Extra time allowed for the wrap-up completion once a budget is hit.
+  wrapUpMs: Number(process.env.TB_MENTOR_WRAPUP_MS) || 20000
+};
+
+const TOOL_SCHEMAS = Object.fromEntries(
+  tools.map((t) => [t.function.name, t.function.parameters])
+);
+
+// Provider for one call site: usage goes to the meter, timings to the trace.
+function stageProvider(stage, { meter, trace }) {
+  return meterProvider(traceProvider(getLlmProvider(), trace, stage), meter, stage);
+}
+
+// Stages reported in the response's usage block, in pipeline order.
+const USAGE_STAGES = ["tool_loop", "rag_embedding", "reasoning", "snapshot", "status"];
+
+const FALLBACK_ANSWER =
+  "I ran out of time before I could finish reviewing the WHO guidance for this question. " +
+  "Please retry, or narrow the question (one patient problem or task at a time).";
+
+// Every LLM call of the turn goes through `llm`, which reports usage to
+// `meter` and timings to `trace`. `vault` (lib/phi.js) holds the turn's
+// placeholders, or is null when PHI redaction is off.
+function createTurnState(
+  events,
+  { identity = null, meter = createUsageMeter(), trace = NOOP_TRACE, vault = null } = {}
+) {
+  return {
+    events,
+    identity,
+    meter,
+    trace,
+    vault,
+    llm: stageProvider("tool_loop", { meter, trace }),
+    startedAt: Date.now(),
+    rounds: 0,
+    toolCalls: 0,
+    ragCalls: 0,
+    tokens: 0,
+    // Last non-empty assistant text this turn, used when we must stop early.
+    draft: null
+  };
+}
+
+function remainingMs(turn) {
+  return TURN_LIMITS.deadlineMs - (Date.now() - turn.startedAt);
+}
+
+// Which budget (if any) stops the model from calling more tools.
+function exhaustedBudget(turn) {
+  if (remainingMs(turn) <= 0) return "deadline";
+  if (turn.rounds >= TURN_LIMITS.maxRounds) return "max_rounds";
+  if (turn.toolCalls >= TURN_LIMITS.maxToolCalls) return "max_tool_calls";
+  if (turn.tokens >= TURN_LIMITS.maxTokens) return "max_tokens";
+  return null;
+}
+
+function isAbortError(err) {
+  return err?.name === "AbortError" || err?.name === "APIUserAbortError" || err?.name === "TimeoutError";
+}
+
+async function complete(params, turn, timeoutMs) {
+  const options = { signal: AbortSignal.timeout(Math.max(1000, timeoutMs)) };
+  let msg;
+  let usage;
+  if (turn.events) {
+    // Tokens reach the client with placeholders already restored.
+    const restorer = turn.vault ? createRestoreStream(turn.vault) : null;
+    const sendToken = (delta) => {
+      if (delta) turn.events.send("token", { delta });
+    };
+    ({ msg, usage } = await streamCompletion(
+      turn.llm,
+      params,
+      (delta) => sendToken(restorer ? restorer.push(delta) : delta),
+      options
+    ));
+    if (restorer) sendToken(restorer.flush());
+  } else {
+    const completion = await turn.llm.chat(params, options);
+    msg = completion.choices[0].message;
+    usage = completion.usage || null;
+  }
+
+  turn.rounds += 1;
+  turn.tokens += usage?.total_tokens || 0;
+  if (typeof msg.content === "string" && msg.content.trim()) turn.draft = msg.content;
+  return msg;
+}
+
+// One last completion without tools, asking the model to answer from what it
+// already has. Falls back to the latest draft text if that fails too.
+async function wrapUp(messages, turn, reason) {
+  const note = {
+    role: "system",
+    content:
+      `Tool budget for this turn is exhausted (${reason}). Do not call any more tools. ` +
+      "Answer now using only the guidance and tool results already in this conversation, " +
+      "and state clearly what could not be checked."
+  };
+
+  turn.events?.send("truncated", { reason });
+
+  try {
+    const msg = await complete(
+      { model: chatModelFor("main"), messages: [...messages, note], tools, tool_choice: "none" },
+      turn,
+      TURN_LIMITS.wrapUpMs
+    );
+    if (typeof msg.content === "string" && msg.content.trim()) {
+      messages.push(msg);
+      return msg;
+    }
+  } catch (err) {
+    turn.trace.log.warn("wrap-up completion failed", { err });
+  }
+
+  const msg = { role: "assistant", content: turn.draft || FALLBACK_ANSWER };
+  messages.push(msg);
+  return msg;
+}
+
+async function runTool(name, args, messages, turn) {
+  const schema = TOOL_SCHEMAS[name];
+  if (!schema) {
+    return { error: `Unknown tool: ${name}` };
+  }
+
+  const problems = validateToolArgs(schema, args);
+  if (problems.length) {
+    return {
+      error: "INVALID_TOOL_ARGUMENTS",
+      detail: `Arguments for ${name} do not match its schema. Fix them and call again.`,
+      problems
+    };
+  }
+
+  if (name === "fetchRelevantTbGuidance") {
+    if (turn.ragCalls >= TURN_LIMITS.maxRagCalls) {
+      return {
+        error: "TOOL_BUDGET_EXCEEDED",
+        detail:
+          `fetchRelevantTbGuidance may be called at most ${TURN_LIMITS.maxRagCalls} times per turn. ` +
+          "Answer with the guidance already retrieved."
+      };
+    }
+    turn.ragCalls += 1;
+
+    if (args.top_k == null) args.top_k = 8;
+    if (args.include_table_rows == null) args.include_table_rows = true;
+    if (args.table_row_limit == null) args.table_row_limit = 150;
+
+    return await callRag(args, turn);
+  }
+
+  if (name === "computePediatricTbTdaScore") {
+    const usedTools = extractToolsUsed(messages);
+    if (!usedTools.includes("fetchRelevantTbGuidance")) {
+      return {
+        error: "TDA_PRECONDITION_FAILED",
+        detail:
+          "You attempted to call computePediatricTbTdaScore before using fetchRelevantTbGuidance. " +
+          "For real pediatric cases, you must first perform intake, construct CASE SUMMARY / TASK / RAG FOCUS, " +
+          "and call fetchRelevantTbGuidance at least once to retrieve WHO guidance."
+      };
+    }
+    return await callTda(args, turn);
+  }
+
+  if (name === "runPediatricTbAlgorithm") {
+    const usedTools = extractToolsUsed(messages);
+    if (!usedTools.includes("fetchRelevantTbGuidance")) {
+      return {
+        error: "TDA_PRECONDITION_FAILED",
+        detail:
+          "You attempted to call runPediatricTbAlgorithm before using fetchRelevantTbGuidance. " +
+          "Perform intake and call fetchRelevantTbGuidance at least once first."
+      };
+    }
+    try {
+      const result = runPediatricTbAlgorithm(args);
+      const receipt = await recordTdaReceipt({
+        kind: "flow",
+        source: "tb-mentor",
+        input: args,
+        result,
+        actor: actorOf(turn.identity)
+      });
+      return { ...result, receipt_id: receipt.id };
+    } catch (err) {
+      if (!err.statusCode) throw err;
+      // Validation issues and TDA_RECEIPT_UNAVAILABLE both go back to the model.
+      return { error: err.code || "TDA_FLOW_FAILED", detail: err.message, issues: err.issues };
+    }
+  }
+
+  if (name === "calculateWeightBandDose") {
+    try {
+      return calculateWeightBandDose(args);
+    } catch (err) {
+      if (!err.statusCode) throw err;
+      return { error: "DOSING_LOOKUP_FAILED", detail: err.message };
+    }
+  }
+
+  if (name === "checkDrugInteractions") {
+    try {
+      return await checkDrugInteractions(args);
+    } catch (err) {
+      if (!err.statusCode) throw err;
+      return { error: "INTERACTION_CHECK_FAILED", detail: err.message };
+    }
+  }
+
+  return { error: `Unknown tool: ${name}` };
+}
+
+// Runs completions until the model stops calling tools or a per-turn budget
+// runs out. Returns the final assistant message and, when cut short, why.
+// ctx: { identity, meter, trace, vault } of the request.
+async function runToolLoop(messages, events, ctx) {
+  const turn = createTurnState(events, ctx);
+
+  while (true) {
+    const exhausted = exhaustedBudget(turn);
+    if (exhausted) {
+      // Past the deadline a draft answer is better than another slow call.
+      if (exhausted === "deadline" && turn.draft) {
+        const msg = { role: "assistant", content: turn.draft };
+        messages.push(msg);
+        events?.send("truncated", { reason: exhausted });
+        return { msg, truncated: exhausted, turn };
+      }
+      return { msg: await wrapUp(messages, turn, exhausted), truncated: exhausted, turn };
+    }
+
+    let msg;
+    try {
+      msg = await complete(
+        { model: chatModelFor("main"), messages, tools, tool_choice: "auto" },
+        turn,
+        remainingMs(turn)
+      );
+    } catch (err) {
+      if (!isAbortError(err)) throw err;
+      return { msg: await wrapUp(messages, turn, "deadline"), truncated: "deadline", turn };
+    }
+
+    messages.push(msg);
+
+    // No more tool calls => final answer
+    if (!msg.tool_calls || msg.tool_calls.length === 0) {
+      return { msg, truncated: null, turn };
+    }
+
+    for (const toolCall of msg.tool_calls) {
+      const name = toolCall.function.name;
+      const { args, error: parseError } = parseToolArgs(toolCall.function.arguments);
+      // Local tools get the real values (the TDA needs the date of birth); the
+      // guidance search text is embedded by the provider, so it keeps placeholders.
+      const realArgs = turn.vault ? turn.vault.restoreDeep(args) : args;
+
+      events?.send("tool_call_started", { id: toolCall.id, name, arguments: realArgs });
+
+      let result;
+      if (parseError) {
+        // Malformed arguments go back to the model instead of failing the request.
+        result = {
+          error: "INVALID_TOOL_ARGUMENTS",
+          detail: `Could not parse arguments for ${name}: ${parseError}`
+        };
+      } else if (remainingMs(turn) <= 0 || turn.toolCalls >= TURN_LIMITS.maxToolCalls) {
+        // Every tool call still needs a result message to keep the transcript valid.
+        result = {
+          error: "TOOL_BUDGET_EXCEEDED",
+          detail: "The tool budget for this turn is exhausted; this call was not executed."
+        };
+      } else {
+        turn.toolCalls += 1;
+        try {
+          result = await runTool(name, name === "fetchRelevantTbGuidance" ? args : realArgs, messages, turn);
+        } catch (err) {
+          events?.send("tool_call_finished", {
+            id: toolCall.id,
+            name,
+            ok: false,
+            error: err?.message || String(err)
+          });
+          throw err;
+        }
+      }
+
+      events?.send("tool_call_finished", {
+        id: toolCall.id,
+        name,
+        ok: !result?.error,
+        error: result?.error || null
+      });
+
+      // Results can echo restored inputs; mask them again before the model reads them.
+      const content = JSON.stringify(result);
+      messages.push({
+        role: "tool",
+        tool_call_id: toolCall.id,
+        content: turn.vault ? turn.vault.redactKnown(content) : content
+      });
+    }
+
+    // Loop again so the model can read tool results and synthesize
+  }
+}
+
+async function handler(req, res) {
+  const trace = req.trace;
   if (req.method !== "POST") {
     res.setHeader("Allow", ["POST"]);
     return res.status(405).json({ error: "Method not allowed" });
   }
 
-  const { message, history } = req.body || {};
+  const identity = requireAuth(req, res, "mentor");
+  if (!identity) return;
+
+  const {
+    message,
+    history,
+    tone: requestedTone,
+    audience: requestedAudience,
+    session_id: sessionId
+  } = req.body || {};
 
   if (!message || typeof message !== "string") {
     return res.status(400).json({ error: "Missing 'message' in request body" });
   }
 
+  if (requestedTone != null && !isValidTone(requestedTone)) {
+    return res.status(400).json({
+      error: `'tone' must be one of: ${Object.keys(TONE_PRESETS).join(", ")}`
+    });
+  }
+
+  if (requestedAudience != null && !AUDIENCES.includes(requestedAudience)) {
+    return res.status(400).json({
+      error: `'audience' must be one of: ${AUDIENCES.join(", ")}`
+    });
+  }
+
   if (history && !Array.isArray(history)) {
     return res.status(400).json({ error: "'history' must be an array" });
   }
 
-  // Keep a small, validated history so conversation context can be reused.
-  const sanitizedHistory = (Array.isArray(history) ? history : [])
-    .filter(
-      (h) =>
-        h &&
-        typeof h === "object" &&
-        (h.role === "user" || h.role === "assistant") &&
-        typeof h.content === "string" &&
-        h.content.trim()
-    )
-    .slice(-12) // cap history depth
-    .map((h) => ({ role: h.role, content: h.content.trim() }));
+  if (sessionId != null && !isValidSessionId(sessionId)) {
+    return res.status(400).json({ error: "'session_id' is not a valid session id" });
+  }
+
+  // Only well-formed requests spend rate-limit tokens.
+  const quotaSubject = quotaIdentity(req, identity);
+  if (!(await enforceQuota(req, res, quotaSubject))) return;
+
+  let session = null;
+  let releaseSession = null;
+  if (sessionId) {
+    // Check ownership before taking the lock, so a caller cannot queue behind
+    // (and delay) someone else's turns. Turns on one session then run one at a
+    // time, each re-reading the session under the lock so it builds on the
+    // last one's messages instead of overwriting them.
+    try {
+      const owned = await getSessionStore().get(sessionId);
+      if (owned && canAccessSession(owned, identity)) {
+        releaseSession = await lockSession(sessionId);
+        session = await getSessionStore().get(sessionId);
+      }
+    } catch (err) {
+      releaseSession?.();
+      trace.log.error("session load failed", { err, session_id: sessionId });
+      return res.status(500).json({ error: "Failed to load session", detail: err?.message || null });
+    }
+    if (!session) {
+      releaseSession?.();
+      return res.status(404).json({ error: "Session not found" });
+    }
+  }
+
+  const tone = requestedTone || session?.tone || getDefaultTone();
+  const audience = requestedAudience || "clinician";
+
+  // Identifiers become placeholders before anything reaches the LLM provider;
+  // a session's vault keeps them stable across turns.
+  const vault = phiRedactionEnabled() ? createPhiVault(session?.phi) : null;
+  const deidentify = (text) => (vault ? vault.redact(text) : text);
+  const reidentify = (value) => (vault ? vault.restoreDeep(value) : value);
+
+  // With a session, prior turns (including tool calls and results) come from
+  // the store and client-sent history is ignored. Without one, keep a small,
+  // validated history so conversation context can be reused.
+  const priorMessages = session
+    ? trimSessionMessages(session.messages, SESSION_PROMPT_MESSAGES)
+    : (Array.isArray(history) ? history : [])
+        .filter(
+          (h) =>
+            h &&
+            typeof h === "object" &&
+            (h.role === "user" || h.role === "assistant") &&
+            typeof h.content === "string" &&
+            h.content.trim()
+        )
+        .slice(-12) // cap history depth
+        .map((h) => ({ role: h.role, content: h.content.trim() }));
+  const promptMessages = priorMessages.map((m) =>
+    (m.role === "user" || m.role === "assistant") && typeof m.content === "string"
+      ? { ...m, content: deidentify(m.content) }
+      : m
+  );
+  const userContent = deidentify(message);
+
+  const events = wantsEventStream(req) ? createEventStream(res) : null;
+  const meter = createUsageMeter();
 
   try {
-    const messages = [
+    const systemMessages = [
       { role: "system", content: SYSTEM_PROMPT },
-      ...sanitizedHistory,
-      { role: "user", content: message }
+      { role: "system", content: buildToneDirective(tone, audience) }
     ];
+    if (vault?.size) systemMessages.push({ role: "system", content: PHI_PLACEHOLDER_NOTE });
 
-    while (true) {
-      const completion = await client.chat.completions.create({
-        model: "gpt-5.1",
-        messages,
-        tools,
-        tool_choice: "auto"
-      });
+    const messages = [...systemMessages, ...promptMessages, { role: "user", content: userContent }];
+    const turnStart = messages.length - 1;
 
-      const msg = completion.choices[0].message;
+    const { msg, truncated, turn } = await runToolLoop(messages, events, { identity, meter, trace, vault });
 
-      // If the model wants to call tools
-      if (msg.tool_calls && msg.tool_calls.length > 0) {
-        messages.push(msg);
+    const toolsUsed = extractToolsUsed(messages.slice(turnStart));
+    const caseMessages = sessionTranscript({
+      messages: messages.slice(systemMessages.length, turnStart)
+    }).concat({ role: "user", content: userContent.trim() });
+    const output = reidentify(msg.content);
 
-        for (const toolCall of msg.tool_calls) {
-          const name = toolCall.function.name;
-          const args = JSON.parse(toolCall.function.arguments || "{}");
-
-          let result;
-          if (name === "fetchRelevantTbGuidance") {
-            if (args.top_k == null) args.top_k = 8;
-            if (args.include_table_rows == null) args.include_table_rows = true;
-            if (args.table_row_limit == null) args.table_row_limit = 150;
-
-            result = await callRag(args);
-          } else if (name === "computePediatricTbTdaScore") {
-            const usedTools = extractToolsUsed(messages);
-            if (!usedTools.includes("fetchRelevantTbGuidance")) {
-              result = {
-                error: "TDA_PRECONDITION_FAILED",
-                detail:
-                  "You attempted to call computePediatricTbTdaScore before using fetchRelevantTbGuidance. " +
-                  "For real pediatric cases, you must first perform intake, construct CASE SUMMARY / TASK / RAG FOCUS, " +
-                  "and call fetchRelevantTbGuidance at least once to retrieve WHO guidance."
-              };
-            } else {
-              result = await callTda(args);
-            }
-          } else {
-            result = { error: `Unknown tool: ${name}` };
-          }
+    const retrieved = collectRetrievedChunks(messages);
+    const { citations, unmatchedCitations } = buildCitations(msg.content, retrieved);
+    // Cited figures from any turn, plus whatever this turn retrieved.
+    const turnChunkIds = new Set(collectRetrievedChunks(messages.slice(turnStart)).map((c) => c.chunk_id));
+    const citedIds = new Set(citations.map((c) => c.chunk_id));
+    const figures = collectFigures(
+      retrieved.filter((c) => turnChunkIds.has(c.chunk_id) || citedIds.has(c.chunk_id)),
+      citations
+    );
+    if (unmatchedCitations.length) {
+      trace.log.warn("answer cites passages that were not retrieved", {
+        unmatched_citations: unmatchedCitations.map((c) => c.text)
+      });
+    }
 
-          messages.push({
-            role: "tool",
-            tool_call_id: toolCall.id,
-            content: JSON.stringify(result)
-          });
-        }
+    events?.send("answer", {
+      output,
+      truncated: !!truncated,
+      truncationReason: truncated,
+      toolsUsed,
+      citations,
+      unmatchedCitations,
+      figures
+    });
 
-        // Loop again so the model can read tool results and synthesize
-        continue;
-      }
+    // Tone is a server-side setting, so it is reported as-is rather than inferred.
+    const withTone = (status) => ({
+      ...(status || {}),
+      tone: toneLabel(tone),
+      toneId: tone,
+      audience
+    });
 
-      // No more tool calls => final answer
-      messages.push(msg);
+    // When streaming, each follow-up is pushed as soon as it resolves rather
+    // than waiting for the slowest of the three.
+    const stageLlm = (stage) => stageProvider(stage, { meter, trace });
+    const [reasoning, snapshotResult, mentorStatus] = await Promise.all([
+      getReasoningSummary(stageLlm("reasoning"), msg.content, trace.log).then((reasoning) => {
+        events?.send("reasoning", { reasoning: reidentify(reasoning) });
+        return reasoning;
+      }),
+      buildCaseSnapshot(stageLlm("snapshot"), caseMessages, trace.log).then((snapshotResult) => {
+        events?.send("snapshot", reidentify(snapshotResult));
+        return snapshotResult;
+      }),
+      buildMentorStatus(stageLlm("status"), messages, trace.log).then((status) => {
+        const mentorStatus = withTone(status);
+        events?.send("status", { mentorStatus: reidentify(mentorStatus) });
+        return mentorStatus;
+      })
+    ]);
 
-      const toolsUsed = extractToolsUsed(messages);
-      const caseMessages = sanitizedHistory.concat({ role: "user", content: message.trim() });
-
-      const [reasoning, snapshotResult, mentorStatus] = await Promise.all([
-        getReasoningSummary(client, msg.content),
-        buildCaseSnapshot(client, caseMessages),
-        buildMentorStatus(client, messages)
-      ]);
-
-      return res.status(200).json({
-        output: msg.content,
-        toolsUsed,
-        reasoning,
-        caseSummary: snapshotResult.caseSummary,
-        snapshot: snapshotResult.snapshot,
-        mentorStatus
+    if (session) {
+      // Persist the full exchange; the prompt window is trimmed on the next load.
+      // Stored text keeps its placeholders, with the vault alongside.
+      await getSessionStore().save({
+        ...session,
+        tone,
+        updatedAt: new Date().toISOString(),
+        turnCount: (session.turnCount || 0) + 1,
+        title: session.title || userContent.trim().slice(0, 80),
+        messages: (session.messages || []).concat(messages.slice(turnStart)),
+        caseSummary: snapshotResult.caseSummary ?? session.caseSummary ?? null,
+        snapshot: snapshotResult.snapshot ?? session.snapshot ?? null,
+        mentorStatus,
+        phi: vault ? vault.toJSON() : session.phi ?? null
       });
     }
+
+    const payload = {
+      request_id: trace.requestId,
+      session_id: session?.id ?? null,
+      output,
+      truncated: !!truncated,
+      truncationReason: truncated,
+      loop: {
+        rounds: turn.rounds,
+        toolCalls: turn.toolCalls,
+        ragCalls: turn.ragCalls,
+        tokens: turn.tokens,
+        elapsedMs: Date.now() - turn.startedAt
+      },
+      usage: meter.summary({ stages: USAGE_STAGES }),
+      toolsUsed,
+      citations,
+      unmatchedCitations,
+      figures,
+      reasoning: reidentify(reasoning),
+      caseSummary: reidentify(snapshotResult.caseSummary),
+      snapshot: reidentify(snapshotResult.snapshot),
+      mentorStatus: reidentify(mentorStatus)
+    };
+
+    if (events) {
+      events.send("done", payload);
+      return events.close();
+    }
+
+    return res.status(200).json(payload);
   } catch (err) {
-    console.error("TB Mentor error:", err);
-    return res.status(500).json({
-      error: "Internal server error",
-      detail: err?.message || null
-    });
+    // Another instance saved the session mid-turn; the client reloads and retries.
+    const conflict = err?.code === "SESSION_CONFLICT";
+    if (!conflict) trace.log.error("mentor turn failed", { err });
+    const body = {
+      error: conflict ? err.message : "Internal server error",
+      ...(conflict ? { code: err.code } : { detail: err?.message || null }),
+      request_id: trace.requestId
+    };
+
+    if (events) {
+      events.send("error", body);
+      return events.close();
+    }
+
+    return res.status(conflict ? 409 : 500).json(body);
+  } finally {
+    releaseSession?.();
+    // Charged whether or not the turn succeeded: the tokens were spent either way.
+    await Promise.all([
+      recordUsage(quotaSubject, meter.totals()),
+      recordUsageMetrics({ route: "mentor", identity, meter })
+    ]).catch((err) => trace.log.warn("usage not recorded", { err }));
   }
 }
+
+export default withRequestTrace("tb-mentor", handler);
@@ -5,8 +5,37 @@ import fs from "fs";
 import path from "path";
 import Papa from "papaparse";
 import Npyjs from "npyjs";
+import { embeddingModel, getLlmProvider } from "../lib/llm/index.js";
+import { createUsageMeter, meterProvider } from "../lib/llm/usage.js";
+import {
+  buildBm25Index,
+  chunkLexicalText,
+  fuseReciprocalRank,
+  scoreBm25
+} from "../lib/rag/bm25.js";
+import {
+  applyMinCountRules,
+  applyScoreRules,
+  getRankingRules
+} from "../lib/rag/rules.js";
+import { buildInteractionIndex } from "../lib/rag/interactions.js";
+import { figureInfo, mergeFigureDescriptions } from "../lib/rag/figures.js";
+import { checkRagStore, describeIntegrityProblems } from "../lib/rag/integrity.js";
+import { requireAuth } from "../lib/auth.js";
+import { enforceQuota, quotaIdentity, recordUsage } from "../lib/quotas.js";
+import { recordUsageMetrics } from "../lib/usage-metrics.js";
+import { createLogger } from "../lib/log.js";
+import { createPhiVault, phiRedactionEnabled } from "../lib/phi.js";
+import { NOOP_TRACE, traceProvider, withRequestTrace } from "../lib/trace.js";
+import {
+  getDocumentRegistry,
+  registryEntry,
+  resolveEditionRequest,
+  supersessionFor
+} from "../lib/rag/registry.js";
 
 let RAG_STORE = null;
+const log = createLogger({ component: "tb-rag-query" });
 
 // ---------- Embedding + RAG store helpers ----------
 
@@ -18,7 +47,7 @@ function normalize(vec) {
   return vec.map((v) => v / norm);
 }
 
-async function loadEmbeddings(ragDir) {
+export async function loadEmbeddings(ragDir) {
   const embeddingsJsonPath = path.join(ragDir, "embeddings.json");
   const embeddingsNpyPath = path.join(ragDir, "embeddings.npy");
 
@@ -33,15 +62,10 @@ async function loadEmbeddings(ragDir) {
       try {
         return JSON.parse(raw);
       } catch (err) {
-        console.warn(
-          "Failed to parse embeddings.json; will try .npy fallback",
-          err
-        );
+        log.warn("failed to parse embeddings.json; trying embeddings.npy", { err });
       }
     } else {
-      console.warn(
-        "embeddings.json appears to be a Git LFS pointer; falling back to embeddings.npy"
-      );
+      log.warn("embeddings.json is a Git LFS pointer; falling back to embeddings.npy");
     }
   }
 
@@ -83,20 +107,70 @@ async function loadRagStore() {
   const chunks = chunksLines.map((line) => JSON.parse(line));
 
   const rawEmbeddings = await loadEmbeddings(ragDir);
-  const embeddings = rawEmbeddings.map((vec) => normalize(vec));
 
-  if (embeddings.length !== chunks.length) {
-    console.warn(
-      "WARNING: embeddings count != chunks count",
-      embeddings.length,
-      chunks.length
+  // A misaligned store would return the wrong passage for every vector hit,
+  // so fatal integrity errors stop the load instead of being logged.
+  const integrity = checkRagStore({
+    chunks,
+    embeddings: rawEmbeddings,
+    resolvePath: resolveAttachmentPath
+  });
+  const problems = describeIntegrityProblems(integrity);
+  if (problems.length) log.warn("RAG store integrity problems", { problems });
+  if (integrity.summary.fatal) {
+    const err = new Error(
+      `RAG store failed integrity checks: ${describeIntegrityProblems(integrity, { fatalOnly: true }).join("; ")}`
     );
+    err.statusCode = 503;
+    err.integrity = integrity;
+    throw err;
   }
 
-  RAG_STORE = { chunks, embeddings };
+  const embeddings = rawEmbeddings.map((vec) => normalize(vec));
+
+  // Flowchart nodes/decisions from scripts/describe-figures.js. They feed the
+  // lexical index and the results; dense vectors stay caption-based until the
+  // corpus is re-embedded.
+  const describedFigures = mergeFigureDescriptions(chunks);
+  if (describedFigures) log.info("figure descriptions merged", { count: describedFigures });
+
+  // Lexical index for exact drug names, regimen abbreviations and table numbers.
+  const lexicalIndex = buildBm25Index(chunks.map(chunkLexicalText));
+
+  // Structured drug–drug interactions for /api/tb-interactions.
+  const interactionIndex = buildStoreInteractionIndex(chunks);
+
+  RAG_STORE = { chunks, embeddings, lexicalIndex, interactionIndex, integrity };
   return RAG_STORE;
 }
 
+// Integrity report for the store, loading it if needed. A store that failed
+// its fatal checks returns that report (ok: false) rather than throwing.
+export async function getRagIntegrityReport() {
+  try {
+    const store = await loadRagStore();
+    return store.integrity;
+  } catch (err) {
+    if (err.integrity) return err.integrity;
+    throw err;
+  }
+}
+
+// Interaction index over the store's table chunks (lib/rag/interactions.js);
+// also used directly by the tests, which only need the chunk metadata.
+export function buildStoreInteractionIndex(chunks, options = {}) {
+  return buildInteractionIndex(chunks, {
+    loadRows: (chunk) => normalizeTableRows(loadTableRows(chunk.attachment_path)).logicalRows,
+    subtypeOf: (chunk, logicalRows) => detectTableSubtype(chunk, logicalRows, null),
+    ...options
+  });
+}
+
+export async function getInteractionIndex() {
+  const store = await loadRagStore();
+  return store.interactionIndex;
+}
+
 // For normalized vectors, cosine similarity is just their dot product.
 function cosineSim(a, b) {
   const len = Math.min(a.length, b.length);
@@ -107,32 +181,12 @@ function cosineSim(a, b) {
   return dot;
 }
 
-async function embedQuestion(question) {
-  const apiKey = process.env.OPENAI_API_KEY;
-  if (!apiKey) {
-    throw new Error("OPENAI_API_KEY is not set");
-  }
-
-  const response = await fetch("https://api.openai.com/v1/embeddings", {
-    method: "POST",
-    headers: {
-      "Content-Type": "application/json",
-      Authorization: `Bearer ${apiKey}`,
-    },
-    body: JSON.stringify({
-      model: "text-embedding-3-large",
-      input: question,
-    }),
+export async function embedQuestion(question, llm = getLlmProvider()) {
+  const { embeddings } = await llm.embed({
+    model: embeddingModel(),
+    input: question
   });
-
-  if (!response.ok) {
-    const text = await response.text();
-    throw new Error(`OpenAI embeddings error: ${response.status} ${text}`);
-  }
-
-  const json = await response.json();
-  const embedding = json.data[0].embedding;
-  return normalize(embedding);
+  return normalize(embeddings[0]);
 }
 
 // ---------- Scope + doc_hint helpers ----------
@@ -572,41 +626,6 @@ function inferPopulationContext(question, intentFlags) {
   return context;
 }
 
-function isDrugSusceptibleChunk(chunk) {
-  if (!chunk) return false;
-
-  const doc = (chunk.doc_id || "").toString().toLowerCase();
-  const section = (chunk.section_path || "").toString().toLowerCase();
-  const scope = (chunk.scope || "").toString().toLowerCase();
-  const text = (chunk.text || "").toString().toLowerCase();
-
-  const dsSignals = [
-    "drug - susceptible",
-    "drug-susceptible",
-    "drug susceptible",
-    "ds-tb",
-    "ds tb"
-  ];
-
-  const hasSignal = (s) => dsSignals.some((sig) => s.includes(sig));
-
-  if (hasSignal(scope)) return true;
-  if (hasSignal(section)) return true;
-  if (hasSignal(text)) return true;
-
-  // Module 4 chapter 1 is DS-TB; down-weight it for DR intent.
-  if (
-    doc.includes("module4") &&
-    doc.includes("treat") &&
-    section.includes("chapter 1")
-  ) {
-    return true;
-  }
-
-  return false;
-}
-
-
 function filterIndicesByScope(indices, chunks, scope) {
   if (!scope) return indices;
 
@@ -719,9 +738,10 @@ function extractSectionKeys(sectionPath) {
 
 // ---------- Table loading + normalization + subtype detection + rendering ----------
 
-// Resolve an attachment_path from chunk metadata to an absolute CSV path
-// Deployed CSVs live under: public/rag/tables/<guideline>/Table_X.csv
-function resolveTablePath(attachmentPathFromMeta) {
+// Resolve an attachment_path from chunk metadata to an absolute path.
+// Deployed attachments live under public/rag: tables/<guideline>/Table_X.csv
+// and figures/<guideline>/Fig. X..png
+export function resolveAttachmentPath(attachmentPathFromMeta) {
   if (!attachmentPathFromMeta) return null;
 
   let cleaned = String(attachmentPathFromMeta)
@@ -748,8 +768,8 @@ function resolveTablePath(attachmentPathFromMeta) {
 }
 
 // Load raw CSV rows (with generic ColumnA, ColumnB, etc.)
-function loadTableRows(attachmentPathFromMeta) {
-  const absPath = resolveTablePath(attachmentPathFromMeta);
+export function loadTableRows(attachmentPathFromMeta) {
+  const absPath = resolveAttachmentPath(attachmentPathFromMeta);
   if (!absPath) {
     throw new Error("Cannot resolve table path from attachment_path");
   }
@@ -761,14 +781,14 @@ function loadTableRows(attachmentPathFromMeta) {
   });
 
   if (parsed.errors && parsed.errors.length) {
-    console.warn("CSV parse errors for table:", absPath, parsed.errors);
+    log.warn("CSV parse errors for table", { path: absPath, errors: parsed.errors.slice(0, 5) });
   }
 
   return parsed.data || [];
 }
 
 // Normalize to "logical" rows using row_index=1 as header row
-function normalizeTableRows(rawRows) {
+export function normalizeTableRows(rawRows) {
   if (!rawRows || !rawRows.length) {
     return { headerRow: null, logicalRows: [] };
   }
@@ -1659,18 +1679,20 @@ function enrichChunkWithTable(chunk, options = {}) {
       table_debug: debug || null
     };
   } catch (err) {
-    console.error(
-      "Failed to load or render table for chunk",
-      chunk.chunk_id,
-      "path:",
-      attachmentPath,
-      err
-    );
+    log.error("failed to load or render table", { chunk_id: chunk.chunk_id, path: attachmentPath, err });
     return chunk;
   }
 }
 
-function formatRetrievalEntry(chunk, score) {
+function enrichChunkWithFigure(chunk) {
+  const ct = (chunk.content_type || "").toLowerCase();
+  if (ct !== "figure" || !chunk.attachment_path) {
+    return chunk;
+  }
+  return { ...chunk, figure: figureInfo(chunk, resolveAttachmentPath(chunk.attachment_path)) };
+}
+
+function formatRetrievalEntry(chunk, score, entry = null) {
   if (!chunk) return null;
 
   const previewSource =
@@ -1691,6 +1713,14 @@ function formatRetrievalEntry(chunk, score) {
     content_type: chunk.content_type ?? null,
     table_subtype: chunk.table_subtype ?? null,
     score: typeof score === "number" ? Number(score.toFixed(4)) : null,
+    ...(entry && typeof entry.dense_score === "number"
+      ? {
+          dense_score: Number(entry.dense_score.toFixed(4)),
+          lexical_score: Number((entry.lexical_score || 0).toFixed(4)),
+          dense_rank: entry.dense_rank ?? null,
+          lexical_rank: entry.lexical_rank ?? null
+        }
+      : {}),
     preview
   };
 }
@@ -1795,515 +1825,491 @@ function mixByContentType(entries, chunks, config) {
   return final.slice(0, k);
 }
 
-// ---------- Main handler ----------
+// ---------- Hybrid retrieval options ----------
+
+const DEFAULT_FUSION = {
+  mode: process.env.TB_RAG_RETRIEVAL_MODE || "hybrid",
+  denseWeight: Number(process.env.TB_RAG_DENSE_WEIGHT ?? 1),
+  lexicalWeight: Number(process.env.TB_RAG_LEXICAL_WEIGHT ?? 0.7),
+  rrfK: Number(process.env.TB_RAG_RRF_K ?? 60)
+};
+
+// Request fields: retrieval_mode ("hybrid" | "dense" | "lexical"),
+// dense_weight, lexical_weight, rrf_k. "dense" keeps raw cosine scores.
+function pickFusionConfig(body) {
+  const num = (v, fallback, min, max) => {
+    const n = Number(v);
+    return v != null && Number.isFinite(n) ? Math.max(min, Math.min(max, n)) : fallback;
+  };
 
-export default async function handler(req, res) {
-  if (req.method !== "POST") {
-    res.statusCode = 405;
-    res.setHeader("Content-Type", "application/json");
-    res.setHeader("Allow", "POST");
-    res.end(JSON.stringify({ error: "Use POST to query the TB RAG store." }));
-    return;
-  }
+  let mode = ["hybrid", "dense", "lexical"].includes(body.retrieval_mode)
+    ? body.retrieval_mode
+    : DEFAULT_FUSION.mode;
+  let denseWeight = num(body.dense_weight, DEFAULT_FUSION.denseWeight, 0, 10);
+  let lexicalWeight = num(body.lexical_weight, DEFAULT_FUSION.lexicalWeight, 0, 10);
+  const rrfK = num(body.rrf_k, DEFAULT_FUSION.rrfK, 1, 1000);
 
-  try {
-    const body =
-      typeof req.body === "string" ? JSON.parse(req.body) : req.body || {};
+  if (mode === "lexical") denseWeight = 0;
+  if (mode === "hybrid" && lexicalWeight === 0) mode = "dense";
+  if (mode === "hybrid" && denseWeight === 0) mode = "lexical";
 
-    const question = body.question;
-    let finalTopK = typeof body.top_k === "number" ? body.top_k : 8;
-    let scope = body.scope || null;
-    const includeTableRows = body.include_table_rows === true;
-    const tableRowLimitRaw = Number(body.table_row_limit);
-    const tableRowLimit = Number.isFinite(tableRowLimitRaw)
-      ? Math.max(1, Math.min(500, Math.floor(tableRowLimitRaw)))
-      : 150;
-    const retrievalLog = [];
-    const addLog = (stage, payload) => {
-      retrievalLog.push({ stage, ...(payload || {}) });
+  return { mode, denseWeight, lexicalWeight, rrfK };
+}
+
+// ---------- Retrieval pipeline ----------
+
+// Runs the full retrieval pipeline (scope/intent inference, hybrid scoring,
+// boosts, content-type mix, table enrichment) for one request body. `embed`
+// maps a question to a normalized query vector; the eval harness passes a
+// cached embedder so ranking changes can be compared offline.
+// trace (lib/trace.js) times the store_load, embedding, scoring and
+// table_rendering stages and tags the retrieval log with the request ID.
+export async function retrieveGuidance(body = {}, { embed = embedQuestion, trace = NOOP_TRACE } = {}) {
+  const question = body.question;
+  let finalTopK = typeof body.top_k === "number" ? body.top_k : 8;
+  let scope = body.scope || null;
+  const includeTableRows = body.include_table_rows === true;
+  const tableRowLimitRaw = Number(body.table_row_limit);
+  const tableRowLimit = Number.isFinite(tableRowLimitRaw)
+    ? Math.max(1, Math.min(500, Math.floor(tableRowLimitRaw)))
+    : 150;
+  const retrievalLog = [];
+  const addLog = (stage, payload) => {
+    retrievalLog.push({ stage, ...(payload || {}) });
+  };
+
+  const intentFlags = inferIntentFlags(question || "");
+  const populationContext = inferPopulationContext(question || "", intentFlags);
+
+  if (!scope) {
+    scope = inferScopeFromQuestion(question, intentFlags);
+  }
+
+  const timings = [];
+  const startSpan = (name) => {
+    const end = trace.startSpan(name);
+    return (extra) => {
+      const span = end(extra);
+      if (span) timings.push({ stage: span.name, duration_ms: span.duration_ms });
     };
+  };
 
-    const intentFlags = inferIntentFlags(question || "");
-    const populationContext = inferPopulationContext(question || "", intentFlags);
-    const hasFlag = (f) => Array.isArray(intentFlags) && intentFlags.includes(f);
-    const isPediatric = hasFlag("special_populations");
-    const hasDrugResistanceIntent = hasFlag("drug_resistance");
-    const hasTptIntent = hasFlag("tpt");
-    const hasDrTptIntent = hasFlag("dr_tpt");
+  addLog("request", {
+    request_id: trace.requestId,
+    question_preview:
+      typeof question === "string" ? question.slice(0, 200) : null,
+    requested_top_k: body.top_k ?? null,
+    scope_used: scope || null,
+    include_table_rows: includeTableRows,
+    table_row_limit: includeTableRows ? tableRowLimit : null
+  });
 
-    if (!scope) {
-      scope = inferScopeFromQuestion(question, intentFlags);
-    }
+  addLog("intent", {
+    intent_flags: intentFlags,
+    topic_scope: scope || null,
+    population_context: populationContext
+  });
 
-    const isDiagnosisScope = scope === "diagnosis";
-    const isTreatmentScope = scope === "treatment";
-    const isPreventionScope = scope === "prevention";
-
-    addLog("request", {
-      question_preview:
-        typeof question === "string" ? question.slice(0, 200) : null,
-      requested_top_k: body.top_k ?? null,
-      scope_used: scope || null,
-      include_table_rows: includeTableRows,
-      table_row_limit: includeTableRows ? tableRowLimit : null
-    });
 
-    addLog("intent", {
-      intent_flags: intentFlags,
-      topic_scope: scope || null,
-      population_context: populationContext
-    });
+  if (!question || typeof question !== "string" || !question.trim()) {
+    const err = new Error("Missing or empty 'question' string in request body.");
+    err.statusCode = 400;
+    throw err;
+  }
 
+  finalTopK = Math.max(1, Math.min(finalTopK, 8));
 
-    if (!question || typeof question !== "string" || !question.trim()) {
-      res.statusCode = 400;
-      res.setHeader("Content-Type", "application/json");
-      res.end(
-        JSON.stringify({
-          error: "Missing or empty 'question' string in request body."
-        })
-      );
-      return;
-    }
+  // Optional edition pinning, e.g. { edition: "module5@2022" }, to compare
+  // an older edition against current guidance.
+  const registry = getDocumentRegistry();
+  const pinnedEditions = resolveEditionRequest(registry, body.edition);
+  const pinnedDocIds = new Set(pinnedEditions.map((d) => d.doc_id));
 
-    finalTopK = Math.max(1, Math.min(finalTopK, 8));
+  const endStoreLoad = startSpan("store_load");
+  const { chunks, embeddings, lexicalIndex } = await loadRagStore().catch((err) => {
+    endStoreLoad({ ok: false, error: err.message });
+    throw err;
+  });
+  endStoreLoad();
 
-    const { chunks, embeddings } = await loadRagStore();
+  if (!embeddings.length || !chunks.length) {
+    throw new Error("RAG store is empty or failed to load.");
+  }
 
-    if (!embeddings.length || !chunks.length) {
-      throw new Error("RAG store is empty or failed to load.");
-    }
+  addLog("store_loaded", {
+    chunk_count: chunks.length,
+    embedding_count: embeddings.length,
+    embedding_dimensions: embeddings[0]?.length || null
+  });
 
-    addLog("store_loaded", {
-      chunk_count: chunks.length,
-      embedding_count: embeddings.length,
-      embedding_dimensions: embeddings[0]?.length || null
-    });
+  finalTopK = Math.min(finalTopK, embeddings.length);
 
-    finalTopK = Math.min(finalTopK, embeddings.length);
+  const endEmbedding = startSpan("embedding");
+  const qEmbedding = await embed(question);
+  endEmbedding();
 
-    const qEmbedding = await embedQuestion(question);
+  trace.log.debug("query embedded", {
+    dimensions: qEmbedding.length,
+    store_dimensions: embeddings[0].length,
+    chunks: embeddings.length
+  });
 
-    console.log("Query embedding length:", qEmbedding.length);
-    console.log("First chunk embedding length:", embeddings[0].length);
-    console.log("Total chunks:", embeddings.length);
+  const endScoring = startSpan("scoring");
 
-    const fullIndices = embeddings.map((_, idx) => idx);
-    let scopedIndices = filterIndicesByScope(fullIndices, chunks, scope);
-    if (!scopedIndices.length) {
-      scopedIndices = fullIndices;
-    }
+  // A pinned edition restricts retrieval to that document; otherwise only
+  // withdrawn editions are dropped.
+  const fullIndices = embeddings.map((_, idx) => idx).filter((idx) => {
+    const docId = chunks[idx]?.doc_id;
+    if (pinnedDocIds.size) return pinnedDocIds.has(docId);
+    return registryEntry(registry, docId)?.status !== "withdrawn";
+  });
+  let scopedIndices = filterIndicesByScope(fullIndices, chunks, scope);
+  if (!scopedIndices.length) {
+    scopedIndices = fullIndices;
+  }
 
-    const indices = scopedIndices;
+  const indices = scopedIndices;
 
-    addLog("filtering", {
-      scope_used: scope || null,
-      scope_match_count: scopedIndices.length
-    });
+  addLog("filtering", {
+    scope_used: scope || null,
+    scope_match_count: scopedIndices.length
+  });
 
 
 
-    // Dual-channel retrieval: text/prose vs tables
-    const textIndices = indices.filter((i) => {
-      const ct = (chunks[i].content_type || "").toLowerCase();
-      return ct !== "table";
-    });
+  // Dual-channel retrieval: text/prose vs tables
+  const textIndices = indices.filter((i) => {
+    const ct = (chunks[i].content_type || "").toLowerCase();
+    return ct !== "table";
+  });
 
-    const tableIndices = indices.filter((i) => {
-      const ct = (chunks[i].content_type || "").toLowerCase();
-      return ct === "table";
-    });
+  const tableIndices = indices.filter((i) => {
+    const ct = (chunks[i].content_type || "").toLowerCase();
+    return ct === "table";
+  });
 
-    addLog("channels", {
-      text_candidates: textIndices.length,
-      table_candidates: tableIndices.length
-    });
+  addLog("channels", {
+    text_candidates: textIndices.length,
+    table_candidates: tableIndices.length
+  });
 
-    let scoredText = textIndices.map((idx) => ({
+  // Dense + lexical scoring over the scoped candidates, fused by rank so both
+  // channels (text and tables) stay on one comparable scale.
+  const fusion = pickFusionConfig(body);
+  const denseScores = new Map(
+    indices.map((idx) => [idx, cosineSim(qEmbedding, embeddings[idx])])
+  );
+  const { scores: lexicalScores, terms: queryTerms } = scoreBm25(lexicalIndex, question);
+
+  const fused =
+    fusion.mode === "dense"
+      ? null
+      : fuseReciprocalRank(indices, {
+          denseScore: (idx) => (fusion.denseWeight ? denseScores.get(idx) : 0),
+          lexicalScore: (idx) => lexicalScores.get(idx) || 0,
+          denseWeight: fusion.denseWeight,
+          lexicalWeight: fusion.lexicalWeight,
+          k: fusion.rrfK
+        });
+
+  const scoreEntry = (idx) => {
+    const f = fused?.get(idx);
+    return {
       index: idx,
-      score: cosineSim(qEmbedding, embeddings[idx])
-    }));
-    scoredText.sort((a, b) => b.score - a.score);
+      score: f ? f.score : denseScores.get(idx),
+      dense_score: denseScores.get(idx),
+      lexical_score: lexicalScores.get(idx) || 0,
+      dense_rank: f?.dense_rank ?? null,
+      lexical_rank: f?.lexical_rank ?? null
+    };
+  };
 
-    let scoredTables = tableIndices.map((idx) => ({
-      index: idx,
-      score: cosineSim(qEmbedding, embeddings[idx])
-    }));
-    scoredTables.sort((a, b) => b.score - a.score);
-
-    // --- Module-aware boosts: recency/authority & pediatric/TPT routing ---
-    const dsPenaltyFactor = 0.6;
-    let dsPenaltyText = 0;
-    for (const entry of scoredText) {
-      const c = chunks[entry.index] || {};
-      const doc = (c.doc_id || "").toLowerCase();
-      const section = (c.section_path || "").toLowerCase();
-
-      if (isTreatmentScope) {
-        // 2025 treatment module (Module 4)
-        if (doc.includes("module4") && doc.includes("treatment") && doc.includes("2025")) {
-          entry.score *= 1.03;
-        }
+  const lexicalTop = indices
+    .filter((idx) => lexicalScores.has(idx))
+    .sort((a, b) => lexicalScores.get(b) - lexicalScores.get(a))
+    .slice(0, 5);
+
+  addLog("fusion", {
+    mode: fusion.mode,
+    dense_weight: fusion.denseWeight,
+    lexical_weight: fusion.lexicalWeight,
+    rrf_k: fusion.mode === "dense" ? null : fusion.rrfK,
+    query_terms: queryTerms,
+    lexical_matches: indices.filter((idx) => lexicalScores.has(idx)).length,
+    top_lexical: lexicalTop.map((idx) => ({
+      chunk_id: chunks[idx]?.chunk_id ?? null,
+      bm25: Number(lexicalScores.get(idx).toFixed(4)),
+      dense: Number(denseScores.get(idx).toFixed(4))
+    }))
+  });
 
-        // Pediatric DS-TB treatment: Module 5, section 5.2
-        if (
-          isPediatric &&
-          !hasDrugResistanceIntent &&
-          doc.includes("module5") &&
-          doc.includes("pediatr") &&
-          (
-            section.includes("5.2.") ||
-            section.includes("treatment of drug-susceptible tb in children")
-          )
-        ) {
-          entry.score *= 1.03;
-        }
-      }
+  let scoredText = textIndices.map(scoreEntry);
+  scoredText.sort((a, b) => b.score - a.score);
 
-      // Pediatric diagnosis: favor Module 3 (diagnosis)
-      if (isDiagnosisScope && isPediatric) {
-        if (
-          doc.includes("module3") &&
-          (doc.includes("diag") || section.includes("diagnosis"))
-        ) {
-          entry.score *= 1.03;
-        }
-      }
+  let scoredTables = tableIndices.map(scoreEntry);
+  scoredTables.sort((a, b) => b.score - a.score);
+
+  // --- Declarative ranking rules (config/rag-rules.json) ---
+  const ruleset = getRankingRules();
+  const ruleContext = { scope, intentFlags, anchors: [] };
+  const logFirings = (phase, firings) => {
+    for (const f of firings) addLog("rule_fired", { phase, ...f });
+  };
+
+  logFirings(
+    "initial",
+    applyScoreRules(ruleset, "initial", scoredText.concat(scoredTables), chunks, ruleContext)
+  );
+
+  // Resort after boosting to respect adjusted scores
+  scoredText.sort((a, b) => b.score - a.score);
+  scoredTables.sort((a, b) => b.score - a.score);
 
-      // TB preventive treatment: favor Module 1 TPT 2024
-      if (isPreventionScope) {
-        if (doc.includes("module1") && doc.includes("tpt") && doc.includes("2024")) {
-          entry.score *= 1.03;
-        }
-      }
 
-      if (hasDrugResistanceIntent && isDrugSusceptibleChunk(c)) {
-        entry.score *= dsPenaltyFactor;
-        dsPenaltyText += 1;
+  // --- Optional table-aware boosting based on section proximity ---
+  const anchorCount = Math.min(ruleset.settings.anchor_count, scoredText.length);
+  const anchors = scoredText.slice(0, anchorCount).map(({ index, score }) => {
+    const c = chunks[index] || {};
+    return {
+      index,
+      score,
+      doc_id: c.doc_id || null,
+      section_path: c.section_path || "",
+      content_type: (c.content_type || "").toLowerCase(),
+      sectionKeys: extractSectionKeys(c.section_path || "")
+    };
+  });
+
+  const anchorDocSectionMap = anchors.filter((a) => a.doc_id);
+  ruleContext.anchors = anchorDocSectionMap.map((a) => chunks[a.index]);
+
+  const maxTextScore = scoredText.length ? scoredText[0].score : 1.0;
+  const neighborLift = ruleset.settings.neighbor_table_lift;
+
+  // Boost table chunks that share a doc + section key with top text anchors
+  for (const entry of scoredTables) {
+    const c = chunks[entry.index] || {};
+    const tableDoc = c.doc_id || null;
+    if (!tableDoc) continue;
+
+    const tableKeys = extractSectionKeys(c.section_path || "");
+    let isNeighbor = false;
+    for (const a of anchorDocSectionMap) {
+      if (a.doc_id !== tableDoc) continue;
+      if (a.sectionKeys.some((key) => tableKeys.includes(key))) {
+        isNeighbor = true;
+        break;
       }
     }
 
-    let dsPenaltyTables = 0;
-    for (const entry of scoredTables) {
-      const c = chunks[entry.index] || {};
-      const doc = (c.doc_id || "").toLowerCase();
-      const section = (c.section_path || "").toLowerCase();
+    if (!isNeighbor) continue;
+    entry.score = Math.max(entry.score, maxTextScore * neighborLift);
+  }
+  // --- End table-aware boosting ---
 
-      if (isTreatmentScope) {
-        if (doc.includes("module4") && doc.includes("treatment") && doc.includes("2025")) {
-          entry.score *= 1.03;
-        }
+  // Prefer the newest authoritative source: down-weight superseded editions
+  // unless the caller pinned that edition. Superseded sections are labelled
+  // only; the anchored rules below decide when they should rank lower.
+  const editionPenalty = registry.settings.superseded_edition_penalty;
+  let penalizedEditionChunks = 0;
+  for (const entry of scoredText.concat(scoredTables)) {
+    const c = chunks[entry.index] || {};
+    if (pinnedDocIds.has(c.doc_id)) continue;
+    if (supersessionFor(registry, c)?.scope !== "edition") continue;
+    entry.score *= editionPenalty;
+    penalizedEditionChunks += 1;
+  }
 
-        if (
-          isPediatric &&
-          !hasDrugResistanceIntent &&
-          doc.includes("module5") &&
-          doc.includes("pediatr") &&
-          section.includes("5.2.")
-        ) {
-          entry.score *= 1.03;
-        }
-      }
+  addLog("supersession", {
+    pinned_editions: pinnedEditions.map((d) => d.doc_id),
+    penalized_edition_chunks: penalizedEditionChunks,
+    edition_penalty: editionPenalty
+  });
 
-      if (isDiagnosisScope && isPediatric) {
-        if (
-          doc.includes("module3") &&
-          (doc.includes("diag") || section.includes("diagnosis"))
-        ) {
-          entry.score *= 1.03;
-        }
-      }
+  // Rules conditioned on the anchors (e.g. newer module content is present)
+  logFirings(
+    "anchored",
+    applyScoreRules(ruleset, "anchored", scoredText.concat(scoredTables), chunks, ruleContext)
+  );
 
-      if (isPreventionScope) {
-        if (doc.includes("module1") && doc.includes("tpt") && doc.includes("2024")) {
-          entry.score *= 1.03;
-        }
-      }
+  scoredText.sort((a, b) => b.score - a.score);
+  scoredTables.sort((a, b) => b.score - a.score);
 
-      if (hasDrugResistanceIntent && isDrugSusceptibleChunk(c)) {
-        entry.score *= dsPenaltyFactor;
-        dsPenaltyTables += 1;
-      }
-    }
-    // --- end module-aware boosts ---
-
-    if (hasDrugResistanceIntent) {
-      addLog("ds_downweight", {
-        intent_flag_present: hasDrugResistanceIntent,
-        penalized_text: dsPenaltyText,
-        penalized_tables: dsPenaltyTables,
-        factor: dsPenaltyFactor
-      });
-    }
 
-    // Resort after boosting to respect adjusted scores
-    scoredText.sort((a, b) => b.score - a.score);
-    scoredTables.sort((a, b) => b.score - a.score);
+  // Take top-N from each channel before merging
+  const TEXT_LIMIT = 20;
+  const TABLE_LIMIT = 8;
 
+  const topText = scoredText.slice(
+    0,
+    Math.min(TEXT_LIMIT, scoredText.length)
+  );
+  const topTables = scoredTables.slice(
+    0,
+    Math.min(TABLE_LIMIT, scoredTables.length)
+  );
 
-    // --- Optional table-aware boosting based on section proximity ---
-    const anchorCount = Math.min(10, scoredText.length);
-    const anchors = scoredText.slice(0, anchorCount).map(({ index, score }) => {
-      const c = chunks[index] || {};
-      return {
-        index,
-        score,
-        doc_id: c.doc_id || null,
-        section_path: c.section_path || "",
-        content_type: (c.content_type || "").toLowerCase(),
-        sectionKeys: extractSectionKeys(c.section_path || "")
-      };
-    });
+  const textLog = topText
+    .map((e) => formatRetrievalEntry(chunks[e.index], e.score, e))
+    .filter(Boolean);
+  const tableLog = topTables
+    .map((e) => formatRetrievalEntry(chunks[e.index], e.score, e))
+    .filter(Boolean);
 
-    const anchorDocSectionMap = [];
-    let hasModule4DrAnchor = false;
-    let hasModule1TptAnchor = false;
-
-    for (const a of anchors) {
-      if (!a.doc_id) continue;
-      anchorDocSectionMap.push(a);
-      const docId = (a.doc_id || "").toLowerCase();
-      const sectionPath = (a.section_path || "").toLowerCase();
-      if (
-        docId.includes("module4") &&
-        docId.includes("treatment") &&
-        sectionPath.includes("chapter 2 : drug-resistant tb treatment")
-      ) {
-        hasModule4DrAnchor = true;
-      }
-      if (
-        docId.includes("module1") &&
-        docId.includes("tpt") &&
-        sectionPath.includes("tb preventive treatment")
-      ) {
-        hasModule1TptAnchor = true;
-      }
-    }
+  addLog("top_candidates", {
+    text: textLog,
+    tables: tableLog
+  });
 
-    const maxTextScore = scoredText.length ? scoredText[0].score : 1.0;
-
-    // Boost table chunks that share a doc + section key with top text anchors
-    for (const entry of scoredTables) {
-      const c = chunks[entry.index] || {};
-      const tableDoc = c.doc_id || null;
-      if (!tableDoc) continue;
-
-      const tableKeys = extractSectionKeys(c.section_path || "");
-      let isNeighbor = false;
-      for (const a of anchorDocSectionMap) {
-        if (a.doc_id !== tableDoc) continue;
-        if (a.sectionKeys.some((key) => tableKeys.includes(key))) {
-          isNeighbor = true;
-          break;
-        }
-      }
+  let combined = topText.concat(topTables);
 
-      if (!isNeighbor) continue;
-      entry.score = Math.max(entry.score, maxTextScore * 0.98);
-    }
+  // Minimum-representation rules draw from the full scored pool.
+  const pool = scoredText.concat(scoredTables).sort((a, b) => b.score - a.score);
+  logFirings("merge", applyMinCountRules(ruleset, combined, pool, chunks, ruleContext));
+  combined.sort((a, b) => b.score - a.score);
 
-    scoredTables.sort((a, b) => b.score - a.score);
-    // --- End table-aware boosting ---
-
-
-    // Penalize outdated pediatric MDR regimen tables from Module 5 when Module 4 DR content is present
-    if (isTreatmentScope && isPediatric && hasDrugResistanceIntent && hasModule4DrAnchor) {
-      for (const entry of scoredTables) {
-        const c = chunks[entry.index] || {};
-        const doc = (c.doc_id || "").toLowerCase();
-        const ct = (c.content_type || "").toLowerCase();
-        const subtype = (c.table_subtype || "").toLowerCase();
-        if (!doc.includes("module5") || !doc.includes("pediatr")) continue;
-        if (ct !== "table") continue;
-        if (!(subtype === "regimen" || subtype === "decision")) continue;
-        entry.score *= 0.97;
-      }
-      scoredTables.sort((a, b) => b.score - a.score);
-    }
 
-    // Penalize outdated TPT regimen tables from Module 5 when Module 1 TPT content is present
-    if (isPreventionScope && hasTptIntent && hasModule1TptAnchor) {
-      for (const entry of scoredTables) {
-        const c = chunks[entry.index] || {};
-        const doc = (c.doc_id || "").toLowerCase();
-        const ct = (c.content_type || "").toLowerCase();
-        const subtype = (c.table_subtype || "").toLowerCase();
-        const section = (c.section_path || "").toLowerCase();
-        if (!doc.includes("module5") || !doc.includes("pediatr")) continue;
-        if (ct !== "table") continue;
-        if (!(subtype === "regimen" || subtype === "decision")) continue;
-        if (
-          !section.includes("3.3.5") &&
-          !section.includes("3.3.6") &&
-          !section.includes("preventive treatment")
-        ) {
-          continue;
-        }
-        entry.score *= 0.97;
-      }
-      scoredTables.sort((a, b) => b.score - a.score);
-    }
+  const seen = new Set();
+  const deduped = [];
+  for (const entry of combined) {
+    const c = chunks[entry.index] || {};
+    const id = c.chunk_id;
+    if (!id || seen.has(id)) continue;
+    seen.add(id);
+    deduped.push(entry);
+  }
 
+  const mixConfig = pickMixConfig(intentFlags, scope, finalTopK);
+  const top = mixByContentType(deduped, chunks, mixConfig);
+  endScoring();
 
-    // Take top-N from each channel before merging
-    const TEXT_LIMIT = 20;
-    const TABLE_LIMIT = 8;
+  const endRendering = startSpan("table_rendering");
+  const enrichmentOptions = { includeTableRows, tableRowLimit };
+  const results = top.map(({ index, score }) => {
+    const baseChunk = chunks[index] || {};
+    const c = enrichChunkWithFigure(enrichChunkWithTable(baseChunk, enrichmentOptions));
+    const doc = registryEntry(registry, c.doc_id);
+    const superseded = supersessionFor(registry, c);
 
-    const topText = scoredText.slice(
-      0,
-      Math.min(TEXT_LIMIT, scoredText.length)
-    );
-    const topTables = scoredTables.slice(
-      0,
-      Math.min(TABLE_LIMIT, scoredTables.length)
-    );
+    return {
+      doc_id: c.doc_id,
+      guideline_title: c.guideline_title ?? doc?.title ?? null,
+      year: c.year ?? doc?.edition_year ?? null,
+      module: doc?.module ?? null,
+      superseded_by: superseded?.superseded_by ?? null,
+      superseded_reason: superseded?.reason ?? null,
+      chunk_id: c.chunk_id,
+      section_path: c.section_path,
+      pages: c.pages ?? null,
+      caption: c.caption ?? null,
+      text: c.text,
+      content_type: c.content_type ?? null,
+      attachment_id: c.attachment_id ?? null,
+      attachment_path: c.attachment_path ?? null,
+      table_subtype: c.table_subtype ?? null,
+      table_text: c.table_text ?? null,
+      table_rows: includeTableRows ? c.table_rows ?? null : null,
+      table_row_count: c.table_row_count ?? null,
+      figure: c.figure ?? null,
+      figure_text: c.figure_text ?? null,
+      score
+    };
+  });
 
-    const textLog = topText
-      .map(({ index, score }) => formatRetrievalEntry(chunks[index], score))
-      .filter(Boolean);
-    const tableLog = topTables
-      .map(({ index, score }) => formatRetrievalEntry(chunks[index], score))
-      .filter(Boolean);
+  endRendering();
 
-    addLog("top_candidates", {
-      text: textLog,
-      tables: tableLog
-    });
+  addLog("timings", { spans: timings });
 
-    let combined = topText.concat(topTables);
-    combined.sort((a, b) => b.score - a.score);
+  addLog("final_results", {
+    top_k: finalTopK,
+    results: results
+      .map((r, i) => formatRetrievalEntry(r, r.score, top[i]))
+      .filter(Boolean)
+  });
 
-    // Ensure at least a couple of Module 4 DR-TB text chunks for pediatric MDR/RR-TB queries
-    if (isTreatmentScope && isPediatric && hasDrugResistanceIntent) {
-      const module4DrCandidates = scoredText.filter(({ index }) => {
-        const c = chunks[index] || {};
-        const doc = (c.doc_id || "").toLowerCase();
-        const section = (c.section_path || "").toLowerCase();
-        return (
-          doc.includes("module4") &&
-          doc.includes("treatment") &&
-          section.includes("chapter 2 : drug-resistant tb treatment")
-        );
-      });
-
-      let needed = 2;
-      for (const cand of module4DrCandidates) {
-        if (needed <= 0) break;
-        const alreadyIn = combined.some((e) => e.index === cand.index);
-        if (!alreadyIn) {
-          combined.push(cand);
-          needed -= 1;
-        }
-      }
-      combined.sort((a, b) => b.score - a.score);
-    }
+  return {
+    question,
+    top_k: finalTopK,
+    scope: scope || null,
+    results,
+    retrieval_log: retrievalLog
+  };
+}
 
-    // Ensure at least a couple of Module 1 TPT text chunks for TPT queries
-    if (isPreventionScope && hasTptIntent) {
-      const module1TptCandidates = scoredText.filter(({ index }) => {
-        const c = chunks[index] || {};
-        const doc = (c.doc_id || "").toLowerCase();
-        const section = (c.section_path || "").toLowerCase();
-        return (
-          doc.includes("module1") &&
-          doc.includes("tpt") &&
-          doc.includes("2024") &&
-          (
-            section.includes("tb preventive treatment") ||
-            section.includes("tb infection")
-          )
-        );
-      });
-
-      let needed = 2;
-      for (const cand of module1TptCandidates) {
-        if (needed <= 0) break;
-        const alreadyIn = combined.some((e) => e.index === cand.index);
-        if (!alreadyIn) {
-          combined.push(cand);
-          needed -= 1;
-        }
-      }
-      combined.sort((a, b) => b.score - a.score);
-    }
+// ---------- Main handler ----------
 
+// Set by the mentor's callLocalRag (a symbol, so no HTTP request can carry it).
+export const IN_PROCESS = Symbol("tb-rag-query.in-process");
 
-    const seen = new Set();
-    const deduped = [];
-    for (const entry of combined) {
-      const c = chunks[entry.index] || {};
-      const id = c.chunk_id;
-      if (!id || seen.has(id)) continue;
-      seen.add(id);
-      deduped.push(entry);
-    }
+async function handler(req, res) {
+  const trace = req.trace;
+  if (req.method !== "POST") {
+    res.statusCode = 405;
+    res.setHeader("Content-Type", "application/json");
+    res.setHeader("Allow", "POST");
+    res.end(JSON.stringify({ error: "Use POST to query the TB RAG store." }));
+    return;
+  }
 
-    const mixConfig = pickMixConfig(intentFlags, scope, finalTopK);
-    const top = mixByContentType(deduped, chunks, mixConfig);
+  // In-process calls from /api/tb-mentor arrive already authenticated and
+  // quota-checked, and meter their embedding into the mentor turn's usage.
+  // Only the IN_PROCESS marker says so; a req.auth set by anything else does not.
+  const inProcess = req[IN_PROCESS] === true;
+  if (inProcess && !req.auth) {
+    // The caller must pass its identity; answer rather than leave it waiting.
+    trace.log.error("in-process call without an identity");
+    res.statusCode = 500;
+    res.setHeader("Content-Type", "application/json");
+    res.end(JSON.stringify({ error: "In-process RAG call without an identity" }));
+    return;
+  }
+  const identity = inProcess ? req.auth : requireAuth(req, res, "rag");
+  if (!identity) return;
+  const quotaSubject = quotaIdentity(req, identity);
+  if (!inProcess && !(await enforceQuota(req, res, quotaSubject))) return;
 
-    const enrichmentOptions = { includeTableRows, tableRowLimit };
-    const results = top.map(({ index, score }) => {
-      const baseChunk = chunks[index] || {};
-      const c = enrichChunkWithTable(baseChunk, enrichmentOptions);
+  const meter = req.usageMeter || createUsageMeter();
+  const llm = meterProvider(traceProvider(getLlmProvider(), trace, "rag_embedding"), meter, "rag_embedding");
 
-      return {
-        doc_id: c.doc_id,
-        guideline_title: c.guideline_title ?? null,
-        year: c.year ?? null,
-        chunk_id: c.chunk_id,
-        section_path: c.section_path,
-        text: c.text,
-        content_type: c.content_type ?? null,
-        attachment_id: c.attachment_id ?? null,
-        attachment_path: c.attachment_path ?? null,
-        table_subtype: c.table_subtype ?? null,
-        table_text: c.table_text ?? null,
-        table_rows: includeTableRows ? c.table_rows ?? null : null,
-        table_row_count: c.table_row_count ?? null,
-        score
-      };
-    });
+  try {
+    const body =
+      typeof req.body === "string" ? JSON.parse(req.body) : req.body || {};
 
-    addLog("final_results", {
-      top_k: finalTopK,
-      results: results
-        .map((r) => formatRetrievalEntry(r, r.score))
-        .filter(Boolean)
-    });
+    // Direct callers may paste case notes into the question, so identifiers
+    // are replaced before embedding (lib/phi.js). Questions from the mentor
+    // are already de-identified.
+    const vault = !inProcess && phiRedactionEnabled() ? createPhiVault() : null;
+    const query = vault ? { ...body, question: vault.redact(body.question) } : body;
 
-    // Emit retrieval log to server logs for observability.
-    console.log(
-      "retrieval_log",
-      JSON.stringify(
-        {
-          question_preview:
-            typeof question === "string" ? question.slice(0, 120) : null,
-          entries: retrievalLog
-        },
-        null,
-        2
-      )
-    );
+    const response = await retrieveGuidance(query, { embed: (q) => embedQuestion(q, llm), trace });
+    if (vault) response.question = vault.restore(response.question);
+
+    trace.log.info("retrieval", {
+      question_preview: response.question.slice(0, 120),
+      entries: response.retrieval_log
+    });
 
     res.statusCode = 200;
     res.setHeader("Content-Type", "application/json");
-    res.end(
-      JSON.stringify({
-        question,
-        top_k: finalTopK,
-        scope: scope || null,
-        results,
-        retrieval_log: retrievalLog
-      })
-    );
+    res.end(JSON.stringify(response));
   } catch (err) {
-    console.error(err);
-    res.statusCode = 500;
+    const status = err.statusCode || 500;
+    if (status >= 500) trace.log.error("RAG query failed", { err });
+    res.statusCode = status;
     res.setHeader("Content-Type", "application/json");
     res.end(
       JSON.stringify({
         error: String(err.message || err)
       })
     );
+  } finally {
+    if (!inProcess) {
+      await Promise.all([
+        recordUsage(quotaSubject, meter.totals()),
+        recordUsageMetrics({ route: "rag", identity, meter })
+      ]).catch((err) => trace.log.warn("usage not recorded", { err }));
+    }
   }
 }
+
+export default withRequestTrace("tb-rag-query", handler);
@@ -0,0 +1,93 @@
+// api/tb-sessions.js
+// Create, resume, list and delete TB Mentor conversation sessions.
+//
+//   POST   /api/tb-sessions             { title?, tone? }  -> 201 { session }
+//   GET    /api/tb-sessions             -> { sessions: [summary, ...] }
+//   GET    /api/tb-sessions?id=<id>     -> { session, transcript }
+//   DELETE /api/tb-sessions?id=<id>     -> { deleted: true }
+//
+// Pass the returned id as `session_id` to /api/tb-mentor to continue a session.
+// Requires the "mentor" scope (lib/auth.js); callers only see their own sessions,
+// with PHI placeholders restored (lib/phi.js).
+
+import { actorOf, requireAuth } from "../lib/auth.js";
+import {
+  canAccessSession,
+  clientSession,
+  getSessionStore,
+  isValidSessionId,
+  newSession,
+  sessionTranscript,
+  summarizeSession
+} from "../lib/session-store.js";
+import { TONE_PRESETS, isValidTone } from "../lib/tone.js";
+import { withRequestTrace } from "../lib/trace.js";
+import { queryParam } from "../lib/http.js";
+
+async function handler(req, res) {
+  const identity = requireAuth(req, res, "mentor");
+  if (!identity) return;
+
+  const store = getSessionStore();
+  const id = queryParam(req, "id");
+
+  try {
+    if (req.method === "POST") {
+      const { title, tone } = req.body || {};
+      if (tone != null && !isValidTone(tone)) {
+        return res.status(400).json({
+          error: `'tone' must be one of: ${Object.keys(TONE_PRESETS).join(", ")}`
+        });
+      }
+
+      const session = await store.create(
+        newSession({
+          title: typeof title === "string" && title.trim() ? title.trim().slice(0, 120) : null,
+          tone: tone || null,
+          owner: actorOf(identity)
+        })
+      );
+      return res.status(201).json({ session: summarizeSession(session) });
+    }
+
+    if (req.method === "GET") {
+      if (!id) {
+        const sessions = await store.list({ ownerId: identity.id });
+        return res.status(200).json({ sessions });
+      }
+
+      const session = isValidSessionId(id) ? await store.get(id) : null;
+      if (!session || !canAccessSession(session, identity)) {
+        return res.status(404).json({ error: "Session not found" });
+      }
+      const view = clientSession(session);
+      return res.status(200).json({ session: view, transcript: sessionTranscript(view) });
+    }
+
+    if (req.method === "DELETE") {
+      if (!id || !isValidSessionId(id)) {
+        return res.status(400).json({ error: "Missing or invalid 'id'" });
+      }
+      const session = await store.get(id);
+      if (!session || !canAccessSession(session, identity)) {
+        return res.status(404).json({ error: "Session not found" });
+      }
+      const deleted = await store.delete(id);
+      if (!deleted) {
+        return res.status(404).json({ error: "Session not found" });
+      }
+      return res.status(200).json({ deleted: true });
+    }
+
+    res.setHeader("Allow", ["GET", "POST", "DELETE"]);
+    return res.status(405).json({ error: "Method not allowed" });
+  } catch (err) {
+    req.trace.log.error("sessions request failed", { err });
+    return res.status(500).json({
+      error: "Internal server error",
+      detail: err?.message || null
+    });
+  }
+}
+
+export default withRequestTrace("tb-sessions", handler);
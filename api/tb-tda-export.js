@@ -0,0 +1,75 @@
+// api/tb-tda-export.js
+// Export signed pediatric TDA receipts for supervision and audit.
+//
+//   GET /api/tb-tda-export?from=<ISO>&to=<ISO>[&format=jsonl|json]
+//
+// `from` is inclusive and `to` exclusive (ISO dates or timestamps, compared
+// against created_at). JSON Lines by default, one full signed receipt per
+// line, oldest first; each line verifies on its own with verifyReceipt().
+// Needs the "audit" scope (lib/auth.js); TB_PEDS_TDA_API_KEY still has it.
+
+import { getTdaReceiptStore } from "../lib/tda-receipts.js";
+import { TDA_ALGORITHM_VERSION } from "./tb_peds_tda.js";
+import { requireAuth } from "../lib/auth.js";
+import { withRequestTrace } from "../lib/trace.js";
+import { queryParam } from "../lib/http.js";
+
+function isoParam(req, name) {
+  const raw = queryParam(req, name);
+  if (!raw) return null;
+  const d = new Date(raw);
+  if (Number.isNaN(d.getTime())) {
+    const err = new Error(`'${name}' must be an ISO date or timestamp`);
+    err.statusCode = 400;
+    throw err;
+  }
+  return d.toISOString();
+}
+
+async function handler(req, res) {
+  if (req.method !== "GET") {
+    res.setHeader("Allow", ["GET"]);
+    return res.status(405).json({ error: "Method not allowed" });
+  }
+  if (!requireAuth(req, res, "audit")) return;
+
+  try {
+    const format = (queryParam(req, "format") || "jsonl").toLowerCase();
+    if (format !== "jsonl" && format !== "json") {
+      return res.status(400).json({ error: "'format' must be jsonl or json" });
+    }
+    const from = isoParam(req, "from");
+    const to = isoParam(req, "to");
+
+    const receipts = (await getTdaReceiptStore().list({ limit: null, from, to })).reverse();
+    const stamp = new Date().toISOString().slice(0, 10);
+    req.trace.log.info("tda export", { from, to, format, count: receipts.length });
+
+    if (format === "json") {
+      return res.status(200).json({
+        exported_at: new Date().toISOString(),
+        current_algorithm_version: TDA_ALGORITHM_VERSION,
+        from,
+        to,
+        count: receipts.length,
+        receipts
+      });
+    }
+
+    res.setHeader("Content-Type", "application/x-ndjson; charset=utf-8");
+    res.setHeader("Content-Disposition", `attachment; filename="tda-receipts-${stamp}.jsonl"`);
+    res.statusCode = 200;
+    res.end(receipts.map((r) => JSON.stringify(r)).join("\n") + (receipts.length ? "\n" : ""));
+  } catch (err) {
+    if (err.statusCode) {
+      return res.status(err.statusCode).json({ error: err.message });
+    }
+    req.trace.log.error("TDA export failed", { err });
+    return res.status(500).json({
+      error: "Internal server error",
+      detail: err?.message || null
+    });
+  }
+}
+
+export default withRequestTrace("tb-tda-export", handler);
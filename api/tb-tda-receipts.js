@@ -0,0 +1,52 @@
+// api/tb-tda-receipts.js
+// Retrieve signed pediatric TDA scoring receipts (audit trail).
+//
+//   GET /api/tb-tda-receipts?id=<id>     -> { receipt, verified }
+//   GET /api/tb-tda-receipts[?limit=N]   -> { receipts: [summary, ...] }
+//
+// `verified` is true/false when TB_TDA_RECEIPT_SECRET is configured and null
+// for unsigned receipts. Bulk export lives at /api/tb-tda-export. Both routes
+// need the "audit" scope (lib/auth.js); TB_PEDS_TDA_API_KEY still has it.
+
+import {
+  getTdaReceiptStore,
+  isValidReceiptId,
+  summarizeReceipt,
+  verifyReceipt
+} from "../lib/tda-receipts.js";
+import { requireAuth } from "../lib/auth.js";
+import { withRequestTrace } from "../lib/trace.js";
+import { queryParam } from "../lib/http.js";
+
+async function handler(req, res) {
+  if (req.method !== "GET") {
+    res.setHeader("Allow", ["GET"]);
+    return res.status(405).json({ error: "Method not allowed" });
+  }
+  if (!requireAuth(req, res, "audit")) return;
+
+  try {
+    const store = getTdaReceiptStore();
+    const id = queryParam(req, "id");
+
+    if (!id) {
+      const limit = Math.min(Math.max(Number(queryParam(req, "limit")) || 50, 1), 500);
+      const receipts = await store.list({ limit });
+      return res.status(200).json({ receipts: receipts.map(summarizeReceipt) });
+    }
+
+    const receipt = isValidReceiptId(id) ? await store.get(id) : null;
+    if (!receipt) {
+      return res.status(404).json({ error: "Receipt not found" });
+    }
+    return res.status(200).json({ receipt, verified: verifyReceipt(receipt) });
+  } catch (err) {
+    req.trace.log.error("TDA receipts request failed", { err });
+    return res.status(500).json({
+      error: "Internal server error",
+      detail: err?.message || null
+    });
+  }
+}
+
+export default withRequestTrace("tb-tda-receipts", handler);
@@ -0,0 +1,69 @@
+// api/tb-usage.js
+// Token, cost and request usage against the quotas in lib/quotas.js.
+//
+//   GET /api/tb-usage[?month=YYYY-MM]          -> { month, subjects: [{ kind, id, limits, usage, remaining }] }
+//   GET /api/tb-usage?all=1[&month=YYYY-MM]    -> { month, subjects: [{ kind, id, usage }] }
+//   GET /api/tb-usage?metrics=1[&from=YYYY-MM-DD][&to=YYYY-MM-DD][&group_by=day,stage]
+//                                              -> { from, to, group_by, rows: [...] }
+//
+// The first form reports the caller's own identity and site ("usage" scope);
+// `all=1` lists every identity and site with usage that month, and
+// `metrics=1` returns the aggregated capacity-planning metrics
+// (lib/usage-metrics.js; group_by from hour|day, route, site, stage, model).
+// Both also need the "audit" scope. Months and days are UTC; the month
+// defaults to the current one.
+
+import { requireAuth } from "../lib/auth.js";
+import { allUsage, isValidMonth, monthKey, quotaIdentity, usageReport } from "../lib/quotas.js";
+import { METRIC_DIMENSIONS, isValidDay, usageMetrics } from "../lib/usage-metrics.js";
+import { withRequestTrace } from "../lib/trace.js";
+import { queryParam } from "../lib/http.js";
+
+async function handler(req, res) {
+  if (req.method !== "GET") {
+    res.setHeader("Allow", ["GET"]);
+    return res.status(405).json({ error: "Method not allowed" });
+  }
+  const identity = requireAuth(req, res, "usage");
+  if (!identity) return;
+
+  const flag = (name) => ["1", "true"].includes(String(queryParam(req, name) || "").toLowerCase());
+  const all = flag("all");
+  const metrics = flag("metrics");
+  if ((all || metrics) && !identity.scopes.includes("audit")) {
+    return res.status(403).json({ error: "This usage view needs the audit scope", code: "AUTH_FORBIDDEN" });
+  }
+
+  try {
+    if (metrics) {
+      const from = queryParam(req, "from");
+      const to = queryParam(req, "to");
+      if ((from && !isValidDay(from)) || (to && !isValidDay(to))) {
+        return res.status(400).json({ error: "'from' and 'to' must look like YYYY-MM-DD" });
+      }
+      const groupBy = (queryParam(req, "group_by") || "day,stage").split(",").map((d) => d.trim());
+      const unknown = groupBy.filter((d) => !METRIC_DIMENSIONS.includes(d));
+      if (unknown.length || (groupBy.includes("hour") && groupBy.includes("day"))) {
+        return res.status(400).json({
+          error: `'group_by' takes hour or day plus any of route, site, stage, model (got ${groupBy.join(",")})`
+        });
+      }
+      return res.status(200).json(await usageMetrics({ from, to, groupBy }));
+    }
+
+    const month = queryParam(req, "month") || monthKey();
+    if (!isValidMonth(month)) {
+      return res.status(400).json({ error: "'month' must look like YYYY-MM" });
+    }
+    const report = all ? await allUsage({ month }) : await usageReport(quotaIdentity(req, identity), { month });
+    return res.status(200).json(report);
+  } catch (err) {
+    req.trace.log.error("usage report failed", { err });
+    return res.status(500).json({
+      error: "Internal server error",
+      detail: err?.message || null
+    });
+  }
+}
+
+export default withRequestTrace("tb-usage", handler);
@@ -1,4 +1,12 @@
 // api/tb_peds_tda.js
+import { recordTdaReceipt } from "../lib/tda-receipts.js";
+import { actorOf, requireAuth } from "../lib/auth.js";
+import { withRequestTrace } from "../lib/trace.js";
+
+// Bump whenever points, thresholds, age bands or the flow change, so stored
+// receipts can be traced to the exact scoring rules that produced them.
+export const TDA_ALGORITHM_VERSION = "who-module5-2022.3";
+
 const B_POINTS = {
   cough_gt_2w: 5,
   fever_gt_2w: 10,
@@ -30,25 +38,47 @@ const A_CXR = {
 };
 const TREAT_THRESHOLD = 11; // >10 meets threshold
 
+// Age bands with their tachycardia/tachypnoea cut-offs (beats or breaths per
+// minute). Bands cover [previous max, max_months) in completed months; the
+// algorithms stop at 10 years.
+const AGE_BAND_LIMITS = [
+  { band: "<2m", max_months: 2, hr: 170, rr: 60 },
+  { band: "2-12m", max_months: 12, hr: 160, rr: 50 },
+  { band: "1-5y", max_months: 60, hr: 140, rr: 40 },
+  { band: ">5y", max_months: 120, hr: 120, rr: 30 }
+];
+const AGE_BANDS = AGE_BAND_LIMITS.map((b) => b.band);
+const MAX_AGE_MONTHS = 120;
+// Plausible ranges; values outside them are almost always entry errors.
+const VITAL_RANGES = { hr: [30, 260], rr: [5, 120] };
+// Top-level fields the score accepts; the flow adds its yes/no answers and
+// the Xpert result.
+const SCORE_FIELDS = ["algorithm", "age_band", "age_months", "date_of_birth", "visit_date", "symptoms", "vitals", "cxr"];
+const FLOW_FLAGS = ["presumptive_tb", "danger_signs", "hiv", "sam", "xpert_available", "cxr_available", "reassessment"];
+const FLOW_FIELDS = [...SCORE_FIELDS, ...FLOW_FLAGS, "xpert"];
+
 export function computePediatricTbTdaScore(input = {}) {
-  const { algorithm, age_band, symptoms = {}, vitals = {}, cxr = {} } = input;
+  const { algorithm, symptoms = {}, vitals = {}, cxr = {} } = input;
+  const warnings = [];
 
-  if (!algorithm || !age_band) {
-    throw new Error("Missing algorithm or age_band");
+  const age = validateTdaInput({ ...input, symptoms, vitals, cxr }, SCORE_FIELDS);
+  if (age.ignored_band) {
+    warnings.push(`age_band "${age.ignored_band}" was ignored; the band derived from age is "${age.age_band}".`);
   }
-  if (algorithm !== "A" && algorithm !== "B") {
-    throw new Error("Algorithm must be 'A' or 'B'");
+  const limits = AGE_BAND_LIMITS.find((b) => b.band === age.age_band);
+  if (algorithm === "B" && Object.values(cxr).some((v) => v === true)) {
+    warnings.push("CXR findings were given but Algorithm B does not score CXR; use Algorithm A when CXR is available.");
   }
 
   // Derive tachy flags if not provided explicitly
   const tachycardia =
     typeof symptoms.tachycardia === "boolean"
       ? symptoms.tachycardia
-      : isTachycardic(age_band, vitals.hr);
+      : isTachycardic(limits, vitals.hr);
   const tachypnoea =
     typeof symptoms.tachypnoea === "boolean"
       ? symptoms.tachypnoea
-      : isTachypnoeic(age_band, vitals.rr);
+      : isTachypnoeic(limits, vitals.rr);
 
   let score = 0;
   const explanation = [];
@@ -77,30 +107,417 @@ export function computePediatricTbTdaScore(input = {}) {
     }
   }
 
+  // Items never assessed: no flag given and, for tachycardia/tachypnoea, no
+  // vital to derive it from. The range assumes each could go either way.
+  const assessed = (k) =>
+    typeof symptoms[k] === "boolean" ||
+    (k === "tachycardia" && vitals.hr != null) ||
+    (k === "tachypnoea" && vitals.rr != null);
+  const pointTables =
+    algorithm === "B"
+      ? [[B_POINTS, "", assessed]]
+      : [[A_SYMPTOMS, "", assessed], [A_CXR, "cxr.", (k) => typeof cxr[k] === "boolean"]];
+  const missing_items = [];
+  let min = score;
+  let max = score;
+  for (const [points, prefix, isAssessed] of pointTables) {
+    for (const [k, p] of Object.entries(points)) {
+      if (isAssessed(k)) continue;
+      missing_items.push(`${prefix}${k}`);
+      if (p < 0) min += p;
+      else max += p;
+    }
+  }
+
   return {
     algorithm,
+    algorithm_version: TDA_ALGORITHM_VERSION,
     score,
+    threshold: TREAT_THRESHOLD,
     meets_threshold: score >= TREAT_THRESHOLD,
     explanation,
-    derived: { tachycardia, tachypnoea }
+    missing_items,
+    score_range: {
+      min,
+      max,
+      could_flip: min >= TREAT_THRESHOLD !== max >= TREAT_THRESHOLD
+    },
+    warnings,
+    derived: { ...ageDerived(age), tachycardia, tachypnoea }
   };
 }
 
-export default async function handler(req, res) {
-  const API_KEY = process.env.TB_PEDS_TDA_API_KEY || "";
+// What the age resolved to and which HR/RR cut-offs that implies.
+function ageDerived(age) {
+  const limits = AGE_BAND_LIMITS.find((b) => b.band === age.age_band);
+  return {
+    age_band: age.age_band,
+    age_months: age.age_months,
+    age_source: age.source,
+    thresholds: { hr: limits.hr, rr: limits.rr }
+  };
+}
 
-  if (req.method !== "POST") {
-    res.status(405).json({ error: "Method not allowed" });
-    return;
+// Throws a 400 listing every problem; err.code is the first issue's code.
+// Returns the resolved age ({ age_band, age_months, source, ignored_band }).
+function validateTdaInput(input, fields) {
+  const { algorithm, symptoms, vitals, cxr, ...ageInput } = input;
+  const issues = [];
+  const issue = (code, field, message) => issues.push({ code, field, message });
+
+  // A misspelt field ("symptom") would otherwise score as if nothing was assessed.
+  for (const k of Object.keys(input)) {
+    if (!fields.includes(k)) issue("TDA_UNKNOWN_FIELD", k, `Unknown field "${k}"`);
+    else if (FLOW_FLAGS.includes(k) && input[k] != null && typeof input[k] !== "boolean") {
+      issue("TDA_INVALID_TYPE", k, `${k} must be true or false`);
+    }
   }
-  if (!API_KEY) {
-    res.status(500).json({ error: "Server misconfigured: missing API key" });
-    return;
+
+  if (!algorithm) issue("TDA_MISSING_FIELD", "algorithm", "Missing algorithm");
+  else if (algorithm !== "A" && algorithm !== "B") {
+    issue("TDA_INVALID_ALGORITHM", "algorithm", "Algorithm must be 'A' or 'B'");
+  }
+  const age = resolveAge(ageInput, issue);
+
+  for (const [group, value, known, code] of [
+    ["symptoms", symptoms, B_POINTS, "TDA_UNKNOWN_SYMPTOM"],
+    ["cxr", cxr, A_CXR, "TDA_UNKNOWN_CXR_FINDING"]
+  ]) {
+    if (!isPlainObject(value)) {
+      issue("TDA_INVALID_TYPE", group, `${group} must be an object`);
+      continue;
+    }
+    for (const [k, v] of Object.entries(value)) {
+      if (known[k] == null) issue(code, `${group}.${k}`, `Unknown ${group} item "${k}"`);
+      else if (v != null && typeof v !== "boolean") {
+        issue("TDA_INVALID_TYPE", `${group}.${k}`, `${group}.${k} must be true or false`);
+      }
+    }
+  }
+
+  if (!isPlainObject(vitals)) issue("TDA_INVALID_TYPE", "vitals", "vitals must be an object");
+  else {
+    for (const [k, v] of Object.entries(vitals)) {
+      const range = VITAL_RANGES[k];
+      if (!range) issue("TDA_UNKNOWN_VITAL", `vitals.${k}`, `Unknown vital "${k}"`);
+      else if (v != null && (typeof v !== "number" || !Number.isFinite(v))) {
+        issue("TDA_INVALID_TYPE", `vitals.${k}`, `vitals.${k} must be a number`);
+      } else if (v != null && (v < range[0] || v > range[1])) {
+        issue("TDA_VITAL_OUT_OF_RANGE", `vitals.${k}`, `vitals.${k} must be between ${range[0]} and ${range[1]}`);
+      }
+    }
+  }
+
+  if (issues.length) {
+    const err = new Error(issues.map((i) => i.message).join("; "));
+    err.statusCode = 400;
+    err.code = issues[0].code;
+    err.issues = issues;
+    throw err;
+  }
+  return age;
+}
+
+// Age in completed months from age_months or date_of_birth (+ visit_date,
+// default today) decides the band; a caller-supplied age_band is only used
+// when neither is given.
+function resolveAge({ age_band, age_months, date_of_birth, visit_date }, issue) {
+  let months = null;
+  let source = null;
+
+  if (age_months != null) {
+    if (typeof age_months !== "number" || !Number.isFinite(age_months) || age_months < 0) {
+      issue("TDA_INVALID_AGE", "age_months", "age_months must be a non-negative number");
+      return null;
+    }
+    months = age_months;
+    source = "age_months";
+  } else if (date_of_birth != null) {
+    const dob = parseIsoDate(date_of_birth);
+    const visit = visit_date == null ? todayUtc() : parseIsoDate(visit_date);
+    if (!dob) issue("TDA_INVALID_DATE", "date_of_birth", "date_of_birth must be a date (YYYY-MM-DD)");
+    if (!visit) issue("TDA_INVALID_DATE", "visit_date", "visit_date must be a date (YYYY-MM-DD)");
+    if (!dob || !visit) return null;
+    if (visit < dob) {
+      issue("TDA_INVALID_DATE", "visit_date", "visit_date is before date_of_birth");
+      return null;
+    }
+    months = completedMonths(dob, visit);
+    source = "date_of_birth";
   }
-  if ((req.headers.authorization || "") !== `Bearer ${API_KEY}`) {
-    res.status(401).json({ error: "Unauthorized" });
+
+  if (months != null) {
+    if (months >= MAX_AGE_MONTHS) {
+      issue(
+        "TDA_AGE_INELIGIBLE",
+        source,
+        `The pediatric TB algorithms apply to children under 10 years (${MAX_AGE_MONTHS} months); age is ${Math.floor(months)} months`
+      );
+      return null;
+    }
+    const band = AGE_BAND_LIMITS.find((b) => months < b.max_months).band;
+    return {
+      age_band: band,
+      age_months: months,
+      source,
+      ignored_band: age_band && age_band !== band ? age_band : null
+    };
+  }
+
+  if (!age_band) {
+    issue("TDA_MISSING_FIELD", "age_months", "Provide age_months, date_of_birth, or age_band");
+    return null;
+  }
+  if (!AGE_BANDS.includes(age_band)) {
+    issue("TDA_INVALID_AGE_BAND", "age_band", `age_band must be one of ${AGE_BANDS.join(", ")}`);
+    return null;
+  }
+  return { age_band, age_months: null, source: "age_band", ignored_band: null };
+}
+
+// ---------- Full algorithm flow ----------
+// WHO Module 5 (2022) integrated treatment decision algorithms, Figures 4.4/4.5
+// and section 4.3.9.2: entry criteria, danger signs, high-risk groups, mWRD
+// (Xpert) branching, then Algorithm A/B scoring and reassessment. Each state
+// records what it looked at and which branch it took; terminal states return
+// the recommended next step.
+
+const TB_SYMPTOMS = [
+  "cough_gt_2w",
+  "fever_gt_2w",
+  "lethargy",
+  "weight_loss_or_ftt",
+  "haemoptysis",
+  "night_sweats",
+  "swollen_nodes"
+];
+const XPERT_RESULTS = [
+  "mtb_detected",
+  "rif_resistance_detected",
+  "not_detected",
+  "indeterminate",
+  "not_done",
+  "unavailable"
+];
+// Children in high-risk groups progress faster, so they are reviewed sooner.
+const REASSESS_WEEKS = { standard: 2, high_risk: 1 };
+
+const FLOW_STATES = {
+  entry(ctx) {
+    const { input, symptoms } = ctx;
+    const presumptive =
+      input.presumptive_tb === true || TB_SYMPTOMS.some((k) => symptoms[k] === true);
+    if (!presumptive) {
+      return {
+        finding: "No symptom suggestive of pulmonary TB",
+        branch: "not presumptive TB",
+        outcome: {
+          action: "exit",
+          summary:
+            "The child does not have presumptive pulmonary TB, so the treatment decision algorithms do not apply. " +
+            "Evaluate for other causes; if the child is a TB contact, assess for TB preventive treatment."
+        }
+      };
+    }
+    return {
+      finding: "Child <10 years with symptoms suggestive of pulmonary TB",
+      branch: "presumptive TB",
+      next: "danger_signs"
+    };
+  },
+
+  danger_signs(ctx) {
+    if (ctx.input.danger_signs === true) {
+      return {
+        finding: "Danger signs present",
+        branch: "seriously ill",
+        outcome: {
+          action: "refer",
+          summary:
+            "Stabilise and refer urgently to a higher level of care (IMCI danger signs for <5 years, ETAT for 5–9 years). " +
+            "The TB evaluation continues at the referral facility."
+        }
+      };
+    }
+    if (ctx.input.danger_signs == null) ctx.assumptions.push("danger_signs not given; assumed absent");
+    return { finding: "No danger signs", branch: "not seriously ill", next: "high_risk" };
+  },
+
+  high_risk(ctx) {
+    const { hiv, sam } = ctx.input;
+    const groups = [];
+    if (hiv === true) groups.push("living with HIV");
+    if (sam === true) groups.push("severe acute malnutrition");
+    if (hiv == null) ctx.assumptions.push("hiv not given; assumed HIV-negative");
+    if (sam == null) ctx.assumptions.push("sam not given; assumed no severe acute malnutrition");
+    ctx.high_risk = groups.length > 0;
+    return {
+      finding: ctx.high_risk ? `High-risk group: ${groups.join(", ")}` : "Not in a high-risk group",
+      branch: ctx.high_risk ? "high risk" : "standard risk",
+      next: "xpert"
+    };
+  },
+
+  xpert(ctx) {
+    const result = ctx.input.xpert_available === false ? "unavailable" : ctx.input.xpert || "not_done";
+    if (result === "mtb_detected") {
+      return {
+        finding: "mWRD: MTB detected, rifampicin resistance not detected",
+        branch: "bacteriologically confirmed",
+        outcome: {
+          action: "treat",
+          summary: "Start drug-susceptible TB treatment (bacteriologically confirmed pulmonary TB)."
+        }
+      };
+    }
+    if (result === "rif_resistance_detected") {
+      return {
+        finding: "mWRD: MTB detected, rifampicin resistance detected",
+        branch: "rifampicin-resistant TB",
+        outcome: {
+          action: "refer",
+          summary:
+            "Refer for rifampicin-resistant TB treatment and further drug-susceptibility testing; " +
+            "do not start the drug-susceptible regimen."
+        }
+      };
+    }
+    if (result === "not_done") {
+      return {
+        finding: "No mWRD result yet",
+        branch: "test",
+        outcome: {
+          action: "test",
+          summary:
+            "Collect a specimen (sputum, gastric or nasopharyngeal aspirate, or stool) for Xpert MTB/RIF Ultra " +
+            "and re-run the algorithm with the result. If testing is not possible, re-run with xpert_available=false."
+        }
+      };
+    }
+    return {
+      finding:
+        result === "unavailable"
+          ? "mWRD testing not available"
+          : `mWRD: ${result === "indeterminate" ? "indeterminate" : "MTB not detected"}`,
+      branch: "not confirmed",
+      next: "score"
+    };
+  },
+
+  score(ctx) {
+    const { input } = ctx;
+    const cxrAvailable =
+      input.cxr_available ?? Object.values(input.cxr || {}).some((v) => v === true);
+    const algorithm = input.algorithm || (cxrAvailable ? "A" : "B");
+    const scoreInput = Object.fromEntries(SCORE_FIELDS.filter((k) => k in input).map((k) => [k, input[k]]));
+    ctx.scored = computePediatricTbTdaScore({ ...scoreInput, algorithm });
+    const { score, meets_threshold, score_range } = ctx.scored;
+    return {
+      finding:
+        `Algorithm ${algorithm} score ${score} (threshold >10)` +
+        (score_range.could_flip ? `; unassessed items could move it to ${score_range.min}–${score_range.max}` : ""),
+      branch: meets_threshold ? "above threshold" : "at or below threshold",
+      next: meets_threshold ? "treat" : "reassess"
+    };
+  },
+
+  treat() {
+    return {
+      finding: "Score above treatment threshold",
+      branch: "clinically diagnosed",
+      outcome: {
+        action: "treat",
+        summary: "Start drug-susceptible TB treatment (clinically diagnosed pulmonary TB)."
+      }
+    };
+  },
+
+  reassess(ctx) {
+    if (ctx.input.reassessment === true) {
+      return {
+        finding: "Still below threshold at reassessment",
+        branch: "persistent symptoms",
+        outcome: {
+          action: "refer",
+          summary:
+            "Symptoms persist at reassessment without meeting the threshold: refer for further evaluation " +
+            "at a higher level of care."
+        }
+      };
+    }
+    const weeks = ctx.high_risk ? REASSESS_WEEKS.high_risk : REASSESS_WEEKS.standard;
+    return {
+      finding: "Score at or below treatment threshold",
+      branch: "TB treatment not indicated yet",
+      outcome: {
+        action: "reassess",
+        weeks,
+        summary:
+          `TB treatment is not indicated now. Evaluate and treat other causes, and reassess in ${weeks} ` +
+          `week${weeks === 1 ? "" : "s"}; re-run the algorithm with reassessment=true if symptoms persist.`
+      }
+    };
+  }
+};
+
+export function runPediatricTbAlgorithm(input = {}) {
+  // Validate up front: the flow can stop before it reaches scoring.
+  const age = validateTdaInput(
+    {
+      ...input,
+      algorithm: input.algorithm ?? "A",
+      symptoms: input.symptoms ?? {},
+      vitals: input.vitals ?? {},
+      cxr: input.cxr ?? {}
+    },
+    FLOW_FIELDS
+  );
+  if (input.xpert != null && !XPERT_RESULTS.includes(input.xpert)) {
+    const err = new Error(`xpert must be one of ${XPERT_RESULTS.join(", ")}`);
+    err.statusCode = 400;
+    err.code = "TDA_INVALID_XPERT_RESULT";
+    err.issues = [{ code: err.code, field: "xpert", message: err.message }];
+    throw err;
+  }
+
+  const ctx = {
+    input,
+    symptoms: input.symptoms || {},
+    assumptions: [],
+    high_risk: false,
+    scored: null
+  };
+  const path = [];
+  let state = "entry";
+  let outcome = null;
+
+  while (!outcome) {
+    const step = FLOW_STATES[state](ctx);
+    path.push({ state, finding: step.finding, branch: step.branch });
+    outcome = step.outcome || null;
+    state = step.next;
+  }
+
+  const result = {
+    algorithm_version: TDA_ALGORITHM_VERSION,
+    next_step: outcome,
+    path,
+    high_risk: ctx.high_risk,
+    assumptions: ctx.assumptions
+  };
+  if (ctx.scored) Object.assign(result, ctx.scored);
+  else result.derived = ageDerived(age);
+  return result;
+}
+
+async function handler(req, res) {
+  if (req.method !== "POST") {
+    res.status(405).json({ error: "Method not allowed" });
     return;
   }
+  // TB_PEDS_TDA_API_KEY keeps working; named keys and clinician tokens need the "tda" scope.
+  const identity = requireAuth(req, res, "tda");
+  if (!identity) return;
 
   let body = {};
   try {
@@ -111,55 +528,87 @@ export default async function handler(req, res) {
     return;
   }
 
-  const algorithm = body.algorithm;
-  const age_band = body.age_band;
+  // mode "flow" walks the whole algorithm; the default stays the bare score.
+  if (body.mode === "flow") {
+    try {
+      const { mode, ...input } = body;
+      const result = runPediatricTbAlgorithm(input);
+      const receipt = await recordTdaReceipt({
+        kind: "flow",
+        source: "tb_peds_tda",
+        input,
+        result,
+        actor: actorOf(identity)
+      });
+      req.trace.log.info("tda flow", { input, result, receipt_id: receipt.id });
+      res.status(200).json({ ...result, receipt_id: receipt.id });
+    } catch (err) {
+      sendError(req, res, err);
+    }
+    return;
+  }
+
+  const { mode, ...fields } = body;
+  const { algorithm, age_band, age_months, date_of_birth, visit_date } = fields;
   const symptoms = body.symptoms || {};
   const vitals = body.vitals || {};
   const cxr = body.cxr || {};
 
   try {
-    const { derived, ...result } = computePediatricTbTdaScore({
+    // Unknown fields are passed through so validation can reject them.
+    const input = { ...fields, symptoms, vitals, cxr };
+    const result = computePediatricTbTdaScore(input);
+    const receipt = await recordTdaReceipt({
+      kind: "score",
+      source: "tb_peds_tda",
+      input,
+      result,
+      actor: actorOf(identity)
+    });
+
+    req.trace.log.info("tda score", {
       algorithm,
       age_band,
+      age_months,
+      date_of_birth,
+      visit_date,
       symptoms,
       vitals,
-      cxr
+      cxr,
+      result,
+      receipt_id: receipt.id
     });
-
-    console.log(
-      "[tb_peds_tda] request",
-      JSON.stringify({
-        method: req.method,
-        algorithm,
-        age_band,
-        symptoms,
-        vitals,
-        cxr,
-        derived
-      })
-    );
-
-    console.log("[tb_peds_tda] response", JSON.stringify(result));
-    res.status(200).json(result);
+    res.status(200).json({ ...result, receipt_id: receipt.id });
   } catch (err) {
-    res.status(400).json({ error: err?.message || "Invalid request" });
+    sendError(req, res, err);
   }
 }
 
+export default withRequestTrace("tb_peds_tda", handler);
+
 // ---- helpers ----
-function isTachypnoeic(age, rr) {
+function isTachypnoeic(limits, rr) {
   if (rr == null) return false;
-  if (age === "<2m") return rr >= 60;
-  if (age === "2-12m") return rr >= 50;
-  if (age === "1-5y") return rr >= 40;
-  return rr >= 30; // >5y
+  return rr >= limits.rr;
 }
-function isTachycardic(age, hr) {
+function isTachycardic(limits, hr) {
   if (hr == null) return false;
-  if (age === "<2m") return hr >= 170;
-  if (age === "2-12m") return hr >= 160;
-  if (age === "1-5y") return hr >= 140;
-  return hr >= 120; // >5y
+  return hr >= limits.hr;
+}
+function parseIsoDate(value) {
+  const m = /^(\d{4})-(\d{2})-(\d{2})$/.exec(String(value));
+  if (!m) return null;
+  const d = new Date(Date.UTC(+m[1], +m[2] - 1, +m[3]));
+  return d.getUTCMonth() === +m[2] - 1 && d.getUTCDate() === +m[3] ? d : null;
+}
+function todayUtc() {
+  const now = new Date();
+  return new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate()));
+}
+function completedMonths(from, to) {
+  const months =
+    (to.getUTCFullYear() - from.getUTCFullYear()) * 12 + (to.getUTCMonth() - from.getUTCMonth());
+  return to.getUTCDate() < from.getUTCDate() ? months - 1 : months;
 }
 function human(k) {
   return k
@@ -175,6 +624,28 @@ function formatContribution(label, points) {
   }
   return `${label} (+${points})`;
 }
+// Validation errors carry statusCode 400; receipt failures 503; anything else
+// is an internal error, not the caller's fault.
+function sendError(req, res, err) {
+  const status = err?.statusCode || 500;
+  if (status >= 500) {
+    req.trace.log.error("tda request failed", { err });
+    if (!err?.statusCode) {
+      res.status(500).json({ error: "Internal error" });
+      return;
+    }
+  }
+  res.status(status).json(errorBody(err));
+}
+function errorBody(err) {
+  const body = { error: err?.message || "Invalid request" };
+  if (err?.code) body.code = err.code;
+  if (err?.issues) body.issues = err.issues;
+  return body;
+}
+function isPlainObject(v) {
+  return v != null && typeof v === "object" && !Array.isArray(v);
+}
 function readBody(req) {
   return new Promise((resolve) => {
     let d = "";
@@ -0,0 +1,270 @@
+// lib/auth.js
+// Shared authentication for the API routes: named API keys for servers and
+// integrations, and signed user tokens that carry a clinician and facility
+// identity.
+//
+//   TB_API_KEYS            JSON array of { name, key | key_sha256, site?, scopes? }
+//                          (scopes default to every scope)
+//   TB_AUTH_TOKEN_SECRET   HMAC-SHA256 secret for user tokens (HS256 JWTs with
+//                          sub, site, name?, scopes?, exp); see scripts/issue-token.js
+//   TB_PEDS_TDA_API_KEY    legacy single key, still accepted for the "tda" and
+//                          "audit" scopes it always covered
+//
+// Callers send `Authorization: Bearer <key or token>` (or `X-API-Key: <key>`).
+// Every request resolves to an identity, attached as req.auth:
+//   { kind: "api_key" | "token" | "anonymous", id, name, user_id, site_id, scopes }
+// `id` ("key:<name>", "user:<sub>" or "anonymous") is what sessions, receipts
+// and quotas are scoped by.
+//
+// Scopes: mentor (tb-mentor, tb-sessions), rag (tb-rag-query), tda
+// (tb_peds_tda), tools (tb-dosing, tb-interactions), usage (tb-usage), audit
+// (TDA receipts and export, everyone's usage), metrics (/api/metrics, for a
+// Prometheus scraper key). Until TB_API_KEYS or TB_AUTH_TOKEN_SECRET is set,
+// the mentor, rag, tools, usage and metrics scopes stay open to anonymous
+// callers (with a warning); tda and audit always need a credential, as before.
+
+import crypto from "crypto";
+import { createLogger } from "./log.js";
+
+const log = createLogger({ component: "auth" });
+
+export const SCOPES = ["mentor", "rag", "tda", "tools", "usage", "audit", "metrics"];
+const CLINICIAN_SCOPES = ["mentor", "rag", "tda", "tools", "usage"];
+const LEGACY_TDA_SCOPES = ["tda", "audit"];
+const ALWAYS_PROTECTED = new Set(["tda", "audit"]);
+const TOKEN_LEEWAY_SECONDS = 60;
+
+let KEYS = null;
+let warnedAnonymous = false;
+
+function authError(statusCode, message, code) {
+  const err = new Error(message);
+  err.statusCode = statusCode;
+  err.code = code;
+  return err;
+}
+
+function sha256Hex(value) {
+  return crypto.createHash("sha256").update(String(value)).digest("hex");
+}
+
+function safeEqualHex(a, b) {
+  const x = Buffer.from(String(a), "hex");
+  const y = Buffer.from(String(b), "hex");
+  return x.length === y.length && x.length > 0 && crypto.timingSafeEqual(x, y);
+}
+
+// ---------- API keys ----------
+
+// Parses TB_API_KEYS into records holding only the key hash.
+export function compileApiKeys(raw) {
+  if (!raw) return [];
+  let list;
+  try {
+    list = typeof raw === "string" ? JSON.parse(raw) : raw;
+  } catch (err) {
+    throw new Error(`TB_API_KEYS is not valid JSON: ${err.message}`);
+  }
+  if (!Array.isArray(list)) throw new Error("TB_API_KEYS must be a JSON array");
+
+  const names = new Set();
+  return list.map((entry, i) => {
+    const name = String(entry?.name || "").trim();
+    if (!name) throw new Error(`TB_API_KEYS[${i}] needs a name`);
+    if (names.has(name)) throw new Error(`TB_API_KEYS has a duplicate name "${name}"`);
+    names.add(name);
+
+    const keySha = entry.key_sha256 || (entry.key ? sha256Hex(entry.key) : null);
+    if (!keySha) throw new Error(`TB_API_KEYS entry "${name}" needs key or key_sha256`);
+
+    const scopes = entry.scopes == null ? SCOPES.slice() : entry.scopes;
+    const unknown = scopes.filter((s) => !SCOPES.includes(s));
+    if (unknown.length) throw new Error(`TB_API_KEYS entry "${name}" has unknown scopes: ${unknown.join(", ")}`);
+
+    return { name, key_sha256: String(keySha).toLowerCase(), site_id: entry.site || null, scopes };
+  });
+}
+
+function apiKeys() {
+  if (!KEYS) {
+    KEYS = compileApiKeys(process.env.TB_API_KEYS || "");
+    if (process.env.TB_PEDS_TDA_API_KEY) {
+      KEYS.push({
+        name: "tb-peds-tda",
+        key_sha256: sha256Hex(process.env.TB_PEDS_TDA_API_KEY),
+        site_id: null,
+        scopes: LEGACY_TDA_SCOPES
+      });
+    }
+  }
+  return KEYS;
+}
+
+// Lets tests and scripts replace the configured keys (records from compileApiKeys).
+export function setApiKeys(keys) {
+  KEYS = keys;
+}
+
+function findApiKey(presented) {
+  const hash = sha256Hex(presented);
+  return apiKeys().find((k) => safeEqualHex(k.key_sha256, hash)) || null;
+}
+
+// ---------- User tokens ----------
+
+const b64url = (buf) => Buffer.from(buf).toString("base64url");
+
+function tokenSecret() {
+  return process.env.TB_AUTH_TOKEN_SECRET || "";
+}
+
+// HS256 JWT. claims: { sub, site, name?, scopes? }; expiresIn in seconds.
+export function signUserToken(claims, { expiresIn = 12 * 3600, secret = tokenSecret() } = {}) {
+  if (!secret) throw new Error("TB_AUTH_TOKEN_SECRET is not set");
+  if (!claims?.sub) throw new Error("Token claims need a sub (clinician id)");
+
+  const now = Math.floor(Date.now() / 1000);
+  const header = b64url(JSON.stringify({ alg: "HS256", typ: "JWT" }));
+  const payload = b64url(JSON.stringify({ iat: now, exp: now + expiresIn, ...claims }));
+  const signature = crypto.createHmac("sha256", secret).update(`${header}.${payload}`).digest("base64url");
+  return `${header}.${payload}.${signature}`;
+}
+
+// Returns the claims of a valid token or throws a 401.
+export function verifyUserToken(token, { secret = tokenSecret(), now = Date.now() } = {}) {
+  if (!secret) throw authError(401, "User tokens are not enabled on this server", "AUTH_TOKENS_DISABLED");
+
+  const parts = String(token).split(".");
+  if (parts.length !== 3) throw authError(401, "Malformed token", "AUTH_INVALID_TOKEN");
+  const [header, payload, signature] = parts;
+
+  let head;
+  let claims;
+  try {
+    head = JSON.parse(Buffer.from(header, "base64url").toString("utf8"));
+    claims = JSON.parse(Buffer.from(payload, "base64url").toString("utf8"));
+  } catch {
+    throw authError(401, "Malformed token", "AUTH_INVALID_TOKEN");
+  }
+  if (head?.alg !== "HS256") throw authError(401, "Unsupported token algorithm", "AUTH_INVALID_TOKEN");
+
+  const expected = Buffer.from(
+    crypto.createHmac("sha256", secret).update(`${header}.${payload}`).digest("base64url")
+  );
+  const actual = Buffer.from(signature);
+  if (actual.length !== expected.length || !crypto.timingSafeEqual(actual, expected)) {
+    throw authError(401, "Invalid token signature", "AUTH_INVALID_TOKEN");
+  }
+
+  const nowSeconds = Math.floor(now / 1000);
+  if (typeof claims.exp !== "number" || claims.exp + TOKEN_LEEWAY_SECONDS < nowSeconds) {
+    throw authError(401, "Token expired", "AUTH_TOKEN_EXPIRED");
+  }
+  if (typeof claims.nbf === "number" && claims.nbf - TOKEN_LEEWAY_SECONDS > nowSeconds) {
+    throw authError(401, "Token not yet valid", "AUTH_INVALID_TOKEN");
+  }
+  if (!claims.sub || typeof claims.sub !== "string") {
+    throw authError(401, "Token has no subject", "AUTH_INVALID_TOKEN");
+  }
+  return claims;
+}
+
+// ---------- Request authentication ----------
+
+export function authConfigured() {
+  return !!(process.env.TB_API_KEYS || tokenSecret());
+}
+
+function bearerToken(req) {
+  const header = String(req.headers?.authorization || "");
+  const m = header.match(/^Bearer\s+(.+)$/i);
+  if (m) return m[1].trim();
+  const apiKey = req.headers?.["x-api-key"];
+  return typeof apiKey === "string" && apiKey ? apiKey.trim() : null;
+}
+
+const ANONYMOUS = Object.freeze({
+  kind: "anonymous",
+  id: "anonymous",
+  name: null,
+  user_id: null,
+  site_id: null,
+  scopes: CLINICIAN_SCOPES
+});
+
+// Resolves the caller's identity and checks it covers `scope`. Throws 401
+// (no/invalid credential), 403 (wrong scope) or 500 (route cannot be served
+// because no credential is configured at all).
+export function authenticate(req, { scope }) {
+  const presented = bearerToken(req);
+
+  if (!presented) {
+    if (!ALWAYS_PROTECTED.has(scope) && !authConfigured()) {
+      if (!warnedAnonymous) {
+        log.warn("TB_API_KEYS / TB_AUTH_TOKEN_SECRET not set; API routes accept anonymous requests");
+        warnedAnonymous = true;
+      }
+      return ANONYMOUS;
+    }
+    if (!apiKeys().length && !tokenSecret()) {
+      throw authError(500, "Server misconfigured: missing API key", "AUTH_NOT_CONFIGURED");
+    }
+    throw authError(401, "Unauthorized", "AUTH_REQUIRED");
+  }
+
+  let identity;
+  if (presented.split(".").length === 3) {
+    const claims = verifyUserToken(presented);
+    identity = {
+      kind: "token",
+      id: `user:${claims.sub}`,
+      name: claims.name || null,
+      user_id: claims.sub,
+      site_id: claims.site || null,
+      scopes: Array.isArray(claims.scopes) ? claims.scopes : CLINICIAN_SCOPES
+    };
+  } else {
+    const key = findApiKey(presented);
+    if (!key) throw authError(401, "Unauthorized", "AUTH_INVALID_KEY");
+    identity = {
+      kind: "api_key",
+      id: `key:${key.name}`,
+      name: key.name,
+      user_id: null,
+      site_id: key.site_id,
+      scopes: key.scopes
+    };
+  }
+
+  // Routes that are still open to anonymous callers do not turn a narrower
+  // credential away.
+  const openRoute = !ALWAYS_PROTECTED.has(scope) && !authConfigured();
+  if (!identity.scopes.includes(scope) && !openRoute) {
+    throw authError(403, `This credential is not allowed to use the ${scope} API`, "AUTH_FORBIDDEN");
+  }
+  return identity;
+}
+
+// Route helper: sets req.auth and returns the identity, or answers the
+// request with the auth error and returns null. Works with Vercel-style
+// (res.status().json()) and plain Node responses.
+export function requireAuth(req, res, scope) {
+  try {
+    req.auth = authenticate(req, { scope });
+    return req.auth;
+  } catch (err) {
+    if (!err.statusCode) throw err;
+    const body = { error: err.message, code: err.code };
+    res.statusCode = err.statusCode;
+    if (err.statusCode === 401) res.setHeader("WWW-Authenticate", 'Bearer realm="tb-mentor"');
+    res.setHeader("Content-Type", "application/json");
+    res.end(JSON.stringify(body));
+    return null;
+  }
+}
+
+// Who did it, for stored records (sessions, receipts, usage).
+export function actorOf(identity) {
+  if (!identity) return null;
+  return { id: identity.id, kind: identity.kind, site_id: identity.site_id ?? null };
+}
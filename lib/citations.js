@@ -0,0 +1,227 @@
+// lib/citations.js
+// Links the compact WHO citations the mentor writes in prose, e.g.
+// "(WHO 2025, Module 4, Ch.2.3.4)" or "(WHO 2022, Module 5, Table 5.2)",
+// to the passages fetchRelevantTbGuidance actually returned.
+
+const CITATION_GROUP = /\(([^()]*\b(?:WHO|Module)\b[^()]*)\)/gi;
+
+// ---------- Retrieved passages ----------
+
+// Collects every RAG result visible in the conversation (this turn and, for
+// sessions, earlier turns), keyed by chunk_id.
+export function collectRetrievedChunks(messages) {
+  const ragCallIds = new Set();
+  for (const m of messages || []) {
+    for (const c of m.tool_calls || []) {
+      if (c?.function?.name === "fetchRelevantTbGuidance") ragCallIds.add(c.id);
+    }
+  }
+
+  const byId = new Map();
+  for (const m of messages || []) {
+    if (m.role !== "tool" || !ragCallIds.has(m.tool_call_id)) continue;
+
+    let parsed;
+    try {
+      parsed = JSON.parse(m.content || "{}");
+    } catch (_) {
+      continue;
+    }
+
+    for (const r of parsed?.results || []) {
+      if (r?.chunk_id && !byId.has(r.chunk_id)) byId.set(r.chunk_id, r);
+    }
+  }
+
+  return Array.from(byId.values());
+}
+
+function docModule(chunk) {
+  const m = String(chunk.doc_id || "").match(/module\s*(\d+)/i);
+  return m ? Number(m[1]) : null;
+}
+
+function docYear(chunk) {
+  if (chunk.year != null && /^\d{4}$/.test(String(chunk.year))) return Number(chunk.year);
+  const m = String(chunk.doc_id || "").match(/(?:^|_)((?:19|20)\d{2})(?:_|$)/);
+  return m ? Number(m[1]) : null;
+}
+
+function normalizeRef(ref) {
+  return String(ref || "")
+    .trim()
+    .replace(/\s+/g, "")
+    .replace(/\.+$/, "")
+    .toUpperCase();
+}
+
+// "Table 4.2 . Drug dosage..." -> "4.2"; "Fig. 6.2.3." -> "6.2.3"
+function attachmentRef(chunk, kind) {
+  const pattern =
+    kind === "table"
+      ? /\btable\s*([A-Z]?\d+(?:\s*\.\s*\d+)*)/i
+      : /\bfig(?:ure)?\.?\s*([A-Z]?\d+(?:\s*\.\s*\d+)*)/i;
+
+  for (const source of [chunk.attachment_id, chunk.caption, chunk.section_path]) {
+    const m = String(source || "").match(pattern);
+    if (m) return normalizeRef(m[1]);
+  }
+  return null;
+}
+
+function sectionNumbers(chunk) {
+  const nums = String(chunk.section_path || "").match(/\b\d+(?:\.\d+)+\b|\b\d+(?=\.\s)/g);
+  return nums ? nums.map(normalizeRef) : [];
+}
+
+// ---------- Prose citations ----------
+
+function parseMention(raw) {
+  const text = raw.trim();
+  const module = text.match(/\bmodule\s*(\d+)/i);
+  const year = text.match(/\b((?:19|20)\d{2})\b/);
+  const table = text.match(/\btable\s*([A-Z]?\d+(?:\.\d+)*)/i);
+  const figure = text.match(/\bfig(?:ure)?\.?\s*([A-Z]?\d+(?:\.\d+)*)/i);
+  const section = text.match(
+    /(?:\b(?:ch(?:apter)?|sec(?:tion)?)|§)\.?\s*(\d+(?:\.\d+)*)|(?:,\s*)(\d+(?:\.\d+)+)\s*$/i
+  );
+
+  return {
+    text,
+    module: module ? Number(module[1]) : null,
+    year: year ? Number(year[1]) : null,
+    table: table ? normalizeRef(table[1]) : null,
+    figure: figure ? normalizeRef(figure[1]) : null,
+    section: section ? normalizeRef(section[1] || section[2]) : null
+  };
+}
+
+export function extractCitationMentions(text) {
+  if (typeof text !== "string" || !text) return [];
+
+  const mentions = [];
+  for (const group of text.matchAll(CITATION_GROUP)) {
+    // "(WHO 2025, Module 4, Ch.2.3; WHO 2022, Module 5, Table 5.2)"
+    for (const part of group[1].split(";")) {
+      const mention = parseMention(part);
+      if (mention.module != null || mention.table || mention.figure || mention.section) {
+        mentions.push(mention);
+      }
+    }
+  }
+  return mentions;
+}
+
+// ---------- Matching ----------
+
+// Returns { level, chunks } for the most specific match, or null.
+function matchMention(mention, retrieved) {
+  const candidates = retrieved.filter((c) => {
+    if (mention.module != null && docModule(c) !== mention.module) return false;
+    if (mention.year != null && docYear(c) != null && docYear(c) !== mention.year) return false;
+    return true;
+  });
+  if (!candidates.length) return null;
+
+  if (mention.table || mention.figure) {
+    const kind = mention.table ? "table" : "figure";
+    const ref = mention.table || mention.figure;
+    const hits = candidates.filter((c) => attachmentRef(c, kind) === ref);
+    return hits.length ? { level: kind, chunks: hits } : null;
+  }
+
+  if (mention.section) {
+    const exact = [];
+    const within = [];
+    const parent = [];
+    for (const c of candidates) {
+      const nums = sectionNumbers(c);
+      if (nums.includes(mention.section)) exact.push(c);
+      else if (nums.some((n) => n.startsWith(`${mention.section}.`))) within.push(c);
+      else if (nums.some((n) => mention.section.startsWith(`${n}.`))) parent.push(c);
+    }
+    if (exact.length) return { level: "section", chunks: exact };
+    if (within.length) return { level: "subsection", chunks: within };
+    if (parent.length) return { level: "parent_section", chunks: parent };
+    return null;
+  }
+
+  return { level: "document", chunks: candidates };
+}
+
+function toCitation(chunk) {
+  const attachmentPath = chunk.attachment_path ?? null;
+  return {
+    chunk_id: chunk.chunk_id,
+    doc_id: chunk.doc_id ?? null,
+    section_path: chunk.section_path ?? null,
+    pages: chunk.pages ?? null,
+    content_type: chunk.content_type ?? null,
+    superseded_by: chunk.superseded_by ?? null,
+    attachment_path: attachmentPath,
+    attachment_url:
+      chunk.figure?.url ??
+      (attachmentPath ? `/rag/${String(attachmentPath).replace(/\\/g, "/").replace(/^\/+/, "")}` : null)
+  };
+}
+
+// Builds the `citations` / `unmatchedCitations` pair for a mentor answer.
+export function buildCitations(answerText, retrieved) {
+  const mentions = extractCitationMentions(answerText);
+  const byChunk = new Map();
+  const unmatched = [];
+
+  for (const mention of mentions) {
+    const match = matchMention(mention, retrieved || []);
+    if (!match) {
+      unmatched.push({
+        text: mention.text,
+        module: mention.module,
+        year: mention.year,
+        section: mention.section,
+        table: mention.table,
+        figure: mention.figure,
+        reason: retrieved?.length ? "no_matching_retrieved_chunk" : "no_retrieval_in_conversation"
+      });
+      continue;
+    }
+
+    for (const chunk of match.chunks) {
+      const existing = byChunk.get(chunk.chunk_id);
+      if (existing) {
+        if (!existing.mentions.includes(mention.text)) existing.mentions.push(mention.text);
+        continue;
+      }
+      byChunk.set(chunk.chunk_id, {
+        ...toCitation(chunk),
+        match: match.level,
+        mentions: [mention.text]
+      });
+    }
+  }
+
+  return { citations: Array.from(byChunk.values()), unmatchedCitations: unmatched };
+}
+
+// ---------- Figures ----------
+
+// Figure thumbnails to show under an answer: figures the answer cites first,
+// then the other deployed figures retrieved for it, in retrieval order.
+export function collectFigures(retrieved, citations = [], { limit = 4 } = {}) {
+  const cited = new Set((citations || []).map((c) => c.chunk_id));
+  const figures = (retrieved || []).filter((c) => c?.figure?.available && c.figure.url);
+  const ordered = figures
+    .filter((c) => cited.has(c.chunk_id))
+    .concat(figures.filter((c) => !cited.has(c.chunk_id)));
+
+  return ordered.slice(0, limit).map((c) => ({
+    chunk_id: c.chunk_id,
+    doc_id: c.doc_id ?? null,
+    pages: c.pages ?? null,
+    caption: c.figure.caption ?? c.caption ?? null,
+    url: c.figure.url,
+    width: c.figure.width,
+    height: c.figure.height,
+    cited: cited.has(c.chunk_id)
+  }));
+}
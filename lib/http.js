@@ -0,0 +1,16 @@
+// lib/http.js
+// Request helpers shared by the API routes.
+
+// A query-string parameter from req.query (Vercel/Next) or, for plain Node
+// requests, parsed from req.url. Returns null when absent.
+export function queryParam(req, name) {
+  const fromQuery = req.query?.[name];
+  if (typeof fromQuery === "string" && fromQuery) return fromQuery;
+
+  try {
+    const url = new URL(req.url || "", "http://localhost");
+    return url.searchParams.get(name);
+  } catch (_) {
+    return null;
+  }
+}
@@ -0,0 +1,227 @@
+// lib/llm/fake.js
+// Deterministic offline provider. Needs no network or API key and gives the
+// same output for the same input, so the whole mentor pipeline (tool loop,
+// RAG, TDA, snapshot/status/reasoning, streaming) can run locally.
+//
+// Chat behaviour:
+//   - With tools available and no tool result yet for the latest user
+//     message, it calls fetchRelevantTbGuidance with that message.
+//   - Otherwise it answers from the tool results it can see and cites the
+//     top retrieved passage in the "(WHO <year>, Module <n>, <section>)" form.
+//   - JSON-mode calls return the snapshot / status shapes the mentor expects.
+
+import crypto from "crypto";
+
+const DEFAULT_DIMENSIONS = 3072;
+
+function estimateTokens(text) {
+  return Math.max(1, Math.ceil(String(text || "").length / 4));
+}
+
+function promptText(messages) {
+  return (messages || [])
+    .map((m) => (typeof m.content === "string" ? m.content : JSON.stringify(m.content ?? "")))
+    .join("\n");
+}
+
+function lastIndexOfRole(messages, role) {
+  for (let i = messages.length - 1; i >= 0; i--) {
+    if (messages[i].role === role) return i;
+  }
+  return -1;
+}
+
+function toolResultsSince(messages, index) {
+  return messages.slice(index + 1).filter((m) => m.role === "tool");
+}
+
+function citationFor(result) {
+  const doc = String(result.doc_id || "");
+  const module = doc.match(/module(\d+)/i)?.[1];
+  const year = result.year || doc.match(/(20\d{2})/)?.[1];
+  const section = String(result.section_path || "").match(/\b\d+(?:\.\d+)+\b/)?.[0];
+  if (!module) return "";
+  return ` (WHO ${year || "n.d."}, Module ${module}${section ? `, Ch.${section}` : ""})`;
+}
+
+function answerFromTools(toolMessages) {
+  const lines = ["[fake provider] Deterministic answer for offline testing."];
+
+  for (const m of toolMessages) {
+    let parsed = null;
+    try {
+      parsed = JSON.parse(m.content || "{}");
+    } catch (_) {}
+
+    if (Array.isArray(parsed?.results)) {
+      const top = parsed.results[0];
+      lines.push(
+        `Retrieved ${parsed.results.length} passage(s).` +
+          (top ? ` Top passage: ${top.section_path || top.chunk_id}${citationFor(top)}.` : "")
+      );
+    } else if (parsed && typeof parsed.score === "number") {
+      lines.push(`TDA score ${parsed.score}; meets threshold: ${parsed.meets_threshold}.`);
+    } else if (parsed?.error) {
+      lines.push(`Tool error: ${parsed.error}.`);
+    }
+  }
+
+  return lines.join("\n");
+}
+
+function jsonReply(messages) {
+  const system = String(messages.find((m) => m.role === "system")?.content || "");
+  const lastUser = messages[lastIndexOfRole(messages, "user")]?.content || "";
+
+  if (/case summarizer/i.test(system)) {
+    return {
+      caseSummary: String(lastUser).slice(0, 120),
+      snapshot: {
+        ageSex: "",
+        weight: "",
+        hiv: "",
+        pregnancy: "",
+        tbProfile: "",
+        comorbidities: "",
+        regimen: "",
+        danger: ""
+      }
+    };
+  }
+
+  if (/status summarizer/i.test(system)) {
+    return {
+      mode: "Synthesize",
+      phase: "Workup",
+      confidence: "Moderate",
+      epiContext: "High-burden",
+      siteProfile: "General",
+      resourceSetting: "Intermediate",
+      riskPosture: "Conservative"
+    };
+  }
+
+  return {};
+}
+
+function buildMessage(params) {
+  const messages = params.messages || [];
+  const toolNames = (params.tools || []).map((t) => t.function?.name);
+  const userIndex = lastIndexOfRole(messages, "user");
+  const toolMessages = toolResultsSince(messages, userIndex);
+
+  if (
+    params.tool_choice !== "none" &&
+    toolNames.includes("fetchRelevantTbGuidance") &&
+    toolMessages.length === 0
+  ) {
+    const question = String(messages[userIndex]?.content || "TB guidance").slice(0, 400);
+    const id = `call_${crypto.createHash("sha1").update(question).digest("hex").slice(0, 12)}`;
+    return {
+      role: "assistant",
+      content: null,
+      tool_calls: [
+        {
+          id,
+          type: "function",
+          function: { name: "fetchRelevantTbGuidance", arguments: JSON.stringify({ question }) }
+        }
+      ]
+    };
+  }
+
+  if (params.response_format?.type === "json_object") {
+    return { role: "assistant", content: JSON.stringify(jsonReply(messages)) };
+  }
+
+  if (params.tools) {
+    return { role: "assistant", content: answerFromTools(toolMessages) };
+  }
+
+  return { role: "assistant", content: "- [fake provider] Reasoning summary." };
+}
+
+async function* streamMessage(message, model, usage) {
+  const base = { id: "fake-stream", object: "chat.completion.chunk", created: 0, model };
+
+  if (message.tool_calls) {
+    yield {
+      ...base,
+      choices: [
+        {
+          index: 0,
+          delta: { tool_calls: message.tool_calls.map((tc, index) => ({ index, ...tc })) }
+        }
+      ]
+    };
+  }
+
+  for (const piece of String(message.content || "").match(/\S+\s*/g) || []) {
+    yield { ...base, choices: [{ index: 0, delta: { content: piece } }] };
+  }
+
+  yield { ...base, choices: [], usage };
+}
+
+// Bag-of-words hashing into a fixed-size unit vector: identical text gives
+// identical vectors and overlapping words give positive similarity.
+export function fakeEmbedding(text, dimensions = DEFAULT_DIMENSIONS) {
+  const vec = new Array(dimensions).fill(0);
+  const tokens = String(text || "").toLowerCase().match(/[a-z0-9]+/g) || [];
+
+  for (const token of tokens) {
+    const digest = crypto.createHash("sha1").update(token).digest();
+    const index = digest.readUInt32BE(0) % dimensions;
+    vec[index] += digest[4] & 1 ? 1 : -1;
+  }
+
+  const norm = Math.sqrt(vec.reduce((sum, v) => sum + v * v, 0)) || 1;
+  return vec.map((v) => v / norm);
+}
+
+export function createFakeProvider({
+  dimensions = Number(process.env.TB_FAKE_EMBEDDING_DIM) || DEFAULT_DIMENSIONS
+} = {}) {
+  return {
+    name: "fake",
+
+    async chat(params) {
+      const message = buildMessage(params);
+      const promptTokens = estimateTokens(promptText(params.messages));
+      const completionTokens = estimateTokens(message.content || JSON.stringify(message.tool_calls));
+      const usage = {
+        prompt_tokens: promptTokens,
+        completion_tokens: completionTokens,
+        total_tokens: promptTokens + completionTokens
+      };
+
+      if (params.stream) {
+        return streamMessage(message, params.model, usage);
+      }
+
+      return {
+        id: "fake-completion",
+        object: "chat.completion",
+        created: 0,
+        model: params.model,
+        choices: [
+          {
+            index: 0,
+            finish_reason: message.tool_calls ? "tool_calls" : "stop",
+            message: { refusal: null, ...message }
+          }
+        ],
+        usage
+      };
+    },
+
+    async embed({ input }) {
+      const inputs = Array.isArray(input) ? input : [input];
+      const tokens = inputs.reduce((sum, t) => sum + estimateTokens(t), 0);
+      return {
+        embeddings: inputs.map((t) => fakeEmbedding(t, dimensions)),
+        usage: { prompt_tokens: tokens, total_tokens: tokens }
+      };
+    }
+  };
+}
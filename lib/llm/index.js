@@ -0,0 +1,58 @@
+// lib/llm/index.js
+// Provider selection and per-call-site model configuration.
+//
+//   TB_LLM_PROVIDER   openai (default) | azure | fake
+//   TB_LLM_MODEL      default chat model for every call site (gpt-5.1)
+//   TB_LLM_MODEL_MAIN / _REASONING / _SNAPSHOT / _STATUS / _VISION   per-site overrides
+//   TB_EMBEDDING_MODEL   query/corpus embedding model (text-embedding-3-large)
+//
+// OPENAI_BASE_URL points the openai provider at any OpenAI-compatible server.
+
+import { createFakeProvider } from "./fake.js";
+import { createOpenAIProvider } from "./openai.js";
+
+const DEFAULT_CHAT_MODEL = "gpt-5.1";
+const DEFAULT_EMBEDDING_MODEL = "text-embedding-3-large";
+
+const SITE_ENV = {
+  main: "TB_LLM_MODEL_MAIN",
+  reasoning: "TB_LLM_MODEL_REASONING",
+  snapshot: "TB_LLM_MODEL_SNAPSHOT",
+  status: "TB_LLM_MODEL_STATUS",
+  vision: "TB_LLM_MODEL_VISION"
+};
+
+let PROVIDER = null;
+
+export function createProvider(name) {
+  switch ((name || "openai").toLowerCase()) {
+    case "openai":
+      return createOpenAIProvider();
+    case "azure":
+      return createOpenAIProvider({ azure: true });
+    case "fake":
+      return createFakeProvider();
+    default:
+      throw new Error(`Unknown TB_LLM_PROVIDER "${name}" (expected openai, azure or fake)`);
+  }
+}
+
+export function getLlmProvider() {
+  if (!PROVIDER) PROVIDER = createProvider(process.env.TB_LLM_PROVIDER);
+  return PROVIDER;
+}
+
+// Lets tests and scripts inject a provider (e.g. createFakeProvider()).
+export function setLlmProvider(provider) {
+  PROVIDER = provider;
+}
+
+// Model for a chat call site: "main" | "reasoning" | "snapshot" | "status" | "vision".
+export function chatModelFor(site) {
+  const envName = SITE_ENV[site];
+  return (envName && process.env[envName]) || process.env.TB_LLM_MODEL || DEFAULT_CHAT_MODEL;
+}
+
+export function embeddingModel() {
+  return process.env.TB_EMBEDDING_MODEL || DEFAULT_EMBEDDING_MODEL;
+}
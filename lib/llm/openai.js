@@ -0,0 +1,49 @@
+// lib/llm/openai.js
+// OpenAI-backed provider. Also covers Azure OpenAI and any OpenAI-compatible
+// server (vLLM, llama.cpp, Ollama, ...) via OPENAI_BASE_URL.
+
+import OpenAI, { AzureOpenAI } from "openai";
+
+export function createOpenAIProvider({ azure = false } = {}) {
+  let client = null;
+
+  // Constructed lazily so a missing key fails the request, not the import.
+  const getClient = () => {
+    if (client) return client;
+
+    if (azure) {
+      // Reads AZURE_OPENAI_API_KEY, AZURE_OPENAI_ENDPOINT and OPENAI_API_VERSION.
+      // With Azure, model names in TB_LLM_MODEL_* are deployment names.
+      client = new AzureOpenAI({
+        apiKey: process.env.AZURE_OPENAI_API_KEY,
+        endpoint: process.env.AZURE_OPENAI_ENDPOINT,
+        apiVersion: process.env.OPENAI_API_VERSION || "2024-10-21"
+      });
+    } else {
+      client = new OpenAI({
+        apiKey: process.env.OPENAI_API_KEY,
+        baseURL: process.env.OPENAI_BASE_URL || undefined
+      });
+    }
+    return client;
+  };
+
+  return {
+    name: azure ? "azure" : "openai",
+
+    // Same params/response shape as client.chat.completions.create; returns an
+    // async iterable of chunks when params.stream is true.
+    async chat(params, options) {
+      return getClient().chat.completions.create(params, options);
+    },
+
+    // Returns { embeddings: number[][], usage }.
+    async embed({ model, input }, options) {
+      const response = await getClient().embeddings.create({ model, input }, options);
+      return {
+        embeddings: response.data.map((d) => d.embedding),
+        usage: response.usage || null
+      };
+    }
+  };
+}
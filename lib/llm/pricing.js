@@ -0,0 +1,75 @@
+// lib/llm/pricing.js
+// Cost estimates from the price table in config/llm-prices.json (USD per 1M
+// tokens: input, cached_input?, output). TB_LLM_PRICES_PATH overrides the file.
+
+import fs from "fs";
+import path from "path";
+import { createLogger } from "../log.js";
+
+const log = createLogger({ component: "pricing" });
+
+let PRICES = null;
+const warnedModels = new Set();
+
+export function compilePriceTable(raw, source = "prices") {
+  if (!raw || typeof raw.models !== "object" || Array.isArray(raw.models)) {
+    throw new Error(`${source}: expected { models: { <model>: { input, output } } }`);
+  }
+  const models = new Map();
+  for (const [model, p] of Object.entries(raw.models)) {
+    for (const field of ["input", "output", "cached_input"]) {
+      const v = p?.[field];
+      if (v == null && field === "cached_input") continue;
+      if (typeof v !== "number" || !Number.isFinite(v) || v < 0) {
+        throw new Error(`${source}: models["${model}"].${field} must be a non-negative number`);
+      }
+    }
+    models.set(model, { input: p.input, cached_input: p.cached_input ?? p.input, output: p.output });
+  }
+  return { version: raw.version ?? null, source, currency: raw.currency || "USD", models };
+}
+
+export function getPriceTable() {
+  if (!PRICES) {
+    const file = process.env.TB_LLM_PRICES_PATH || path.join(process.cwd(), "config", "llm-prices.json");
+    PRICES = compilePriceTable(JSON.parse(fs.readFileSync(file, "utf-8")), file);
+  }
+  return PRICES;
+}
+
+export function setPriceTable(table) {
+  PRICES = table;
+}
+
+// A dated snapshot suffix: "-2025-11-13", "-20250929" or "-0613".
+const SNAPSHOT_SUFFIX = /-(?:\d{4}-\d{2}-\d{2}|\d{8}|\d{4})$/;
+
+// Exact model name first, then the name without a dated snapshot suffix.
+// Other variants ("gpt-5.1-mini") are unpriced rather than billed at the
+// base model's rate.
+export function modelPrice(model, table = getPriceTable()) {
+  if (!model) return null;
+  if (table.models.has(model)) return table.models.get(model);
+  const base = model.replace(SNAPSHOT_SUFFIX, "");
+  return (base !== model && table.models.get(base)) || null;
+}
+
+// usage is an OpenAI usage object (chat or embeddings). Returns the estimated
+// cost in the table's currency, or null when the model is not priced.
+export function estimateCost(model, usage, table = getPriceTable()) {
+  if (!usage) return 0;
+  const price = modelPrice(model, table);
+  if (!price) {
+    if (!warnedModels.has(model)) {
+      log.warn("model has no price; its cost counts as 0", { model, prices: table.source });
+      warnedModels.add(model);
+    }
+    return null;
+  }
+  const prompt = usage.prompt_tokens || 0;
+  const cached = Math.min(usage.prompt_tokens_details?.cached_tokens || 0, prompt);
+  const completion = usage.completion_tokens || 0;
+  return (
+    ((prompt - cached) * price.input + cached * price.cached_input + completion * price.output) / 1e6
+  );
+}
@@ -0,0 +1,139 @@
+// lib/llm/usage.js
+// Per-request token and cost accounting. meterProvider() wraps a provider so
+// every chat and embed call reports its usage to a meter under a stage label
+// ("tool_loop", "rag_embedding", ...); streamed chats report the final usage
+// chunk (requested with stream_options.include_usage). Costs are estimates
+// from the price table (lib/llm/pricing.js).
+
+import { estimateCost, getPriceTable } from "./pricing.js";
+
+export function emptyUsageTotals() {
+  return { calls: 0, prompt_tokens: 0, completion_tokens: 0, total_tokens: 0, cost_usd: 0 };
+}
+
+export function addUsageTotals(target, delta) {
+  target.calls += delta.calls || 0;
+  target.prompt_tokens += delta.prompt_tokens || 0;
+  target.completion_tokens += delta.completion_tokens || 0;
+  target.total_tokens += delta.total_tokens || 0;
+  target.cost_usd += delta.cost_usd || 0;
+  return target;
+}
+
+// Costs are accumulated unrounded and rounded only for display.
+export function roundCost(value) {
+  return Math.round((value || 0) * 1e6) / 1e6;
+}
+
+function roundedTotals(totals) {
+  return { ...totals, cost_usd: roundCost(totals.cost_usd) };
+}
+
+export function createUsageMeter() {
+  const calls = [];
+
+  return {
+    // kind: "chat" | "embedding"; usage: the provider's usage object (may be null).
+    record({ kind, stage = null, model, usage }) {
+      const prompt = usage?.prompt_tokens || 0;
+      const completion = usage?.completion_tokens || 0;
+      const cost = estimateCost(model, usage);
+      calls.push({
+        kind,
+        stage,
+        model,
+        prompt_tokens: prompt,
+        completion_tokens: completion,
+        total_tokens: usage?.total_tokens || prompt + completion,
+        cost_usd: cost || 0,
+        priced: cost != null
+      });
+    },
+    calls: () => calls.slice(),
+    // { calls, prompt_tokens, completion_tokens, total_tokens, cost_usd, by_model }
+    totals() {
+      const totals = emptyUsageTotals();
+      const byModel = {};
+      for (const c of calls) {
+        const delta = { ...c, calls: 1 };
+        addUsageTotals(totals, delta);
+        addUsageTotals(byModel[c.model] || (byModel[c.model] = emptyUsageTotals()), delta);
+      }
+      return { ...totals, by_model: byModel };
+    },
+    // Response block: totals plus a breakdown per stage (every stage in
+    // `stages` is listed, zero when unused). Tool-loop stages also list each
+    // completion round.
+    summary({ stages = [], roundStages = ["tool_loop"] } = {}) {
+      const totals = this.totals();
+      const byStage = {};
+      for (const stage of stages) byStage[stage] = emptyUsageTotals();
+      for (const c of calls) {
+        const key = c.stage || "other";
+        addUsageTotals(byStage[key] || (byStage[key] = emptyUsageTotals()), { ...c, calls: 1 });
+      }
+      for (const stage of roundStages) {
+        if (!byStage[stage]) continue;
+        byStage[stage].rounds = calls
+          .filter((c) => c.stage === stage)
+          .map(({ model, prompt_tokens, completion_tokens, total_tokens, cost_usd }) => ({
+            model,
+            prompt_tokens,
+            completion_tokens,
+            total_tokens,
+            cost_usd: roundCost(cost_usd)
+          }));
+      }
+
+      return {
+        currency: getPriceTable().currency,
+        ...roundedTotals({
+          calls: totals.calls,
+          prompt_tokens: totals.prompt_tokens,
+          completion_tokens: totals.completion_tokens,
+          total_tokens: totals.total_tokens,
+          cost_usd: totals.cost_usd
+        }),
+        stages: Object.fromEntries(Object.entries(byStage).map(([k, v]) => [k, roundedTotals(v)])),
+        by_model: Object.fromEntries(
+          Object.entries(totals.by_model).map(([k, v]) => [k, roundedTotals(v)])
+        ),
+        // Models missing from the price table; their cost is counted as 0.
+        unpriced_models: Array.from(new Set(calls.filter((c) => !c.priced).map((c) => c.model)))
+      };
+    }
+  };
+}
+
+async function* meterStream(stream, onUsage) {
+  let usage = null;
+  try {
+    for await (const chunk of stream) {
+      if (chunk.usage) usage = chunk.usage;
+      yield chunk;
+    }
+  } finally {
+    onUsage(usage);
+  }
+}
+
+// Calls through the returned provider are recorded on `meter` under `stage`.
+export function meterProvider(provider, meter, stage = null) {
+  return {
+    ...provider,
+
+    async chat(params, options) {
+      const result = await provider.chat(params, options);
+      const record = (usage) => meter.record({ kind: "chat", stage, model: params.model, usage });
+      if (params.stream) return meterStream(result, record);
+      record(result?.usage || null);
+      return result;
+    },
+
+    async embed(params, options) {
+      const result = await provider.embed(params, options);
+      meter.record({ kind: "embedding", stage, model: params.model, usage: result?.usage || null });
+      return result;
+    }
+  };
+}
@@ -0,0 +1,117 @@
+// lib/log.js
+// Structured JSON logs: one line per event with ts, level, msg and fields
+// (component, route, request_id, ...). TB_LOG_LEVEL=debug|info|warn|error sets
+// the threshold (default info). Warnings and errors go to stderr.
+//
+// Fields are redacted before they are written: free-text fields that can carry
+// patient details (messages, questions, answers, tool inputs) are replaced by
+// their length, credentials are dropped, and remaining strings have patient
+// identifiers masked (lib/phi.js detectors, then any phone number, e-mail
+// address, date or long ID number).
+// TB_LOG_REDACT=off disables this for local debugging only.
+
+import { redactPhi } from "./phi.js";
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40 };
+
+// Keys whose values are never logged verbatim.
+const TEXT_KEYS = new Set([
+  "message",
+  "question",
+  "question_preview",
+  "content",
+  "history",
+  "text",
+  "answer",
+  "output",
+  "input",
+  "arguments",
+  "query_terms",
+  "caseSummary",
+  "snapshot",
+  "date_of_birth",
+  "dob",
+  "patient_name",
+  "address",
+  "phone"
+]);
+// System identifiers, written as-is (request IDs can contain digit runs).
+const ID_KEYS = new Set(["request_id", "session_id", "receipt_id", "chunk_id", "doc_id", "attachment_id"]);
+const SECRET_KEYS = new Set(["authorization", "token", "api_key", "apiKey", "secret", "password", "x-api-key"]);
+
+const TEXT_PATTERNS = [
+  [/[\w.+-]+@[\w-]+\.[\w.-]+/g, "[email]"],
+  [/\b\d{4}-\d{2}-\d{2}\b/g, "[date]"],
+  [/\b\d{1,2}[/.-]\d{1,2}[/.-]\d{2,4}\b/g, "[date]"],
+  [/\+?\d[\d\s().-]{7,}\d/g, "[number]"],
+  [/\b\d{6,}\b/g, "[number]"]
+];
+
+function threshold() {
+  return LEVELS[(process.env.TB_LOG_LEVEL || "info").toLowerCase()] ?? LEVELS.info;
+}
+
+function redactionEnabled() {
+  return (process.env.TB_LOG_REDACT || "").toLowerCase() !== "off";
+}
+
+export function redactText(value) {
+  let out = redactPhi(String(value));
+  for (const [pattern, replacement] of TEXT_PATTERNS) out = out.replace(pattern, replacement);
+  return out;
+}
+
+function describeRedacted(value) {
+  if (value == null) return value;
+  if (typeof value === "string") return `[redacted ${value.length} chars]`;
+  if (Array.isArray(value)) return `[redacted ${value.length} items]`;
+  return "[redacted]";
+}
+
+export function redactFields(value, depth = 0) {
+  if (value == null || typeof value === "number" || typeof value === "boolean") return value;
+  if (typeof value === "string") return redactText(value);
+  if (value instanceof Error) return { name: value.name, error: redactText(value.message) };
+  if (depth > 8) return "[truncated]";
+  if (Array.isArray(value)) return value.map((v) => redactFields(v, depth + 1));
+  if (typeof value === "object") {
+    const out = {};
+    for (const [k, v] of Object.entries(value)) {
+      if (SECRET_KEYS.has(k)) continue;
+      if (ID_KEYS.has(k) && typeof v === "string") out[k] = v;
+      else out[k] = TEXT_KEYS.has(k) ? describeRedacted(v) : redactFields(v, depth + 1);
+    }
+    return out;
+  }
+  return String(value);
+}
+
+function write(level, bindings, msg, fields) {
+  if (LEVELS[level] < threshold()) return;
+  const body = { ...bindings, ...(fields || {}) };
+  if (body.err instanceof Error) {
+    body.err = { name: body.err.name, error: body.err.message, code: body.err.code, stack: body.err.stack };
+  }
+  const entry = {
+    ts: new Date().toISOString(),
+    level,
+    msg,
+    ...(redactionEnabled() ? redactFields(body) : body)
+  };
+  const line = JSON.stringify(entry);
+  if (LEVELS[level] >= LEVELS.warn) console.error(line);
+  else console.log(line);
+}
+
+// bindings are attached to every line (e.g. { component: "auth" } or
+// { route, request_id }); child() adds more.
+export function createLogger(bindings = {}) {
+  return {
+    bindings,
+    debug: (msg, fields) => write("debug", bindings, msg, fields),
+    info: (msg, fields) => write("info", bindings, msg, fields),
+    warn: (msg, fields) => write("warn", bindings, msg, fields),
+    error: (msg, fields) => write("error", bindings, msg, fields),
+    child: (more) => createLogger({ ...bindings, ...more })
+  };
+}
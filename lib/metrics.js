@@ -0,0 +1,134 @@
+// lib/metrics.js
+// In-process Prometheus metrics: counters and histograms with labels,
+// rendered in the text exposition format by /api/metrics. Values live in the
+// process, so on serverless each instance reports its own series (scrape or
+// aggregate per instance).
+
+const DEFAULT_BUCKETS = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30, 60, 120];
+
+const REGISTRY = new Map();
+
+function labelKey(labelNames, labels = {}) {
+  return JSON.stringify(labelNames.map((n) => (labels[n] == null ? "" : String(labels[n]))));
+}
+
+function escapeLabel(value) {
+  return String(value).replace(/\\/g, "\\\\").replace(/\n/g, "\\n").replace(/"/g, '\\"');
+}
+
+function formatLabels(labelNames, values, extra = null) {
+  const pairs = labelNames.map((n, i) => `${n}="${escapeLabel(values[i])}"`);
+  if (extra) pairs.push(`${extra[0]}="${escapeLabel(extra[1])}"`);
+  return pairs.length ? `{${pairs.join(",")}}` : "";
+}
+
+function register(metric) {
+  const existing = REGISTRY.get(metric.name);
+  if (existing) {
+    if (existing.type !== metric.type) throw new Error(`Metric ${metric.name} is already a ${existing.type}`);
+    return existing;
+  }
+  REGISTRY.set(metric.name, metric);
+  return metric;
+}
+
+export function counter(name, help, labelNames = []) {
+  const series = new Map();
+  return register({
+    name,
+    type: "counter",
+    help,
+    inc(labels = {}, value = 1) {
+      const key = labelKey(labelNames, labels);
+      series.set(key, (series.get(key) || 0) + value);
+    },
+    render() {
+      return Array.from(series, ([key, value]) => `${name}${formatLabels(labelNames, JSON.parse(key))} ${value}`);
+    },
+    reset: () => series.clear()
+  });
+}
+
+export function histogram(name, help, labelNames = [], buckets = DEFAULT_BUCKETS) {
+  const series = new Map();
+  return register({
+    name,
+    type: "histogram",
+    help,
+    observe(labels = {}, value) {
+      const key = labelKey(labelNames, labels);
+      let s = series.get(key);
+      if (!s) {
+        s = { counts: new Array(buckets.length).fill(0), sum: 0, count: 0 };
+        series.set(key, s);
+      }
+      buckets.forEach((le, i) => {
+        if (value <= le) s.counts[i] += 1;
+      });
+      s.sum += value;
+      s.count += 1;
+    },
+    render() {
+      const lines = [];
+      for (const [key, s] of series) {
+        const values = JSON.parse(key);
+        buckets.forEach((le, i) => {
+          lines.push(`${name}_bucket${formatLabels(labelNames, values, ["le", le])} ${s.counts[i]}`);
+        });
+        lines.push(`${name}_bucket${formatLabels(labelNames, values, ["le", "+Inf"])} ${s.count}`);
+        lines.push(`${name}_sum${formatLabels(labelNames, values)} ${Number(s.sum.toFixed(6))}`);
+        lines.push(`${name}_count${formatLabels(labelNames, values)} ${s.count}`);
+      }
+      return lines;
+    },
+    reset: () => series.clear()
+  });
+}
+
+// Text exposition format (version 0.0.4).
+export function renderMetrics() {
+  const out = [];
+  for (const metric of REGISTRY.values()) {
+    out.push(`# HELP ${metric.name} ${metric.help}`);
+    out.push(`# TYPE ${metric.name} ${metric.type}`);
+    out.push(...metric.render());
+  }
+  return `${out.join("\n")}\n`;
+}
+
+export function resetMetrics() {
+  for (const metric of REGISTRY.values()) metric.reset();
+}
+
+// ---------- Series shared by the routes ----------
+
+export const httpRequests = counter(
+  "tb_http_requests_total",
+  "Requests handled, by route and status code.",
+  ["route", "status"]
+);
+export const httpRequestDuration = histogram(
+  "tb_http_request_duration_seconds",
+  "Request latency by route.",
+  ["route"]
+);
+export const errors = counter(
+  "tb_errors_total",
+  "Errors by route and stage (handler = uncaught, or a span name such as embedding or llm.main).",
+  ["route", "stage"]
+);
+export const stageDuration = histogram(
+  "tb_stage_duration_seconds",
+  "Latency of request stages (spans) by route and stage.",
+  ["route", "stage"]
+);
+export const llmCallDuration = histogram(
+  "tb_llm_call_duration_seconds",
+  "Latency of LLM chat and embedding calls by call site and model.",
+  ["stage", "model"]
+);
+export const llmTokens = counter(
+  "tb_llm_tokens_total",
+  "Tokens reported by the LLM provider, by call site, model and type (prompt | completion).",
+  ["stage", "model", "type"]
+);
@@ -0,0 +1,373 @@
+// lib/phi.js
+// De-identification of patient details before text leaves the server.
+//
+// detectPhi(text) finds names, phone numbers, national IDs, dates of birth,
+// facility/patient numbers (MRN, IP/OP, register numbers), addresses and
+// e-mail addresses. Most detectors are cue-based ("Name:", "Mr", "DOB",
+// "MRN", "lives in", ...); e-mails, street addresses and phone numbers
+// written like one (+254 ..., (020) ..., 0712 345 678) are also found by
+// shape alone. A bare name, or digits without a cue and without a phone
+// prefix (a lab sample or register number), is not detected.
+//
+// A vault (createPhiVault) swaps each detected value for a stable placeholder
+// such as [NAME_1] or [DOB_1]: the same value always gets the same placeholder,
+// so the model can refer to it, and restore() puts the originals back into
+// text returned to the requesting client. A vault is saved with its session
+// (toJSON) so placeholders stay stable across turns.
+//
+// TB_PHI_REDACTION=off disables the vault (e.g. with a self-hosted model);
+// log lines are always masked with redactPhi().
+
+import { TB_DRUG_ALIASES } from "./tb-drugs.js";
+
+export const PHI_TYPES = ["NAME", "PHONE", "ID", "DOB", "MRN", "ADDRESS", "EMAIL"];
+
+export const PHI_PLACEHOLDER_NOTE =
+  "Patient identifiers in this conversation have been replaced with placeholders such as " +
+  "[NAME_1], [DOB_1] or [MRN_1]. Refer to them by the placeholder exactly as written; " +
+  "do not ask for or guess the real values.";
+
+const PLACEHOLDER_PATTERN = new RegExp(`\\[(?:${PHI_TYPES.join("|")})_\\d+\\]`, "g");
+// A placeholder cut off at the end of a streamed delta ("[NA", "[NAME_").
+const PARTIAL_PLACEHOLDER = /\[[A-Z]{0,7}(?:_\d{0,4})?$/;
+
+export function phiRedactionEnabled() {
+  return (process.env.TB_PHI_REDACTION || "").toLowerCase() !== "off";
+}
+
+// ---------- Detectors ----------
+
+// Capitalised words that follow name/address cues in case notes but are not
+// names ("Patient Presents", "Mother HIV", "Child Night Sweats", "lives in Town").
+const NOT_NAMES = new Set(
+  [
+    "the", "this", "that", "he", "she", "his", "her", "they", "their", "is", "was", "has", "had",
+    "have", "with", "without", "on", "in", "at", "and", "or", "but", "not", "no", "yes", "also",
+    "now", "today", "presents", "presented", "presenting", "complains", "reports", "reported",
+    "denies", "aged", "age", "male", "female", "boy", "girl", "infant", "baby", "child", "patient",
+    "mother", "father", "guardian", "caregiver", "weight", "weighs", "who", "tb", "hiv", "started",
+    "known", "new", "case", "history", "contact", "household", "smear", "xpert", "positive",
+    "negative", "unknown", "please", "thanks", "thank", "hi", "hello", "dear", "doctor", "nurse",
+    "january", "february", "march", "april", "may", "june", "july", "august", "september",
+    "october", "november", "december", "monday", "tuesday", "wednesday", "thursday", "friday",
+    "saturday", "sunday", "town", "city", "village", "rural", "urban", "area", "district", "name",
+    "names", "fever", "febrile", "cough", "coughing", "night", "sweats", "sweating", "chest", "pain",
+    "breathless", "wheezing", "lethargic", "lethargy", "weak", "tired", "unwell", "sick", "ill",
+    "vomiting", "diarrhoea", "diarrhea", "headache", "seizures", "convulsions", "jaundice", "rash",
+    "swelling", "swollen", "wasted", "wasting", "stunted", "malnourished", "underweight", "anaemic",
+    "anemic", "pale", "diabetic", "diabetes", "asthmatic", "asthma", "hypertensive", "epileptic",
+    "pregnant", "breastfeeding", "smoker", "alcoholic", "admitted", "referred", "died", "deceased",
+    "since", "for",
+    ...Object.keys(TB_DRUG_ALIASES)
+  ]
+);
+
+const NAME_WORD = "[A-Z][a-z'’-]+";
+const NAME = `${NAME_WORD}(?:[ \\t]+${NAME_WORD}){0,2}`;
+const ID_VALUE = "[A-Za-z0-9][A-Za-z0-9/-]*\\d[A-Za-z0-9/-]*(?:[ ]\\d[A-Za-z0-9/-]*)*";
+const MONTH = "(?:jan|feb|mar|apr|may|jun|jul|aug|sep|sept|oct|nov|dec)[a-z]*\\.?";
+const DATE =
+  "(?:\\d{4}-\\d{1,2}-\\d{1,2}" +
+  "|\\d{1,2}[/.-]\\d{1,2}[/.-]\\d{2,4}" +
+  `|\\d{1,2}(?:st|nd|rd|th)?[ \\t]+${MONTH},?[ \\t]+\\d{4}` +
+  `|${MONTH}[ \\t]+\\d{1,2}(?:st|nd|rd|th)?,?[ \\t]+\\d{4})`;
+const ADDRESS_TOKEN = "(?:\\d+[A-Za-z]?|[A-Z][\\w'’-]*)";
+const ADDRESS = `${ADDRESS_TOKEN}(?:,?[ \\t]+(?:${ADDRESS_TOKEN}|of|off|near|the))*`;
+const PHONE_GROUPS = "\\d{2,4}(?:[ .-]?\\d{2,4}){1,4}";
+const PHONE = `(?:\\+\\d{1,3}[ .-]?)?(?:\\(\\d{2,4}\\)[ .-]?)?${PHONE_GROUPS}`;
+const STREET =
+  "(?:Street|St|Road|Rd|Avenue|Ave|Lane|Ln|Drive|Close|Crescent|Way|Boulevard|Blvd|Highway|Hwy)";
+
+function isPhoneLength(value) {
+  const digits = value.replace(/\D/g, "").length;
+  return digits >= 9 && digits <= 15;
+}
+
+// "<cue> [:#=-] <value>"; the value is capture group 1.
+function cued(cues, value, flags = "") {
+  return new RegExp(`\\b(?:${cues})\\.?[ \\t]*(?:[:#=-]|is|are)?[ \\t]*(${value})`, `gd${flags}`);
+}
+
+// In priority order: when two matches overlap, the earlier detector wins.
+const DETECTORS = [
+  {
+    type: "EMAIL",
+    pattern: /[\w.+-]+@[\w-]+\.[\w.-]*\w/gd
+  },
+  {
+    type: "MRN",
+    pattern: cued(
+      "MRN|MR[ \\t]*(?:no|number)|medical[ \\t]+record[ \\t]*(?:no|number)?|hospital[ \\t]*(?:no|number)" +
+        "|IPD?[ \\t]*(?:no|number)|OPD?[ \\t]*(?:no|number)|in-?patient[ \\t]*(?:no|number)" +
+        "|out-?patient[ \\t]*(?:no|number)|patient[ \\t]*(?:no|number|id)|file[ \\t]*(?:no|number)" +
+        "|folder[ \\t]*(?:no|number)|unit[ \\t]*(?:no|number)|reg(?:istration)?\\.?[ \\t]*(?:no|number)" +
+        "|TB[ \\t]*(?:reg(?:ister)?|unit)[ \\t]*(?:no|number)?|TB[ \\t]*(?:no|number)" +
+        "|facility[ \\t]*(?:no|number|code)|CCC[ \\t]*(?:no|number)|ART[ \\t]*(?:no|number)",
+      ID_VALUE,
+      "i"
+    )
+  },
+  {
+    type: "ID",
+    pattern: cued(
+      "national[ \\t]+id(?:[ \\t]*(?:no|number|card))?|id[ \\t]*(?:no|number|card)|identity[ \\t]+(?:no|number|card)" +
+        "|passport(?:[ \\t]*(?:no|number))?|NIN|SSN|aadhaa?r(?:[ \\t]*(?:no|number))?|omang|huduma(?:[ \\t]*(?:no|number))?",
+      ID_VALUE,
+      "i"
+    )
+  },
+  {
+    type: "ID",
+    pattern: /\b\d{3}-\d{2}-\d{4}\b/gd
+  },
+  {
+    type: "DOB",
+    pattern: cued("DOB|D\\.O\\.B|date[ \\t]+of[ \\t]+birth|birth[ \\t]*date|born(?:[ \\t]+on)?", DATE, "i")
+  },
+  {
+    type: "PHONE",
+    pattern: cued(
+      "phone(?:[ \\t]*(?:no|number))?|tel(?:ephone)?(?:[ \\t]*(?:no|number))?|mobile(?:[ \\t]*(?:no|number))?" +
+        "|cell(?:[ \\t]*(?:phone|no|number))?|contact[ \\t]*(?:no|number|phone)|whatsapp",
+      `${PHONE}(?![\\w/])`,
+      "i"
+    ),
+    accept: isPhoneLength
+  },
+  {
+    // Without a cue, only a number written like one: a + prefix, an area code
+    // in parentheses, or a leading trunk 0 with separated groups. Other digit
+    // runs, dashed or dotted, are more often lab sample or register numbers
+    // ("2023.11.0045", "123-456-7890"), and space-separated figures are
+    // usually doses.
+    type: "PHONE",
+    pattern: new RegExp(
+      `(?<![\\w+.-])(?:\\+\\d{1,3}[ .-]?(?:\\(\\d{1,4}\\)[ .-]?)?${PHONE_GROUPS}` +
+        `|\\(\\d{2,4}\\)[ .-]?${PHONE_GROUPS}` +
+        "|0\\d{1,3}(?:[ .-]\\d{2,6}){1,4})(?![\\w/-]|\\.\\d)",
+      "gd"
+    ),
+    accept: isPhoneLength
+  },
+  {
+    type: "ADDRESS",
+    pattern: cued(
+      "[Aa]ddress|[Rr]esidence|[Rr]esides[ \\t]+(?:at|in)|[Rr]esiding[ \\t]+(?:at|in)|[Ll]ives[ \\t]+(?:at|in)" +
+        "|[Ll]iving[ \\t]+(?:at|in)|[Ff]rom[ \\t]+(?:the[ \\t]+)?village[ \\t]+of|[Vv]illage|P\\.?[ \\t]?O\\.?[ \\t]+Box",
+      ADDRESS
+    ),
+    trim: true
+  },
+  {
+    type: "ADDRESS",
+    pattern: new RegExp(`\\b\\d{1,5}[ \\t]+(?:[A-Z][\\w'’-]*[ \\t]+){1,3}${STREET}\\b\\.?`, "gd")
+  },
+  {
+    type: "NAME",
+    pattern: new RegExp(`\\b(?:Mr|Mrs|Ms|Miss|Mx|Master|Baby|Dr|Sister|Sr)\\.?[ \\t]+(${NAME})`, "gd"),
+    trim: "name"
+  },
+  {
+    type: "NAME",
+    pattern: cued(
+      "(?:[Pp]atient|[Cc]hild|[Mm]other|[Ff]ather|[Gg]uardian|[Cc]aregiver)(?:'s)?[ \\t]+[Nn]ames?" +
+        "|[Nn]ames?|[Nn]amed|[Cc]alled|[Kk]nown[ \\t]+as|[Ss]on[ \\t]+of|[Dd]aughter[ \\t]+of",
+      NAME
+    ),
+    trim: "name"
+  },
+  {
+    // A role word alone ("Patient Amina", "Mother Diabetic") is as often
+    // followed by a finding as by a name, so it takes one word at most.
+    type: "NAME",
+    pattern: cued("[Pp]atient|[Cc]hild|[Mm]other|[Ff]ather|[Gg]uardian|[Cc]aregiver", NAME_WORD),
+    trim: "name"
+  }
+];
+
+// Drops cue-like words from either end ("Patient Presents" -> nothing,
+// "Amina Presents" -> "Amina"). A name also ends at the first such word
+// inside it ("Otieno Has Fever" -> "Otieno"). Returns [offset, value] or null.
+function trimWords(value, name = false) {
+  const words = value.split(/([ \t,]+)/);
+  let first = 0;
+  let last = words.length - 1;
+  const skip = (w) => !w.trim() || /^[ \t,]+$/.test(w) || NOT_NAMES.has(w.toLowerCase().replace(/[.'’]+$/, ""));
+  while (first <= last && skip(words[first])) first += 1;
+  if (name) {
+    let end = first;
+    while (end + 2 <= last && !skip(words[end + 2])) end += 2;
+    last = Math.min(last, end);
+  }
+  while (last >= first && skip(words[last])) last -= 1;
+  if (first > last) return null;
+  const offset = words.slice(0, first).join("").length;
+  return [offset, words.slice(first, last + 1).join("")];
+}
+
+// Returns [{ type, start, end, value }] sorted by position, without overlaps.
+export function detectPhi(text) {
+  if (typeof text !== "string" || !text) return [];
+
+  const found = [];
+  const overlaps = (start, end) => found.some((s) => start < s.end && end > s.start);
+
+  for (const { type, pattern, accept, trim } of DETECTORS) {
+    pattern.lastIndex = 0;
+    for (const match of text.matchAll(pattern)) {
+      let value = match[1] ?? match[0];
+      let start = match.indices[1]?.[0] ?? match.index;
+      if (trim) {
+        const trimmed = trimWords(value, trim === "name");
+        if (!trimmed) continue;
+        start += trimmed[0];
+        value = trimmed[1];
+      }
+      value = value.replace(/[ \t,.-]+$/, "");
+      const end = start + value.length;
+      if (!value || (accept && !accept(value)) || overlaps(start, end)) continue;
+      found.push({ type, start, end, value });
+    }
+  }
+
+  return found.sort((a, b) => a.start - b.start);
+}
+
+// Masks detected values by type ("[NAME]", "[PHONE]"), for logs.
+export function redactPhi(text) {
+  const spans = detectPhi(text);
+  if (!spans.length) return text;
+  let out = "";
+  let at = 0;
+  for (const s of spans) {
+    out += `${text.slice(at, s.start)}[${s.type}]`;
+    at = s.end;
+  }
+  return out + text.slice(at);
+}
+
+// ---------- Vault ----------
+
+function normalize(value) {
+  return String(value).toLowerCase().replace(/\s+/g, " ").trim();
+}
+
+function escapeRegExp(value) {
+  return value.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+}
+
+// saved: the object returned by toJSON() (e.g. stored on a session).
+export function createPhiVault(saved = null) {
+  const values = new Map(); // placeholder -> original value
+  const keys = new Map(); // normalized value or name part -> placeholder
+  const counts = {};
+  let matcher = null;
+
+  const add = (key, placeholder) => {
+    if (!key || keys.has(key)) return;
+    keys.set(key, placeholder);
+    matcher = null;
+  };
+
+  for (const [placeholder, value] of Object.entries(saved?.values || {})) {
+    const [, type, n] = /^\[([A-Z]+)_(\d+)\]$/.exec(placeholder) || [];
+    if (!type || typeof value !== "string") continue;
+    values.set(placeholder, value);
+    counts[type] = Math.max(counts[type] || 0, Number(n));
+    add(normalize(value), placeholder);
+  }
+  for (const [key, placeholder] of Object.entries(saved?.aliases || {})) {
+    if (values.has(placeholder)) add(key, placeholder);
+  }
+
+  const aliases = () => {
+    const out = {};
+    for (const [key, placeholder] of keys) {
+      if (normalize(values.get(placeholder)) !== key) out[key] = placeholder;
+    }
+    return out;
+  };
+
+  const register = (type, value) => {
+    const key = normalize(value);
+    if (keys.has(key)) return keys.get(key);
+    counts[type] = (counts[type] || 0) + 1;
+    const placeholder = `[${type}_${counts[type]}]`;
+    values.set(placeholder, value);
+    add(key, placeholder);
+    // Later mentions of part of a name ("Amina" after "Amina Otieno").
+    if (type === "NAME") {
+      for (const part of value.split(/\s+/)) {
+        if (part.length >= 3 && !NOT_NAMES.has(part.toLowerCase())) add(normalize(part), placeholder);
+      }
+    }
+    return placeholder;
+  };
+
+  // Replaces every known value, longest first, wherever it appears.
+  const replaceKnown = (text) => {
+    if (!keys.size) return text;
+    if (!matcher) {
+      const alternatives = Array.from(keys.keys())
+        .sort((a, b) => b.length - a.length)
+        .map((k) => escapeRegExp(k).replace(/ /g, "\\s+"));
+      matcher = new RegExp(`(?<![\\w@])(?:${alternatives.join("|")})(?![\\w@])`, "gi");
+    }
+    return text.replace(matcher, (m) => keys.get(normalize(m)) || m);
+  };
+
+  const restoreDeep = (value, depth = 0) => {
+    if (typeof value === "string") return vault.restore(value);
+    if (value == null || typeof value !== "object" || depth > 8) return value;
+    if (Array.isArray(value)) return value.map((v) => restoreDeep(v, depth + 1));
+    const out = {};
+    for (const [k, v] of Object.entries(value)) out[k] = restoreDeep(v, depth + 1);
+    return out;
+  };
+
+  const vault = {
+    get size() {
+      return values.size;
+    },
+    // Detects new values, then replaces all known ones with placeholders.
+    redact(text) {
+      if (typeof text !== "string" || !text) return text;
+      for (const { type, value } of detectPhi(text)) register(type, value);
+      return replaceKnown(text);
+    },
+    // Only values already in the vault (e.g. tool results echoing an input).
+    redactKnown(text) {
+      return typeof text === "string" ? replaceKnown(text) : text;
+    },
+    restore(text) {
+      if (typeof text !== "string" || !values.size) return text;
+      return text.replace(PLACEHOLDER_PATTERN, (p) => values.get(p) ?? p);
+    },
+    restoreDeep: (value) => restoreDeep(value),
+    toJSON() {
+      return { values: Object.fromEntries(values), aliases: aliases() };
+    }
+  };
+  return vault;
+}
+
+// Restores placeholders in streamed deltas, holding back a placeholder that
+// is split across deltas until it is complete.
+export function createRestoreStream(vault) {
+  let pending = "";
+  return {
+    push(delta) {
+      pending += delta;
+      const partial = PARTIAL_PLACEHOLDER.exec(pending);
+      const cut = partial ? partial.index : pending.length;
+      const out = pending.slice(0, cut);
+      pending = pending.slice(cut);
+      return vault.restore(out);
+    },
+    flush() {
+      const out = vault.restore(pending);
+      pending = "";
+      return out;
+    }
+  };
+}
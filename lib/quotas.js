@@ -0,0 +1,468 @@
+// lib/quotas.js
+// Rate limits and monthly token/cost budgets for the LLM-backed routes
+// (/api/tb-mentor, /api/tb-rag-query), applied per identity (API key or
+// clinician token, lib/auth.js) and per site.
+//
+// Limits come from config/quotas.json (TB_QUOTA_CONFIG_PATH overrides it):
+//   { defaults: { identity: <limits>, site: <limits> },
+//     identities: { "<identity id>": <limits> }, sites: { "<site id>": <limits> } }
+//   <limits> = { rate: { requests_per_minute, burst } | null,
+//                monthly: { tokens, cost_usd } }            (null = unlimited)
+// Overrides are merged over the defaults section by section. Anonymous callers
+// (before TB_API_KEYS / TB_AUTH_TOKEN_SECRET are set) are keyed by client
+// address, "anonymous:<ip>", so one client cannot spend everyone's budget; an
+// identities["anonymous"] override applies to each of them. The address is the
+// socket peer; on Vercel it is X-Real-IP, and with TB_TRUST_PROXY=true (or the
+// number of proxy hops) it is the X-Forwarded-For entry the outermost trusted
+// proxy appended, never one the client wrote.
+//
+// Rate limits are token buckets (burst requests, refilled at
+// requests_per_minute). Budgets are checked before a request and charged with
+// its metered usage afterwards (lib/llm/usage.js), so one request can overshoot
+// a budget but the next is refused until the month (UTC) rolls over.
+//
+// A store holds buckets and monthly usage: in-memory, or a file store keeping
+// one JSON document per month. Select with TB_QUOTA_STORE=file|memory or
+// register another backend with setQuotaStore().
+//
+// Limitation: both built-in stores keep rate-limit buckets in memory, so each
+// instance (each serverless function instance on Vercel) enforces the rate on
+// its own and N instances allow up to N times the configured rate. The file
+// store defaults to os.tmpdir(), which is per instance and not durable; set
+// TB_QUOTA_DIR to a shared volume, or register a shared backend (for example
+// Redis) with setQuotaStore(), for limits and budgets that hold across instances.
+
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { addUsageTotals, emptyUsageTotals } from "./llm/usage.js";
+
+const SUBJECT_KINDS = ["identity", "site"];
+const MONTH_PATTERN = /^\d{4}-(0[1-9]|1[0-2])$/;
+
+let QUOTA_CONFIG = null;
+let QUOTA_STORE = null;
+
+// ---------- Config ----------
+
+function compileSection(raw, fields, where) {
+  if (raw === null) return null;
+  if (typeof raw !== "object" || Array.isArray(raw)) throw new Error(`${where} must be an object or null`);
+  const out = {};
+  for (const field of fields) {
+    const v = raw[field];
+    if (v == null) {
+      out[field] = null;
+      continue;
+    }
+    if (typeof v !== "number" || !Number.isFinite(v) || v <= 0) {
+      throw new Error(`${where}.${field} must be a positive number or null`);
+    }
+    out[field] = v;
+  }
+  return out;
+}
+
+function compileLimits(raw = {}, where, base = null) {
+  const limits = {};
+  for (const [section, fields] of [
+    ["rate", ["requests_per_minute", "burst"]],
+    ["monthly", ["tokens", "cost_usd"]]
+  ]) {
+    if (raw[section] === undefined) {
+      limits[section] = base ? base[section] : null;
+    } else {
+      const merged =
+        raw[section] === null ? null : { ...(base?.[section] || {}), ...raw[section] };
+      limits[section] = compileSection(merged, fields, `${where}.${section}`);
+    }
+  }
+  if (limits.rate && limits.rate.requests_per_minute == null) limits.rate = null;
+  if (limits.rate && limits.rate.burst == null) {
+    limits.rate.burst = Math.max(1, Math.ceil(limits.rate.requests_per_minute / 2));
+  }
+  return limits;
+}
+
+export function compileQuotaConfig(raw, source = "quotas") {
+  if (!raw || typeof raw !== "object") throw new Error(`${source}: expected an object`);
+
+  const defaults = {};
+  for (const kind of SUBJECT_KINDS) {
+    defaults[kind] = compileLimits(raw.defaults?.[kind] || {}, `${source}: defaults.${kind}`);
+  }
+  const overrides = {};
+  for (const [kind, key] of [
+    ["identity", "identities"],
+    ["site", "sites"]
+  ]) {
+    overrides[kind] = new Map(
+      Object.entries(raw[key] || {}).map(([id, limits]) => [
+        id,
+        compileLimits(limits || {}, `${source}: ${key}["${id}"]`, defaults[kind])
+      ])
+    );
+  }
+  return { version: raw.version ?? null, source, defaults, overrides };
+}
+
+export function getQuotaConfig() {
+  if (!QUOTA_CONFIG) {
+    const file = process.env.TB_QUOTA_CONFIG_PATH || path.join(process.cwd(), "config", "quotas.json");
+    QUOTA_CONFIG = compileQuotaConfig(JSON.parse(fs.readFileSync(file, "utf-8")), file);
+  }
+  return QUOTA_CONFIG;
+}
+
+export function setQuotaConfig(config) {
+  QUOTA_CONFIG = config;
+}
+
+// Trusted proxy hops in front of the app: TB_TRUST_PROXY=true is one, a number
+// is that many, anything else none.
+function trustedHops() {
+  const value = (process.env.TB_TRUST_PROXY || "").toLowerCase();
+  if (value === "true") return 1;
+  return /^\d+$/.test(value) ? Number(value) : 0;
+}
+
+// Proxies append to X-Forwarded-For, so only the entries the trusted hops
+// added are reliable: the client address is the one the outermost of them
+// appended, counted from the right. Earlier entries come from the client.
+function clientAddress(req) {
+  const headers = req?.headers || {};
+  let forwarded = "";
+  if (process.env.VERCEL && typeof headers["x-real-ip"] === "string") {
+    forwarded = headers["x-real-ip"].trim();
+  } else {
+    const hops = trustedHops() || (process.env.VERCEL ? 1 : 0);
+    const entries = String(headers["x-forwarded-for"] || "")
+      .split(",")
+      .map((e) => e.trim())
+      .filter(Boolean);
+    if (hops && entries.length >= hops) forwarded = entries[entries.length - hops];
+  }
+  return forwarded || req?.socket?.remoteAddress || "unknown";
+}
+
+// The identity quotas are charged to: the caller's, except that anonymous
+// callers are told apart by client address. Use the same value for
+// enforceQuota(), recordUsage() and usageReport() within a request.
+export function quotaIdentity(req, identity) {
+  if (identity && identity.kind !== "anonymous") return identity;
+  return { ...identity, kind: "anonymous", id: `anonymous:${clientAddress(req)}` };
+}
+
+// The subjects a request is charged to: its identity and, when it has one, its site.
+export function quotaSubjects(identity, config = getQuotaConfig()) {
+  const subjects = [];
+  const add = (kind, id, limitsId = id) => {
+    subjects.push({
+      kind,
+      id,
+      key: `${kind}:${id}`,
+      limits: config.overrides[kind].get(limitsId) || config.defaults[kind]
+    });
+  };
+  add("identity", identity?.id ?? "anonymous", identity?.kind === "anonymous" ? "anonymous" : identity?.id);
+  if (identity?.site_id) add("site", identity.site_id);
+  return subjects;
+}
+
+// ---------- Stores ----------
+
+export function monthKey(now = Date.now()) {
+  return new Date(now).toISOString().slice(0, 7);
+}
+
+export function isValidMonth(month) {
+  return typeof month === "string" && MONTH_PATTERN.test(month);
+}
+
+function emptyUsage() {
+  return { requests: 0, ...emptyUsageTotals(), by_model: {}, updated_at: null };
+}
+
+// usage: totals from a usage meter ({ calls, ..., cost_usd, by_model }).
+function mergeUsage(current, usage, now) {
+  const next = current ? JSON.parse(JSON.stringify(current)) : emptyUsage();
+  next.requests += 1;
+  addUsageTotals(next, usage);
+  for (const [model, totals] of Object.entries(usage.by_model || {})) {
+    addUsageTotals(next.by_model[model] || (next.by_model[model] = emptyUsageTotals()), totals);
+  }
+  next.updated_at = new Date(now).toISOString();
+  return next;
+}
+
+// All-or-nothing: takes one token from every bucket, or from none when any is
+// empty. buckets: [{ key, capacity, refillPerSecond }].
+function createBucketTable() {
+  const buckets = new Map();
+
+  return function takeTokens(specs, now) {
+    const states = specs.map((spec) => {
+      const prev = buckets.get(spec.key);
+      const elapsed = prev ? Math.max(0, now - prev.updatedAt) / 1000 : 0;
+      const tokens = prev
+        ? Math.min(spec.capacity, prev.tokens + elapsed * spec.refillPerSecond)
+        : spec.capacity;
+      return { spec, tokens };
+    });
+
+    const allowed = states.every((s) => s.tokens >= 1);
+    if (allowed) {
+      for (const s of states) buckets.set(s.spec.key, { tokens: s.tokens - 1, updatedAt: now });
+    }
+    return {
+      allowed,
+      buckets: states.map(({ spec, tokens }) => ({
+        key: spec.key,
+        capacity: spec.capacity,
+        remaining: Math.floor(allowed ? tokens - 1 : tokens),
+        retry_after_ms: tokens >= 1 ? 0 : Math.ceil(((1 - tokens) / spec.refillPerSecond) * 1000)
+      }))
+    };
+  };
+}
+
+export function createMemoryQuotaStore() {
+  const takeTokens = createBucketTable();
+  const months = new Map();
+  const monthMap = (month) => months.get(month) || months.set(month, new Map()).get(month);
+
+  return {
+    kind: "memory",
+    async takeTokens(buckets, now = Date.now()) {
+      return takeTokens(buckets, now);
+    },
+    async getUsage(month, subjectKey) {
+      return months.get(month)?.get(subjectKey) || null;
+    },
+    async addUsage(month, subjectKey, usage, now = Date.now()) {
+      const map = monthMap(month);
+      const next = mergeUsage(map.get(subjectKey), usage, now);
+      map.set(subjectKey, next);
+      return next;
+    },
+    async listUsage(month) {
+      return Array.from(months.get(month) || [], ([subject, usage]) => ({ subject, usage }));
+    }
+  };
+}
+
+export function createFileQuotaStore(dir) {
+  fs.mkdirSync(dir, { recursive: true });
+  const takeTokens = createBucketTable();
+  // Writes are chained so concurrent requests in one process do not lose updates.
+  let writes = Promise.resolve();
+
+  const fileFor = (month) => {
+    if (!isValidMonth(month)) throw new Error(`Invalid month: ${month}`);
+    return path.join(dir, `usage-${month}.json`);
+  };
+
+  const read = (month) => {
+    try {
+      return JSON.parse(fs.readFileSync(fileFor(month), "utf8"));
+    } catch (err) {
+      if (err?.code === "ENOENT") return {};
+      throw err;
+    }
+  };
+
+  const write = (month, doc) => {
+    const file = fileFor(month);
+    const tmp = `${file}.${process.pid}.tmp`;
+    fs.writeFileSync(tmp, JSON.stringify(doc));
+    fs.renameSync(tmp, file);
+  };
+
+  return {
+    kind: "file",
+    dir,
+    async takeTokens(buckets, now = Date.now()) {
+      return takeTokens(buckets, now);
+    },
+    async getUsage(month, subjectKey) {
+      return read(month)[subjectKey] || null;
+    },
+    async addUsage(month, subjectKey, usage, now = Date.now()) {
+      const result = writes.then(() => {
+        const doc = read(month);
+        doc[subjectKey] = mergeUsage(doc[subjectKey], usage, now);
+        write(month, doc);
+        return doc[subjectKey];
+      });
+      writes = result.catch(() => {});
+      return result;
+    },
+    async listUsage(month) {
+      return Object.entries(read(month)).map(([subject, usage]) => ({ subject, usage }));
+    }
+  };
+}
+
+export function setQuotaStore(store) {
+  QUOTA_STORE = store;
+}
+
+export function getQuotaStore() {
+  if (QUOTA_STORE) return QUOTA_STORE;
+
+  const kind = (process.env.TB_QUOTA_STORE || "file").toLowerCase();
+  if (kind === "memory") {
+    QUOTA_STORE = createMemoryQuotaStore();
+  } else if (kind === "file") {
+    const dir = process.env.TB_QUOTA_DIR || path.join(os.tmpdir(), "tb-mentor", "quotas");
+    QUOTA_STORE = createFileQuotaStore(dir);
+  } else {
+    throw new Error(`Unknown TB_QUOTA_STORE "${kind}" (expected "file" or "memory")`);
+  }
+
+  return QUOTA_STORE;
+}
+
+// ---------- Checks ----------
+
+function secondsUntilNextMonth(now) {
+  const d = new Date(now);
+  return Math.ceil((Date.UTC(d.getUTCFullYear(), d.getUTCMonth() + 1, 1) - now) / 1000);
+}
+
+// Remaining monthly budget per limit (null = unlimited).
+function remainingBudget(limits, usage) {
+  const monthly = limits.monthly || {};
+  const left = (limit, used) => (limit == null ? null : Math.max(0, limit - (used || 0)));
+  return {
+    tokens: left(monthly.tokens, usage?.total_tokens),
+    cost_usd: left(monthly.cost_usd, usage?.cost_usd)
+  };
+}
+
+// Returns { allowed: true, rate } or { allowed: false, code, kind, subject,
+// message, retry_after_seconds, limit }. Budgets are checked first so a
+// refused request does not also spend a rate-limit token.
+export async function checkQuota(identity, { now = Date.now() } = {}) {
+  const store = getQuotaStore();
+  const subjects = quotaSubjects(identity);
+  const month = monthKey(now);
+
+  for (const s of subjects) {
+    const monthly = s.limits.monthly;
+    if (!monthly || (monthly.tokens == null && monthly.cost_usd == null)) continue;
+    const usage = await store.getUsage(month, s.key);
+    const left = remainingBudget(s.limits, usage);
+    const over = left.tokens === 0 ? "tokens" : left.cost_usd === 0 ? "cost_usd" : null;
+    if (over) {
+      return {
+        allowed: false,
+        code: "QUOTA_EXCEEDED",
+        kind: s.kind,
+        subject: s.id,
+        message: `Monthly ${over === "tokens" ? "token" : "cost"} budget for this ${s.kind} is used up (${month})`,
+        retry_after_seconds: secondsUntilNextMonth(now),
+        limit: { [over]: monthly[over], month }
+      };
+    }
+  }
+
+  const limited = subjects.filter((s) => s.limits.rate);
+  if (!limited.length) return { allowed: true, rate: null };
+
+  const { allowed, buckets } = await store.takeTokens(
+    limited.map((s) => ({
+      key: s.key,
+      capacity: s.limits.rate.burst,
+      refillPerSecond: s.limits.rate.requests_per_minute / 60
+    })),
+    now
+  );
+  const tightest = buckets.reduce((a, b) => (b.remaining < a.remaining ? b : a));
+  const subject = limited[buckets.indexOf(tightest)];
+  const rate = {
+    limit: subject.limits.rate.requests_per_minute,
+    remaining: Math.max(0, tightest.remaining)
+  };
+  if (allowed) return { allowed: true, rate };
+
+  const blocked = buckets.find((b) => b.retry_after_ms > 0);
+  const blockedSubject = limited[buckets.indexOf(blocked)];
+  return {
+    allowed: false,
+    code: "RATE_LIMITED",
+    kind: blockedSubject.kind,
+    subject: blockedSubject.id,
+    message: `Too many requests for this ${blockedSubject.kind}; retry shortly`,
+    retry_after_seconds: Math.max(1, Math.ceil(blocked.retry_after_ms / 1000)),
+    limit: { ...blockedSubject.limits.rate },
+    rate
+  };
+}
+
+// Charges a request's metered usage (meter.totals()) to all of its subjects.
+export async function recordUsage(identity, usage, { now = Date.now() } = {}) {
+  const store = getQuotaStore();
+  const month = monthKey(now);
+  for (const s of quotaSubjects(identity)) {
+    await store.addUsage(month, s.key, usage, now);
+  }
+}
+
+// Usage, limits and remaining budget for the caller's subjects in `month`.
+export async function usageReport(identity, { month = monthKey() } = {}) {
+  const store = getQuotaStore();
+  const subjects = [];
+  for (const s of quotaSubjects(identity)) {
+    const usage = (await store.getUsage(month, s.key)) || emptyUsage();
+    subjects.push({
+      kind: s.kind,
+      id: s.id,
+      limits: s.limits,
+      usage,
+      remaining: remainingBudget(s.limits, usage)
+    });
+  }
+  return { month, subjects };
+}
+
+// Every subject with usage in `month` (for operators with the audit scope).
+export async function allUsage({ month = monthKey() } = {}) {
+  const rows = await getQuotaStore().listUsage(month);
+  return {
+    month,
+    subjects: rows
+      .map(({ subject, usage }) => {
+        const kind = subject.slice(0, subject.indexOf(":"));
+        return { kind, id: subject.slice(kind.length + 1), usage };
+      })
+      .sort((a, b) => (b.usage.cost_usd || 0) - (a.usage.cost_usd || 0))
+  };
+}
+
+// ---------- Route helper ----------
+
+// Sets rate-limit headers and returns true, or answers 429 with Retry-After
+// and returns false. Works with Vercel-style and plain Node responses.
+export async function enforceQuota(req, res, identity) {
+  const result = await checkQuota(identity);
+  if (result.rate) {
+    res.setHeader("X-RateLimit-Limit", String(result.rate.limit));
+    res.setHeader("X-RateLimit-Remaining", String(result.rate.remaining));
+  }
+  if (result.allowed) return true;
+
+  res.statusCode = 429;
+  res.setHeader("Retry-After", String(result.retry_after_seconds));
+  res.setHeader("Content-Type", "application/json");
+  res.end(
+    JSON.stringify({
+      error: result.message,
+      code: result.code,
+      scope: result.kind,
+      retry_after_seconds: result.retry_after_seconds,
+      limit: result.limit
+    })
+  );
+  return false;
+}
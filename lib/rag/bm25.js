@@ -0,0 +1,134 @@
+// lib/rag/bm25.js
+// Okapi BM25 inverted index over chunk text, section_path and captions, plus
+// reciprocal rank fusion (RRF) with the dense cosine scores.
+//
+// The tokenizer keeps the things dense embeddings tend to blur: regimen
+// abbreviations ("6lfx", "bpalm", "3hp"), drug codes ("bdq") and dotted
+// table/section numbers ("2.4.1").
+
+const STOPWORDS = new Set([
+  "a", "an", "and", "are", "as", "at", "be", "by", "for", "from", "has", "have",
+  "in", "is", "it", "its", "of", "on", "or", "that", "the", "their", "this",
+  "to", "was", "were", "which", "with", "what", "how", "should", "can", "i", "we"
+]);
+
+export function tokenize(text) {
+  const tokens = [];
+  const raw = String(text || "")
+    .toLowerCase()
+    .replace(/[^a-z0-9.\-]+/g, " ")
+    .split(" ");
+
+  for (let tok of raw) {
+    tok = tok.replace(/^[.\-]+|[.\-]+$/g, "");
+    if (!tok || STOPWORDS.has(tok)) continue;
+    tokens.push(tok);
+
+    // "dr-tb" also indexes "dr" and "tb"; dotted numbers stay whole.
+    if (tok.includes("-")) {
+      for (const part of tok.split("-")) {
+        if (part && !STOPWORDS.has(part)) tokens.push(part);
+      }
+    }
+  }
+  return tokens;
+}
+
+export function chunkLexicalText(chunk) {
+  return [chunk.section_path, chunk.caption, chunk.attachment_id, chunk.text, chunk.figure_text]
+    .filter((v) => typeof v === "string" && v.trim())
+    .join(" \n ");
+}
+
+export function buildBm25Index(documents, { k1 = 1.2, b = 0.75 } = {}) {
+  const postings = new Map();
+  const docLengths = new Array(documents.length).fill(0);
+  let totalLength = 0;
+
+  documents.forEach((doc, docIndex) => {
+    const counts = new Map();
+    for (const term of tokenize(doc)) {
+      counts.set(term, (counts.get(term) || 0) + 1);
+    }
+
+    let length = 0;
+    for (const [term, tf] of counts) {
+      length += tf;
+      let list = postings.get(term);
+      if (!list) postings.set(term, (list = []));
+      list.push(docIndex, tf);
+    }
+    docLengths[docIndex] = length;
+    totalLength += length;
+  });
+
+  return {
+    k1,
+    b,
+    postings,
+    docLengths,
+    docCount: documents.length,
+    avgDocLength: documents.length ? totalLength / documents.length : 0
+  };
+}
+
+// Returns { scores: Map<docIndex, score>, terms } for the query.
+export function scoreBm25(index, query) {
+  const scores = new Map();
+  const terms = Array.from(new Set(tokenize(query)));
+  const { k1, b, postings, docLengths, docCount, avgDocLength } = index;
+
+  for (const term of terms) {
+    const list = postings.get(term);
+    if (!list) continue;
+
+    const df = list.length / 2;
+    const idf = Math.log(1 + (docCount - df + 0.5) / (df + 0.5));
+
+    for (let i = 0; i < list.length; i += 2) {
+      const docIndex = list[i];
+      const tf = list[i + 1];
+      const norm = 1 - b + b * (docLengths[docIndex] / (avgDocLength || 1));
+      const s = idf * ((tf * (k1 + 1)) / (tf + k1 * norm));
+      scores.set(docIndex, (scores.get(docIndex) || 0) + s);
+    }
+  }
+
+  return { scores, terms };
+}
+
+// Ranks (1-based) of `indices` by descending score; items scoring <= 0 get no rank.
+function rankBy(indices, scoreOf) {
+  const ranked = indices
+    .map((index) => ({ index, score: scoreOf(index) }))
+    .filter((e) => e.score > 0)
+    .sort((a, b) => b.score - a.score);
+
+  const ranks = new Map();
+  ranked.forEach((e, i) => ranks.set(e.index, i + 1));
+  return ranks;
+}
+
+// Weighted RRF over the candidate set. Scores are scaled so a document ranked
+// first in every weighted channel scores 1.0, keeping them in the same range
+// as cosine similarity for the multiplicative boosts applied afterwards.
+export function fuseReciprocalRank(indices, { denseScore, lexicalScore, denseWeight, lexicalWeight, k }) {
+  const denseRanks = rankBy(indices, denseScore);
+  const lexicalRanks = rankBy(indices, lexicalScore);
+  const best = (denseWeight + lexicalWeight) / (k + 1) || 1;
+
+  const fused = new Map();
+  for (const index of indices) {
+    const dr = denseRanks.get(index);
+    const lr = lexicalRanks.get(index);
+    let score = 0;
+    if (dr) score += denseWeight / (k + dr);
+    if (lr) score += lexicalWeight / (k + lr);
+    fused.set(index, {
+      score: score / best,
+      dense_rank: dr || null,
+      lexical_rank: lr || null
+    });
+  }
+  return fused;
+}
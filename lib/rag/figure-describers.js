@@ -0,0 +1,97 @@
+// lib/rag/figure-describers.js
+// Describers turn one figure image into { kind, title, summary, nodes, edges }
+// for scripts/describe-figures.js. Output is passed through
+// normalizeFigureDescription, so a describer only has to get close.
+//
+//   stub            caption-only, deterministic, no network (pipeline checks, CI)
+//   llm             vision chat model via lib/llm (TB_LLM_MODEL_VISION)
+//   <module path>   any ESM module whose default (or `describeFigure`) export is
+//                   async ({ chunk, imagePath, imageBase64, mimeType }) => description
+
+import path from "path";
+import { pathToFileURL } from "url";
+import { chatModelFor, getLlmProvider } from "../llm/index.js";
+import { FIGURE_KINDS, FIGURE_NODE_TYPES } from "./figures.js";
+
+const VISION_PROMPT = [
+  "You convert figures from WHO tuberculosis guidelines into a structured graph.",
+  "Return JSON only, with this shape:",
+  '{"kind": one of ' + JSON.stringify(FIGURE_KINDS) + ",",
+  ' "title": string, "summary": string (2-4 sentences on what the figure is for),',
+  ' "nodes": [{"id": "n1", "label": exact text of the box, "type": one of ' +
+    JSON.stringify(FIGURE_NODE_TYPES) +
+    "}],",
+  ' "edges": [{"from": node id, "to": node id, "label": branch text such as "Yes", "No", "Positive" or ""}]}',
+  "Rules:",
+  "- Copy labels, thresholds, doses and durations exactly as printed; do not paraphrase or add clinical content.",
+  "- Every arrow becomes an edge; a box with more than one outgoing branch is a decision.",
+  "- For figures that are not flowcharts, list the main labelled elements as nodes and leave edges empty.",
+  "- If text is unreadable, say so in the summary instead of guessing."
+].join("\n");
+
+// ---------- Stub ----------
+
+export function createStubDescriber() {
+  return {
+    name: "stub",
+    async describe({ chunk }) {
+      const caption = chunk.caption || chunk.attachment_id || chunk.chunk_id;
+      return {
+        kind: "other",
+        title: caption,
+        summary: `Caption only (stub describer): ${caption}`,
+        nodes: [{ id: "n1", label: caption, type: "note" }],
+        edges: []
+      };
+    }
+  };
+}
+
+// ---------- Vision LLM ----------
+
+export function createLlmDescriber({ model = chatModelFor("vision") } = {}) {
+  return {
+    name: `llm:${model}`,
+    async describe({ chunk, imageBase64, mimeType }) {
+      const completion = await getLlmProvider().chat({
+        model,
+        response_format: { type: "json_object" },
+        messages: [
+          { role: "system", content: VISION_PROMPT },
+          {
+            role: "user",
+            content: [
+              {
+                type: "text",
+                text: `Caption: ${chunk.caption || "(none)"}\nSection: ${chunk.section_path || "(none)"}`
+              },
+              { type: "image_url", image_url: { url: `data:${mimeType};base64,${imageBase64}` } }
+            ]
+          }
+        ]
+      });
+
+      const content = completion.choices?.[0]?.message?.content || "";
+      try {
+        return JSON.parse(content);
+      } catch {
+        throw new Error(`Vision model returned non-JSON output for ${chunk.chunk_id}`);
+      }
+    }
+  };
+}
+
+// ---------- Selection ----------
+
+// "stub", "llm" or a path to a module (resolved from the working directory).
+export async function loadFigureDescriber(spec = "stub") {
+  if (spec === "stub") return createStubDescriber();
+  if (spec === "llm") return createLlmDescriber();
+
+  const mod = await import(pathToFileURL(path.resolve(spec)).href);
+  const describe = mod.default || mod.describeFigure;
+  if (typeof describe !== "function") {
+    throw new Error(`Describer module ${spec} must export a function (default or describeFigure)`);
+  }
+  return { name: `module:${path.basename(spec)}`, describe };
+}
@@ -0,0 +1,188 @@
+// lib/rag/figures.js
+// Figure attachments (flowcharts, algorithms) as first-class RAG results: a
+// public URL the chat UI can load, pixel dimensions read from the PNG header,
+// the caption from chunk metadata and, when scripts/describe-figures.js has
+// been run, a structured description of what the figure shows.
+
+import fs from "fs";
+import path from "path";
+import { createLogger } from "../log.js";
+
+const log = createLogger({ component: "figures" });
+
+const PNG_SIGNATURE = Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]);
+
+// Figures never change at runtime, so sizes (and misses) are cached per file.
+const SIZE_CACHE = new Map();
+
+// Width/height from the IHDR chunk, which PNG requires to come first. Returns
+// null for missing or non-PNG files.
+export function readPngSize(file) {
+  if (SIZE_CACHE.has(file)) return SIZE_CACHE.get(file);
+
+  let size = null;
+  let fd = null;
+  try {
+    fd = fs.openSync(file, "r");
+    const header = Buffer.alloc(24);
+    const read = fs.readSync(fd, header, 0, 24, 0);
+    if (
+      read === 24 &&
+      header.subarray(0, 8).equals(PNG_SIGNATURE) &&
+      header.toString("ascii", 12, 16) === "IHDR"
+    ) {
+      size = { width: header.readUInt32BE(16), height: header.readUInt32BE(20) };
+    }
+  } catch (err) {
+    if (err?.code !== "ENOENT") log.warn("cannot read figure", { file, err });
+  } finally {
+    if (fd != null) fs.closeSync(fd);
+  }
+
+  SIZE_CACHE.set(file, size);
+  return size;
+}
+
+// URL for a file under public/, which the host serves from the site root.
+// Each path segment is encoded ("Fig. 1..png" -> "Fig.%201..png").
+// TB_PUBLIC_BASE_URL prefixes it when the UI is served from another origin.
+export function publicUrl(absPath, publicDir = path.join(process.cwd(), "public")) {
+  const rel = path.relative(publicDir, absPath);
+  if (!rel || rel.startsWith("..") || path.isAbsolute(rel)) return null;
+
+  const base = (process.env.TB_PUBLIC_BASE_URL || "").replace(/\/+$/, "");
+  return `${base}/${rel.split(path.sep).map(encodeURIComponent).join("/")}`;
+}
+
+// `figure` block for a figure chunk whose attachment resolves to absPath.
+// `available` is false when the image is not deployed with this build.
+export function figureInfo(chunk, absPath) {
+  const size = absPath ? readPngSize(absPath) : null;
+  return {
+    url: size ? publicUrl(absPath) : null,
+    width: size?.width ?? null,
+    height: size?.height ?? null,
+    caption: chunk.caption ?? null,
+    attachment_id: chunk.attachment_id ?? null,
+    available: !!size,
+    description: chunk.figure_description ?? null
+  };
+}
+
+// ---------- Figure descriptions ----------
+// scripts/describe-figures.js turns each figure image into a structured
+// description (nodes, decisions, edges) stored in figure_descriptions.jsonl
+// next to chunks.jsonl; loadRagStore merges it into the figure chunks so
+// retrieval and the mentor can reason over flowchart content, not just the
+// caption.
+
+export const FIGURE_KINDS = ["flowchart", "diagram", "chart", "table_image", "other"];
+export const FIGURE_NODE_TYPES = ["start", "step", "decision", "outcome", "note"];
+
+export function figureDescriptionsPath() {
+  return (
+    process.env.TB_FIGURE_DESCRIPTIONS_PATH ||
+    path.join(process.cwd(), "public", "rag", "figure_descriptions.jsonl")
+  );
+}
+
+const asText = (v) => (typeof v === "string" ? v.trim() : "");
+
+// Coerces a describer's output into the stored shape. Unknown kinds/types fall
+// back to "other"/"step"; edges to unknown nodes are dropped and counted.
+export function normalizeFigureDescription(raw) {
+  if (!raw || typeof raw !== "object" || Array.isArray(raw)) {
+    throw new Error("Figure description must be an object");
+  }
+
+  const nodes = [];
+  const ids = new Set();
+  for (const [i, n] of (Array.isArray(raw.nodes) ? raw.nodes : []).entries()) {
+    const label = asText(n?.label);
+    if (!label) continue;
+    let id = asText(String(n?.id ?? "")) || `n${i + 1}`;
+    while (ids.has(id)) id = `${id}_`;
+    ids.add(id);
+    nodes.push({ id, label, type: FIGURE_NODE_TYPES.includes(n?.type) ? n.type : "step" });
+  }
+
+  const edges = [];
+  let droppedEdges = 0;
+  for (const e of Array.isArray(raw.edges) ? raw.edges : []) {
+    const from = asText(String(e?.from ?? ""));
+    const to = asText(String(e?.to ?? ""));
+    if (!ids.has(from) || !ids.has(to)) {
+      droppedEdges += 1;
+      continue;
+    }
+    const label = asText(e?.label);
+    edges.push(label ? { from, to, label } : { from, to });
+  }
+
+  return {
+    kind: FIGURE_KINDS.includes(raw.kind) ? raw.kind : "other",
+    title: asText(raw.title) || null,
+    summary: asText(raw.summary) || null,
+    nodes,
+    edges,
+    dropped_edges: droppedEdges
+  };
+}
+
+// Plain-text rendering used for lexical retrieval and shown to the model.
+export function figureDescriptionText(description) {
+  if (!description) return "";
+  const labelOf = new Map(description.nodes.map((n) => [n.id, n.label]));
+  const lines = [
+    `Figure content (${description.kind})${description.title ? `: ${description.title}` : ""}.`
+  ];
+  if (description.summary) lines.push(description.summary);
+
+  for (const n of description.nodes) {
+    const out = description.edges
+      .filter((e) => e.from === n.id)
+      .map((e) => `${e.label ? `${e.label}: ` : ""}${labelOf.get(e.to)}`);
+    lines.push(`- [${n.type}] ${n.label}${out.length ? ` -> ${out.join("; ")}` : ""}`);
+  }
+  return lines.join("\n");
+}
+
+// chunk_id -> stored description record. A missing file is not an error: the
+// store simply has caption-only figures until the script has been run.
+export function loadFigureDescriptions(file = figureDescriptionsPath()) {
+  const byChunk = new Map();
+  let raw;
+  try {
+    raw = fs.readFileSync(file, "utf8");
+  } catch (err) {
+    if (err?.code === "ENOENT") return byChunk;
+    throw err;
+  }
+
+  raw.split("\n").forEach((line, i) => {
+    if (!line.trim()) return;
+    let record;
+    try {
+      record = JSON.parse(line);
+    } catch (err) {
+      throw new Error(`${file}:${i + 1}: ${err.message}`);
+    }
+    if (record?.chunk_id && record.description) byChunk.set(record.chunk_id, record);
+  });
+  return byChunk;
+}
+
+// Attaches descriptions to figure chunks in place. Records written for a
+// different attachment (the chunk was re-ingested) are skipped.
+export function mergeFigureDescriptions(chunks, descriptions = loadFigureDescriptions()) {
+  let merged = 0;
+  for (const chunk of chunks) {
+    const record = descriptions.get(chunk.chunk_id);
+    if (!record || (chunk.content_type || "").toLowerCase() !== "figure") continue;
+    if (record.attachment_path && record.attachment_path !== chunk.attachment_path) continue;
+    chunk.figure_description = record.description;
+    chunk.figure_text = figureDescriptionText(record.description);
+    merged += 1;
+  }
+  return merged;
+}
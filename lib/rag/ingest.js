@@ -0,0 +1,393 @@
+// lib/rag/ingest.js
+// In-repo guideline ingestion: source text -> chunks in the same schema as the
+// rag-chunker output (chunk_id, doc_id, section_path, content_type, pages,
+// caption, attachment_*, tokens_est, char_count, text), plus the store I/O that
+// scripts/ingest-guideline.js needs to update chunks.jsonl, chunk_meta.jsonl
+// and the embeddings incrementally.
+//
+// Sources:
+//   Markdown  "#" headings build section_path; "<!-- page: 12 -->" sets the page.
+//   PDF       converted with pdftotext (poppler-utils); form feeds are page
+//             breaks and numbered lines ("2.3 Title", "Annex 4 ...") are headings.
+//             Convert to Markdown first when the heading guess is poor.
+// A line starting with a caption ("Table 2.1. ...", "Fig. 3. ...", "Box 1. ...")
+// opens a table, figure or box chunk; tables and figures pick up a matching
+// CSV/PNG from the attachment directories given to the script.
+
+import crypto from "crypto";
+import { execFileSync } from "child_process";
+import fs from "fs";
+import path from "path";
+import Papa from "papaparse";
+
+const CHARS_PER_TOKEN = 4;
+const REF = "([A-Z]\\.?\\d+(?:\\.\\d+)*|\\d+(?:\\.\\d+)*)";
+const CAPTION_PATTERNS = [
+  { type: "table", prefix: "Table", re: new RegExp(`^Table\\s+${REF}(\\.?)(\\s*[.:–-]?\\s+.+)?$`) },
+  { type: "figure", prefix: "Fig.", re: new RegExp(`^(?:Fig\\.|Figure)\\s+${REF}(\\.?)(\\s*[.:–-]?\\s+.+)?$`) },
+  { type: "box", prefix: "Box", re: new RegExp(`^Box\\s+${REF}(\\.?)(\\s*[.:–-]?\\s+.+)?$`) }
+];
+const MD_PAGE = /^<!--\s*page:?\s*(\d+)\s*-->$/i;
+const MD_HEADING = /^(#{1,6})\s+(.+?)\s*#*$/;
+const PDF_HEADING = /^(?:(\d+(?:\.\d+){0,3})\.?|(Annex|Chapter)\s+[\dA-Z]+\.?)\s+([A-Z(].{2,110})$/;
+
+export function sha256(data) {
+  return crypto.createHash("sha256").update(data).digest("hex");
+}
+
+export function estimateTokens(text) {
+  return Math.ceil(String(text || "").length / CHARS_PER_TOKEN);
+}
+
+// ---------- Source reading ----------
+
+export function sourceFormat(file) {
+  const ext = path.extname(file).toLowerCase();
+  if (ext === ".pdf") return "pdf";
+  if ([".md", ".markdown", ".txt"].includes(ext)) return "markdown";
+  throw new Error(`Unsupported source ${file} (expected .pdf, .md or .txt)`);
+}
+
+export function readSourceText(file, format = sourceFormat(file)) {
+  if (format !== "pdf") return fs.readFileSync(file, "utf-8");
+  try {
+    return execFileSync("pdftotext", ["-enc", "UTF-8", file, "-"], {
+      encoding: "utf-8",
+      maxBuffer: 256 * 1024 * 1024
+    });
+  } catch (err) {
+    if (err?.code === "ENOENT") {
+      throw new Error("PDF sources need pdftotext (poppler-utils); install it or convert the PDF to Markdown");
+    }
+    throw err;
+  }
+}
+
+// ---------- Parsing ----------
+
+// Caption match for a line, or null. Requires punctuation after the number
+// ("Table 2. ..", "Fig. A.5.4 – ..") unless an attachment exists for it, so
+// running text like "Table 2 shows" stays text.
+export function matchCaption(line, hasAttachment = () => false) {
+  for (const { type, prefix, re } of CAPTION_PATTERNS) {
+    const m = line.match(re);
+    if (!m) continue;
+    const [, ref, dot, rest = ""] = m;
+    const punctuated = dot === "." || /^\s*[.:–-]/.test(rest);
+    if (!punctuated && !hasAttachment(type, ref)) continue;
+    return { type, ref, attachment_id: `${prefix} ${ref}${dot}`, caption: line.trim() };
+  }
+  return null;
+}
+
+// Flat block list: { type: "heading", level, title, page } |
+// { type: "caption", kind, ref, attachment_id, caption, page } |
+// { type: "paragraph", text, page }.
+export function parseSource(text, { format = "markdown", hasAttachment } = {}) {
+  const blocks = [];
+  let page = 1;
+  let paragraph = [];
+  let paragraphPage = page;
+
+  const flush = () => {
+    const joined = paragraph.join(" ").replace(/\s+/g, " ").trim();
+    if (joined) blocks.push({ type: "paragraph", text: joined, page: paragraphPage });
+    paragraph = [];
+  };
+
+  const pages = format === "pdf" ? text.split("\f") : [text];
+  pages.forEach((pageText, pageIndex) => {
+    if (format === "pdf") {
+      flush();
+      page = pageIndex + 1;
+    }
+
+    for (const rawLine of pageText.split("\n")) {
+      const line = rawLine.trim();
+      if (!line) {
+        flush();
+        continue;
+      }
+
+      const pageMarker = format === "markdown" && line.match(MD_PAGE);
+      if (pageMarker) {
+        flush();
+        page = Number(pageMarker[1]);
+        continue;
+      }
+
+      const heading = headingOf(line, format);
+      const caption = matchCaption(heading ? heading.title : line, hasAttachment);
+      if (heading && !caption) {
+        flush();
+        blocks.push({ type: "heading", ...heading, page });
+        continue;
+      }
+
+      if (caption) {
+        flush();
+        blocks.push({ ...caption, type: "caption", kind: caption.type, page });
+        continue;
+      }
+
+      if (!paragraph.length) paragraphPage = page;
+      paragraph.push(line);
+    }
+  });
+  flush();
+  return blocks;
+}
+
+function headingOf(line, format) {
+  if (format === "markdown") {
+    const m = line.match(MD_HEADING);
+    return m ? { level: m[1].length, title: m[2].trim() } : null;
+  }
+  const m = line.match(PDF_HEADING);
+  if (!m || /[.,;:]$/.test(line)) return null;
+  const level = m[1] ? m[1].split(".").length : 1;
+  return { level, title: line.replace(/\s+/g, " ") };
+}
+
+// ---------- Chunking ----------
+
+function pageRange(pages) {
+  const min = Math.min(...pages);
+  const max = Math.max(...pages);
+  return min === max ? String(min) : `${min}-${max}`;
+}
+
+// Splits text longer than maxChars at sentence ends (hard cut as a last resort).
+function splitLong(text, maxChars) {
+  if (text.length <= maxChars) return [text];
+  const parts = [];
+  let current = "";
+  for (const sentence of text.match(/[^.!?]+[.!?]+(?:\s+|$)|[^.!?]+$/g) || [text]) {
+    if (current && current.length + sentence.length > maxChars) {
+      parts.push(current.trim());
+      current = "";
+    }
+    current += sentence;
+    while (current.length > maxChars) {
+      parts.push(current.slice(0, maxChars).trim());
+      current = current.slice(maxChars);
+    }
+  }
+  if (current.trim()) parts.push(current.trim());
+  return parts;
+}
+
+// Text rendering of a table for its chunk: caption, then one line per row.
+export function tableChunkText(caption, logicalRows, { maxRows = 40 } = {}) {
+  const lines = [caption];
+  for (const row of logicalRows.slice(0, maxRows)) {
+    const cells = Object.entries(row)
+      .filter(([k, v]) => !k.startsWith("_") && v != null && String(v).trim())
+      .map(([k, v]) => `${k}: ${String(v).replace(/\s+/g, " ").trim()}`);
+    if (cells.length) lines.push(cells.join("; "));
+  }
+  if (logicalRows.length > maxRows) lines.push(`(${logicalRows.length - maxRows} more rows)`);
+  return lines.join("\n");
+}
+
+// Blocks -> chunk records. `attachments.resolve(kind, ref, attachmentId, caption)`
+// returns { attachment_path, text? } for a deployed CSV/PNG, or null.
+export function chunkBlocks(blocks, { docId, sourceManifest, maxTokens = 350, attachments = null }) {
+  const maxChars = maxTokens * CHARS_PER_TOKEN;
+  const chunks = [];
+  const headings = [];
+  let box = null; // caption block while inside a box
+  let buffer = [];
+
+  const sectionPath = () =>
+    [...headings.map((h) => h.title), ...(box ? [box.caption] : [])].join(" | ");
+
+  const push = (fields) => {
+    const text = fields.text || "";
+    chunks.push({
+      chunk_id: `${docId}|${String(chunks.length + 1).padStart(4, "0")}`,
+      doc_id: docId,
+      section_path: fields.section_path,
+      content_type: fields.content_type,
+      pages: fields.pages,
+      ...(fields.caption ? { caption: fields.caption } : {}),
+      tokens_est: estimateTokens(text),
+      char_count: text.length,
+      has_attachment: !!fields.attachment_path,
+      ...(fields.attachment_path
+        ? { attachment_id: fields.attachment_id, attachment_path: fields.attachment_path }
+        : {}),
+      source_manifest: sourceManifest,
+      text
+    });
+  };
+
+  const flush = () => {
+    if (!buffer.length) return;
+    let current = [];
+    let size = 0;
+    const emit = () => {
+      if (!current.length) return;
+      push({
+        section_path: sectionPath() || "(untitled)",
+        content_type: box ? "box" : "text",
+        pages: pageRange(current.map((p) => p.page)),
+        caption: box?.caption,
+        text: current.map((p) => p.text).join("\n")
+      });
+      current = [];
+      size = 0;
+    };
+    for (const para of buffer) {
+      for (const piece of splitLong(para.text, maxChars)) {
+        if (size && size + piece.length > maxChars) emit();
+        current.push({ text: piece, page: para.page });
+        size += piece.length + 1;
+      }
+    }
+    emit();
+    buffer = [];
+  };
+
+  for (const block of blocks) {
+    if (block.type === "paragraph") {
+      buffer.push(block);
+    } else if (block.type === "heading") {
+      flush();
+      box = null;
+      while (headings.length && headings[headings.length - 1].level >= block.level) headings.pop();
+      headings.push(block);
+    } else if (block.type === "caption") {
+      flush();
+      box = null;
+      if (block.kind === "box") {
+        box = block;
+        continue;
+      }
+      const attachment = attachments?.resolve(block.kind, block.ref, block.attachment_id, block.caption) || null;
+      push({
+        section_path: [...headings.map((h) => h.title), block.caption].join(" | "),
+        content_type: block.kind,
+        pages: String(block.page),
+        caption: block.caption,
+        attachment_id: block.attachment_id,
+        attachment_path: attachment?.attachment_path,
+        text: attachment?.text || block.caption
+      });
+    }
+  }
+  flush();
+  return chunks;
+}
+
+// ---------- Attachments ----------
+
+function refOfFile(name) {
+  const m = name.match(new RegExp(`^(?:Table|Fig\\.?|Figure|Box)[\\s_-]*${REF}`, "i"));
+  return m ? m[1] : null;
+}
+
+// Indexes CSV/PNG files in the given directories by their table/figure number.
+export function indexAttachmentFiles({ tablesDir = null, figuresDir = null } = {}) {
+  const index = { table: new Map(), figure: new Map() };
+  const scan = (dir, kind, exts) => {
+    if (!dir) return;
+    for (const name of fs.readdirSync(dir)) {
+      if (!exts.includes(path.extname(name).toLowerCase())) continue;
+      const ref = refOfFile(name);
+      if (ref) index[kind].set(ref, path.join(dir, name));
+    }
+  };
+  scan(tablesDir, "table", [".csv"]);
+  scan(figuresDir, "figure", [".png", ".jpg", ".jpeg"]);
+  return index;
+}
+
+// Rewrites a plain CSV (header row first) into the chunker layout
+// (doc_id, table_id, row_index, ColumnA..) that loadTableRows expects; CSVs
+// already in that layout are kept as they are.
+export function toChunkerCsv(csvText, { docId, tableId }) {
+  const rows = Papa.parse(csvText, { skipEmptyLines: true }).data;
+  if (rows.length && rows[0].includes("row_index") && rows[0].includes("ColumnA")) {
+    return csvText;
+  }
+  const width = Math.max(0, ...rows.map((r) => r.length));
+  const columns = Array.from({ length: width }, (_, i) => `Column${String.fromCharCode(65 + i)}`);
+  return Papa.unparse({
+    fields: ["doc_id", "table_id", "row_index", ...columns],
+    data: rows.map((r, i) => [docId, tableId, i + 1, ...columns.map((_, c) => r[c] ?? "")])
+  });
+}
+
+// ---------- Store I/O ----------
+
+export function readJsonl(file) {
+  if (!fs.existsSync(file)) return [];
+  return fs
+    .readFileSync(file, "utf-8")
+    .split("\n")
+    .filter((line) => line.trim())
+    .map((line) => JSON.parse(line));
+}
+
+export function writeFileAtomic(file, data) {
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  const tmp = `${file}.${process.pid}.tmp`;
+  fs.writeFileSync(tmp, data);
+  fs.renameSync(tmp, file);
+}
+
+export function writeJsonl(file, records) {
+  writeFileAtomic(file, records.length ? `${records.map((r) => JSON.stringify(r)).join("\n")}\n` : "");
+}
+
+// Float32 .npy (format 1.0), the layout loadEmbeddings reads.
+export function encodeNpy(rows) {
+  const cols = rows[0]?.length || 0;
+  let header = `{'descr': '<f4', 'fortran_order': False, 'shape': (${rows.length}, ${cols}), }`;
+  const unpadded = 10 + header.length + 1;
+  header += " ".repeat((64 - (unpadded % 64)) % 64) + "\n";
+
+  const prefix = Buffer.alloc(10);
+  Buffer.from([0x93]).copy(prefix, 0);
+  prefix.write("NUMPY", 1, "latin1");
+  prefix.writeUInt8(1, 6);
+  prefix.writeUInt8(0, 7);
+  prefix.writeUInt16LE(header.length, 8);
+
+  const data = new Float32Array(rows.length * cols);
+  rows.forEach((row, i) => data.set(row, i * cols));
+  return Buffer.concat([prefix, Buffer.from(header, "latin1"), Buffer.from(data.buffer)]);
+}
+
+// What gets embedded for a chunk. Reused embeddings are keyed by its hash, so
+// chunks whose ids shift but whose content is unchanged are not re-embedded.
+export function chunkEmbeddingText(chunk) {
+  return [chunk.section_path, chunk.caption, chunk.text]
+    .filter((v) => typeof v === "string" && v.trim())
+    .join("\n");
+}
+
+export function chunkContentHash(chunk) {
+  return sha256(chunkEmbeddingText(chunk));
+}
+
+// chunk_meta.jsonl is chunks.jsonl without the text.
+export function chunkMeta(chunk) {
+  const { text, ...meta } = chunk;
+  return meta;
+}
+
+// added / updated / removed chunk ids for one document, by chunk_id and content.
+export function diffChunks(previous, next) {
+  const before = new Map(previous.map((c) => [c.chunk_id, chunkContentHash(c)]));
+  const after = new Map(next.map((c) => [c.chunk_id, chunkContentHash(c)]));
+  const changes = { added: [], updated: [], removed: [], unchanged: 0 };
+  for (const [id, hash] of after) {
+    if (!before.has(id)) changes.added.push(id);
+    else if (before.get(id) !== hash) changes.updated.push(id);
+    else changes.unchanged += 1;
+  }
+  for (const id of before.keys()) if (!after.has(id)) changes.removed.push(id);
+  return changes;
+}
@@ -0,0 +1,289 @@
+// lib/rag/integrity.js
+// Consistency checks for the RAG store: chunk/embedding alignment, vector
+// shape and norms, duplicate ids, and the table/figure attachments chunks
+// point at. Produces a machine-readable report used by loadRagStore (which
+// refuses to serve a store with fatal errors), scripts/check-rag-store.js and
+// /api/tb-health.
+//
+// Report: { ok, checked_at, summary, checks: [{ id, status, fatal, message,
+// count, examples }] } with status "ok" | "warn" | "error". Fatal checks are
+// the ones that silently misalign retrieval (counts, dimensions, ids, vectors);
+// attachment errors only affect the chunks concerned.
+
+import fs from "fs";
+import Papa from "papaparse";
+
+const NORM_TOLERANCE = 0.01;
+const MAX_EXAMPLES = 10;
+
+function check(id, { fatal = false, problems = [], warn = false, message, details = {} }) {
+  return {
+    id,
+    status: problems.length ? (warn ? "warn" : "error") : "ok",
+    fatal: fatal && problems.length > 0 && !warn,
+    message,
+    count: problems.length,
+    examples: problems.slice(0, MAX_EXAMPLES),
+    ...details
+  };
+}
+
+// ---------- Chunks and embeddings ----------
+
+function checkCounts(chunks, embeddings) {
+  const problems =
+    chunks.length === embeddings.length
+      ? []
+      : [{ chunks: chunks.length, embeddings: embeddings.length }];
+  return check("counts", {
+    fatal: true,
+    problems,
+    message: problems.length
+      ? `${embeddings.length} embeddings for ${chunks.length} chunks; vectors would be misaligned`
+      : `${chunks.length} chunks, one embedding each`
+  });
+}
+
+function checkVectors(embeddings) {
+  const dims = new Map();
+  for (const vec of embeddings) {
+    const len = Array.isArray(vec) ? vec.length : -1;
+    dims.set(len, (dims.get(len) || 0) + 1);
+  }
+  const expected = Array.from(dims.entries()).sort((a, b) => b[1] - a[1])[0]?.[0] ?? 0;
+
+  const wrongDim = [];
+  const invalid = [];
+  const offUnit = [];
+  embeddings.forEach((vec, index) => {
+    if (!Array.isArray(vec) || vec.length !== expected) {
+      wrongDim.push({ index, dimensions: Array.isArray(vec) ? vec.length : null });
+      return;
+    }
+    let sum = 0;
+    for (const v of vec) sum += v * v;
+    const norm = Math.sqrt(sum);
+    if (!Number.isFinite(norm) || norm === 0) invalid.push({ index, norm });
+    else if (Math.abs(norm - 1) > NORM_TOLERANCE) offUnit.push({ index, norm: Number(norm.toFixed(4)) });
+  });
+
+  return [
+    check("embedding_dimensions", {
+      fatal: true,
+      problems: wrongDim,
+      message: wrongDim.length
+        ? `${wrongDim.length} embedding(s) differ from the store's ${expected} dimensions`
+        : `all embeddings have ${expected} dimensions`,
+      details: { dimensions: expected }
+    }),
+    check("embedding_values", {
+      fatal: true,
+      problems: invalid,
+      message: invalid.length
+        ? `${invalid.length} embedding(s) are zero or contain non-finite values`
+        : "all embeddings are finite and non-zero"
+    }),
+    // Vectors are normalized at load, so this only flags a store built
+    // differently from the others (e.g. a different model or pipeline).
+    check("embedding_norms", {
+      warn: true,
+      problems: offUnit,
+      message: offUnit.length
+        ? `${offUnit.length} embedding(s) are not unit length (tolerance ${NORM_TOLERANCE})`
+        : "all embeddings are unit length"
+    })
+  ];
+}
+
+function checkChunkIds(chunks) {
+  const seen = new Map();
+  const duplicates = [];
+  const missing = [];
+  const prefix = [];
+  chunks.forEach((c, index) => {
+    if (!c?.chunk_id || !c.doc_id || !c.content_type) {
+      missing.push({ index, chunk_id: c?.chunk_id ?? null });
+      return;
+    }
+    if (seen.has(c.chunk_id)) {
+      duplicates.push({ chunk_id: c.chunk_id, indexes: [seen.get(c.chunk_id), index] });
+    } else {
+      seen.set(c.chunk_id, index);
+    }
+    if (!c.chunk_id.startsWith(`${c.doc_id}|`)) prefix.push({ chunk_id: c.chunk_id, doc_id: c.doc_id });
+  });
+
+  return [
+    check("chunk_fields", {
+      fatal: true,
+      problems: missing,
+      message: missing.length
+        ? `${missing.length} chunk(s) lack chunk_id, doc_id or content_type`
+        : "every chunk has chunk_id, doc_id and content_type"
+    }),
+    check("duplicate_chunk_ids", {
+      fatal: true,
+      problems: duplicates,
+      message: duplicates.length
+        ? `${duplicates.length} duplicate chunk_id(s)`
+        : "chunk_ids are unique"
+    }),
+    check("chunk_id_doc_prefix", {
+      warn: true,
+      problems: prefix,
+      message: prefix.length
+        ? `${prefix.length} chunk_id(s) do not start with their doc_id`
+        : "chunk_ids start with their doc_id"
+    })
+  ];
+}
+
+// ---------- Attachments ----------
+
+function readCsvRows(file) {
+  const parsed = Papa.parse(fs.readFileSync(file, "utf8"), { header: true, skipEmptyLines: true });
+  return { rows: parsed.data || [], fields: parsed.meta?.fields || [], errors: parsed.errors || [] };
+}
+
+// resolvePath maps a chunk's attachment_path to an absolute path (the same
+// resolver the query path uses).
+function checkAttachments(chunks, resolvePath) {
+  const missingTables = [];
+  const missingFigures = [];
+  const headerProblems = [];
+  const docIdProblems = [];
+  const tableIdProblems = [];
+  let tables = 0;
+  let figures = 0;
+
+  for (const c of chunks) {
+    const type = (c?.content_type || "").toLowerCase();
+    if (!c?.attachment_path || (type !== "table" && type !== "figure")) continue;
+    const file = resolvePath(c.attachment_path);
+    const where = { chunk_id: c.chunk_id, attachment_path: c.attachment_path };
+
+    if (type === "figure") {
+      figures += 1;
+      if (!file || !fs.existsSync(file)) missingFigures.push(where);
+      continue;
+    }
+
+    tables += 1;
+    if (!file || !fs.existsSync(file)) {
+      missingTables.push(where);
+      continue;
+    }
+
+    let csv;
+    try {
+      csv = readCsvRows(file);
+    } catch (err) {
+      headerProblems.push({ ...where, problem: err.message });
+      continue;
+    }
+    if (!csv.fields.includes("row_index") || !csv.rows.some((r) => String(r.row_index) === "1")) {
+      headerProblems.push({ ...where, problem: "no row_index 1 header row" });
+    }
+
+    const docIds = new Set(csv.rows.map((r) => r.doc_id).filter(Boolean));
+    if (csv.fields.includes("doc_id") && (docIds.size !== 1 || !docIds.has(c.doc_id))) {
+      docIdProblems.push({ ...where, doc_id: c.doc_id, csv_doc_ids: Array.from(docIds) });
+    }
+    const tableIds = new Set(csv.rows.map((r) => r.table_id).filter(Boolean));
+    if (c.attachment_id && tableIds.size && !tableIds.has(c.attachment_id)) {
+      tableIdProblems.push({ ...where, attachment_id: c.attachment_id, csv_table_ids: Array.from(tableIds) });
+    }
+  }
+
+  return [
+    check("table_paths", {
+      problems: missingTables,
+      message: missingTables.length
+        ? `${missingTables.length} of ${tables} table CSV(s) are missing`
+        : `all ${tables} table CSV(s) resolve`
+    }),
+    check("table_header_rows", {
+      problems: headerProblems,
+      message: headerProblems.length
+        ? `${headerProblems.length} table CSV(s) lack a row_index 1 header row or cannot be parsed`
+        : "every table CSV has a row_index 1 header row"
+    }),
+    check("table_doc_ids", {
+      problems: docIdProblems,
+      message: docIdProblems.length
+        ? `${docIdProblems.length} table CSV(s) carry a doc_id different from their chunk`
+        : "table CSV doc_ids match their chunks"
+    }),
+    check("table_ids", {
+      warn: true,
+      problems: tableIdProblems,
+      message: tableIdProblems.length
+        ? `${tableIdProblems.length} table CSV(s) carry a table_id different from the chunk's attachment_id`
+        : "table CSV table_ids match attachment_ids"
+    }),
+    // Figure images are deployed selectively, so a missing one is a warning.
+    check("figure_paths", {
+      warn: true,
+      problems: missingFigures,
+      message: missingFigures.length
+        ? `${missingFigures.length} of ${figures} figure image(s) are not deployed`
+        : `all ${figures} figure image(s) resolve`
+    })
+  ];
+}
+
+// chunk_meta.jsonl must list the same chunks, in the same order, as chunks.jsonl.
+function checkChunkMeta(chunks, meta) {
+  const problems = [];
+  if (meta.length !== chunks.length) {
+    problems.push({ chunks: chunks.length, chunk_meta: meta.length });
+  }
+  const n = Math.min(meta.length, chunks.length);
+  for (let i = 0; i < n && problems.length < MAX_EXAMPLES; i++) {
+    if (meta[i]?.chunk_id !== chunks[i]?.chunk_id || meta[i]?.doc_id !== chunks[i]?.doc_id) {
+      problems.push({ index: i, chunk_id: chunks[i]?.chunk_id, chunk_meta_id: meta[i]?.chunk_id });
+    }
+  }
+  return check("chunk_meta", {
+    problems,
+    message: problems.length
+      ? "chunk_meta.jsonl does not match chunks.jsonl"
+      : "chunk_meta.jsonl matches chunks.jsonl"
+  });
+}
+
+// ---------- Report ----------
+
+// embeddings are the raw vectors as stored (before load-time normalization);
+// meta (chunk_meta.jsonl records) is optional.
+export function checkRagStore({ chunks, embeddings, resolvePath, meta = null }) {
+  const checks = [
+    checkCounts(chunks, embeddings),
+    ...checkVectors(embeddings),
+    ...checkChunkIds(chunks),
+    ...checkAttachments(chunks, resolvePath),
+    ...(meta ? [checkChunkMeta(chunks, meta)] : [])
+  ];
+
+  const errors = checks.filter((c) => c.status === "error");
+  return {
+    ok: errors.length === 0,
+    checked_at: new Date().toISOString(),
+    summary: {
+      chunks: chunks.length,
+      embeddings: embeddings.length,
+      dimensions: checks.find((c) => c.id === "embedding_dimensions").dimensions,
+      errors: errors.length,
+      fatal: errors.filter((c) => c.fatal).length,
+      warnings: checks.filter((c) => c.status === "warn").length
+    },
+    checks
+  };
+}
+
+// One line per failing check, for logs and error messages.
+export function describeIntegrityProblems(report, { fatalOnly = false } = {}) {
+  return report.checks
+    .filter((c) => c.status !== "ok" && (!fatalOnly || c.fatal))
+    .map((c) => `${c.status}: ${c.id}: ${c.message}`);
+}
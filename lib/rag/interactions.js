@@ -0,0 +1,585 @@
+// lib/rag/interactions.js
+// Structured drug–drug interaction index, built from the RAG store's tables
+// when the store loads, and the matcher behind /api/tb-interactions.
+//
+// Sources (each record keeps its table row):
+//   matrix      tables classified "interaction" with TB medicines as column
+//               headers (e.g. isoniazid/rifamycin effect tables, DR-TB vs HCV
+//               drug tables); one record per row x TB-medicine column
+//   art_row     an "Interactions with ART" row in a regimen comparison table;
+//               one record per listed antiretroviral, graded by its
+//               Contraindicated / Use with caution / Adjust dose / Use label
+//   art_changes ART-change tables ("Changes needed to antiretroviral therapy
+//               regimens ... on TB treatment"); one record per ART regimen row
+//   qt          rows of any table listing QT prolongation for a TB medicine,
+//               paired at query time with co-medications on the configured
+//               QT-prolonging list
+//
+// Co-medications match a record by name, or by class when the record speaks
+// for a whole class: a matrix row label ("Anticonvulsants"; its examples column
+// lists examples only) or an art_row item like "All PIs". A row naming a
+// combination ("Paritaprevir, ritonavir, ombitasvir") is matched on its
+// non-booster members, so "LPV/r" does not hit it through ritonavir.
+// Regimen-bound rows (TPT options in art_row) match on the regimen code.
+//
+// Severity: contraindicated > major > moderate > minor > none > unknown.
+// severity_source is "stated" when the table grades the interaction and
+// "inferred" when it only describes the effect (e.g. "Down").
+
+import fs from "fs";
+import path from "path";
+import { DS_TB_DRUGS, parseRegimen, tbDrugNames } from "../tb-drugs.js";
+
+export const SEVERITIES = ["contraindicated", "major", "moderate", "minor", "none", "unknown"];
+
+let TERMS = null;
+
+// ---------- Co-medication vocabulary ----------
+
+export function compileInteractionTerms(raw, source = "terms") {
+  if (!raw || typeof raw.medicines !== "object" || typeof raw.classes !== "object") {
+    throw new Error(`${source}: expected { medicines: {...}, classes: {...} }`);
+  }
+
+  const medicines = Object.entries(raw.medicines).map(([name, aliases]) => ({
+    name,
+    aliases: (aliases || []).map((a) => String(a).toLowerCase())
+  }));
+  const known = new Set(medicines.map((m) => m.name));
+
+  const classes = Object.entries(raw.classes).map(([name, cls]) => {
+    for (const member of cls.members || []) {
+      if (!known.has(member)) throw new Error(`${source}: class "${name}" lists unknown medicine "${member}"`);
+    }
+    return {
+      name,
+      terms: [name, ...(cls.terms || [])].map((t) => String(t).toLowerCase()),
+      members: new Set(cls.members || [])
+    };
+  });
+
+  for (const key of ["qt_prolonging", "boosters"]) {
+    for (const name of raw[key] || []) {
+      if (!known.has(name)) throw new Error(`${source}: ${key} lists unknown medicine "${name}"`);
+    }
+  }
+
+  return {
+    version: raw.version ?? null,
+    source,
+    medicines,
+    classes,
+    qtProlonging: new Set(raw.qt_prolonging || []),
+    boosters: new Set(raw.boosters || [])
+  };
+}
+
+export function loadInteractionTerms(file) {
+  const raw = JSON.parse(fs.readFileSync(file, "utf-8"));
+  return compileInteractionTerms(raw, file);
+}
+
+// TB_INTERACTION_TERMS_PATH overrides config/interaction-terms.json.
+export function getInteractionTerms() {
+  if (!TERMS) {
+    const file =
+      process.env.TB_INTERACTION_TERMS_PATH ||
+      path.join(process.cwd(), "config", "interaction-terms.json");
+    TERMS = loadInteractionTerms(file);
+  }
+  return TERMS;
+}
+
+export function setInteractionTerms(terms) {
+  TERMS = terms;
+}
+
+function tokensOf(lower) {
+  return new Set(lower.split(/[^a-z0-9/]+/).flatMap((t) => [t, ...t.split("/")]).filter(Boolean));
+}
+
+function hasTerm(lower, tokens, term) {
+  return /[^a-z0-9]/.test(term) || term.length > 4 ? lower.includes(term) : tokens.has(term);
+}
+
+// Canonical co-medication names and class names mentioned in `text`.
+function coMedicationsIn(terms, text) {
+  const lower = String(text || "").toLowerCase();
+  const tokens = tokensOf(lower);
+  const names = new Set();
+  const classes = new Set();
+
+  for (const med of terms.medicines) {
+    if (lower.includes(med.name) || med.aliases.some((a) => hasTerm(lower, tokens, a))) {
+      names.add(med.name);
+    }
+  }
+  for (const cls of terms.classes) {
+    if (cls.terms.some((t) => hasTerm(lower, tokens, t))) classes.add(cls.name);
+  }
+  return { names, classes };
+}
+
+// ---------- Helpers ----------
+
+function clean(value) {
+  return String(value ?? "")
+    .replace(/\[\s*[a-z](?:\s*,\s*[a-z])*\s*\]/gi, "")
+    .replace(/\s+/g, " ")
+    .trim();
+}
+
+function isBlank(text) {
+  return !text || /^[–—-]+$/.test(text);
+}
+
+function headersOf(logicalRows) {
+  return Object.keys(logicalRows[0] || {}).filter((h) => h !== "_row_index");
+}
+
+function parentheticals(text) {
+  return Array.from(text.matchAll(/\(([^)]*)\)/g)).map((m) => m[1]).join(", ");
+}
+
+function classifySeverity(text) {
+  const t = text.toLowerCase();
+  if (/contraindicat|should not be (used|given)|do not (use|give)|\bavoid/.test(t)) return "contraindicated";
+  if (/no (clinically significant )?interaction|no restriction/.test(t)) return "none";
+  if (/weak|unlikely to be clinically significant/.test(t)) return "minor";
+  if (/clinically significant/.test(t)) return "major";
+  return null;
+}
+
+// Regimen codes a label or request stands for: "2HRZE/4HR" -> 2HRZE/4HR,
+// 2HRZE, 4HR; "H + CPT + B6 (Q-TIB)" -> H+CPT+B6(Q-TIB), Q-TIB.
+function regimenKeys(text) {
+  const compact = String(text || "").toUpperCase().replace(/\s+/g, "");
+  const keys = new Set(compact ? [compact] : []);
+  for (const part of compact.split(/[/,;]/)) if (part) keys.add(part);
+  for (const m of compact.matchAll(/\(([^)]+)\)/g)) keys.add(m[1]);
+  return keys;
+}
+
+// ---------- Extractors ----------
+
+function sourceFor(chunk, row, column) {
+  return {
+    doc_id: chunk.doc_id,
+    chunk_id: chunk.chunk_id,
+    table_id: chunk.attachment_id || chunk.table_id || null,
+    caption: chunk.caption || null,
+    row_index: Number(row._row_index),
+    column: column || null,
+    attachment_path: chunk.attachment_path || null
+  };
+}
+
+// classText: the part of the row that names a class the record speaks for
+// (defaults to the co-medication when it names no specific medicine).
+// entityText: the row's co-medication entity, checked for combinations.
+function makeRecord(
+  terms,
+  {
+    kind,
+    tbDrugs,
+    tbLabel,
+    regimen,
+    coMedication,
+    coText,
+    classText,
+    entityText,
+    severity,
+    severitySource,
+    effect,
+    qualifier,
+    management,
+    population,
+    source
+  }
+) {
+  const { names, classes } = coMedicationsIn(terms, coText ?? coMedication);
+  const classWide = classText != null ? coMedicationsIn(terms, classText).classes : names.size ? new Set() : classes;
+  const entity = coMedicationsIn(terms, entityText ?? coMedication).names;
+  return {
+    kind,
+    tb_drugs: Array.from(tbDrugs),
+    tb_label: tbLabel,
+    regimen_keys: regimen ? regimenKeys(regimen) : null,
+    co_medication: coMedication,
+    co_names: names,
+    co_classes: classWide,
+    combination: entity.size > 1,
+    co_text: String(coText ?? coMedication).toLowerCase(),
+    severity: severity || "unknown",
+    severity_source: severity ? severitySource : null,
+    effect: effect || null,
+    qualifier: qualifier || null,
+    management: management || null,
+    population: population || null,
+    source
+  };
+}
+
+// Cells like "Up (Ritonavir, efavirenz)" or "Down (PIs) Down (Nevirapine
+// with rifampicin)": one statement per Up/Down. A TB medicine named in the
+// parenthesis ("Down (Rifapentine)") is kept as a qualifier; the statement
+// still applies to the column's TB medicines.
+function splitStatements(cell) {
+  const parts = cell.split(/(?=\b(?:Up|Down)\b)/).map((s) => s.trim()).filter(Boolean);
+  return parts.length ? parts : [cell];
+}
+
+function extractMatrix(terms, chunk, logicalRows) {
+  const headers = headersOf(logicalRows);
+  const tbColumns = headers.filter((h) => tbDrugNames(h).size);
+  const labelColumn = headers.find((h) => !tbColumns.includes(h));
+  if (!tbColumns.length || !labelColumn) return [];
+  const examplesColumn = headers.find((h) => h !== labelColumn && /example/i.test(h));
+  const records = [];
+
+  for (const row of logicalRows) {
+    const label = clean(row[labelColumn]);
+    if (!label) continue;
+    const examples = examplesColumn ? clean(row[examplesColumn]) : "";
+
+    for (const column of tbColumns) {
+      const cell = clean(row[column]);
+      if (isBlank(cell)) continue;
+      const header = clean(column);
+      // Descriptive headers ("Isoniazid inhibits metabolism and increases
+      // blood levels") carry the effect; the cell only says Up/Down.
+      const headerDescribes = /increase|decrease|inhibit|induce|accelerate|level/i.test(header);
+
+      for (const statement of splitStatements(cell)) {
+        const inner = parentheticals(statement);
+        const qualifiers = tbDrugNames(inner);
+        const innerCo = coMedicationsIn(terms, inner);
+        const stated = classifySeverity(statement);
+        const levelChange = /^(up|down)\b/i.test(statement);
+        records.push(
+          makeRecord(terms, {
+            kind: "matrix",
+            tbDrugs: tbDrugNames(header),
+            tbLabel: header,
+            coMedication: examples ? `${label} (e.g. ${examples})` : label,
+            coText: [label, examples, inner].filter(Boolean).join(", "),
+            // "Up (Ritonavir, efavirenz)" speaks for those medicines only;
+            // "Down (Protease inhibitors)" for that class; a bare "Down" for
+            // the row's class, whatever the examples column lists.
+            classText: innerCo.names.size ? "" : innerCo.classes.size ? inner : label,
+            entityText: label,
+            severity: stated || (levelChange ? "moderate" : null),
+            severitySource: stated ? "stated" : "inferred",
+            effect: headerDescribes ? `${header}: ${statement}` : statement,
+            qualifier: qualifiers.size ? `Stated for ${Array.from(qualifiers).join(", ")}: ${inner}` : null,
+            source: sourceFor(chunk, row, column)
+          })
+        );
+      }
+    }
+  }
+  return records;
+}
+
+const ART_LABELS = [
+  { re: /contraindicated\s*:/i, severity: "contraindicated", management: "Contraindicated" },
+  { re: /use with caution\s*:/i, severity: "moderate", management: "Use with caution" },
+  { re: /adjust dose\s*:/i, severity: "moderate", management: "Adjust dose" },
+  { re: /\buse\s*:/i, severity: "none", management: "Can be used" }
+];
+
+// "Contraindicated: All PIs, NVP Use with caution: TAF Adjust dose: DTG, RAL
+// Use: TDF, EFV" -> [{ label, items }]
+function splitArtCell(cell) {
+  const marks = [];
+  for (const label of ART_LABELS) {
+    const re = new RegExp(label.re.source, "gi");
+    for (const m of cell.matchAll(re)) marks.push({ index: m.index, length: m[0].length, label });
+  }
+  marks.sort((a, b) => a.index - b.index);
+
+  return marks.map((mark, i) => {
+    const end = i + 1 < marks.length ? marks[i + 1].index : cell.length;
+    const items = cell
+      .slice(mark.index + mark.length, end)
+      .split(/,(?![^()]*\))|\band\b/)
+      .map((s) => s.trim())
+      .filter(Boolean);
+    return { label: mark.label, items };
+  });
+}
+
+function extractArtRow(terms, chunk, logicalRows) {
+  const headers = headersOf(logicalRows);
+  const labelColumn = headers[0];
+  const artRow = logicalRows.find((r) => /^interactions? with (art|antiretroviral)/i.test(clean(r[labelColumn])));
+  if (!artRow) return [];
+  const drugsRow = logicalRows.find((r) => /^drugs?\b/i.test(clean(r[labelColumn])));
+  const records = [];
+
+  for (const column of headers.slice(1)) {
+    const cell = clean(artRow[column]);
+    if (isBlank(cell)) continue;
+    // Prefer the "Drug(s)" row; column headers like "H + CPT + B6" are not
+    // pure regimen codes.
+    let tbDrugs = drugsRow ? tbDrugNames(drugsRow[column], { classes: false }) : new Set();
+    if (!tbDrugs.size) tbDrugs = parseRegimen(column);
+    if (!tbDrugs.size) continue;
+    const source = sourceFor(chunk, artRow, column);
+
+    if (/^no restriction/i.test(cell)) {
+      records.push(
+        makeRecord(terms, {
+          kind: "art_row",
+          tbDrugs,
+          tbLabel: column,
+          regimen: column,
+          coMedication: "Antiretroviral therapy",
+          coText: "antiretroviral",
+          severity: "none",
+          severitySource: "stated",
+          management: cell,
+          source
+        })
+      );
+      continue;
+    }
+
+    for (const { label, items } of splitArtCell(cell)) {
+      for (const item of items) {
+        records.push(
+          makeRecord(terms, {
+            kind: "art_row",
+            tbDrugs,
+            tbLabel: column,
+            regimen: column,
+            coMedication: item,
+            severity: label.severity,
+            severitySource: "stated",
+            management: label.management,
+            source
+          })
+        );
+      }
+    }
+  }
+  return records;
+}
+
+function artChangeSeverity(text) {
+  const t = text.toLowerCase();
+  if (/should not be used|change of regimen is needed|substitute|replace/.test(t)) return "contraindicated";
+  if (/dose adjustment|adjust|double|twice daily|super-boosted/.test(t)) return "moderate";
+  return null;
+}
+
+function extractArtChanges(terms, chunk, logicalRows) {
+  const headers = headersOf(logicalRows);
+  const artColumn = headers.find((h) => /\bART\b|antiretroviral/i.test(h));
+  const changeColumn = headers.find((h) => h !== artColumn && /changes needed|management|recommendation|adjust/i.test(h));
+  if (!artColumn || !changeColumn) return [];
+  const populationColumn = headers.find((h) => /^age$|population/i.test(h.trim()));
+
+  // TB side from the caption: named medicines, or the standard regimen for
+  // "drug-susceptible TB treatment".
+  const caption = chunk.caption || "";
+  let tbDrugs = tbDrugNames(caption);
+  if (!tbDrugs.size && /drug-susceptible/i.test(caption)) tbDrugs = new Set(DS_TB_DRUGS);
+  if (!tbDrugs.size) return [];
+
+  const records = [];
+  for (const row of logicalRows) {
+    const regimen = clean(row[artColumn]);
+    const change = clean(row[changeColumn]);
+    if (!regimen || isBlank(change)) continue;
+    const severity = artChangeSeverity(change);
+    records.push(
+      makeRecord(terms, {
+        kind: "art_changes",
+        tbDrugs,
+        tbLabel: caption.replace(/^Table\s+[\w.]+\s*/i, ""),
+        coMedication: regimen,
+        severity,
+        severitySource: "inferred",
+        management: change,
+        population: populationColumn ? clean(row[populationColumn]) || null : null,
+        source: sourceFor(chunk, row, changeColumn)
+      })
+    );
+  }
+  return records;
+}
+
+// TB medicine (first column) -> rows that mention QT prolongation.
+function extractQt(chunk, logicalRows) {
+  const headers = headersOf(logicalRows);
+  if (!headers.length) return [];
+  const found = [];
+  for (const row of logicalRows) {
+    const drugs = tbDrugNames(row[headers[0]], { classes: false });
+    if (drugs.size !== 1) continue;
+    const column = headers.find((h) => /\bQTc?\b/.test(String(row[h] || "")));
+    if (!column) continue;
+    found.push({ tb_drug: Array.from(drugs)[0], text: clean(row[column]), source: sourceFor(chunk, row, column) });
+  }
+  return found;
+}
+
+// ---------- Index ----------
+
+// chunks: RAG store chunks. loadRows(chunk) -> logicalRows for a table chunk;
+// subtypeOf(chunk, logicalRows) -> detected table subtype.
+export function buildInteractionIndex(chunks, { loadRows, subtypeOf, terms = getInteractionTerms() }) {
+  const records = [];
+  const qt = new Map();
+  const tables = [];
+
+  for (const chunk of chunks) {
+    if (chunk.content_type !== "table" || !chunk.attachment_path) continue;
+
+    let logicalRows;
+    try {
+      logicalRows = loadRows(chunk);
+    } catch {
+      continue;
+    }
+    if (!logicalRows.length) continue;
+
+    const found = [];
+    if (subtypeOf(chunk, logicalRows) === "interaction") found.push(...extractMatrix(terms, chunk, logicalRows));
+    found.push(...extractArtRow(terms, chunk, logicalRows));
+    if (/antiretroviral|\bART\b/.test(chunk.caption || "")) found.push(...extractArtChanges(terms, chunk, logicalRows));
+
+    for (const entry of extractQt(chunk, logicalRows)) {
+      if (!qt.has(entry.tb_drug)) qt.set(entry.tb_drug, []);
+      qt.get(entry.tb_drug).push(entry);
+    }
+
+    if (found.length) {
+      records.push(...found);
+      tables.push({
+        chunk_id: chunk.chunk_id,
+        caption: chunk.caption || null,
+        kinds: Array.from(new Set(found.map((r) => r.kind))),
+        records: found.length
+      });
+    }
+  }
+
+  return { records, qt, tables, terms_version: terms.version };
+}
+
+// ---------- Matching ----------
+
+function publicRecord(record, co, matchedOn) {
+  const { co_names, co_classes, co_text, combination, regimen_keys, ...rest } = record;
+  return { co_medication_input: co, matched_on: matchedOn, ...rest };
+}
+
+// Whether the record applies to the requested TB medicines. Regimen-bound
+// rows: a TPT option column applies only to that regimen code; a treatment
+// table (art_changes) only when every medicine of its regimen is taken.
+function appliesToTb(record, tbDrugs, requestedRegimens) {
+  if (record.regimen_keys) return Array.from(record.regimen_keys).some((k) => requestedRegimens.has(k));
+  if (record.kind === "art_changes") return record.tb_drugs.every((d) => tbDrugs.has(d));
+  return record.tb_drugs.some((d) => tbDrugs.has(d));
+}
+
+function unmatchedNote(index, unmatched, resolved) {
+  if (!unmatched.length) return null;
+  const listedElsewhere = unmatched.filter((co) => {
+    const { names, classes } = resolved.find((r) => r.input === co);
+    return index.records.some(
+      (r) => names.some((n) => r.co_names.has(n)) || classes.some((c) => r.co_classes.has(c))
+    );
+  });
+  return (
+    `No row of the ${index.tables.length} indexed WHO tables pairs ${unmatched.join(", ")} with these TB medicines` +
+    (listedElsewhere.length ? ` (listed there only with other TB medicines: ${listedElsewhere.join(", ")})` : "") +
+    ". Only those tables are indexed, so this is not evidence that no interaction exists."
+  );
+}
+
+// input: { regimen?, tb_drugs?, co_medications: [] }
+export function findInteractions(index, input = {}, terms = getInteractionTerms()) {
+  const tbDrugs = parseRegimen([input.regimen, ...(input.tb_drugs || [])].filter(Boolean));
+  if (!tbDrugs.size) {
+    const err = new Error("Could not recognise any TB medicine in regimen/tb_drugs (e.g. \"2HRZE/4HR\", \"BPaLM\", [\"bedaquiline\"]).");
+    err.statusCode = 400;
+    throw err;
+  }
+  const coMeds = (input.co_medications || []).map((c) => String(c).trim()).filter(Boolean);
+  if (!coMeds.length) {
+    const err = new Error("co_medications must list at least one medicine");
+    err.statusCode = 400;
+    throw err;
+  }
+
+  const requestedRegimens = regimenKeys(input.regimen);
+  const interactions = [];
+  const unmatched = [];
+  const resolved = [];
+
+  for (const co of coMeds) {
+    const { names, classes } = coMedicationsIn(terms, co);
+    for (const cls of terms.classes) {
+      if (Array.from(names).some((n) => cls.members.has(n))) classes.add(cls.name);
+    }
+    resolved.push({ input: co, names: Array.from(names), classes: Array.from(classes) });
+    const literal = names.size ? null : co.toLowerCase();
+
+    const hits = [];
+    const unboosted = Array.from(names).filter((n) => !terms.boosters.has(n));
+
+    for (const record of index.records) {
+      if (!appliesToTb(record, tbDrugs, requestedRegimens)) continue;
+      // A booster in the input ("LPV/r") is not a reason to match a combination row.
+      const candidates = record.combination ? unboosted : Array.from(names);
+      let matchedOn = null;
+      if (candidates.some((n) => record.co_names.has(n))) matchedOn = "name";
+      else if (literal && literal.length > 3 && record.co_text.includes(literal)) matchedOn = "name";
+      else if (Array.from(classes).some((c) => record.co_classes.has(c))) matchedOn = "class";
+      if (matchedOn) hits.push(publicRecord(record, co, matchedOn));
+    }
+
+    if (Array.from(names).some((n) => terms.qtProlonging.has(n))) {
+      for (const tb of tbDrugs) {
+        for (const entry of index.qt.get(tb) || []) {
+          hits.push({
+            co_medication_input: co,
+            matched_on: "qt_list",
+            kind: "qt",
+            tb_drugs: [tb],
+            tb_label: tb,
+            co_medication: co,
+            severity: "moderate",
+            severity_source: "inferred",
+            effect: `Additive QT prolongation: ${entry.text}`,
+            management: null,
+            population: null,
+            source: entry.source
+          });
+        }
+      }
+    }
+
+    if (hits.length) interactions.push(...hits);
+    else unmatched.push(co);
+  }
+
+  interactions.sort((a, b) => SEVERITIES.indexOf(a.severity) - SEVERITIES.indexOf(b.severity));
+
+  return {
+    tb_drugs: Array.from(tbDrugs),
+    co_medications: resolved,
+    interactions,
+    unmatched_co_medications: unmatched,
+    note: unmatchedNote(index, unmatched, resolved),
+    coverage: {
+      indexed_tables: index.tables.map((t) => t.caption || t.chunk_id),
+      note:
+        `Only ${index.tables.length} WHO interaction tables are indexed; ` +
+        "medicines and regimens outside them are reported as unmatched."
+    }
+  };
+}
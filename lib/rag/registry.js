@@ -0,0 +1,201 @@
+// lib/rag/registry.js
+// Guideline document registry (config/document-registry.json): which edition
+// of each module a doc_id is, whether it is current, and which of its
+// sections newer guidance replaces.
+//
+// Document entry:
+//   { doc_id, module, title?, edition_year, status: "current" | "superseded" | "withdrawn",
+//     supersedes?: [doc_id], superseded_sections?: [{ sections, superseded_by, reason? }] }
+//
+// An older edition of a module is treated as superseded by the newest
+// current edition of the same module even when not listed in `supersedes`.
+// `sections` are section numbers ("5.3" also covers "5.3.2") matched against
+// the leading number of each section_path segment.
+//
+// Retrieval penalizes superseded editions (superseded_edition_penalty).
+// Superseded sections are only labelled (superseded_by on results and
+// citations): down-weighting them is left to the question- and anchor-gated
+// rules in config/rag-rules.json, which only fire when the newer guidance is
+// actually among the results.
+
+import fs from "fs";
+import path from "path";
+
+const STATUSES = ["current", "superseded", "withdrawn"];
+
+const DEFAULT_SETTINGS = {
+  superseded_edition_penalty: 0.8
+};
+
+let REGISTRY = null;
+
+// ---------- Loading + validation ----------
+
+export function compileRegistry(raw, source = "registry") {
+  if (!raw || !Array.isArray(raw.documents)) {
+    throw new Error(`${source}: expected { documents: [...] }`);
+  }
+
+  const docs = new Map();
+  raw.documents.forEach((d, i) => {
+    const where = `${source}: documents[${i}]`;
+    if (!d || typeof d.doc_id !== "string" || !d.doc_id) {
+      throw new Error(`${where}: doc_id is required`);
+    }
+    if (docs.has(d.doc_id)) throw new Error(`${where}: duplicate doc_id "${d.doc_id}"`);
+    if (!Number.isInteger(d.module)) throw new Error(`${where}: module must be an integer`);
+    if (!Number.isInteger(d.edition_year)) throw new Error(`${where}: edition_year must be an integer`);
+
+    const status = d.status || "current";
+    if (!STATUSES.includes(status)) {
+      throw new Error(`${where}: status must be one of ${STATUSES.join(", ")}`);
+    }
+
+    docs.set(d.doc_id, {
+      doc_id: d.doc_id,
+      module: d.module,
+      title: d.title || null,
+      edition_year: d.edition_year,
+      status,
+      supersedes: Array.isArray(d.supersedes) ? d.supersedes : [],
+      superseded_by: null,
+      superseded_sections: (d.superseded_sections || []).map((s, j) => {
+        if (!Array.isArray(s.sections) || !s.sections.length || !s.superseded_by) {
+          throw new Error(`${where}.superseded_sections[${j}]: needs sections[] and superseded_by`);
+        }
+        return {
+          sections: s.sections.map(String),
+          superseded_by: s.superseded_by,
+          reason: s.reason || null
+        };
+      })
+    });
+  });
+
+  for (const doc of docs.values()) {
+    for (const s of doc.superseded_sections) {
+      if (!docs.has(s.superseded_by)) {
+        throw new Error(`${source}: ${doc.doc_id} section superseded_by unknown doc "${s.superseded_by}"`);
+      }
+    }
+    for (const older of doc.supersedes) {
+      if (!docs.has(older)) {
+        throw new Error(`${source}: ${doc.doc_id} supersedes unknown doc "${older}"`);
+      }
+      docs.get(older).superseded_by = doc.doc_id;
+    }
+  }
+
+  // Newest current edition per module wins; older editions point at it.
+  const newestByModule = new Map();
+  for (const doc of docs.values()) {
+    if (doc.status !== "current") continue;
+    const best = newestByModule.get(doc.module);
+    if (!best || doc.edition_year > best.edition_year) newestByModule.set(doc.module, doc);
+  }
+  for (const doc of docs.values()) {
+    const newest = newestByModule.get(doc.module);
+    if (doc.superseded_by || !newest || newest === doc) continue;
+    if (doc.status !== "current" || doc.edition_year < newest.edition_year) {
+      doc.superseded_by = newest.doc_id;
+    }
+  }
+
+  return {
+    version: raw.version ?? null,
+    source,
+    settings: { ...DEFAULT_SETTINGS, ...(raw.settings || {}) },
+    docs
+  };
+}
+
+export function loadDocumentRegistry(file) {
+  const raw = JSON.parse(fs.readFileSync(file, "utf-8"));
+  return compileRegistry(raw, file);
+}
+
+// TB_DOC_REGISTRY_PATH overrides config/document-registry.json.
+export function getDocumentRegistry() {
+  if (!REGISTRY) {
+    const file =
+      process.env.TB_DOC_REGISTRY_PATH ||
+      path.join(process.cwd(), "config", "document-registry.json");
+    REGISTRY = loadDocumentRegistry(file);
+  }
+  return REGISTRY;
+}
+
+export function setDocumentRegistry(registry) {
+  REGISTRY = registry;
+}
+
+// ---------- Lookups ----------
+
+export function registryEntry(registry, docId) {
+  return registry.docs.get(docId) || null;
+}
+
+function leadingSectionNumbers(sectionPath) {
+  return String(sectionPath || "")
+    .split("|")
+    .map((seg) => seg.trim().match(/^(\d+(?:\.\d+)*)\.?(?:\s|$)/)?.[1])
+    .filter(Boolean);
+}
+
+// Returns null, or { superseded_by, reason, scope: "edition" | "section" }.
+export function supersessionFor(registry, chunk) {
+  const doc = registryEntry(registry, chunk?.doc_id);
+  if (!doc) return null;
+
+  if (doc.superseded_by) {
+    const newer = registryEntry(registry, doc.superseded_by);
+    return {
+      superseded_by: doc.superseded_by,
+      reason: `Newer edition available (${newer?.edition_year ?? "?"}).`,
+      scope: "edition"
+    };
+  }
+
+  if (!doc.superseded_sections.length) return null;
+  const numbers = leadingSectionNumbers(chunk.section_path);
+  for (const s of doc.superseded_sections) {
+    const hit = s.sections.some((prefix) =>
+      numbers.some((n) => n === prefix || n.startsWith(`${prefix}.`))
+    );
+    if (hit) return { superseded_by: s.superseded_by, reason: s.reason, scope: "section" };
+  }
+  return null;
+}
+
+// Resolves a request's `edition` (doc_id, "module5@2022", { module, year },
+// or an array of these) to registry entries. Throws on unknown editions.
+export function resolveEditionRequest(registry, edition) {
+  if (edition === undefined || edition === null || edition === "") return [];
+  const wanted = Array.isArray(edition) ? edition : [edition];
+  const all = Array.from(registry.docs.values());
+
+  return wanted.map((w) => {
+    let doc = null;
+    if (typeof w === "string" && registry.docs.has(w)) {
+      doc = registry.docs.get(w);
+    } else {
+      const m =
+        typeof w === "string"
+          ? w.match(/^module\s*(\d+)\s*@\s*(\d{4})$/i)
+          : [null, w?.module, w?.year ?? w?.edition_year];
+      if (m) {
+        doc = all.find(
+          (d) => d.module === Number(m[1]) && d.edition_year === Number(m[2])
+        );
+      }
+    }
+
+    if (!doc) {
+      const available = all.map((d) => `module${d.module}@${d.edition_year}`).join(", ");
+      const err = new Error(`Unknown edition ${JSON.stringify(w)}. Available: ${available}.`);
+      err.statusCode = 400;
+      throw err;
+    }
+    return doc;
+  });
+}
@@ -0,0 +1,263 @@
+// lib/rag/rules.js
+// Declarative ranking rules for the RAG pipeline (config/rag-rules.json).
+//
+// A rule is { id, description?, when?, match, action }:
+//
+//   when    request-level conditions, all optional and ANDed:
+//             scope        ["treatment", ...]   scope used for the query
+//             intent_all   flags that must all be present
+//             intent_any   at least one of these flags
+//             intent_none  none of these flags
+//             anchor       chunk matcher that at least one top text anchor
+//                          must satisfy (rule then runs after the
+//                          table-neighbor lift)
+//   match   chunk matcher selecting the chunks the action applies to
+//   action  { type: "boost" | "penalize", factor }
+//           { type: "require_min_count", count }  keep at least `count`
+//           matching chunks in the merged candidate pool
+//
+// A chunk matcher ANDs field conditions over doc_id, section_path,
+// content_type, table_subtype, scope and text. Each field takes
+// { is, is_not, contains_any, contains_all, contains_none } (case-insensitive),
+// and matchers nest with `any: [...]`, `all: [...]` and `not: {...}`.
+
+import fs from "fs";
+import path from "path";
+
+const FIELDS = ["doc_id", "section_path", "content_type", "table_subtype", "scope", "text"];
+const FIELD_OPS = ["is", "is_not", "contains_any", "contains_all", "contains_none"];
+const ACTIONS = ["boost", "penalize", "require_min_count"];
+
+const DEFAULT_SETTINGS = {
+  anchor_count: 10,
+  neighbor_table_lift: 0.98
+};
+
+let RULESET = null;
+
+// ---------- Loading + validation ----------
+
+function lowerList(value) {
+  return (Array.isArray(value) ? value : [value]).map((v) => String(v).toLowerCase());
+}
+
+function compileMatcher(matcher, where) {
+  if (!matcher || typeof matcher !== "object" || Array.isArray(matcher)) {
+    throw new Error(`${where}: matcher must be an object`);
+  }
+
+  const compiled = { fields: [], any: null, all: null, not: null };
+
+  for (const [key, value] of Object.entries(matcher)) {
+    if (key === "any" || key === "all") {
+      if (!Array.isArray(value) || !value.length) {
+        throw new Error(`${where}.${key}: must be a non-empty array of matchers`);
+      }
+      compiled[key] = value.map((m, i) => compileMatcher(m, `${where}.${key}[${i}]`));
+    } else if (key === "not") {
+      compiled.not = compileMatcher(value, `${where}.not`);
+    } else if (FIELDS.includes(key)) {
+      if (!value || typeof value !== "object" || Array.isArray(value)) {
+        throw new Error(`${where}.${key}: expected { ${FIELD_OPS.join(" | ")} }`);
+      }
+      const ops = {};
+      for (const [op, list] of Object.entries(value)) {
+        if (!FIELD_OPS.includes(op)) {
+          throw new Error(`${where}.${key}: unknown operator "${op}"`);
+        }
+        ops[op] = lowerList(list);
+      }
+      compiled.fields.push({ field: key, ops });
+    } else {
+      throw new Error(`${where}: unknown matcher key "${key}"`);
+    }
+  }
+
+  return compiled;
+}
+
+function compileRule(rule, index) {
+  const where = `rules[${index}]${rule?.id ? ` (${rule.id})` : ""}`;
+  if (!rule || typeof rule.id !== "string" || !rule.id) {
+    throw new Error(`${where}: rule needs a string id`);
+  }
+
+  const action = rule.action || {};
+  if (!ACTIONS.includes(action.type)) {
+    throw new Error(`${where}: action.type must be one of ${ACTIONS.join(", ")}`);
+  }
+  if (action.type === "require_min_count") {
+    if (!Number.isInteger(action.count) || action.count < 1) {
+      throw new Error(`${where}: require_min_count needs a positive integer count`);
+    }
+  } else if (typeof action.factor !== "number" || !(action.factor > 0)) {
+    throw new Error(`${where}: ${action.type} needs a positive numeric factor`);
+  }
+
+  const when = rule.when || {};
+  const compiledWhen = {
+    scope: when.scope ? lowerList(when.scope) : null,
+    intent_all: when.intent_all || [],
+    intent_any: when.intent_any || [],
+    intent_none: when.intent_none || [],
+    anchor: when.anchor ? compileMatcher(when.anchor, `${where}.when.anchor`) : null
+  };
+
+  return {
+    id: rule.id,
+    description: rule.description || "",
+    when: compiledWhen,
+    match: compileMatcher(rule.match || {}, `${where}.match`),
+    action,
+    // Score rules that look at anchors can only run once anchors exist.
+    phase:
+      action.type === "require_min_count"
+        ? "merge"
+        : compiledWhen.anchor
+          ? "anchored"
+          : "initial"
+  };
+}
+
+export function compileRuleset(raw, source = "ruleset") {
+  if (!raw || !Array.isArray(raw.rules)) {
+    throw new Error(`${source}: expected { rules: [...] }`);
+  }
+
+  const rules = raw.rules.map(compileRule);
+  const ids = new Set();
+  for (const rule of rules) {
+    if (ids.has(rule.id)) throw new Error(`${source}: duplicate rule id "${rule.id}"`);
+    ids.add(rule.id);
+  }
+
+  return {
+    version: raw.version ?? null,
+    source,
+    settings: { ...DEFAULT_SETTINGS, ...(raw.settings || {}) },
+    rules
+  };
+}
+
+export function loadRankingRules(file) {
+  const raw = JSON.parse(fs.readFileSync(file, "utf-8"));
+  return compileRuleset(raw, file);
+}
+
+// TB_RAG_RULES_PATH overrides config/rag-rules.json.
+export function getRankingRules() {
+  if (!RULESET) {
+    const file =
+      process.env.TB_RAG_RULES_PATH ||
+      path.join(process.cwd(), "config", "rag-rules.json");
+    RULESET = loadRankingRules(file);
+  }
+  return RULESET;
+}
+
+// Lets scripts (e.g. the retrieval eval) swap in an alternative ruleset.
+export function setRankingRules(ruleset) {
+  RULESET = ruleset;
+}
+
+// ---------- Matching ----------
+
+function fieldValue(chunk, field) {
+  return String(chunk?.[field] ?? "").toLowerCase();
+}
+
+function fieldMatches(value, ops) {
+  if (ops.is && !ops.is.includes(value)) return false;
+  if (ops.is_not && ops.is_not.includes(value)) return false;
+  if (ops.contains_any && !ops.contains_any.some((s) => value.includes(s))) return false;
+  if (ops.contains_all && !ops.contains_all.every((s) => value.includes(s))) return false;
+  if (ops.contains_none && ops.contains_none.some((s) => value.includes(s))) return false;
+  return true;
+}
+
+export function matchChunk(matcher, chunk) {
+  for (const { field, ops } of matcher.fields) {
+    if (!fieldMatches(fieldValue(chunk, field), ops)) return false;
+  }
+  if (matcher.all && !matcher.all.every((m) => matchChunk(m, chunk))) return false;
+  if (matcher.any && !matcher.any.some((m) => matchChunk(m, chunk))) return false;
+  if (matcher.not && matchChunk(matcher.not, chunk)) return false;
+  return true;
+}
+
+// ctx: { scope, intentFlags, anchors } where anchors are chunk objects.
+function ruleApplies(rule, ctx) {
+  const { when } = rule;
+  const flags = ctx.intentFlags || [];
+
+  if (when.scope && !when.scope.includes(String(ctx.scope || "").toLowerCase())) return false;
+  if (!when.intent_all.every((f) => flags.includes(f))) return false;
+  if (when.intent_any.length && !when.intent_any.some((f) => flags.includes(f))) return false;
+  if (when.intent_none.some((f) => flags.includes(f))) return false;
+  if (when.anchor && !(ctx.anchors || []).some((a) => matchChunk(when.anchor, a))) return false;
+  return true;
+}
+
+function firing(rule, matchedEntries, chunks, extra = {}) {
+  return {
+    rule_id: rule.id,
+    action: rule.action.type,
+    ...(rule.action.factor !== undefined ? { factor: rule.action.factor } : {}),
+    ...extra,
+    matched: matchedEntries.length,
+    chunk_ids: matchedEntries.slice(0, 5).map((e) => chunks[e.index]?.chunk_id ?? null)
+  };
+}
+
+// ---------- Actions ----------
+
+// Multiplies entry.score for every matching entry of every applicable
+// boost/penalize rule in `phase` ("initial" or "anchored"). Returns one
+// firing record per rule that changed at least one score.
+export function applyScoreRules(ruleset, phase, entries, chunks, ctx) {
+  const firings = [];
+
+  for (const rule of ruleset.rules) {
+    if (rule.phase !== phase || !ruleApplies(rule, ctx)) continue;
+
+    const matched = entries.filter((e) => matchChunk(rule.match, chunks[e.index] || {}));
+    if (!matched.length) continue;
+
+    for (const entry of matched) entry.score *= rule.action.factor;
+    firings.push(firing(rule, matched, chunks));
+  }
+
+  return firings;
+}
+
+// Tops up `combined` from `pool` (best-first) until each applicable
+// require_min_count rule has `count` matching entries. Mutates `combined`.
+export function applyMinCountRules(ruleset, combined, pool, chunks, ctx) {
+  const firings = [];
+
+  for (const rule of ruleset.rules) {
+    if (rule.phase !== "merge" || !ruleApplies(rule, ctx)) continue;
+
+    const isMatch = (e) => matchChunk(rule.match, chunks[e.index] || {});
+    const alreadyPresent = combined.filter(isMatch).length;
+    if (alreadyPresent >= rule.action.count) continue;
+
+    const inCombined = new Set(combined.map((e) => e.index));
+    const added = [];
+    let present = alreadyPresent;
+    for (const cand of pool) {
+      if (present >= rule.action.count) break;
+      if (inCombined.has(cand.index) || !isMatch(cand)) continue;
+      combined.push(cand);
+      inCombined.add(cand.index);
+      added.push(cand);
+      present += 1;
+    }
+
+    if (added.length) {
+      firings.push(firing(rule, added, chunks, { count: rule.action.count, already_present: alreadyPresent }));
+    }
+  }
+
+  return firings;
+}
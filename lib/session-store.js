@@ -0,0 +1,270 @@
+// lib/session-store.js
+// Server-side conversation sessions for /api/tb-mentor.
+//
+// A store is any object with async create/get/save/list/delete methods. Two
+// implementations ship here: an in-memory store (tests, single process) and a
+// file-backed store that keeps one JSON document per session. Select one with
+// TB_SESSION_STORE=file|memory, or register your own with setSessionStore().
+//
+// Sessions belong to the identity that created them (lib/auth.js); sessions
+// created without authentication belong to "anonymous".
+//
+// Stored text keeps the PHI placeholders of lib/phi.js ([NAME_1], ...); the
+// session's `phi` vault restores them only in views returned to the owner.
+//
+// Concurrent turns: lockSession() serializes work on one session within a
+// process, and save() refuses (409 SESSION_CONFLICT) a session whose
+// `revision` is no longer the stored one, which catches writers on other
+// instances sharing the store.
+
+import crypto from "crypto";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { createPhiVault } from "./phi.js";
+
+const SESSION_ID_PATTERN = /^[A-Za-z0-9_-]{8,64}$/;
+
+let SESSION_STORE = null;
+const SESSION_LOCKS = new Map();
+
+export function isValidSessionId(id) {
+  return typeof id === "string" && SESSION_ID_PATTERN.test(id);
+}
+
+export function newSession({ title = null, tone = null, owner = null } = {}) {
+  const now = new Date().toISOString();
+  return {
+    id: crypto.randomUUID(),
+    title,
+    tone,
+    // { id, kind, site_id } from actorOf(); null for anonymous sessions.
+    owner,
+    createdAt: now,
+    updatedAt: now,
+    // Bumped by every save(); a save carrying an older revision is refused.
+    revision: 0,
+    turnCount: 0,
+    // Full OpenAI-style message array (user, assistant, tool), without system prompts.
+    messages: [],
+    caseSummary: null,
+    snapshot: null,
+    mentorStatus: null,
+    // Placeholder mapping from lib/phi.js (createPhiVault().toJSON()).
+    phi: null
+  };
+}
+
+function sessionOwnerId(session) {
+  return session?.owner?.id ?? "anonymous";
+}
+
+// Only the identity that created a session may read, continue or delete it.
+export function canAccessSession(session, identity) {
+  return sessionOwnerId(session) === (identity?.id ?? "anonymous");
+}
+
+// Compact view used by list endpoints.
+export function summarizeSession(session) {
+  const vault = createPhiVault(session.phi);
+  return {
+    id: session.id,
+    title: vault.restore(session.title ?? null),
+    tone: session.tone ?? null,
+    createdAt: session.createdAt,
+    updatedAt: session.updatedAt,
+    turnCount: session.turnCount || 0,
+    caseSummary: vault.restore(session.caseSummary ?? null)
+  };
+}
+
+// Full session as returned to its owner: placeholders restored, vault omitted.
+export function clientSession(session) {
+  const { phi, ...rest } = session;
+  return createPhiVault(phi).restoreDeep(rest);
+}
+
+// Visible transcript (what the UI renders): user turns and final assistant answers.
+export function sessionTranscript(session) {
+  return (session.messages || [])
+    .filter(
+      (m) =>
+        (m.role === "user" || m.role === "assistant") &&
+        typeof m.content === "string" &&
+        m.content.trim() &&
+        !(Array.isArray(m.tool_calls) && m.tool_calls.length)
+    )
+    .map((m) => ({ role: m.role, content: m.content }));
+}
+
+// Keeps the most recent messages for the prompt without orphaning tool
+// results: the window always starts at a user message.
+export function trimSessionMessages(messages, maxMessages) {
+  const list = Array.isArray(messages) ? messages : [];
+  if (!maxMessages || list.length <= maxMessages) return list.slice();
+
+  let start = list.length - maxMessages;
+  while (start < list.length && list[start].role !== "user") start += 1;
+  return list.slice(start);
+}
+
+// ---------- Concurrency ----------
+
+// Waits for earlier holders of the session's lock and resolves with release().
+// Call release() exactly once, in a finally.
+export async function lockSession(id) {
+  const previous = SESSION_LOCKS.get(id) || Promise.resolve();
+  let release;
+  const current = new Promise((resolve) => (release = resolve));
+  const tail = previous.then(() => current);
+  SESSION_LOCKS.set(id, tail);
+  await previous;
+
+  let released = false;
+  return () => {
+    if (released) return;
+    released = true;
+    release();
+    if (SESSION_LOCKS.get(id) === tail) SESSION_LOCKS.delete(id);
+  };
+}
+
+function conflictError(id) {
+  const err = new Error(`Session ${id} was changed by another request; reload it and retry`);
+  err.statusCode = 409;
+  err.code = "SESSION_CONFLICT";
+  return err;
+}
+
+// The stored copy of `session` after a save: revision checked and bumped.
+function nextRevision(stored, session) {
+  const current = stored?.revision ?? 0;
+  if (stored && (session.revision ?? 0) !== current) throw conflictError(session.id);
+  return { ...session, revision: current + 1 };
+}
+
+// ---------- In-memory store ----------
+
+export function createMemorySessionStore() {
+  const sessions = new Map();
+  const clone = (s) => (s ? JSON.parse(JSON.stringify(s)) : null);
+
+  return {
+    kind: "memory",
+    async create(session) {
+      sessions.set(session.id, clone(session));
+      return clone(session);
+    },
+    async get(id) {
+      return clone(sessions.get(id));
+    },
+    async save(session) {
+      const next = nextRevision(sessions.get(session.id), session);
+      sessions.set(session.id, clone(next));
+      return clone(next);
+    },
+    // ownerId limits the list to one identity's sessions.
+    async list({ limit = 50, ownerId = null } = {}) {
+      return Array.from(sessions.values())
+        .filter((s) => ownerId == null || sessionOwnerId(s) === ownerId)
+        .sort((a, b) => String(b.updatedAt).localeCompare(String(a.updatedAt)))
+        .slice(0, limit)
+        .map(summarizeSession);
+    },
+    async delete(id) {
+      return sessions.delete(id);
+    }
+  };
+}
+
+// ---------- File-backed store ----------
+
+export function createFileSessionStore(dir) {
+  fs.mkdirSync(dir, { recursive: true });
+
+  const fileFor = (id) => {
+    if (!isValidSessionId(id)) {
+      throw new Error(`Invalid session id: ${id}`);
+    }
+    return path.join(dir, `${id}.json`);
+  };
+
+  const read = (file) => {
+    try {
+      return JSON.parse(fs.readFileSync(file, "utf8"));
+    } catch (err) {
+      if (err?.code === "ENOENT") return null;
+      throw err;
+    }
+  };
+
+  // Write to a temp file first so a crash never leaves a half-written session.
+  const write = (session) => {
+    const file = fileFor(session.id);
+    const tmp = `${file}.${process.pid}.tmp`;
+    fs.writeFileSync(tmp, JSON.stringify(session));
+    fs.renameSync(tmp, file);
+    return session;
+  };
+
+  return {
+    kind: "file",
+    dir,
+    async create(session) {
+      return write(session);
+    },
+    async get(id) {
+      if (!isValidSessionId(id)) return null;
+      return read(fileFor(id));
+    },
+    async save(session) {
+      return write(nextRevision(read(fileFor(session.id)), session));
+    },
+    async list({ limit = 50, ownerId = null } = {}) {
+      const files = fs.readdirSync(dir).filter((f) => f.endsWith(".json"));
+      const sessions = [];
+      for (const f of files) {
+        const s = read(path.join(dir, f));
+        if (s && (ownerId == null || sessionOwnerId(s) === ownerId)) sessions.push(s);
+      }
+      return sessions
+        .sort((a, b) => String(b.updatedAt).localeCompare(String(a.updatedAt)))
+        .slice(0, limit)
+        .map(summarizeSession);
+    },
+    async delete(id) {
+      if (!isValidSessionId(id)) return false;
+      try {
+        fs.unlinkSync(fileFor(id));
+        return true;
+      } catch (err) {
+        if (err?.code === "ENOENT") return false;
+        throw err;
+      }
+    }
+  };
+}
+
+// ---------- Store selection ----------
+
+export function setSessionStore(store) {
+  SESSION_STORE = store;
+}
+
+export function getSessionStore() {
+  if (SESSION_STORE) return SESSION_STORE;
+
+  const kind = (process.env.TB_SESSION_STORE || "file").toLowerCase();
+  if (kind === "memory") {
+    SESSION_STORE = createMemorySessionStore();
+  } else if (kind === "file") {
+    // Serverless filesystems are read-only outside the temp dir, so default there.
+    const dir =
+      process.env.TB_SESSION_DIR || path.join(os.tmpdir(), "tb-mentor", "sessions");
+    SESSION_STORE = createFileSessionStore(dir);
+  } else {
+    throw new Error(`Unknown TB_SESSION_STORE "${kind}" (expected "file" or "memory")`);
+  }
+
+  return SESSION_STORE;
+}
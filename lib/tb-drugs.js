@@ -0,0 +1,114 @@
+// lib/tb-drugs.js
+// TB medicine vocabulary shared by the dosing calculator and the interaction
+// checker: canonical names, the abbreviations printed in the WHO tables, and
+// regimen codes ("2HRZE/4HR", "BPaLM", "3HP").
+
+// Abbreviations as printed in the WHO tables. Single letters are only read as
+// regimen/FDC codes, never as words.
+export const TB_DRUG_ALIASES = {
+  isoniazid: ["inh"],
+  rifampicin: ["rif"],
+  rifapentine: ["rpt"],
+  rifabutin: ["rfb"],
+  pyrazinamide: ["pza"],
+  ethambutol: ["emb"],
+  levofloxacin: ["lfx"],
+  moxifloxacin: ["mfx"],
+  bedaquiline: ["bdq"],
+  pretomanid: ["pa"],
+  linezolid: ["lzd"],
+  clofazimine: ["cfz"],
+  delamanid: ["dlm"],
+  cycloserine: ["cs"],
+  terizidone: ["trd"],
+  ethionamide: ["eto"],
+  prothionamide: ["pto"],
+  amikacin: ["am"],
+  streptomycin: ["sm"],
+  meropenem: ["mpm"],
+  imipenem: ["ipm"],
+  aminosalicylic: ["pas"],
+  "clavulanic acid": ["clv"]
+};
+
+export const FDC_LETTERS = {
+  h: "isoniazid",
+  r: "rifampicin",
+  z: "pyrazinamide",
+  e: "ethambutol",
+  p: "rifapentine"
+};
+
+// Drug classes named in table headers ("Rifamycins accelerate metabolism ...").
+export const TB_DRUG_CLASSES = {
+  rifamycin: ["rifampicin", "rifapentine", "rifabutin"],
+  fluoroquinolone: ["levofloxacin", "moxifloxacin"]
+};
+
+// Case-sensitive regimen codes, longest first so "Pa" wins over "P".
+const REGIMEN_CODES = {
+  Lfx: "levofloxacin",
+  Mfx: "moxifloxacin",
+  Bdq: "bedaquiline",
+  Lzd: "linezolid",
+  Cfz: "clofazimine",
+  Dlm: "delamanid",
+  Eto: "ethionamide",
+  Pto: "prothionamide",
+  Rfb: "rifabutin",
+  Trd: "terizidone",
+  Cs: "cycloserine",
+  Am: "amikacin",
+  Pa: "pretomanid",
+  H: "isoniazid",
+  R: "rifampicin",
+  Z: "pyrazinamide",
+  E: "ethambutol",
+  P: "rifapentine",
+  B: "bedaquiline",
+  L: "linezolid",
+  M: "moxifloxacin",
+  S: "streptomycin"
+};
+const REGIMEN_CODE_RE = new RegExp(`^(?:${Object.keys(REGIMEN_CODES).join("|")})+$`);
+const REGIMEN_TOKEN_RE = new RegExp(Object.keys(REGIMEN_CODES).join("|"), "g");
+
+export const DS_TB_DRUGS = ["isoniazid", "rifampicin", "pyrazinamide", "ethambutol"];
+
+// Canonical TB medicine names written out (or abbreviated) in free text.
+// Class words expand to their members unless `classes` is false.
+export function tbDrugNames(text, { classes = true } = {}) {
+  const lower = String(text || "").toLowerCase();
+  const tokens = new Set(lower.split(/[^a-z0-9]+/).filter(Boolean));
+  const found = new Set();
+
+  for (const [name, aliases] of Object.entries(TB_DRUG_ALIASES)) {
+    if (lower.includes(name) || aliases.some((a) => tokens.has(a))) found.add(name);
+  }
+  if (classes) {
+    for (const [cls, members] of Object.entries(TB_DRUG_CLASSES)) {
+      if (lower.includes(cls)) members.forEach((m) => found.add(m));
+    }
+  }
+  return found;
+}
+
+// Medicines in a regimen given as codes ("2HRZE/4HR", "BPaLM", "6Lfx"),
+// names ("bedaquiline + linezolid"), or an array of either. "DS-TB" stands
+// for the standard HRZE regimen.
+export function parseRegimen(regimen) {
+  const parts = Array.isArray(regimen) ? regimen : [regimen];
+  const found = new Set();
+
+  for (const part of parts) {
+    const text = String(part ?? "");
+    tbDrugNames(text, { classes: false }).forEach((n) => found.add(n));
+    if (/\bds-tb\b|drug-susceptible/i.test(text)) DS_TB_DRUGS.forEach((n) => found.add(n));
+
+    for (const segment of text.split(/[^A-Za-z]+/)) {
+      if (!segment || !REGIMEN_CODE_RE.test(segment)) continue;
+      for (const code of segment.match(REGIMEN_TOKEN_RE)) found.add(REGIMEN_CODES[code]);
+    }
+  }
+  return found;
+}
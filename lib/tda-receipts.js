@@ -0,0 +1,287 @@
+// lib/tda-receipts.js
+// Signed, timestamped receipts for pediatric TDA scoring (audit trail).
+//
+// Every score or algorithm run through /api/tb_peds_tda or the mentor's TDA
+// tools is stored as a receipt: the exact inputs, what the server derived,
+// the algorithm version and the result. Receipts are signed with HMAC-SHA256
+// over their canonical JSON (TB_TDA_RECEIPT_SECRET), so a receipt exported
+// later can be checked against the server key with verifyReceipt(). Without a
+// secret, or when the store cannot write, no receipt is issued and the caller
+// gets a 503 (TDA_RECEIPT_UNAVAILABLE): results are never returned unaudited.
+//
+// Stores follow lib/session-store.js: async create/get/list, in-memory or one
+// JSON file per receipt. Select with TB_TDA_RECEIPT_STORE=file|memory, or
+// register your own with setTdaReceiptStore(). In production (NODE_ENV=production
+// or VERCEL) the file store needs TB_TDA_RECEIPT_DIR; the tmpdir default is for
+// local development only. /api/tb-health reports a missing secret or store
+// (checkTdaReceiptConfig) so a deployment finds out before the first score.
+
+import crypto from "crypto";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { createLogger } from "./log.js";
+
+const log = createLogger({ component: "tda-receipts" });
+
+const RECEIPT_ID_PATTERN = /^tda_[A-Za-z0-9_-]{8,64}$/;
+const SIGNATURE_ALG = "HMAC-SHA256";
+
+let RECEIPT_STORE = null;
+
+export function isValidReceiptId(id) {
+  return typeof id === "string" && RECEIPT_ID_PATTERN.test(id);
+}
+
+// JSON with object keys sorted at every level, so the signed bytes do not
+// depend on property order.
+export function canonicalJson(value) {
+  if (Array.isArray(value)) return `[${value.map(canonicalJson).join(",")}]`;
+  if (value && typeof value === "object") {
+    return `{${Object.keys(value)
+      .filter((k) => value[k] !== undefined)
+      .sort()
+      .map((k) => `${JSON.stringify(k)}:${canonicalJson(value[k])}`)
+      .join(",")}}`;
+  }
+  return JSON.stringify(value ?? null);
+}
+
+function receiptSecret() {
+  return process.env.TB_TDA_RECEIPT_SECRET || "";
+}
+
+function isProduction() {
+  return process.env.NODE_ENV === "production" || !!process.env.VERCEL;
+}
+
+function receiptUnavailable(message, cause) {
+  const err = new Error(message);
+  err.statusCode = 503;
+  err.code = "TDA_RECEIPT_UNAVAILABLE";
+  if (cause) err.cause = cause;
+  return err;
+}
+
+function hmac(secret, payload) {
+  return crypto.createHmac("sha256", secret).update(payload).digest("hex");
+}
+
+// Signs everything except the signature itself. Throws without a secret:
+// an unsigned receipt cannot be verified later, so none is issued.
+export function signReceipt(receipt, secret = receiptSecret()) {
+  const { signature, ...body } = receipt;
+  if (!secret) {
+    throw receiptUnavailable("TB_TDA_RECEIPT_SECRET is not set; TDA receipts cannot be signed");
+  }
+  return {
+    ...body,
+    signature: {
+      alg: SIGNATURE_ALG,
+      key_id: process.env.TB_TDA_RECEIPT_KEY_ID || null,
+      value: hmac(secret, canonicalJson(body))
+    }
+  };
+}
+
+// true/false when a secret is configured; null when the receipt cannot be
+// checked (unsigned, or no key on this server).
+export function verifyReceipt(receipt, secret = receiptSecret()) {
+  const sig = receipt?.signature;
+  if (!sig?.value || !secret) return null;
+  if (sig.alg !== SIGNATURE_ALG) return false;
+
+  const { signature, ...body } = receipt;
+  const expected = Buffer.from(hmac(secret, canonicalJson(body)), "hex");
+  const actual = Buffer.from(String(sig.value), "hex");
+  return actual.length === expected.length && crypto.timingSafeEqual(actual, expected);
+}
+
+// kind: "score" (computePediatricTbTdaScore) or "flow" (runPediatricTbAlgorithm).
+// actor is the caller from lib/auth.js actorOf(): { id, kind, site_id }.
+export function newTdaReceipt({ kind, source, input, result, actor = null }) {
+  const receipt = {
+    id: `tda_${crypto.randomUUID()}`,
+    created_at: new Date().toISOString(),
+    kind,
+    source,
+    actor,
+    algorithm_version: result.algorithm_version ?? null,
+    input,
+    derived: result.derived ?? null,
+    algorithm: result.algorithm ?? null,
+    score: result.score ?? null,
+    threshold: result.threshold ?? null,
+    meets_threshold: result.meets_threshold ?? null,
+    explanation: result.explanation ?? [],
+    missing_items: result.missing_items ?? [],
+    score_range: result.score_range ?? null,
+    warnings: result.warnings ?? []
+  };
+  if (kind === "flow") {
+    receipt.next_step = result.next_step;
+    receipt.path = result.path;
+    receipt.assumptions = result.assumptions;
+  }
+  return receipt;
+}
+
+// Compact view used by list endpoints.
+export function summarizeReceipt(receipt) {
+  return {
+    id: receipt.id,
+    created_at: receipt.created_at,
+    kind: receipt.kind,
+    source: receipt.source,
+    actor: receipt.actor ?? null,
+    algorithm_version: receipt.algorithm_version,
+    algorithm: receipt.algorithm,
+    score: receipt.score,
+    meets_threshold: receipt.meets_threshold,
+    next_step: receipt.next_step?.action ?? null
+  };
+}
+
+// Signs and stores a receipt. Missing secret, store misconfiguration and write
+// failures all throw a 503 TDA_RECEIPT_UNAVAILABLE error; callers must not hand
+// out a result without its receipt.
+export async function recordTdaReceipt({ kind, source, input, result, actor = null }) {
+  const receipt = signReceipt(newTdaReceipt({ kind, source, input, result, actor }));
+  try {
+    return await getTdaReceiptStore().create(receipt);
+  } catch (err) {
+    log.error("failed to store receipt", { err });
+    if (err.code === "TDA_RECEIPT_UNAVAILABLE") throw err;
+    throw receiptUnavailable("TDA receipt could not be stored", err);
+  }
+}
+
+function inRange(receipt, { from, to }) {
+  if (from && receipt.created_at < from) return false;
+  if (to && receipt.created_at >= to) return false;
+  return true;
+}
+
+function newestFirst(a, b) {
+  return String(b.created_at).localeCompare(String(a.created_at));
+}
+
+// ---------- In-memory store ----------
+
+export function createMemoryTdaReceiptStore() {
+  const receipts = new Map();
+  const clone = (r) => (r ? JSON.parse(JSON.stringify(r)) : null);
+
+  return {
+    kind: "memory",
+    async create(receipt) {
+      receipts.set(receipt.id, clone(receipt));
+      return clone(receipt);
+    },
+    async get(id) {
+      return clone(receipts.get(id));
+    },
+    // from/to are ISO timestamps; to is exclusive. limit null returns all.
+    async list({ limit = 50, from = null, to = null } = {}) {
+      const all = Array.from(receipts.values())
+        .filter((r) => inRange(r, { from, to }))
+        .sort(newestFirst);
+      return (limit == null ? all : all.slice(0, limit)).map(clone);
+    }
+  };
+}
+
+// ---------- File-backed store ----------
+
+export function createFileTdaReceiptStore(dir) {
+  fs.mkdirSync(dir, { recursive: true });
+
+  const fileFor = (id) => {
+    if (!isValidReceiptId(id)) {
+      throw new Error(`Invalid receipt id: ${id}`);
+    }
+    return path.join(dir, `${id}.json`);
+  };
+
+  const read = (file) => {
+    try {
+      return JSON.parse(fs.readFileSync(file, "utf8"));
+    } catch (err) {
+      if (err?.code === "ENOENT") return null;
+      throw err;
+    }
+  };
+
+  return {
+    kind: "file",
+    dir,
+    // Receipts are immutable: write once via a temp file, never overwrite.
+    async create(receipt) {
+      const file = fileFor(receipt.id);
+      const tmp = `${file}.${process.pid}.tmp`;
+      fs.writeFileSync(tmp, JSON.stringify(receipt));
+      fs.linkSync(tmp, file);
+      fs.unlinkSync(tmp);
+      return receipt;
+    },
+    async get(id) {
+      if (!isValidReceiptId(id)) return null;
+      return read(fileFor(id));
+    },
+    async list({ limit = 50, from = null, to = null } = {}) {
+      const receipts = [];
+      for (const f of fs.readdirSync(dir).filter((f) => f.endsWith(".json"))) {
+        const r = read(path.join(dir, f));
+        if (r && inRange(r, { from, to })) receipts.push(r);
+      }
+      receipts.sort(newestFirst);
+      return limit == null ? receipts : receipts.slice(0, limit);
+    }
+  };
+}
+
+// ---------- Store selection ----------
+
+export function setTdaReceiptStore(store) {
+  RECEIPT_STORE = store;
+}
+
+export function getTdaReceiptStore() {
+  if (RECEIPT_STORE) return RECEIPT_STORE;
+
+  const kind = (process.env.TB_TDA_RECEIPT_STORE || "file").toLowerCase();
+  if (kind === "memory") {
+    RECEIPT_STORE = createMemoryTdaReceiptStore();
+  } else if (kind === "file") {
+    if (!process.env.TB_TDA_RECEIPT_DIR && isProduction()) {
+      throw receiptUnavailable("TB_TDA_RECEIPT_DIR must be set in production (receipts would go to tmpdir)");
+    }
+    const dir =
+      process.env.TB_TDA_RECEIPT_DIR || path.join(os.tmpdir(), "tb-mentor", "tda-receipts");
+    RECEIPT_STORE = createFileTdaReceiptStore(dir);
+  } else {
+    throw new Error(`Unknown TB_TDA_RECEIPT_STORE "${kind}" (expected "file" or "memory")`);
+  }
+
+  return RECEIPT_STORE;
+}
+
+// ---------- Configuration check ----------
+
+// For /api/tb-health: without a signing secret or a usable store every TDA
+// score (route and mentor tool) fails with a 503, so report it up front.
+// Checks use the shape of lib/rag/integrity.js.
+export function checkTdaReceiptConfig() {
+  const checks = [];
+  const add = (id, problem) =>
+    checks.push({ id, status: problem ? "error" : "ok", fatal: false, message: problem || "ok", count: problem ? 1 : 0 });
+
+  add("tda_receipt_secret", receiptSecret() ? null : "TB_TDA_RECEIPT_SECRET is not set; TDA scoring is unavailable");
+  try {
+    getTdaReceiptStore();
+    add("tda_receipt_store", null);
+  } catch (err) {
+    add("tda_receipt_store", `${err.message}; TDA scoring is unavailable`);
+  }
+  return { ok: checks.every((c) => c.status === "ok"), checks };
+}
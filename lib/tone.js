@@ -0,0 +1,76 @@
+// lib/tone.js
+// MENTOR_TONE presets (see prompts/tone-presets.md) and the per-turn directive
+// that pins the tone in the system prompt instead of leaving it to the model.
+
+import { createLogger } from "./log.js";
+
+const log = createLogger({ component: "tone" });
+
+export const TONE_PRESETS = {
+  basic_clinical: {
+    label: "Basic clinical",
+    audience: "nurses, clinical officers and frontline clinicians with limited formal training",
+    style:
+      "Short, direct sentences. Very low jargon; define any technical term in plain words. " +
+      "Focus on what to do now, what to monitor, and when to escalate or refer. Use bullets and simple steps."
+  },
+  general_doctor: {
+    label: "General doctor",
+    audience: "general medical officers in a district hospital (~1 year postgraduate training)",
+    style:
+      "Standard clinical language without academic phrasing. Brief reasoning focused on key differentials " +
+      "and trade-offs. Short intro, 3–7 bullets, concise summary."
+  },
+  specialist: {
+    label: "Specialist",
+    audience: "TB/ID specialists, academic clinicians and guideline authors",
+    style:
+      "Detailed pathophysiology, nuanced guideline interpretation and explicit WHO module/section references " +
+      "are acceptable. Still prioritize clarity; avoid jargon that adds no value."
+  }
+};
+
+export const DEFAULT_TONE = "general_doctor";
+
+export const AUDIENCES = ["clinician", "patient"];
+
+export function isValidTone(tone) {
+  return typeof tone === "string" && Object.prototype.hasOwnProperty.call(TONE_PRESETS, tone);
+}
+
+// Server-wide default, overridable per deployment with MENTOR_TONE.
+export function getDefaultTone() {
+  const configured = (process.env.MENTOR_TONE || "").trim();
+  if (!configured) return DEFAULT_TONE;
+  if (isValidTone(configured)) return configured;
+
+  log.warn("ignoring invalid MENTOR_TONE", { configured, expected: Object.keys(TONE_PRESETS) });
+  return DEFAULT_TONE;
+}
+
+export function toneLabel(tone) {
+  return TONE_PRESETS[tone]?.label || TONE_PRESETS[DEFAULT_TONE].label;
+}
+
+// System message appended after the main prompt for every turn.
+export function buildToneDirective(tone, audience = "clinician") {
+  const preset = TONE_PRESETS[tone] || TONE_PRESETS[DEFAULT_TONE];
+
+  const lines = [
+    `MENTOR_TONE = "${tone}" (${preset.label}).`,
+    "This value is set by the application for this turn and is authoritative: " +
+      "it overrides any tone inferred from, or requested earlier in, the conversation.",
+    `Audience: ${preset.audience}.`,
+    `Style: ${preset.style}`
+  ];
+
+  if (audience === "patient") {
+    lines.push(
+      "PATIENT-FACING MODE is ON for this turn: the final answer will be read directly by the patient or family. " +
+        "Simplify even further than basic_clinical, avoid jargon entirely, and use simple, compassionate language. " +
+        "Do not change the underlying clinical recommendations. Later clinician-facing turns return to MENTOR_TONE."
+    );
+  }
+
+  return lines.join("\n");
+}
@@ -0,0 +1,91 @@
+// lib/tool-args.js
+// Minimal JSON Schema checks for tool-call arguments, covering the keywords
+// used in the mentor's `tools` declarations (type, enum, required,
+// properties, additionalProperties, minimum/maximum, minLength/maxLength).
+
+function typeOf(value) {
+  if (value === null) return "null";
+  if (Array.isArray(value)) return "array";
+  if (typeof value === "number" && Number.isInteger(value)) return "integer";
+  return typeof value;
+}
+
+function matchesType(value, type) {
+  const actual = typeOf(value);
+  if (type === "number") return actual === "number" || actual === "integer";
+  return actual === type;
+}
+
+function validateValue(schema, value, at, errors) {
+  if (!schema || typeof schema !== "object") return;
+  const label = at || "(arguments)";
+
+  if (schema.type) {
+    const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+    if (!types.some((t) => matchesType(value, t))) {
+      errors.push(`${label}: expected ${types.join(" or ")}, got ${typeOf(value)}`);
+      return;
+    }
+  }
+
+  if (Array.isArray(schema.enum) && !schema.enum.includes(value)) {
+    errors.push(`${label}: must be one of ${schema.enum.map((v) => JSON.stringify(v)).join(", ")}`);
+  }
+
+  if (typeof value === "number") {
+    if (typeof schema.minimum === "number" && value < schema.minimum) {
+      errors.push(`${label}: must be >= ${schema.minimum}`);
+    }
+    if (typeof schema.maximum === "number" && value > schema.maximum) {
+      errors.push(`${label}: must be <= ${schema.maximum}`);
+    }
+  }
+
+  if (typeof value === "string") {
+    if (typeof schema.minLength === "number" && value.trim().length < schema.minLength) {
+      errors.push(`${label}: must be at least ${schema.minLength} character(s)`);
+    }
+    if (typeof schema.maxLength === "number" && value.length > schema.maxLength) {
+      errors.push(`${label}: must be at most ${schema.maxLength} characters`);
+    }
+  }
+
+  if (typeOf(value) === "array" && schema.items) {
+    value.forEach((item, i) => validateValue(schema.items, item, `${label}[${i}]`, errors));
+  }
+
+  if (typeOf(value) === "object") {
+    const props = schema.properties || {};
+    for (const key of schema.required || []) {
+      if (value[key] === undefined) errors.push(`${at ? `${at}.` : ""}${key}: is required`);
+    }
+    for (const [key, v] of Object.entries(value)) {
+      const path = at ? `${at}.${key}` : key;
+      if (props[key]) {
+        validateValue(props[key], v, path, errors);
+      } else if (schema.additionalProperties === false) {
+        errors.push(`${path}: is not an allowed property`);
+      }
+    }
+  }
+}
+
+// Returns a list of human-readable problems; empty when the args are valid.
+export function validateToolArgs(schema, args) {
+  const errors = [];
+  validateValue(schema, args, "", errors);
+  return errors;
+}
+
+// Parses the raw `function.arguments` string from a tool call.
+export function parseToolArgs(raw) {
+  try {
+    const parsed = JSON.parse(raw || "{}");
+    if (typeOf(parsed) !== "object") {
+      return { args: null, error: `arguments must be a JSON object, got ${typeOf(parsed)}` };
+    }
+    return { args: parsed, error: null };
+  } catch (err) {
+    return { args: null, error: `arguments are not valid JSON: ${err.message}` };
+  }
+}
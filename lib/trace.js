@@ -0,0 +1,171 @@
+// lib/trace.js
+// Request tracing: a request ID per request (taken from a valid incoming
+// X-Request-Id or generated), span timings for each stage, and the request
+// and error metrics behind /api/metrics.
+//
+// Routes are wrapped with withRequestTrace(route, handler), which sets
+// req.trace and the X-Request-Id response header. In-process calls (the
+// mentor calling the RAG handler) pass the caller's trace as req.parentTrace
+// so they share its request ID and count as stages, not requests.
+//
+// trace: { requestId, route, log, span(name, fn, attrs), startSpan(name, attrs),
+//          spans(), child(route) }
+
+import crypto from "crypto";
+import { performance } from "perf_hooks";
+import { createLogger } from "./log.js";
+import {
+  errors,
+  httpRequestDuration,
+  httpRequests,
+  llmCallDuration,
+  llmTokens,
+  stageDuration
+} from "./metrics.js";
+
+const REQUEST_ID_PATTERN = /^[A-Za-z0-9._:-]{8,128}$/;
+
+export function requestIdFrom(req) {
+  const header = req?.headers?.["x-request-id"];
+  return typeof header === "string" && REQUEST_ID_PATTERN.test(header) ? header : crypto.randomUUID();
+}
+
+export function createTrace({ route, requestId = crypto.randomUUID(), spans = [], origin = performance.now() }) {
+  const log = createLogger({ route, request_id: requestId });
+
+  // Returns end(extra) for inline stages; end() records the span once.
+  const startSpan = (name, attrs = {}) => {
+    const start = performance.now();
+    let ended = false;
+    return (extra = {}) => {
+      if (ended) return null;
+      ended = true;
+      const durationMs = performance.now() - start;
+      const ok = extra.ok !== false;
+      const span = {
+        name,
+        start_ms: Number((start - origin).toFixed(1)),
+        duration_ms: Number(durationMs.toFixed(1)),
+        ok,
+        ...attrs,
+        ...extra
+      };
+      spans.push(span);
+      stageDuration.observe({ route, stage: name }, durationMs / 1000);
+      if (!ok) errors.inc({ route, stage: name });
+      log.debug("span", span);
+      return span;
+    };
+  };
+
+  return {
+    requestId,
+    route,
+    log,
+    startSpan,
+    async span(name, fn, attrs = {}) {
+      const end = startSpan(name, attrs);
+      try {
+        const result = await fn();
+        end();
+        return result;
+      } catch (err) {
+        end({ ok: false, error: err?.message || String(err) });
+        throw err;
+      }
+    },
+    spans: () => spans.slice(),
+    // Same request ID and span list, another route label (in-process calls).
+    child: (childRoute) => createTrace({ route: childRoute, requestId, spans, origin })
+  };
+}
+
+// Spans without a request (scripts, evaluations).
+export const NOOP_TRACE = {
+  requestId: null,
+  route: null,
+  log: createLogger({}),
+  startSpan: () => () => null,
+  span: async (_name, fn) => fn(),
+  spans: () => [],
+  child: () => NOOP_TRACE
+};
+
+export function withRequestTrace(route, handler) {
+  return async function tracedHandler(req, res) {
+    const parent = req.parentTrace || null;
+    const trace = parent ? parent.child(route) : createTrace({ route, requestId: requestIdFrom(req) });
+    req.trace = trace;
+    if (!parent) res.setHeader("X-Request-Id", trace.requestId);
+
+    const start = performance.now();
+    try {
+      return await handler(req, res);
+    } catch (err) {
+      errors.inc({ route, stage: "handler" });
+      trace.log.error("unhandled error", { err });
+      throw err;
+    } finally {
+      if (!parent) {
+        const seconds = (performance.now() - start) / 1000;
+        const status = res.statusCode || 200;
+        httpRequests.inc({ route, status });
+        httpRequestDuration.observe({ route }, seconds);
+        trace.log.info("request", {
+          method: req.method,
+          status,
+          duration_ms: Number((seconds * 1000).toFixed(1)),
+          spans: trace.spans().map(({ name, duration_ms, ok }) => ({ name, duration_ms, ok }))
+        });
+      }
+    }
+  };
+}
+
+// ---------- LLM calls ----------
+
+async function* timeStream(stream, onDone) {
+  let usage = null;
+  let ok = false;
+  try {
+    for await (const chunk of stream) {
+      if (chunk.usage) usage = chunk.usage;
+      yield chunk;
+    }
+    ok = true;
+  } finally {
+    onDone(ok, usage);
+  }
+}
+
+// Times every chat/embed call as an "llm.<stage>" span and feeds the LLM
+// latency and token metrics; streamed chats end when the stream is drained.
+export function traceProvider(provider, trace, stage) {
+  const observe = (model, start, end, ok, usage) => {
+    const seconds = (performance.now() - start) / 1000;
+    llmCallDuration.observe({ stage, model }, seconds);
+    if (usage?.prompt_tokens) llmTokens.inc({ stage, model, type: "prompt" }, usage.prompt_tokens);
+    if (usage?.completion_tokens) llmTokens.inc({ stage, model, type: "completion" }, usage.completion_tokens);
+    end({ ok, model });
+  };
+
+  const timed = (method) =>
+    async function (params, options) {
+      const start = performance.now();
+      const end = trace.startSpan(`llm.${stage}`);
+      let result;
+      try {
+        result = await provider[method](params, options);
+      } catch (err) {
+        observe(params.model, start, end, false, null);
+        throw err;
+      }
+      if (method === "chat" && params.stream) {
+        return timeStream(result, (ok, usage) => observe(params.model, start, end, ok, usage));
+      }
+      observe(params.model, start, end, true, result?.usage || null);
+      return result;
+    };
+
+  return { ...provider, chat: timed("chat"), embed: timed("embed") };
+}
@@ -0,0 +1,191 @@
+// lib/usage-metrics.js
+// Aggregated LLM usage for capacity planning: calls, tokens and estimated cost
+// per hour (UTC), route, site, stage and model, plus request counts per hour,
+// route and site. Fed from each request's usage meter (lib/llm/usage.js);
+// read through GET /api/tb-usage?metrics=1.
+//
+// A store is any object with async add(record) and rows({ from, to }). Two
+// implementations ship here: in-memory and a file store keeping one JSON
+// document per day. Select with TB_USAGE_METRICS_STORE=file|memory, or
+// register your own with setUsageMetricsStore().
+
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { addUsageTotals, emptyUsageTotals, roundCost } from "./llm/usage.js";
+
+const DAY_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+export const METRIC_DIMENSIONS = ["hour", "day", "route", "site", "stage", "model"];
+
+let METRICS_STORE = null;
+
+export function isValidDay(day) {
+  return typeof day === "string" && DAY_PATTERN.test(day) && !Number.isNaN(Date.parse(day));
+}
+
+// record: { at, route, site_id, calls: meter.calls() }
+// -> per-hour document { hour, requests: { "route|site": n }, usage: { "route|site|stage|model": totals } }
+function addToHour(doc, { route, site_id, calls }) {
+  const site = site_id || "";
+  const requestKey = `${route}|${site}`;
+  doc.requests[requestKey] = (doc.requests[requestKey] || 0) + 1;
+  for (const c of calls) {
+    const key = `${route}|${site}|${c.stage || "other"}|${c.model}`;
+    addUsageTotals(doc.usage[key] || (doc.usage[key] = emptyUsageTotals()), { ...c, calls: 1 });
+  }
+  return doc;
+}
+
+function emptyHour(hour) {
+  return { hour, requests: {}, usage: {} };
+}
+
+// Flattens hour documents into rows; requests rows have stage/model null.
+function flattenHours(hours) {
+  const rows = [];
+  for (const doc of hours) {
+    for (const [key, count] of Object.entries(doc.requests)) {
+      const [route, site] = key.split("|");
+      rows.push({ hour: doc.hour, route, site: site || null, stage: null, model: null, requests: count });
+    }
+    for (const [key, totals] of Object.entries(doc.usage)) {
+      const [route, site, stage, model] = key.split("|");
+      rows.push({ hour: doc.hour, route, site: site || null, stage, model, requests: 0, ...totals });
+    }
+  }
+  return rows;
+}
+
+function hourOf(at) {
+  return new Date(at).toISOString().slice(0, 13);
+}
+
+function inRange(hour, from, to) {
+  const day = hour.slice(0, 10);
+  return (!from || day >= from) && (!to || day <= to);
+}
+
+// ---------- Stores ----------
+
+export function createMemoryUsageMetricsStore() {
+  const hours = new Map();
+
+  return {
+    kind: "memory",
+    async add(record) {
+      const hour = hourOf(record.at);
+      addToHour(hours.get(hour) || hours.set(hour, emptyHour(hour)).get(hour), record);
+    },
+    async rows({ from = null, to = null } = {}) {
+      return flattenHours(Array.from(hours.values()).filter((d) => inRange(d.hour, from, to)));
+    }
+  };
+}
+
+export function createFileUsageMetricsStore(dir) {
+  fs.mkdirSync(dir, { recursive: true });
+  // Writes are chained so concurrent requests in one process do not lose updates.
+  let writes = Promise.resolve();
+
+  const fileFor = (day) => path.join(dir, `metrics-${day}.json`);
+
+  const read = (file) => {
+    try {
+      return JSON.parse(fs.readFileSync(file, "utf8"));
+    } catch (err) {
+      if (err?.code === "ENOENT") return {};
+      throw err;
+    }
+  };
+
+  return {
+    kind: "file",
+    dir,
+    async add(record) {
+      const hour = hourOf(record.at);
+      const file = fileFor(hour.slice(0, 10));
+      const result = writes.then(() => {
+        const doc = read(file);
+        doc[hour] = addToHour(doc[hour] || emptyHour(hour), record);
+        const tmp = `${file}.${process.pid}.tmp`;
+        fs.writeFileSync(tmp, JSON.stringify(doc));
+        fs.renameSync(tmp, file);
+      });
+      writes = result.catch(() => {});
+      return result;
+    },
+    async rows({ from = null, to = null } = {}) {
+      const days = fs
+        .readdirSync(dir)
+        .map((f) => f.match(/^metrics-(\d{4}-\d{2}-\d{2})\.json$/)?.[1])
+        .filter((day) => day && inRange(`${day}T00`, from, to))
+        .sort();
+      return flattenHours(days.flatMap((day) => Object.values(read(fileFor(day)))));
+    }
+  };
+}
+
+export function setUsageMetricsStore(store) {
+  METRICS_STORE = store;
+}
+
+export function getUsageMetricsStore() {
+  if (METRICS_STORE) return METRICS_STORE;
+
+  const kind = (process.env.TB_USAGE_METRICS_STORE || "file").toLowerCase();
+  if (kind === "memory") {
+    METRICS_STORE = createMemoryUsageMetricsStore();
+  } else if (kind === "file") {
+    const dir =
+      process.env.TB_USAGE_METRICS_DIR || path.join(os.tmpdir(), "tb-mentor", "usage-metrics");
+    METRICS_STORE = createFileUsageMetricsStore(dir);
+  } else {
+    throw new Error(`Unknown TB_USAGE_METRICS_STORE "${kind}" (expected "file" or "memory")`);
+  }
+
+  return METRICS_STORE;
+}
+
+// ---------- Recording + reporting ----------
+
+// route: "mentor" | "rag"; meter: the request's usage meter.
+export async function recordUsageMetrics({ route, identity, meter, at = Date.now() }) {
+  await getUsageMetricsStore().add({ at, route, site_id: identity?.site_id || null, calls: meter.calls() });
+}
+
+// Sums rows over the dimensions in groupBy ("hour" or "day", route, site,
+// stage, model). Request counts only attach to groupings without stage/model,
+// since one request spans several stages and models.
+export async function usageMetrics({ from = null, to = null, groupBy = ["day", "stage"] } = {}) {
+  const rows = await getUsageMetricsStore().rows({ from, to });
+  const withRequests = !groupBy.includes("stage") && !groupBy.includes("model");
+  const groups = new Map();
+
+  for (const row of rows) {
+    if (row.stage === null && !withRequests) continue;
+    const dims = {};
+    for (const d of groupBy) dims[d] = d === "day" ? row.hour.slice(0, 10) : row[d];
+    const key = JSON.stringify(dims);
+    let group = groups.get(key);
+    if (!group) {
+      group = { ...dims, ...(withRequests ? { requests: 0 } : {}), ...emptyUsageTotals() };
+      groups.set(key, group);
+    }
+    if (withRequests) group.requests += row.requests;
+    if (row.stage !== null) addUsageTotals(group, row);
+  }
+
+  const sorted = Array.from(groups.values()).sort((a, b) => {
+    for (const d of groupBy) {
+      const cmp = String(a[d] ?? "").localeCompare(String(b[d] ?? ""));
+      if (cmp) return cmp;
+    }
+    return 0;
+  });
+  return {
+    from,
+    to,
+    group_by: groupBy,
+    rows: sorted.map((g) => ({ ...g, cost_usd: roundCost(g.cost_usd) }))
+  };
+}
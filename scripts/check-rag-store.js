@@ -0,0 +1,99 @@
+// scripts/check-rag-store.js
+// Integrity check of a RAG store before deploying it: the same checks
+// loadRagStore and /api/tb-health run (lib/rag/integrity.js), plus
+// chunk_meta.jsonl against chunks.jsonl.
+//
+// Usage (from the repo root, so public/rag resolves):
+//   node scripts/check-rag-store.js [options]
+//
+//   --rag-dir <dir>   store to check (default public/rag)
+//   --out <file>      write the full JSON report here
+//   --json            print the JSON report instead of the summary
+//   --strict          exit non-zero on warnings too
+//
+// Exit code: 0 when there are no errors (and no warnings with --strict), 1
+// otherwise.
+
+import fs from "fs";
+import path from "path";
+import { loadEmbeddings, resolveAttachmentPath } from "../api/tb-rag-query.js";
+import { readJsonl } from "../lib/rag/ingest.js";
+import { checkRagStore } from "../lib/rag/integrity.js";
+
+function parseArgs(argv) {
+  const opts = { ragDir: "public/rag", out: null, json: false, strict: false };
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    switch (arg) {
+      case "--json":
+        opts.json = true;
+        break;
+      case "--strict":
+        opts.strict = true;
+        break;
+      case "--rag-dir":
+      case "--out": {
+        const value = argv[++i];
+        if (!value) throw new Error(`${arg} needs a value`);
+        opts[arg === "--rag-dir" ? "ragDir" : "out"] = value;
+        break;
+      }
+      default:
+        throw new Error(`Unknown option ${arg}`);
+    }
+  }
+  return opts;
+}
+
+async function main() {
+  const opts = parseArgs(process.argv.slice(2));
+  const ragDir = path.resolve(opts.ragDir);
+  const chunksPath = path.join(ragDir, "chunks.jsonl");
+  if (!fs.existsSync(chunksPath)) throw new Error(`${chunksPath} not found`);
+
+  // Attachment paths resolve the way the API resolves them, re-rooted at --rag-dir.
+  const defaultRagDir = path.join(process.cwd(), "public", "rag");
+  const resolvePath = (attachmentPath) => {
+    const abs = resolveAttachmentPath(attachmentPath);
+    return abs && path.join(ragDir, path.relative(defaultRagDir, abs));
+  };
+
+  const metaPath = path.join(ragDir, "chunk_meta.jsonl");
+  const report = checkRagStore({
+    chunks: readJsonl(chunksPath),
+    embeddings: await loadEmbeddings(ragDir),
+    resolvePath,
+    meta: fs.existsSync(metaPath) ? readJsonl(metaPath) : null
+  });
+  report.rag_dir = ragDir;
+
+  if (opts.json) {
+    console.log(JSON.stringify(report, null, 2));
+  } else {
+    const { chunks, embeddings, dimensions, errors, warnings } = report.summary;
+    console.log(
+      `${ragDir}: ${chunks} chunks, ${embeddings} embeddings (${dimensions} dimensions); ` +
+        `${errors} error(s), ${warnings} warning(s)`
+    );
+    for (const c of report.checks) {
+      console.log(`  ${c.status.padEnd(5)} ${c.id.padEnd(22)} ${c.message}`);
+      if (c.status !== "ok") {
+        for (const example of c.examples.slice(0, 3)) console.log(`          ${JSON.stringify(example)}`);
+      }
+    }
+  }
+
+  if (opts.out) {
+    fs.mkdirSync(path.dirname(opts.out), { recursive: true });
+    fs.writeFileSync(opts.out, JSON.stringify(report, null, 2));
+    if (!opts.json) console.log(`\nReport written to ${opts.out}`);
+  }
+
+  if (!report.ok || (opts.strict && report.summary.warnings)) process.exitCode = 1;
+}
+
+main().catch((err) => {
+  console.error(err.message || err);
+  process.exit(1);
+});
@@ -0,0 +1,200 @@
+// scripts/describe-figures.js
+// Offline figure understanding: turns each figure image (mostly WHO algorithm
+// flowcharts) into a structured description — nodes, decisions and labelled
+// edges — stored next to the chunks. loadRagStore merges the descriptions into
+// the figure chunks, so lexical retrieval matches flowchart content and the
+// mentor sees the algorithm steps instead of just the caption.
+//
+// Runs are incremental: a figure is described again only when its image bytes
+// or the describer change (or with --force). Figures whose image is not
+// deployed are skipped.
+//
+// Usage (from the repo root, so public/rag resolves):
+//   node scripts/describe-figures.js [options]
+//
+//   --chunks <file>      chunk metadata (default public/rag/chunk_meta.jsonl)
+//   --out <file>         descriptions JSONL (default public/rag/figure_descriptions.jsonl)
+//   --describer <name>   stub (default) | llm | path to a describer module
+//   --only <id,...>      describe only these chunk ids
+//   --limit <n>          stop after describing n figures
+//   --force              re-describe figures that are up to date
+//   --dry-run            list what would be described, write nothing
+//
+// Output line: { chunk_id, doc_id, attachment_path, image_sha256, describer,
+// described_at, description: { kind, title, summary, nodes, edges } }
+// Dense embeddings are not touched; re-embed the corpus for the descriptions
+// to affect vector retrieval.
+
+import crypto from "crypto";
+import fs from "fs";
+import path from "path";
+import { resolveAttachmentPath } from "../api/tb-rag-query.js";
+import { loadFigureDescriber } from "../lib/rag/figure-describers.js";
+import {
+  figureDescriptionsPath,
+  loadFigureDescriptions,
+  normalizeFigureDescription
+} from "../lib/rag/figures.js";
+
+const MIME_TYPES = { ".png": "image/png", ".jpg": "image/jpeg", ".jpeg": "image/jpeg" };
+
+function parseArgs(argv) {
+  const opts = {
+    chunks: "public/rag/chunk_meta.jsonl",
+    out: figureDescriptionsPath(),
+    describer: "stub",
+    only: null,
+    limit: null,
+    force: false,
+    dryRun: false
+  };
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    switch (arg) {
+      case "--force":
+        opts.force = true;
+        break;
+      case "--dry-run":
+        opts.dryRun = true;
+        break;
+      case "--chunks":
+      case "--out":
+      case "--describer": {
+        const value = argv[++i];
+        if (!value) throw new Error(`${arg} needs a value`);
+        opts[arg.slice(2)] = value;
+        break;
+      }
+      case "--only":
+        opts.only = new Set((argv[++i] || "").split(",").map((s) => s.trim()).filter(Boolean));
+        break;
+      case "--limit":
+        opts.limit = Number(argv[++i]);
+        if (!Number.isInteger(opts.limit) || opts.limit < 1) {
+          throw new Error("--limit must be a positive integer");
+        }
+        break;
+      default:
+        throw new Error(`Unknown option ${arg}`);
+    }
+  }
+  return opts;
+}
+
+function readJsonl(file) {
+  return fs
+    .readFileSync(file, "utf-8")
+    .split("\n")
+    .filter((line) => line.trim())
+    .map((line) => JSON.parse(line));
+}
+
+function sha256(buf) {
+  return crypto.createHash("sha256").update(buf).digest("hex");
+}
+
+function writeDescriptions(file, byChunk) {
+  const lines = Array.from(byChunk.values())
+    .sort((a, b) => a.chunk_id.localeCompare(b.chunk_id))
+    .map((r) => JSON.stringify(r));
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  const tmp = `${file}.${process.pid}.tmp`;
+  fs.writeFileSync(tmp, lines.length ? `${lines.join("\n")}\n` : "");
+  fs.renameSync(tmp, file);
+}
+
+async function main() {
+  const opts = parseArgs(process.argv.slice(2));
+  const figures = readJsonl(opts.chunks).filter(
+    (c) =>
+      (c.content_type || "").toLowerCase() === "figure" &&
+      c.attachment_path &&
+      (!opts.only || opts.only.has(c.chunk_id))
+  );
+  if (!figures.length) throw new Error(`No figure chunks selected from ${opts.chunks}`);
+
+  const describer = await loadFigureDescriber(opts.describer);
+  const existing = loadFigureDescriptions(opts.out);
+  const stats = { described: 0, up_to_date: 0, missing_image: 0, failed: 0 };
+
+  for (const chunk of figures) {
+    if (opts.limit != null && stats.described >= opts.limit) break;
+
+    const imagePath = resolveAttachmentPath(chunk.attachment_path);
+    let image;
+    try {
+      image = fs.readFileSync(imagePath);
+    } catch (err) {
+      if (err?.code !== "ENOENT") throw err;
+      stats.missing_image += 1;
+      continue;
+    }
+
+    const imageSha = sha256(image);
+    const previous = existing.get(chunk.chunk_id);
+    if (
+      !opts.force &&
+      previous?.image_sha256 === imageSha &&
+      previous.describer === describer.name &&
+      previous.attachment_path === chunk.attachment_path
+    ) {
+      stats.up_to_date += 1;
+      continue;
+    }
+
+    if (opts.dryRun) {
+      console.log(`would describe ${chunk.chunk_id} (${chunk.attachment_path})`);
+      stats.described += 1;
+      continue;
+    }
+
+    try {
+      const raw = await describer.describe({
+        chunk,
+        imagePath,
+        imageBase64: image.toString("base64"),
+        mimeType: MIME_TYPES[path.extname(imagePath).toLowerCase()] || "image/png"
+      });
+      const description = normalizeFigureDescription(raw);
+      if (description.dropped_edges) {
+        console.warn(
+          `${chunk.chunk_id}: dropped ${description.dropped_edges} edge(s) to unknown nodes`
+        );
+      }
+      existing.set(chunk.chunk_id, {
+        chunk_id: chunk.chunk_id,
+        doc_id: chunk.doc_id,
+        attachment_path: chunk.attachment_path,
+        image_sha256: imageSha,
+        describer: describer.name,
+        described_at: new Date().toISOString(),
+        description
+      });
+      stats.described += 1;
+      console.log(
+        `described ${chunk.chunk_id}: ${description.kind}, ` +
+          `${description.nodes.length} node(s), ${description.edges.length} edge(s)`
+      );
+    } catch (err) {
+      // One unreadable figure should not lose the rest of a long run.
+      stats.failed += 1;
+      console.error(`${chunk.chunk_id}: ${err.message || err}`);
+    }
+  }
+
+  if (!opts.dryRun && stats.described) writeDescriptions(opts.out, existing);
+
+  console.log(
+    `${figures.length} figure(s) with ${describer.name}: ${stats.described} described` +
+      `${opts.dryRun ? " (dry run)" : ""}, ${stats.up_to_date} up to date, ` +
+      `${stats.missing_image} without a deployed image, ${stats.failed} failed`
+  );
+  if (!opts.dryRun && stats.described) console.log(`Descriptions written to ${opts.out}`);
+  if (stats.failed) process.exitCode = 1;
+}
+
+main().catch((err) => {
+  console.error(err.message || err);
+  process.exit(1);
+});
@@ -0,0 +1,329 @@
+// scripts/eval-retrieval.js
+// Offline retrieval evaluation against the versioned gold question set.
+//
+// Runs every gold question through the same pipeline as /api/tb-rag-query
+// (retrieveGuidance) and reports recall@k, MRR and nDCG overall, per scope
+// and per intent flag. Query embeddings are cached on disk, so after the
+// first run a ranking change can be re-evaluated without any API calls.
+//
+// Usage (from the repo root, so public/rag resolves):
+//   node scripts/eval-retrieval.js [options]
+//
+//   --gold <file>       gold set (default eval/gold-questions.v1.jsonl)
+//   --cache <file>      query embedding cache (default eval/cache/query-embeddings.json)
+//   --offline           fail on a cache miss instead of calling the embedding API
+//   --out <file>        write the full JSON report here
+//   --baseline <file>   a previous --out report to compare against
+//   --only <id,...>     evaluate only these gold ids
+//   --rules <file>      ranking rules to use instead of config/rag-rules.json
+//   --verbose           log each question's pipeline trace (spans, embedding)
+//                       at debug level, tagged with the gold id
+//
+// Gold line: { id, question, scope?, expected_chunk_ids: [], expected_doc_ids: [] }
+// `scope`, when present, is sent with the request like the mentor's tool call
+// would; otherwise the pipeline infers it. Expected chunks are graded 2 and
+// other chunks from an expected doc 1 for nDCG.
+
+import crypto from "crypto";
+import fs from "fs";
+import path from "path";
+import { embedQuestion, retrieveGuidance } from "../api/tb-rag-query.js";
+import { embeddingModel } from "../lib/llm/index.js";
+import { getRankingRules, loadRankingRules, setRankingRules } from "../lib/rag/rules.js";
+import { createTrace, NOOP_TRACE } from "../lib/trace.js";
+
+const CUTOFFS = [1, 3, 5, 8];
+const NDCG_K = 8;
+
+function parseArgs(argv) {
+  const opts = {
+    gold: "eval/gold-questions.v1.jsonl",
+    cache: "eval/cache/query-embeddings.json",
+    offline: false,
+    out: null,
+    baseline: null,
+    only: null,
+    rules: null,
+    verbose: false
+  };
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    switch (arg) {
+      case "--offline":
+        opts.offline = true;
+        break;
+      case "--verbose":
+        opts.verbose = true;
+        break;
+      case "--gold":
+      case "--cache":
+      case "--out":
+      case "--baseline":
+      case "--rules":
+        opts[arg.slice(2)] = argv[++i];
+        break;
+      case "--only":
+        opts.only = new Set(String(argv[++i] || "").split(",").filter(Boolean));
+        break;
+      default:
+        throw new Error(`Unknown argument: ${arg}`);
+    }
+  }
+  return opts;
+}
+
+function readJsonl(file) {
+  return fs
+    .readFileSync(file, "utf-8")
+    .split("\n")
+    .map((line) => line.trim())
+    .filter(Boolean)
+    .map((line, i) => {
+      try {
+        return JSON.parse(line);
+      } catch (err) {
+        throw new Error(`${file}:${i + 1}: ${err.message}`);
+      }
+    });
+}
+
+// ---------- Embedding cache ----------
+
+function loadCache(file) {
+  if (!fs.existsSync(file)) return { entries: {} };
+  const parsed = JSON.parse(fs.readFileSync(file, "utf-8"));
+  return { entries: parsed.entries || {} };
+}
+
+function saveCache(file, cache) {
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  fs.writeFileSync(file, JSON.stringify({ version: 1, entries: cache.entries }));
+}
+
+function cacheKey(model, question) {
+  return `${model}:${crypto.createHash("sha256").update(question).digest("hex")}`;
+}
+
+function createCachedEmbedder(cache, { offline }) {
+  const model = embeddingModel();
+  const stats = { hits: 0, misses: 0 };
+
+  const embed = async (question) => {
+    const key = cacheKey(model, question);
+    if (cache.entries[key]) {
+      stats.hits += 1;
+      return cache.entries[key];
+    }
+    if (offline) {
+      throw new Error(`No cached embedding for "${question.slice(0, 60)}" (${model}); run without --offline once.`);
+    }
+    stats.misses += 1;
+    const vec = await embedQuestion(question);
+    cache.entries[key] = vec;
+    return vec;
+  };
+
+  return { embed, stats, model };
+}
+
+// ---------- Metrics ----------
+
+function gainFor(result, expectedChunks, expectedDocs) {
+  if (expectedChunks.has(result.chunk_id)) return 2;
+  if (expectedDocs.has(result.doc_id)) return 1;
+  return 0;
+}
+
+function dcg(gains) {
+  return gains.reduce((sum, g, i) => sum + (2 ** g - 1) / Math.log2(i + 2), 0);
+}
+
+function scoreQuestion(gold, results) {
+  const expectedChunks = new Set(gold.expected_chunk_ids || []);
+  const expectedDocs = new Set(gold.expected_doc_ids || []);
+  const ids = results.map((r) => r.chunk_id);
+
+  const recall = {};
+  const docRecall = {};
+  for (const k of CUTOFFS) {
+    const top = results.slice(0, k);
+    const foundChunks = top.filter((r) => expectedChunks.has(r.chunk_id)).length;
+    const foundDocs = new Set(top.map((r) => r.doc_id).filter((d) => expectedDocs.has(d))).size;
+    recall[k] = expectedChunks.size ? foundChunks / expectedChunks.size : null;
+    docRecall[k] = expectedDocs.size ? foundDocs / expectedDocs.size : null;
+  }
+
+  const firstHit = ids.findIndex((id) => expectedChunks.has(id));
+
+  // Ideal ranking: every expected chunk first, then same-doc chunks.
+  const gains = results.slice(0, NDCG_K).map((r) => gainFor(r, expectedChunks, expectedDocs));
+  const ideal = [
+    ...new Array(Math.min(expectedChunks.size, NDCG_K)).fill(2),
+    ...new Array(Math.max(0, NDCG_K - expectedChunks.size)).fill(expectedDocs.size ? 1 : 0)
+  ];
+  const idealDcg = dcg(ideal);
+
+  return {
+    recall,
+    doc_recall: docRecall,
+    mrr: firstHit >= 0 ? 1 / (firstHit + 1) : 0,
+    ndcg: idealDcg ? dcg(gains) / idealDcg : 0,
+    first_hit_rank: firstHit >= 0 ? firstHit + 1 : null
+  };
+}
+
+function mean(values) {
+  const nums = values.filter((v) => typeof v === "number");
+  return nums.length ? nums.reduce((a, b) => a + b, 0) / nums.length : null;
+}
+
+function aggregate(rows) {
+  const out = { n: rows.length, mrr: mean(rows.map((r) => r.metrics.mrr)), ndcg: mean(rows.map((r) => r.metrics.ndcg)) };
+  for (const k of CUTOFFS) {
+    out[`recall@${k}`] = mean(rows.map((r) => r.metrics.recall[k]));
+    out[`doc_recall@${k}`] = mean(rows.map((r) => r.metrics.doc_recall[k]));
+  }
+  return out;
+}
+
+function groupBy(rows, keysOf) {
+  const groups = {};
+  for (const row of rows) {
+    for (const key of keysOf(row)) {
+      (groups[key] ||= []).push(row);
+    }
+  }
+  return Object.fromEntries(
+    Object.entries(groups)
+      .sort(([a], [b]) => a.localeCompare(b))
+      .map(([key, list]) => [key, aggregate(list)])
+  );
+}
+
+// ---------- Reporting ----------
+
+const SUMMARY_COLUMNS = ["n", "recall@1", "recall@3", "recall@8", "doc_recall@3", "mrr", "ndcg"];
+
+function fmt(value) {
+  if (value === null || value === undefined) return "-";
+  return Number.isInteger(value) ? String(value) : value.toFixed(3);
+}
+
+function fmtDelta(value, base) {
+  if (typeof value !== "number" || typeof base !== "number") return fmt(value);
+  const d = value - base;
+  if (Math.abs(d) < 0.0005) return fmt(value);
+  return `${fmt(value)} (${d > 0 ? "+" : ""}${d.toFixed(3)})`;
+}
+
+function printTable(title, groups, baselineGroups) {
+  console.log(`\n${title}`);
+  const header = ["group", ...SUMMARY_COLUMNS];
+  const lines = Object.entries(groups).map(([name, agg]) => [
+    name,
+    ...SUMMARY_COLUMNS.map((col) =>
+      col === "n" ? fmt(agg.n) : fmtDelta(agg[col], baselineGroups?.[name]?.[col])
+    )
+  ]);
+  const widths = header.map((h, i) => Math.max(h.length, ...lines.map((l) => l[i].length)));
+  const row = (cells) => cells.map((c, i) => c.padEnd(widths[i])).join("  ");
+  console.log(row(header));
+  for (const line of lines) console.log(row(line));
+}
+
+function printQuestionChanges(rows, baseline) {
+  const before = new Map((baseline.questions || []).map((q) => [q.id, q]));
+  const changed = rows.filter((row) => {
+    const prev = before.get(row.id);
+    return prev && Math.abs((prev.metrics?.ndcg ?? 0) - row.metrics.ndcg) >= 0.0005;
+  });
+  if (!changed.length) {
+    console.log("\nNo per-question nDCG changes vs baseline.");
+    return;
+  }
+  console.log("\nPer-question nDCG changes vs baseline:");
+  for (const row of changed) {
+    const prev = before.get(row.id);
+    console.log(
+      `  ${row.id.padEnd(28)} ${fmt(prev.metrics.ndcg)} -> ${fmt(row.metrics.ndcg)}` +
+        `  first hit ${prev.metrics.first_hit_rank ?? "-"} -> ${row.metrics.first_hit_rank ?? "-"}`
+    );
+  }
+}
+
+// ---------- Main ----------
+
+async function main() {
+  const opts = parseArgs(process.argv.slice(2));
+  const gold = readJsonl(opts.gold).filter((q) => !opts.only || opts.only.has(q.id));
+  if (!gold.length) throw new Error(`No gold questions selected from ${opts.gold}`);
+
+  if (opts.rules) setRankingRules(loadRankingRules(opts.rules));
+  const rules = getRankingRules();
+
+  const cache = loadCache(opts.cache);
+  const embedder = createCachedEmbedder(cache, opts);
+
+  // The pipeline logs through its trace; quiet runs get the no-op trace, whose
+  // debug lines stay below the default log level.
+  if (opts.verbose && !process.env.TB_LOG_LEVEL) process.env.TB_LOG_LEVEL = "debug";
+
+  const rows = [];
+  try {
+    for (const q of gold) {
+      const trace = opts.verbose ? createTrace({ route: "eval-retrieval", requestId: q.id }) : NOOP_TRACE;
+      const response = await retrieveGuidance(
+        { question: q.question, scope: q.scope || undefined },
+        { embed: embedder.embed, trace }
+      );
+
+      const intent = response.retrieval_log.find((e) => e.stage === "intent");
+      rows.push({
+        id: q.id,
+        question: q.question,
+        scope: response.scope || "none",
+        intent_flags: intent?.intent_flags || [],
+        metrics: scoreQuestion(q, response.results),
+        retrieved: response.results.map((r) => r.chunk_id)
+      });
+    }
+  } finally {
+    if (embedder.stats.misses) saveCache(opts.cache, cache);
+  }
+
+  const report = {
+    gold_file: opts.gold,
+    generated_at: new Date().toISOString(),
+    embedding_model: embedder.model,
+    rules: { source: rules.source, version: rules.version, count: rules.rules.length },
+    cutoffs: CUTOFFS,
+    ndcg_k: NDCG_K,
+    overall: aggregate(rows),
+    by_scope: groupBy(rows, (r) => [r.scope]),
+    by_intent_flag: groupBy(rows, (r) => (r.intent_flags.length ? r.intent_flags : ["(none)"])),
+    questions: rows
+  };
+
+  const baseline = opts.baseline ? JSON.parse(fs.readFileSync(opts.baseline, "utf-8")) : null;
+
+  console.log(
+    `Evaluated ${rows.length} question(s) from ${opts.gold}` +
+      ` (embeddings: ${embedder.stats.hits} cached, ${embedder.stats.misses} fetched)`
+  );
+  printTable("Overall", { all: report.overall }, baseline && { all: baseline.overall });
+  printTable("By scope", report.by_scope, baseline?.by_scope);
+  printTable("By intent flag", report.by_intent_flag, baseline?.by_intent_flag);
+  if (baseline) printQuestionChanges(rows, baseline);
+
+  if (opts.out) {
+    fs.mkdirSync(path.dirname(opts.out), { recursive: true });
+    fs.writeFileSync(opts.out, JSON.stringify(report, null, 2));
+    console.log(`\nReport written to ${opts.out}`);
+  }
+}
+
+main().catch((err) => {
+  console.error(err.message || err);
+  process.exit(1);
+});
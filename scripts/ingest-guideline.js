@@ -0,0 +1,317 @@
+// scripts/ingest-guideline.js
+// Adds or updates one guideline document in the RAG store without the
+// external rag-chunker: chunks a Markdown or PDF source (see lib/rag/ingest.js
+// for the conventions), copies its table CSVs and figure images under
+// public/rag, embeds new or changed chunks through the provider layer and
+// rewrites chunks.jsonl, chunk_meta.jsonl and the embeddings.
+//
+// Updates are incremental: other documents are left untouched and embeddings
+// are reused for any chunk whose section path, caption and text are unchanged.
+// public/rag/ingest-manifest.json records the embedding model and, per
+// document, the source hash and what the last ingestion added, updated or
+// removed.
+//
+// Usage (from the repo root, so public/rag resolves):
+//   node scripts/ingest-guideline.js --source <file> --doc-id <id> [options]
+//
+//   --source <file>        guideline source (.md, .txt or .pdf)
+//   --doc-id <id>          document id, e.g. WHO_TB_handbook_module4_treatment_2026
+//   --tables <dir>         table CSVs named by number ("Table 2.1.csv", "Table_2.1..csv")
+//   --figures <dir>        figure images named by number ("Fig. 3.png", "Figure 3.png")
+//   --rag-dir <dir>        store to update (default public/rag)
+//   --max-tokens <n>       target text chunk size (default 350)
+//   --batch <n>            chunks per embedding request (default 64)
+//   --rebuild              re-embed every chunk in the store (e.g. after changing TB_EMBEDDING_MODEL)
+//   --dry-run              report what would change; no embedding calls, nothing written
+//   --manifest-out <file>  also write this run's change manifest here
+//
+// After ingesting, add the document to config/document-registry.json and, if
+// it has figures, re-run scripts/describe-figures.js.
+
+import fs from "fs";
+import path from "path";
+import Papa from "papaparse";
+import { loadEmbeddings, normalizeTableRows } from "../api/tb-rag-query.js";
+import { embeddingModel, getLlmProvider } from "../lib/llm/index.js";
+import {
+  chunkBlocks,
+  chunkContentHash,
+  chunkEmbeddingText,
+  chunkMeta,
+  diffChunks,
+  encodeNpy,
+  indexAttachmentFiles,
+  parseSource,
+  readJsonl,
+  readSourceText,
+  sha256,
+  sourceFormat,
+  tableChunkText,
+  toChunkerCsv,
+  writeFileAtomic,
+  writeJsonl
+} from "../lib/rag/ingest.js";
+import { getDocumentRegistry, registryEntry } from "../lib/rag/registry.js";
+
+const MANIFEST_FILE = "ingest-manifest.json";
+
+function parseArgs(argv) {
+  const opts = {
+    source: null,
+    docId: null,
+    tables: null,
+    figures: null,
+    ragDir: "public/rag",
+    maxTokens: 350,
+    batch: 64,
+    rebuild: false,
+    dryRun: false,
+    manifestOut: null
+  };
+
+  const positiveInt = (arg, value) => {
+    const n = Number(value);
+    if (!Number.isInteger(n) || n < 1) throw new Error(`${arg} must be a positive integer`);
+    return n;
+  };
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    switch (arg) {
+      case "--rebuild":
+        opts.rebuild = true;
+        break;
+      case "--dry-run":
+        opts.dryRun = true;
+        break;
+      case "--max-tokens":
+        opts.maxTokens = positiveInt(arg, argv[++i]);
+        break;
+      case "--batch":
+        opts.batch = positiveInt(arg, argv[++i]);
+        break;
+      case "--source":
+      case "--doc-id":
+      case "--tables":
+      case "--figures":
+      case "--rag-dir":
+      case "--manifest-out": {
+        const value = argv[++i];
+        if (!value) throw new Error(`${arg} needs a value`);
+        opts[arg.slice(2).replace(/-([a-z])/g, (_, c) => c.toUpperCase())] = value;
+        break;
+      }
+      default:
+        throw new Error(`Unknown option ${arg}`);
+    }
+  }
+
+  if (!opts.source || !opts.docId) throw new Error("--source and --doc-id are required");
+  if (!/^[A-Za-z0-9][A-Za-z0-9_.-]*$/.test(opts.docId)) {
+    throw new Error("--doc-id may only contain letters, digits, '.', '_' and '-'");
+  }
+  return opts;
+}
+
+function readManifest(file) {
+  if (!fs.existsSync(file)) {
+    return { version: 1, embedding_model: null, embedding_dim: null, documents: {} };
+  }
+  return JSON.parse(fs.readFileSync(file, "utf-8"));
+}
+
+// Resolves caption refs to files in --tables/--figures and stages the copies
+// under public/rag; nothing is written until commit().
+function createAttachmentStager(index, { docId, ragDir }) {
+  const staged = new Map();
+
+  return {
+    has: (kind, ref) => !!index[kind]?.has(ref),
+    resolve(kind, ref, attachmentId, caption) {
+      const file = index[kind]?.get(ref);
+      if (!file) return null;
+
+      if (kind === "table") {
+        const rel = `tables/${docId}/${attachmentId.replace(/^Table /, "Table_")}.csv`;
+        const csv = toChunkerCsv(fs.readFileSync(file, "utf-8"), { docId, tableId: attachmentId });
+        const rows = Papa.parse(csv, { header: true, skipEmptyLines: true }).data;
+        staged.set(rel, csv);
+        return { attachment_path: rel, text: tableChunkText(caption, normalizeTableRows(rows).logicalRows) };
+      }
+
+      const rel = `figures/${docId}/${attachmentId}${path.extname(file).toLowerCase()}`;
+      staged.set(rel, fs.readFileSync(file));
+      return { attachment_path: rel };
+    },
+    files: () => Array.from(staged.keys()),
+    commit() {
+      for (const [rel, data] of staged) writeFileAtomic(path.join(ragDir, rel), data);
+    }
+  };
+}
+
+async function embedAll(texts, { model, batch }) {
+  const provider = getLlmProvider();
+  const vectors = [];
+  for (let i = 0; i < texts.length; i += batch) {
+    const { embeddings } = await provider.embed({ model, input: texts.slice(i, i + batch) });
+    vectors.push(...embeddings);
+    console.log(`embedded ${Math.min(i + batch, texts.length)}/${texts.length}`);
+  }
+  return vectors;
+}
+
+async function main() {
+  const opts = parseArgs(process.argv.slice(2));
+  const ragDir = path.resolve(opts.ragDir);
+  const chunksPath = path.join(ragDir, "chunks.jsonl");
+  const metaPath = path.join(ragDir, "chunk_meta.jsonl");
+  const manifestPath = path.join(ragDir, MANIFEST_FILE);
+
+  // ---- load the current store ----
+  const existing = readJsonl(chunksPath);
+  if (!existing.length && readJsonl(metaPath).length) {
+    throw new Error(
+      `${chunksPath} is missing but chunk_meta.jsonl lists chunks; fetch the deployed store first ` +
+        "or ingestion would drop every other document"
+    );
+  }
+  const existingVectors = existing.length ? await loadEmbeddings(ragDir) : [];
+  if (existingVectors.length !== existing.length && !opts.rebuild) {
+    throw new Error(
+      `Store has ${existing.length} chunks but ${existingVectors.length} embeddings; re-run with --rebuild`
+    );
+  }
+
+  const manifest = readManifest(manifestPath);
+  const model = embeddingModel();
+  if (manifest.embedding_model && manifest.embedding_model !== model && !opts.rebuild) {
+    throw new Error(
+      `Store was embedded with ${manifest.embedding_model} but TB_EMBEDDING_MODEL is ${model}; ` +
+        "use --rebuild to re-embed everything"
+    );
+  }
+
+  // ---- chunk the source ----
+  const format = sourceFormat(opts.source);
+  const sourceSha = sha256(fs.readFileSync(opts.source));
+  const stager = createAttachmentStager(
+    indexAttachmentFiles({ tablesDir: opts.tables, figuresDir: opts.figures }),
+    { docId: opts.docId, ragDir }
+  );
+  const blocks = parseSource(readSourceText(opts.source, format), { format, hasAttachment: stager.has });
+  const docChunks = chunkBlocks(blocks, {
+    docId: opts.docId,
+    sourceManifest: `${MANIFEST_FILE}#${opts.docId}`,
+    maxTokens: opts.maxTokens,
+    attachments: stager
+  });
+  if (!docChunks.length) throw new Error(`No chunks produced from ${opts.source}`);
+
+  const previous = existing.filter((c) => c.doc_id === opts.docId);
+  const changes = diffChunks(previous, docChunks);
+
+  // The document keeps its place in the store; a new one is appended.
+  const firstIndex = existing.findIndex((c) => c.doc_id === opts.docId);
+  const others = existing
+    .map((chunk, i) => ({ chunk, vector: existingVectors[i] }))
+    .filter(({ chunk }) => chunk.doc_id !== opts.docId);
+  const insertAt = firstIndex === -1 ? others.length : firstIndex;
+  const entries = [
+    ...others.slice(0, insertAt),
+    ...docChunks.map((chunk) => ({ chunk, vector: null })),
+    ...others.slice(insertAt)
+  ];
+
+  // ---- reuse or embed ----
+  const reusable = new Map();
+  if (!opts.rebuild) {
+    existing.forEach((c, i) => reusable.set(chunkContentHash(c), existingVectors[i]));
+  }
+  const pending = [];
+  for (const entry of entries) {
+    entry.vector = opts.rebuild ? null : entry.vector || reusable.get(chunkContentHash(entry.chunk)) || null;
+    if (!entry.vector) pending.push(entry);
+  }
+
+  const counts = {};
+  for (const c of docChunks) counts[c.content_type] = (counts[c.content_type] || 0) + 1;
+  console.log(
+    `${opts.docId}: ${docChunks.length} chunk(s) ${JSON.stringify(counts)} from ${opts.source}; ` +
+      `${changes.added.length} added, ${changes.updated.length} updated, ` +
+      `${changes.removed.length} removed, ${changes.unchanged} unchanged`
+  );
+  console.log(`${pending.length} chunk(s) to embed with ${model}, ${stager.files().length} attachment(s)`);
+
+  const runManifest = {
+    doc_id: opts.docId,
+    source: opts.source,
+    source_format: format,
+    source_sha256: sourceSha,
+    embedding_model: model,
+    ingested_at: new Date().toISOString(),
+    dry_run: opts.dryRun,
+    rebuild: opts.rebuild,
+    chunk_count: docChunks.length,
+    content_types: counts,
+    attachments: stager.files(),
+    embedded: pending.length,
+    changes
+  };
+
+  if (opts.dryRun) {
+    if (opts.manifestOut) writeFileAtomic(opts.manifestOut, JSON.stringify(runManifest, null, 2));
+    return;
+  }
+
+  const vectors = await embedAll(pending.map((e) => chunkEmbeddingText(e.chunk)), {
+    model,
+    batch: opts.batch
+  });
+  pending.forEach((entry, i) => {
+    entry.vector = vectors[i];
+  });
+
+  const dims = new Set(entries.map((e) => e.vector.length));
+  if (dims.size !== 1) {
+    throw new Error(
+      `Embedding dimensions differ (${Array.from(dims).join(", ")}); re-run with --rebuild`
+    );
+  }
+
+  // ---- write ----
+  stager.commit();
+  const chunks = entries.map((e) => e.chunk);
+  const rows = entries.map((e) => e.vector);
+  writeJsonl(chunksPath, chunks);
+  writeJsonl(metaPath, chunks.map(chunkMeta));
+
+  // Keep the store's embeddings format; loadEmbeddings prefers the JSON file.
+  const jsonPath = path.join(ragDir, "embeddings.json");
+  const npyPath = path.join(ragDir, "embeddings.npy");
+  if (fs.existsSync(npyPath) && !fs.existsSync(jsonPath)) {
+    writeFileAtomic(npyPath, encodeNpy(rows));
+  } else {
+    writeFileAtomic(jsonPath, JSON.stringify(rows));
+  }
+
+  const { dry_run, rebuild, ...docRecord } = runManifest;
+  manifest.embedding_model = model;
+  manifest.embedding_dim = rows[0].length;
+  manifest.updated_at = runManifest.ingested_at;
+  manifest.chunk_count = chunks.length;
+  manifest.documents[opts.docId] = docRecord;
+  writeFileAtomic(manifestPath, JSON.stringify(manifest, null, 2));
+  if (opts.manifestOut) writeFileAtomic(opts.manifestOut, JSON.stringify(runManifest, null, 2));
+
+  console.log(`Store written to ${ragDir} (${chunks.length} chunks, ${rows[0].length} dimensions)`);
+  if (!registryEntry(getDocumentRegistry(), opts.docId)) {
+    console.warn(`${opts.docId} is not in config/document-registry.json; add it so edition handling applies`);
+  }
+  if (counts.figure) console.log("Figures changed: re-run scripts/describe-figures.js");
+}
+
+main().catch((err) => {
+  console.error(err.message || err);
+  process.exit(1);
+});
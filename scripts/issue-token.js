@@ -0,0 +1,63 @@
+// scripts/issue-token.js
+// Mints a signed clinician token for the API (see lib/auth.js). In production
+// tokens come from the host application's login; this is for operators,
+// integrations and local testing. Needs TB_AUTH_TOKEN_SECRET.
+//
+// Usage:
+//   node scripts/issue-token.js --sub <clinician id> --site <facility id> [options]
+//
+//   --sub <id>          clinician id (required)
+//   --site <id>         facility/site id (required)
+//   --name <text>       display name
+//   --scopes <a,b>      scopes (default mentor,rag,tda,tools,usage; see SCOPES in lib/auth.js)
+//   --ttl-hours <n>     lifetime in hours (default 12)
+
+import { SCOPES, signUserToken } from "../lib/auth.js";
+
+function parseArgs(argv) {
+  const opts = { sub: null, site: null, name: null, scopes: null, ttlHours: 12 };
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    switch (arg) {
+      case "--sub":
+      case "--site":
+      case "--name": {
+        const value = argv[++i];
+        if (!value) throw new Error(`${arg} needs a value`);
+        opts[arg.slice(2)] = value;
+        break;
+      }
+      case "--scopes":
+        opts.scopes = (argv[++i] || "").split(",").map((s) => s.trim()).filter(Boolean);
+        break;
+      case "--ttl-hours":
+        opts.ttlHours = Number(argv[++i]);
+        if (!(opts.ttlHours > 0)) throw new Error("--ttl-hours must be a positive number");
+        break;
+      default:
+        throw new Error(`Unknown option ${arg}`);
+    }
+  }
+
+  if (!opts.sub || !opts.site) throw new Error("--sub and --site are required");
+  const unknown = (opts.scopes || []).filter((s) => !SCOPES.includes(s));
+  if (unknown.length) throw new Error(`Unknown scopes: ${unknown.join(", ")} (expected ${SCOPES.join(", ")})`);
+  return opts;
+}
+
+function main() {
+  const opts = parseArgs(process.argv.slice(2));
+  const claims = { sub: opts.sub, site: opts.site };
+  if (opts.name) claims.name = opts.name;
+  if (opts.scopes) claims.scopes = opts.scopes;
+
+  console.log(signUserToken(claims, { expiresIn: Math.round(opts.ttlHours * 3600) }));
+}
+
+try {
+  main();
+} catch (err) {
+  console.error(err.message || err);
+  process.exit(1);
+}
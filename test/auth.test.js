@@ -0,0 +1,104 @@
+// test/auth.test.js
+// API keys, clinician tokens and scopes (lib/auth.js), and the RAG route
+// trusting only the mentor's in-process marker, not a req.auth it was handed.
+
+import { test, beforeEach, afterEach } from "node:test";
+import assert from "node:assert/strict";
+
+import { authenticate, compileApiKeys, setApiKeys, signUserToken, verifyUserToken } from "../lib/auth.js";
+import { createMemoryQuotaStore, setQuotaStore } from "../lib/quotas.js";
+import { callRoute, useRagProject } from "./helpers.js";
+
+const KEYS = [
+  { name: "ehr", key: "ehr-key", site: "site-1", scopes: ["mentor", "rag"] },
+  { name: "ops", key: "ops-key", scopes: ["audit"] }
+];
+const SECRET = "token-secret";
+const ENV = ["TB_API_KEYS", "TB_AUTH_TOKEN_SECRET", "TB_PEDS_TDA_API_KEY"];
+
+const app = useRagProject({ rag: "../api/tb-rag-query.js" });
+
+const saved = {};
+beforeEach(() => {
+  for (const k of ENV) saved[k] = process.env[k];
+  process.env.TB_API_KEYS = JSON.stringify(KEYS);
+  process.env.TB_AUTH_TOKEN_SECRET = SECRET;
+  delete process.env.TB_PEDS_TDA_API_KEY;
+  setApiKeys(null);
+  setQuotaStore(createMemoryQuotaStore());
+});
+afterEach(() => {
+  for (const k of ENV) {
+    if (saved[k] === undefined) delete process.env[k];
+    else process.env[k] = saved[k];
+  }
+  setApiKeys(null);
+  setQuotaStore(null);
+});
+
+const bearer = (value) => ({ headers: { authorization: `Bearer ${value}` } });
+
+test("API keys resolve to a named identity limited to their scopes", () => {
+  const identity = authenticate(bearer("ehr-key"), { scope: "rag" });
+  assert.equal(identity.id, "key:ehr");
+  assert.equal(identity.site_id, "site-1");
+  assert.throws(() => authenticate(bearer("ehr-key"), { scope: "audit" }), { statusCode: 403 });
+  assert.throws(() => authenticate(bearer("wrong"), { scope: "rag" }), { statusCode: 401 });
+  assert.throws(() => authenticate({ headers: {} }, { scope: "rag" }), { statusCode: 401 });
+});
+
+test("compileApiKeys rejects entries without a name or key and duplicate names", () => {
+  assert.throws(() => compileApiKeys([{ key: "k" }]), /needs a name/);
+  assert.throws(() => compileApiKeys([{ name: "a" }]), /needs key or key_sha256/);
+  assert.throws(() => compileApiKeys([{ name: "a", key: "1" }, { name: "a", key: "2" }]), /duplicate/);
+});
+
+test("clinician tokens carry user and site and expire", () => {
+  const token = signUserToken({ sub: "dr-ada", site: "site-2" });
+  const identity = authenticate(bearer(token), { scope: "mentor" });
+  assert.equal(identity.id, "user:dr-ada");
+  assert.equal(identity.site_id, "site-2");
+
+  const expired = signUserToken({ sub: "dr-ada" }, { expiresIn: -3600 });
+  assert.throws(() => verifyUserToken(expired), { code: "AUTH_TOKEN_EXPIRED" });
+  const tampered = token.slice(0, -2) + (token.endsWith("AA") ? "BB" : "AA");
+  assert.throws(() => verifyUserToken(tampered), { statusCode: 401 });
+});
+
+test("without configured auth, open scopes are anonymous but tda still needs a credential", () => {
+  delete process.env.TB_API_KEYS;
+  delete process.env.TB_AUTH_TOKEN_SECRET;
+  setApiKeys(null);
+  assert.equal(authenticate({ headers: {} }, { scope: "mentor" }).kind, "anonymous");
+  assert.throws(() => authenticate({ headers: {} }, { scope: "tda" }), { statusCode: 500 });
+});
+
+test("tb-rag-query ignores a req.auth it did not get from the mentor", async () => {
+  const spoofed = { kind: "api_key", id: "key:ehr", site_id: "site-1", scopes: ["rag"] };
+  const res = await callRoute(app.rag, { body: { question: "isoniazid dose" }, req: { auth: spoofed } });
+  assert.equal(res.statusCode, 401);
+});
+
+test("tb-rag-query answers in-process calls without auth or quota", async () => {
+  const identity = authenticate(bearer("ehr-key"), { scope: "mentor" });
+  const res = await callRoute(app.rag, {
+    body: { question: "isoniazid preventive treatment dose" },
+    req: { auth: identity, [app.modules.rag.IN_PROCESS]: true }
+  });
+  assert.equal(res.statusCode, 200);
+  assert.ok(res.body.results.length > 0);
+  assert.equal(res.headers["x-ratelimit-limit"], undefined);
+
+  const direct = await callRoute(app.rag, { ...bearer("ehr-key"), body: { question: "isoniazid preventive treatment dose" } });
+  assert.equal(direct.statusCode, 200);
+  assert.ok(direct.headers["x-ratelimit-limit"]);
+});
+
+test("an in-process call without an identity is answered with a 500, not left waiting", async () => {
+  const res = await callRoute(app.rag, {
+    body: { question: "isoniazid dose" },
+    req: { auth: null, [app.modules.rag.IN_PROCESS]: true }
+  });
+  assert.equal(res.statusCode, 500);
+  assert.match(res.body.error, /without an identity/);
+});
@@ -0,0 +1,70 @@
+// test/bm25.test.js
+// The BM25 index and rank fusion (lib/rag/bm25.js), and tb-rag-query's
+// hybrid / dense / lexical retrieval modes.
+
+import { test } from "node:test";
+import assert from "node:assert/strict";
+
+import { buildBm25Index, fuseReciprocalRank, scoreBm25, tokenize } from "../lib/rag/bm25.js";
+import { callRoute, useRagProject } from "./helpers.js";
+
+const app = useRagProject({ rag: "../api/tb-rag-query.js" });
+
+test("the tokenizer keeps regimen codes and dotted section numbers", () => {
+  assert.deepEqual(tokenize("What is the 6Lfx regimen for DR-TB? See Table 2.4.1."), [
+    "6lfx", "regimen", "dr-tb", "dr", "tb", "see", "table", "2.4.1"
+  ]);
+});
+
+test("BM25 favours rare terms and shorter documents", () => {
+  const index = buildBm25Index([
+    "isoniazid dose in children",
+    "isoniazid and rifapentine 3hp weekly",
+    "isoniazid isoniazid monitoring of adverse events in adults receiving isoniazid preventive treatment over many months"
+  ]);
+  const { scores, terms } = scoreBm25(index, "3HP isoniazid");
+  assert.deepEqual(terms, ["3hp", "isoniazid"]);
+  const ranked = Array.from(scores.entries()).sort((a, b) => b[1] - a[1]).map(([i]) => i);
+  assert.equal(ranked[0], 1);
+  assert.equal(scores.size, 3);
+  assert.equal(scoreBm25(index, "bedaquiline").scores.size, 0);
+});
+
+test("rank fusion scores a document first in both channels as 1.0", () => {
+  const dense = { 0: 0.9, 1: 0.8, 2: 0 };
+  const lexical = { 0: 5, 1: 0, 2: 7 };
+  const fused = fuseReciprocalRank([0, 1, 2], {
+    denseScore: (i) => dense[i],
+    lexicalScore: (i) => lexical[i],
+    denseWeight: 1,
+    lexicalWeight: 1,
+    k: 60
+  });
+  assert.deepEqual(fused.get(1), { score: (1 / 62) / (2 / 61), dense_rank: 2, lexical_rank: null });
+  assert.equal(fused.get(0).lexical_rank, 2);
+  assert.ok(fused.get(0).score > fused.get(2).score);
+
+  const alone = fuseReciprocalRank([0], { denseScore: () => 1, lexicalScore: () => 1, denseWeight: 1, lexicalWeight: 0.7, k: 60 });
+  assert.equal(alone.get(0).score, 1);
+});
+
+test("tb-rag-query reports the fusion mode and its top lexical matches", async () => {
+  const ask = (body) => callRoute(app.rag, { body: { question: "3HP rifapentine isoniazid dosing table", ...body } });
+
+  const hybrid = await ask({});
+  assert.equal(hybrid.statusCode, 200);
+  const fusion = hybrid.body.retrieval_log.find((e) => e.stage === "fusion");
+  assert.equal(fusion.mode, "hybrid");
+  assert.ok(fusion.query_terms.includes("3hp"));
+  assert.ok(fusion.lexical_matches > 0);
+  const lexicalIds = new Set(fusion.top_lexical.map((t) => t.chunk_id));
+  assert.ok(hybrid.body.results.some((r) => lexicalIds.has(r.chunk_id)));
+
+  const dense = await ask({ retrieval_mode: "dense" });
+  assert.equal(dense.body.retrieval_log.find((e) => e.stage === "fusion").rrf_k, null);
+  const lexical = await ask({ retrieval_mode: "lexical" });
+  assert.equal(lexical.body.retrieval_log.find((e) => e.stage === "fusion").dense_weight, 0);
+  // Turning the lexical channel off is the same as asking for dense.
+  const off = await ask({ lexical_weight: 0 });
+  assert.equal(off.body.retrieval_log.find((e) => e.stage === "fusion").mode, "dense");
+});
@@ -0,0 +1,85 @@
+// test/citations.test.js
+// Prose WHO citations linked to retrieved chunks (lib/citations.js), and the
+// mentor returning them with each answer.
+
+import { test } from "node:test";
+import assert from "node:assert/strict";
+
+import { buildCitations, collectRetrievedChunks, extractCitationMentions } from "../lib/citations.js";
+import { callRoute, useRagProject } from "./helpers.js";
+
+const app = useRagProject({ mentor: "../api/tb-mentor.js" });
+
+const RETRIEVED = [
+  { chunk_id: "m4-2.3.4", doc_id: "who_2025_module4_treatment", section_path: "2.3.4. Shorter regimens" },
+  { chunk_id: "m4-2.3.5", doc_id: "who_2025_module4_treatment", section_path: "2.3.5. Monitoring" },
+  {
+    chunk_id: "m5-t5.2",
+    doc_id: "who_2022_module5_children",
+    section_path: "5.2. Treatment of drug-susceptible TB in children",
+    content_type: "table",
+    caption: "Table 5.2 . Weight-band dosing",
+    attachment_path: "tables/module5_table_5_2.csv"
+  }
+];
+
+test("mentions are parsed from grouped citations", () => {
+  const mentions = extractCitationMentions(
+    "Use the 6-month regimen (WHO 2025, Module 4, Ch.2.3.4; WHO 2022, Module 5, Table 5.2). See also (page 4)."
+  );
+  assert.deepEqual(
+    mentions.map(({ module, year, section, table }) => ({ module, year, section, table })),
+    [
+      { module: 4, year: 2025, section: "2.3.4", table: null },
+      { module: 5, year: 2022, section: null, table: "5.2" }
+    ]
+  );
+});
+
+test("citations link to the most specific retrieved chunk", () => {
+  const { citations, unmatchedCitations } = buildCitations(
+    "Dose by weight (WHO 2022, Module 5, Table 5.2). Shorter regimen (WHO 2025, Module 4, Ch.2.3.4). " +
+      "Monitoring applies throughout (WHO 2025, Module 4, Ch.2.3).",
+    RETRIEVED
+  );
+  const byId = Object.fromEntries(citations.map((c) => [c.chunk_id, c]));
+  assert.equal(byId["m5-t5.2"].match, "table");
+  assert.equal(byId["m5-t5.2"].attachment_url, "/rag/tables/module5_table_5_2.csv");
+  assert.equal(byId["m4-2.3.4"].match, "section");
+  // Ch.2.3 covers both subsections, so 2.3.4 collects both mentions.
+  assert.deepEqual(byId["m4-2.3.4"].mentions, ["WHO 2025, Module 4, Ch.2.3.4", "WHO 2025, Module 4, Ch.2.3"]);
+  assert.equal(byId["m4-2.3.5"].match, "subsection");
+  assert.deepEqual(unmatchedCitations, []);
+});
+
+test("citations with no retrieved counterpart are reported as unmatched", () => {
+  const { citations, unmatchedCitations } = buildCitations("See (WHO 2024, Module 3, Table 3.1).", RETRIEVED);
+  assert.deepEqual(citations, []);
+  assert.equal(unmatchedCitations[0].reason, "no_matching_retrieved_chunk");
+  assert.equal(buildCitations("See (WHO 2025, Module 4).", []).unmatchedCitations[0].reason, "no_retrieval_in_conversation");
+});
+
+test("only results of fetchRelevantTbGuidance calls count as retrieved", () => {
+  const messages = [
+    {
+      role: "assistant",
+      tool_calls: [
+        { id: "rag", function: { name: "fetchRelevantTbGuidance" } },
+        { id: "tda", function: { name: "scorePediatricTda" } }
+      ]
+    },
+    { role: "tool", tool_call_id: "rag", content: JSON.stringify({ results: RETRIEVED.slice(0, 1) }) },
+    { role: "tool", tool_call_id: "tda", content: JSON.stringify({ results: RETRIEVED.slice(1) }) }
+  ];
+  assert.deepEqual(collectRetrievedChunks(messages).map((c) => c.chunk_id), ["m4-2.3.4"]);
+});
+
+test("the mentor response carries citations for the passages it cites", async () => {
+  const res = await callRoute(app.mentor, { body: { message: "Isoniazid preventive treatment dose in children" } });
+  assert.equal(res.statusCode, 200);
+  const cited = res.body.output.match(/\((WHO [^)]*)\)/)?.[1];
+  assert.ok(cited, res.body.output);
+  assert.ok(res.body.citations.length > 0);
+  assert.ok(res.body.citations.every((c) => c.mentions.includes(cited)));
+  assert.deepEqual(res.body.unmatchedCitations, []);
+});
@@ -0,0 +1,95 @@
+// test/dosing.test.js
+// WHO weight-band dosing lookups against config/dosing-tables.json and the
+// table CSVs in public/rag/tables.
+
+import { test } from "node:test";
+import assert from "node:assert/strict";
+
+import dosingRoute, { calculateWeightBandDose, parseWeightBand } from "../api/tb-dosing.js";
+import { callRoute } from "./helpers.js";
+
+const summary = (r) => r.matches.map((m) => ({ drug: m.drug, dose: m.dose, component_of: m.component_of ?? null }));
+
+const CASES = [
+  {
+    name: "HRZE for a child under 25 kg is dosed as HRZ + E",
+    input: { drug: "HRZE", weight_kg: 15 },
+    matches: [
+      { drug: "HRZ 50/75/150 mg", dose: "3 tablets", component_of: "HRZE" },
+      { drug: "E 100 mg", dose: "3 tablets", component_of: "HRZE" }
+    ],
+    warning: /Table 5\.5 doses it as HRZ 50\/75\/150 mg \+ E 100 mg/
+  },
+  {
+    name: "HRZE at 30 kg uses the adult FDC rows",
+    input: { drug: "HRZE", weight_kg: 30 },
+    matches: [
+      { drug: "FDC (HRZE)", dose: "3 tablets", component_of: null },
+      { drug: "HRZE 75/150/400/275 mg", dose: "3", component_of: null }
+    ]
+  },
+  {
+    name: "HRZ for a child is the dispersible FDC itself",
+    input: { drug: "HRZ", weight_kg: 15 },
+    matches: [{ drug: "HRZ 50/75/150 mg", dose: "3 tablets", component_of: null }]
+  },
+  {
+    name: "below every band there is no dose, with a hint",
+    input: { drug: "HRZE", weight_kg: 3 },
+    matches: [],
+    warning: /No WHO dosing table gives a dose for "HRZE" at 3 kg; the tables cover ≥4 kg/
+  }
+];
+
+for (const c of CASES) {
+  test(`dosing: ${c.name}`, () => {
+    const result = calculateWeightBandDose(c.input);
+    assert.deepEqual(summary(result), c.matches);
+    if (c.warning) assert.ok(result.warnings.some((w) => c.warning.test(w)), result.warnings.join(" | "));
+    for (const m of result.matches) assert.ok(m.source.table_id && m.source.raw_cell);
+  });
+}
+
+test("a cell that points to another table is not a dose", () => {
+  const result = calculateWeightBandDose({ drug: "HR", weight_kg: 65 });
+  assert.ok(result.matches.every((m) => /\d/.test(m.dose)), result.matches.map((m) => m.dose).join(" | "));
+  const pointer = result.not_available.find((n) => /Adult dosages recommended/.test(n.reason));
+  assert.equal(pointer.source.table_id, "Table 5.5");
+});
+
+test("tables with a minimum age are left out until the age is known", () => {
+  const unknown = calculateWeightBandDose({ drug: "bedaquiline", weight_kg: 20 });
+  assert.ok(unknown.matches.every((m) => m.source.table_id !== "Table 2.4.1."));
+  assert.ok(unknown.not_available.some((n) => /aged ≥14 years; age not given/.test(n.reason)));
+  assert.ok(unknown.warnings.some((w) => /pass age_years or age_months/.test(w)));
+
+  const adult = calculateWeightBandDose({ drug: "bedaquiline", weight_kg: 60, age_years: 30 });
+  assert.ok(adult.matches.some((m) => m.source.table_id === "Table 2.4.1."));
+  assert.ok(adult.warnings.every((w) => !/minimum age/.test(w)));
+});
+
+test("a single medicine never matches FDC rows", () => {
+  const result = calculateWeightBandDose({ drug: "ethambutol", weight_kg: 15 });
+  assert.ok(result.matches.length > 0);
+  assert.ok(result.matches.every((m) => !/HRZ|FDC/.test(m.drug)));
+});
+
+test("parseWeightBand reads the table band labels", () => {
+  assert.deepEqual(
+    [parseWeightBand("4–<8"), parseWeightBand("≥25")].map((b) => [b.min_kg, b.max_kg]),
+    [[4, 8], [25, null]]
+  );
+});
+
+test("tb-dosing route: 400 for bad input, 404 for a medicine no table lists", async () => {
+  const bad = await callRoute(dosingRoute, { body: { drug: "HRZE", weight_kg: -1 } });
+  assert.equal(bad.statusCode, 400);
+  const unknown = await callRoute(dosingRoute, { body: { drug: "aspirin", weight_kg: 20 } });
+  assert.equal(unknown.statusCode, 400);
+  assert.match(unknown.body.error, /Unrecognised medicine/);
+  const none = await callRoute(dosingRoute, { body: { drug: "HRZE", weight_kg: 20, indication: "tpt" } });
+  assert.equal(none.statusCode, 404);
+  const ok = await callRoute(dosingRoute, { body: { drug: "HRZE", weight_kg: 20 } });
+  assert.equal(ok.statusCode, 200);
+  assert.equal(ok.body.matches.length, 2);
+});
@@ -0,0 +1,70 @@
+// test/eval-retrieval.test.js
+// The offline retrieval eval (scripts/eval-retrieval.js) run end to end
+// against a fake-embedded store: metrics report, embedding cache, and quiet
+// output unless --verbose.
+
+import { test, before } from "node:test";
+import assert from "node:assert/strict";
+import { execFile } from "child_process";
+import fs from "fs";
+import path from "path";
+import { promisify } from "util";
+
+import { ragProjectDir } from "./helpers.js";
+
+const run = promisify(execFile);
+const SCRIPT = path.join(process.cwd(), "scripts", "eval-retrieval.js");
+const GOLD = path.join(process.cwd(), "eval", "gold-questions.v1.jsonl");
+const IDS = "tpt-3hp-dosing,tpt-6lfx-mdr-contact";
+
+let root;
+before(async () => {
+  root = await ragProjectDir();
+});
+
+function evalRun(...args) {
+  return run(process.execPath, [SCRIPT, "--gold", GOLD, "--only", IDS, ...args], {
+    cwd: root,
+    timeout: 120000,
+    env: { ...process.env, TB_LLM_PROVIDER: "fake", TB_FAKE_EMBEDDING_DIM: "64", TB_LOG_LEVEL: "" }
+  });
+}
+
+// JSON log lines (lib/log.js) among the script's own table output.
+const logLines = (text, msg) =>
+  text
+    .split("\n")
+    .filter((l) => l.startsWith("{"))
+    .map((l) => JSON.parse(l))
+    .filter((l) => !msg || l.msg === msg);
+
+test("reports per-question metrics and caches query embeddings", async () => {
+  const out = path.join(root, "report.json");
+  const cache = path.join(root, "cache.json");
+  const { stdout } = await evalRun("--cache", cache, "--out", out);
+
+  const report = JSON.parse(fs.readFileSync(out, "utf8"));
+  assert.deepEqual(report.questions.map((q) => q.id).sort(), IDS.split(",").sort());
+  for (const q of report.questions) {
+    assert.ok(q.retrieved.length > 0);
+    assert.ok(q.metrics.ndcg >= 0 && q.metrics.ndcg <= 1);
+    assert.ok("recall" in q.metrics && "mrr" in q.metrics);
+  }
+  assert.equal(report.overall.n, 2);
+  assert.equal(Object.keys(JSON.parse(fs.readFileSync(cache, "utf8")).entries).length, 2);
+  assert.deepEqual(logLines(stdout, "span"), []);
+
+  // Second run needs no embedding calls.
+  await evalRun("--cache", cache, "--offline");
+});
+
+test("--verbose logs each question's pipeline trace tagged with its gold id", async () => {
+  const { stdout } = await evalRun("--cache", path.join(root, "cache-verbose.json"), "--verbose");
+  const spans = logLines(stdout, "span");
+  assert.ok(spans.length > 0);
+  assert.deepEqual([...new Set(spans.map((s) => s.request_id))].sort(), IDS.split(",").sort());
+});
+
+test("--offline fails on a cache miss", async () => {
+  await assert.rejects(evalRun("--cache", path.join(root, "empty.json"), "--offline"), /No cached embedding/);
+});
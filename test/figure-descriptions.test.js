@@ -0,0 +1,118 @@
+// test/figure-descriptions.test.js
+// Structured figure descriptions (lib/rag/figures.js, figure-describers.js)
+// and the incremental scripts/describe-figures.js run with the stub describer.
+
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { execFile } from "child_process";
+import fs from "fs";
+import path from "path";
+import { promisify } from "util";
+
+import {
+  figureDescriptionText,
+  loadFigureDescriptions,
+  mergeFigureDescriptions,
+  normalizeFigureDescription
+} from "../lib/rag/figures.js";
+import { loadFigureDescriber } from "../lib/rag/figure-describers.js";
+import { ragProjectDir, tempDir } from "./helpers.js";
+
+const run = promisify(execFile);
+const SCRIPT = path.join(process.cwd(), "scripts", "describe-figures.js");
+
+const FLOW = {
+  kind: "flowchart",
+  title: "Algorithm A",
+  summary: "Scoring with CXR.",
+  nodes: [
+    { id: "n1", label: "Child with presumptive TB", type: "start" },
+    { id: "n2", label: "Score > 10?", type: "decision" },
+    { id: "n2", label: "Treat for TB", type: "outcome" },
+    { label: "  " },
+    { id: "n4", label: "Reassess", type: "box" }
+  ],
+  edges: [
+    { from: "n1", to: "n2" },
+    { from: "n2", to: "n2_", label: "Yes" },
+    { from: "n2", to: "n4", label: "No" },
+    { from: "n2", to: "n9", label: "Maybe" }
+  ]
+};
+
+test("descriptions are normalized: unique ids, known types, edges to real nodes", () => {
+  const d = normalizeFigureDescription({ ...FLOW, kind: "poster" });
+  assert.equal(d.kind, "other");
+  assert.deepEqual(d.nodes.map((n) => [n.id, n.type]), [["n1", "start"], ["n2", "decision"], ["n2_", "outcome"], ["n4", "step"]]);
+  assert.equal(d.edges.length, 3);
+  assert.equal(d.dropped_edges, 1);
+  assert.throws(() => normalizeFigureDescription([]), /must be an object/);
+});
+
+test("the text rendering follows each node's branches", () => {
+  const text = figureDescriptionText(normalizeFigureDescription(FLOW));
+  assert.match(text, /^Figure content \(flowchart\): Algorithm A\.\nScoring with CXR\./);
+  assert.match(text, /- \[decision\] Score > 10\? -> Yes: Treat for TB; No: Reassess/);
+});
+
+test("descriptions merge only into the figure chunk they were made for", () => {
+  const dir = tempDir("tb-figdesc-");
+  const file = path.join(dir, "figure_descriptions.jsonl");
+  const description = normalizeFigureDescription(FLOW);
+  fs.writeFileSync(
+    file,
+    [
+      { chunk_id: "fig", attachment_path: "figures/a.png", description },
+      { chunk_id: "moved", attachment_path: "figures/old.png", description },
+      { chunk_id: "text", description }
+    ]
+      .map((r) => JSON.stringify(r))
+      .join("\n")
+  );
+  const chunks = [
+    { chunk_id: "fig", content_type: "figure", attachment_path: "figures/a.png" },
+    { chunk_id: "moved", content_type: "figure", attachment_path: "figures/new.png" },
+    { chunk_id: "text", content_type: "text" }
+  ];
+  assert.equal(mergeFigureDescriptions(chunks, loadFigureDescriptions(file)), 1);
+  assert.match(chunks[0].figure_text, /Reassess/);
+  assert.equal(chunks[1].figure_text, undefined);
+  assert.equal(loadFigureDescriptions(path.join(dir, "missing.jsonl")).size, 0);
+});
+
+test("describers load by name or from a module", async () => {
+  const stub = await loadFigureDescriber("stub");
+  const out = await stub.describe({ chunk: { chunk_id: "c", caption: "Fig. 2 Flow" } });
+  assert.equal(out.title, "Fig. 2 Flow");
+
+  const dir = tempDir("tb-describer-");
+  const mod = path.join(dir, "describer.mjs");
+  fs.writeFileSync(mod, 'export default async ({ chunk }) => ({ kind: "chart", title: chunk.chunk_id });\n');
+  const custom = await loadFigureDescriber(mod);
+  assert.equal(custom.name, "module:describer.mjs");
+  assert.equal((await custom.describe({ chunk: { chunk_id: "x" } })).title, "x");
+
+  fs.writeFileSync(path.join(dir, "bad.mjs"), "export const value = 1;\n");
+  await assert.rejects(loadFigureDescriber(path.join(dir, "bad.mjs")), /must export a function/);
+});
+
+test("describe-figures writes descriptions once and skips them when up to date", async () => {
+  const root = await ragProjectDir();
+  const out = path.join(tempDir("tb-figdesc-out-"), "figure_descriptions.jsonl");
+  const describe = (...args) =>
+    run(process.execPath, [SCRIPT, "--chunks", "public/rag/chunks.jsonl", "--out", out, ...args], {
+      cwd: root,
+      timeout: 120000
+    });
+
+  const first = await describe("--limit", "1");
+  assert.match(first.stdout, /: 1 described, 0 up to date/);
+  const [record] = fs.readFileSync(out, "utf8").trim().split("\n").map((l) => JSON.parse(l));
+  assert.equal(record.describer, "stub");
+  assert.match(record.image_sha256, /^[0-9a-f]{64}$/);
+
+  const again = await describe("--only", record.chunk_id);
+  assert.match(again.stdout, /: 0 described, 1 up to date/);
+  const forced = await describe("--only", record.chunk_id, "--force", "--dry-run");
+  assert.match(forced.stdout, /would describe/);
+});
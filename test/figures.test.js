@@ -0,0 +1,70 @@
+// test/figures.test.js
+// Figure attachments as results (lib/rag/figures.js): PNG sizes, public URLs
+// and the `figure` block, and the thumbnails picked for a mentor answer.
+
+import { test, afterEach } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import path from "path";
+
+import { figureInfo, publicUrl, readPngSize } from "../lib/rag/figures.js";
+import { collectFigures } from "../lib/citations.js";
+import { tempDir } from "./helpers.js";
+
+afterEach(() => delete process.env.TB_PUBLIC_BASE_URL);
+
+// The first 24 bytes of a PNG: signature, IHDR length and type, width, height.
+function writePngHeader(file, width, height) {
+  const header = Buffer.alloc(24);
+  Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]).copy(header, 0);
+  header.writeUInt32BE(13, 8);
+  header.write("IHDR", 12, "ascii");
+  header.writeUInt32BE(width, 16);
+  header.writeUInt32BE(height, 20);
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  fs.writeFileSync(file, header);
+}
+
+test("PNG sizes come from the header; other files have none", () => {
+  const dir = tempDir("tb-figures-");
+  writePngHeader(path.join(dir, "flow.png"), 1200, 800);
+  fs.writeFileSync(path.join(dir, "notes.png"), "not a png at all, just text");
+  assert.deepEqual(readPngSize(path.join(dir, "flow.png")), { width: 1200, height: 800 });
+  assert.equal(readPngSize(path.join(dir, "notes.png")), null);
+  assert.equal(readPngSize(path.join(dir, "missing.png")), null);
+});
+
+test("public URLs encode each segment and stay inside public/", () => {
+  const publicDir = tempDir("tb-public-");
+  const file = path.join(publicDir, "rag", "figures", "Fig. 4.4 algorithm.png");
+  assert.equal(publicUrl(file, publicDir), "/rag/figures/Fig.%204.4%20algorithm.png");
+  assert.equal(publicUrl(path.join(publicDir, "..", "secret.png"), publicDir), null);
+  process.env.TB_PUBLIC_BASE_URL = "https://cdn.example.org/";
+  assert.equal(publicUrl(file, publicDir), "https://cdn.example.org/rag/figures/Fig.%204.4%20algorithm.png");
+});
+
+test("an undeployed figure keeps its caption but is not available", () => {
+  const info = figureInfo({ caption: "Fig. 4.4 Algorithm A", attachment_id: "fig-4.4" }, "/nonexistent/fig.png");
+  assert.deepEqual(info, {
+    url: null,
+    width: null,
+    height: null,
+    caption: "Fig. 4.4 Algorithm A",
+    attachment_id: "fig-4.4",
+    available: false,
+    description: null
+  });
+});
+
+test("answer thumbnails put cited figures first and skip undeployed ones", () => {
+  const figure = (id, available = true) => ({
+    chunk_id: id,
+    doc_id: "who_2022_module5",
+    figure: { available, url: available ? `/rag/figures/${id}.png` : null, width: 10, height: 10, caption: id }
+  });
+  const retrieved = [figure("a"), figure("b", false), figure("c"), { chunk_id: "text" }, figure("d"), figure("e")];
+
+  const shown = collectFigures(retrieved, [{ chunk_id: "d" }]);
+  assert.deepEqual(shown.map((f) => [f.chunk_id, f.cited]), [["d", true], ["a", false], ["c", false], ["e", false]]);
+  assert.equal(collectFigures(retrieved, [], { limit: 2 }).length, 2);
+});
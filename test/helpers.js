@@ -0,0 +1,163 @@
+// test/helpers.js
+// Shared fixtures for the node:test suites (npm test). Tests run from the
+// repository root so config/, prompts/ and public/rag resolve as in production.
+
+import { after, before } from "node:test";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { fileURLToPath } from "url";
+
+const REPO = path.resolve(path.dirname(fileURLToPath(import.meta.url)), "..");
+
+// RAG store chunk metadata (no text or embeddings), enough for table-driven code.
+export function loadChunkMeta() {
+  return fs
+    .readFileSync(path.join(REPO, "public", "rag", "chunk_meta.jsonl"), "utf8")
+    .split("\n")
+    .filter(Boolean)
+    .map((line) => JSON.parse(line));
+}
+
+// Temp dirs are removed when the test file finishes (symlinks inside are
+// removed, not followed).
+const TEMP_DIRS = [];
+after(() => {
+  for (const dir of TEMP_DIRS.splice(0)) fs.rmSync(dir, { recursive: true, force: true });
+});
+
+export function tempDir(prefix = "tb-test-") {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), prefix));
+  TEMP_DIRS.push(dir);
+  return dir;
+}
+
+// Calls a route handler with a minimal Vercel/Next-style request and response
+// (status().json(), setHeader, write/end) and resolves with the response once
+// the handler returns. `res.body` is the JSON body; SSE output stays in res.chunks.
+// `req` adds properties to the request (e.g. what an in-process caller sets).
+export async function callRoute(handler, { method = "POST", headers = {}, body, query = {}, url = "/", req: extra = {} } = {}) {
+  const res = {
+    statusCode: 200,
+    headers: {},
+    chunks: [],
+    setHeader(name, value) {
+      this.headers[name.toLowerCase()] = value;
+    },
+    getHeader(name) {
+      return this.headers[name.toLowerCase()];
+    },
+    flushHeaders() {},
+    write(chunk) {
+      this.chunks.push(String(chunk));
+      return true;
+    },
+    status(code) {
+      this.statusCode = code;
+      return this;
+    },
+    json(payload) {
+      this.body = payload;
+      return this;
+    },
+    end(chunk) {
+      if (chunk != null) this.chunks.push(String(chunk));
+      const text = this.chunks.join("");
+      if (this.body === undefined && text && !String(this.headers["content-type"] || "").includes("event-stream")) {
+        try {
+          this.body = JSON.parse(text);
+        } catch {
+          this.body = text;
+        }
+      }
+    }
+  };
+  const req = { method, headers, body, query, url, socket: { remoteAddress: "127.0.0.1" }, ...extra };
+  await handler(req, res);
+  return res;
+}
+
+// Server-Sent Events written to a mock response, as [{ event, data }].
+export function parseSse(text) {
+  return text
+    .split("\n\n")
+    .filter((block) => block.trim())
+    .map((block) => {
+      const event = /^event: (.*)$/m.exec(block)?.[1] || "message";
+      const data = block
+        .split("\n")
+        .filter((l) => l.startsWith("data: "))
+        .map((l) => l.slice(6))
+        .join("\n");
+      return { event, data: data ? JSON.parse(data) : null };
+    });
+}
+
+// A throwaway project root with a RAG store built from chunk_meta.jsonl: text
+// is the section path and caption, embeddings come from the fake provider
+// (run code against it with TB_LLM_PROVIDER=fake and the same
+// TB_FAKE_EMBEDDING_DIM). config/, prompts/ and the table/figure files are
+// linked from the repository.
+export async function ragProjectDir({ dimensions = 64 } = {}) {
+  const { fakeEmbedding } = await import("../lib/llm/fake.js");
+  const root = tempDir("tb-rag-project-");
+  const rag = path.join(root, "public", "rag");
+  fs.mkdirSync(rag, { recursive: true });
+
+  const chunks = loadChunkMeta().map((c) => ({ ...c, text: `${c.section_path}. ${c.caption || ""}` }));
+  fs.writeFileSync(path.join(rag, "chunks.jsonl"), chunks.map((c) => JSON.stringify(c)).join("\n") + "\n");
+  fs.writeFileSync(
+    path.join(rag, "embeddings.json"),
+    JSON.stringify(chunks.map((c) => fakeEmbedding(c.text, dimensions).map((v) => Number(v.toFixed(5)))))
+  );
+
+  for (const dir of ["config", "prompts"]) fs.symlinkSync(path.join(REPO, dir), path.join(root, dir));
+  for (const dir of ["tables", "figures"]) {
+    const src = path.join(REPO, "public", "rag", dir);
+    if (fs.existsSync(src)) fs.symlinkSync(src, path.join(rag, dir));
+  }
+  return root;
+}
+
+// Sets up a test file to call routes against ragProjectDir(): before its
+// tests, changes into a fresh project, sets the fake LLM provider and
+// in-memory quota and usage stores (plus `env`), then imports each route in
+// `routes` ({ name: "../api/<route>.js" }); afterwards the working directory
+// and environment are restored. Call at the top level of a test file. The
+// returned object gets each route's default export under its name, and the
+// whole module under modules[name] for named exports.
+export function useRagProject(routes = {}, { env = {}, dimensions = 64 } = {}) {
+  const loaded = { modules: {} };
+  const saved = {};
+  let cwd = null;
+
+  before(async () => {
+    cwd = process.cwd();
+    process.chdir(await ragProjectDir({ dimensions }));
+    const vars = {
+      TB_LLM_PROVIDER: "fake",
+      TB_FAKE_EMBEDDING_DIM: String(dimensions),
+      TB_QUOTA_STORE: "memory",
+      TB_USAGE_METRICS_STORE: "memory",
+      ...env
+    };
+    for (const [k, v] of Object.entries(vars)) {
+      saved[k] = process.env[k];
+      process.env[k] = v;
+    }
+    for (const [name, file] of Object.entries(routes)) {
+      loaded.modules[name] = await import(file);
+      loaded[name] = loaded.modules[name].default;
+    }
+  });
+
+  after(() => {
+    if (cwd) process.chdir(cwd);
+    for (const [k, v] of Object.entries(saved)) {
+      if (v === undefined) delete process.env[k];
+      else process.env[k] = v;
+    }
+  });
+
+  return loaded;
+}
@@ -0,0 +1,119 @@
+// test/ingest.test.js
+// Guideline ingestion (lib/rag/ingest.js): parsing, chunking, attachments and
+// store encoding, and scripts/ingest-guideline.js updating a store in place.
+
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { execFile } from "child_process";
+import fs from "fs";
+import path from "path";
+import { promisify } from "util";
+
+import {
+  chunkBlocks,
+  diffChunks,
+  encodeNpy,
+  matchCaption,
+  parseSource,
+  readJsonl,
+  toChunkerCsv
+} from "../lib/rag/ingest.js";
+import { loadEmbeddings } from "../api/tb-rag-query.js";
+import { tempDir } from "./helpers.js";
+
+const run = promisify(execFile);
+const SCRIPT = path.join(process.cwd(), "scripts", "ingest-guideline.js");
+
+const SOURCE = `# 1. Diagnosis
+Xpert MTB/RIF Ultra is the initial test.
+<!-- page: 4 -->
+## 1.1 Children
+Stool is an acceptable specimen in children.
+
+Table 1.1. Specimens by age
+Table 2 shows more detail.
+
+# 2. Treatment
+Box 1. Key points
+Treat for six months.
+`;
+
+test("captions need punctuation unless an attachment exists", () => {
+  assert.equal(matchCaption("Table 1.1. Specimens by age").attachment_id, "Table 1.1.");
+  assert.equal(matchCaption("Fig. 3 – Algorithm").type, "figure");
+  assert.equal(matchCaption("Table 2 shows more detail."), null);
+  assert.equal(matchCaption("Table 2 Drug doses", (kind, ref) => kind === "table" && ref === "2").ref, "2");
+});
+
+test("Markdown becomes chunks with section paths, pages and typed captions", () => {
+  const blocks = parseSource(SOURCE);
+  const chunks = chunkBlocks(blocks, { docId: "doc", sourceManifest: "m#doc" });
+  assert.deepEqual(
+    chunks.map((c) => [c.chunk_id, c.content_type, c.section_path, c.pages]),
+    [
+      ["doc|0001", "text", "1. Diagnosis", "1"],
+      ["doc|0002", "text", "1. Diagnosis | 1.1 Children", "4"],
+      ["doc|0003", "table", "1. Diagnosis | 1.1 Children | Table 1.1. Specimens by age", "4"],
+      ["doc|0004", "text", "1. Diagnosis | 1.1 Children", "4"],
+      ["doc|0005", "box", "2. Treatment | Box 1. Key points", "4"]
+    ]
+  );
+  assert.equal(chunks[3].text, "Table 2 shows more detail.");
+  assert.equal(chunks[2].has_attachment, false);
+});
+
+test("plain CSVs are rewritten into the chunker's column layout", () => {
+  const csv = toChunkerCsv("Weight,Dose\n4-7 kg,50 mg\n", { docId: "doc", tableId: "Table 1.1." });
+  assert.deepEqual(csv.split(/\r?\n/), [
+    "doc_id,table_id,row_index,ColumnA,ColumnB",
+    "doc,Table 1.1.,1,Weight,Dose",
+    "doc,Table 1.1.,2,4-7 kg,50 mg"
+  ]);
+  assert.equal(toChunkerCsv(csv, { docId: "other", tableId: "x" }), csv);
+});
+
+test("npy output has an aligned header and float32 rows", () => {
+  const buf = encodeNpy([[1, 2], [3, 4.5]]);
+  const headerLength = buf.readUInt16LE(8);
+  assert.equal((10 + headerLength) % 64, 0);
+  assert.match(buf.toString("latin1", 10, 10 + headerLength), /'shape': \(2, 2\)/);
+  assert.equal(buf.readFloatLE(10 + headerLength + 12), 4.5);
+});
+
+test("diffChunks compares chunks by id and content", () => {
+  const a = [{ chunk_id: "1", text: "a" }, { chunk_id: "2", text: "b" }];
+  const b = [{ chunk_id: "1", text: "a" }, { chunk_id: "2", text: "B" }, { chunk_id: "3", text: "c" }];
+  assert.deepEqual(diffChunks(a, b), { added: ["3"], updated: ["2"], removed: [], unchanged: 1 });
+});
+
+test("ingest-guideline adds a document, then re-embeds only what changed", async () => {
+  const dir = tempDir("tb-ingest-");
+  const ragDir = path.join(dir, "rag");
+  const source = path.join(dir, "guide.md");
+  const tables = path.join(dir, "tables");
+  fs.mkdirSync(tables);
+  fs.writeFileSync(source, SOURCE);
+  fs.writeFileSync(path.join(tables, "Table 1.1.csv"), "Age,Specimen\n<5 years,Stool\n");
+
+  const ingest = (...args) =>
+    run(process.execPath, [SCRIPT, "--source", source, "--doc-id", "WHO_test_2026", "--rag-dir", ragDir, "--tables", tables, ...args], {
+      timeout: 120000,
+      env: { ...process.env, TB_LLM_PROVIDER: "fake", TB_FAKE_EMBEDDING_DIM: "16" }
+    });
+
+  const first = await ingest();
+  assert.match(first.stdout, /5 added, 0 updated, 0 removed, 0 unchanged/);
+  const chunks = readJsonl(path.join(ragDir, "chunks.jsonl"));
+  assert.equal(chunks.length, 5);
+  assert.equal(chunks[2].attachment_path, "tables/WHO_test_2026/Table_1.1..csv");
+  assert.match(chunks[2].text, /Stool/);
+  assert.ok(fs.existsSync(path.join(ragDir, chunks[2].attachment_path)));
+  assert.equal((await loadEmbeddings(ragDir)).length, 5);
+
+  fs.writeFileSync(source, SOURCE.replace("six months", "four months"));
+  const second = await ingest("--manifest-out", path.join(dir, "run.json"));
+  assert.match(second.stdout, /0 added, 1 updated, 0 removed, 4 unchanged/);
+  const manifest = JSON.parse(fs.readFileSync(path.join(dir, "run.json"), "utf8"));
+  assert.equal(manifest.embedded, 1);
+  assert.deepEqual(manifest.changes.updated, ["WHO_test_2026|0005"]);
+});
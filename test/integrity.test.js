@@ -0,0 +1,111 @@
+// test/integrity.test.js
+// RAG store integrity checks (lib/rag/integrity.js), scripts/check-rag-store.js
+// and the /api/tb-health report, including the TDA receipt configuration.
+
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { execFile } from "child_process";
+import fs from "fs";
+import path from "path";
+import { promisify } from "util";
+
+import { checkRagStore, describeIntegrityProblems } from "../lib/rag/integrity.js";
+import { callRoute, ragProjectDir, tempDir, useRagProject } from "./helpers.js";
+
+const run = promisify(execFile);
+const REPO = process.cwd();
+const SCRIPT = path.join(REPO, "scripts", "check-rag-store.js");
+
+const app = useRagProject(
+  { health: "../api/tb-health.js" },
+  { env: { TB_TDA_RECEIPT_SECRET: "health-secret", TB_TDA_RECEIPT_STORE: "memory" } }
+);
+
+// A two-chunk store: one text chunk and one table whose CSV lives in dir.
+function smallStore(dir) {
+  fs.writeFileSync(
+    path.join(dir, "t1.csv"),
+    "doc_id,table_id,row_index,ColumnA\ndoc,Table 1.,1,Weight\ndoc,Table 1.,2,4-7 kg\n"
+  );
+  return {
+    chunks: [
+      { chunk_id: "doc|0001", doc_id: "doc", content_type: "text" },
+      { chunk_id: "doc|0002", doc_id: "doc", content_type: "table", attachment_id: "Table 1.", attachment_path: "t1.csv" }
+    ],
+    embeddings: [[1, 0], [0, 1]],
+    resolvePath: (rel) => path.join(dir, rel)
+  };
+}
+
+const statusOf = (report, id) => report.checks.find((c) => c.id === id);
+
+test("a consistent store passes every check", () => {
+  const report = checkRagStore(smallStore(tempDir("tb-integrity-")));
+  assert.equal(report.ok, true);
+  assert.deepEqual(report.summary, { chunks: 2, embeddings: 2, dimensions: 2, errors: 0, fatal: 0, warnings: 0 });
+  assert.deepEqual(describeIntegrityProblems(report), []);
+});
+
+test("misaligned vectors and duplicate ids are fatal; attachment problems are not", () => {
+  const store = smallStore(tempDir("tb-integrity-"));
+  store.chunks.push({ chunk_id: "doc|0001", doc_id: "doc", content_type: "text" });
+  store.chunks.push({ chunk_id: "doc|0004", doc_id: "doc", content_type: "table", attachment_path: "missing.csv" });
+  store.embeddings.push([0.6, 0.6, 0], [0.5, 0.5]);
+
+  const report = checkRagStore(store);
+  assert.equal(report.ok, false);
+  assert.equal(statusOf(report, "counts").status, "ok");
+  assert.equal(statusOf(report, "embedding_dimensions").fatal, true);
+  assert.equal(statusOf(report, "duplicate_chunk_ids").fatal, true);
+  const tables = statusOf(report, "table_paths");
+  assert.deepEqual([tables.status, tables.fatal, tables.count], ["error", false, 1]);
+  assert.equal(statusOf(report, "embedding_norms").status, "warn");
+  assert.deepEqual(describeIntegrityProblems(report, { fatalOnly: true }), [
+    "error: embedding_dimensions: 1 embedding(s) differ from the store's 2 dimensions",
+    "error: duplicate_chunk_ids: 1 duplicate chunk_id(s)"
+  ]);
+});
+
+test("check-rag-store exits non-zero on errors, and on warnings with --strict", async () => {
+  const root = await ragProjectDir({ dimensions: 8 });
+  const check = (...args) =>
+    run(process.execPath, [SCRIPT, ...args], { cwd: root, timeout: 120000 }).then(
+      (r) => ({ code: 0, ...r }),
+      (err) => ({ code: err.code, stdout: err.stdout, stderr: err.stderr })
+    );
+
+  const ragDir = path.join(root, "public", "rag");
+  fs.copyFileSync(path.join(REPO, "public", "rag", "chunk_meta.jsonl"), path.join(ragDir, "chunk_meta.jsonl"));
+  // Figures are only partly deployed, which is a warning.
+  assert.equal((await check()).code, 0);
+  assert.equal((await check("--strict")).code, 1);
+
+  const embeddings = JSON.parse(fs.readFileSync(path.join(ragDir, "embeddings.json"), "utf8"));
+  fs.writeFileSync(path.join(ragDir, "embeddings.json"), JSON.stringify(embeddings.slice(1)));
+  const broken = await check("--json");
+  assert.equal(broken.code, 1);
+  const report = JSON.parse(broken.stdout);
+  assert.equal(statusOf(report, "counts").fatal, true);
+});
+
+test("tb-health reports the store's checks, with examples on request", async () => {
+  const res = await callRoute(app.health, { method: "GET" });
+  assert.equal(res.statusCode, 200);
+  assert.equal(res.body.status, "ok");
+  assert.equal(res.body.rag.summary.fatal, 0);
+  assert.equal(statusOf(res.body.rag, "figure_paths").status, "warn");
+  assert.equal(statusOf(res.body.rag, "figure_paths").examples, undefined);
+
+  const detail = await callRoute(app.health, { method: "GET", query: { detail: "1" } });
+  assert.ok(statusOf(detail.body.rag, "figure_paths").examples.length > 0);
+  assert.equal((await callRoute(app.health, { method: "POST" })).statusCode, 405);
+});
+
+test("tb-health fails when TDA receipts cannot be signed", async () => {
+  delete process.env.TB_TDA_RECEIPT_SECRET;
+  const res = await callRoute(app.health, { method: "GET" });
+  assert.equal(res.statusCode, 503);
+  assert.equal(res.body.rag.ok, true);
+  assert.equal(res.body.tda_receipts.ok, false);
+  assert.match(statusOf(res.body.tda_receipts, "tda_receipt_secret").message, /TB_TDA_RECEIPT_SECRET is not set/);
+});
@@ -0,0 +1,102 @@
+// Drug–drug interaction checker over the indexed WHO tables (user-012).
+
+import test from "node:test";
+import assert from "node:assert/strict";
+import { buildStoreInteractionIndex } from "../api/tb-rag-query.js";
+import { findInteractions } from "../lib/rag/interactions.js";
+import { loadChunkMeta } from "./helpers.js";
+
+const index = buildStoreInteractionIndex(loadChunkMeta());
+
+const hit = (result, { tb, label, effect, kind }) =>
+  result.interactions.find(
+    (i) =>
+      (!tb || i.tb_drugs.includes(tb)) &&
+      (!label || i.tb_label === label) &&
+      (!kind || i.kind === kind) &&
+      (!effect || effect.test(i.effect || i.management || ""))
+  );
+
+const CASES = [
+  {
+    name: "rifampicin + carbamazepine returns the rifamycin Down cell of the anticonvulsant class row",
+    input: { regimen: "2HRZE/4HR", co_medications: ["carbamazepine"] },
+    expect: (r) => {
+      const down = hit(r, { tb: "rifampicin", effect: /: Down$/ });
+      assert.ok(down, "rifamycin Down cell missing");
+      assert.equal(down.matched_on, "class");
+      assert.match(down.co_medication, /^Anticonvulsants/);
+      assert.ok(hit(r, { tb: "isoniazid", effect: /Up/ }), "isoniazid Up cell missing");
+    }
+  },
+  {
+    name: "rifampicin + combined oral contraceptive keeps the rifamycin column with a rifapentine qualifier",
+    input: { regimen: "2HRZE/4HR", co_medications: ["combined oral contraceptive"] },
+    expect: (r) => {
+      const down = hit(r, { tb: "rifampicin", effect: /Down \(Rifapentine\)/ });
+      assert.ok(down, "hormonal contraceptive row missing");
+      assert.ok(down.tb_drugs.includes("rifapentine"));
+      assert.match(down.qualifier, /rifapentine/);
+      assert.deepEqual(r.unmatched_co_medications, []);
+      assert.equal(r.note, null);
+    }
+  },
+  {
+    name: "LPV/r + BPaLM does not match the HCV combination rows through ritonavir",
+    input: { regimen: "BPaLM", co_medications: ["LPV/r"] },
+    expect: (r) => {
+      assert.equal(r.interactions.filter((i) => /paritaprevir/i.test(i.co_medication)).length, 0);
+      assert.deepEqual(r.unmatched_co_medications, ["LPV/r"]);
+      assert.doesNotMatch(r.note, /not listed/);
+    }
+  },
+  {
+    name: "paritaprevir + BPaLM still matches the combination rows by their own members",
+    input: { regimen: "BPaLM", co_medications: ["paritaprevir"] },
+    expect: (r) => {
+      const bdq = hit(r, { tb: "bedaquiline" });
+      assert.ok(bdq);
+      assert.equal(bdq.severity, "major");
+    }
+  },
+  {
+    name: "3HP + DTG returns only the 3HP column of the TPT options table",
+    input: { regimen: "3HP", co_medications: ["DTG"] },
+    expect: (r) => {
+      const tptColumns = r.interactions.filter((i) => i.kind === "art_row").map((i) => i.tb_label);
+      assert.deepEqual(tptColumns, ["3HP"]);
+      assert.ok(hit(r, { tb: "rifapentine", kind: "matrix", effect: /Down/ }), "rifamycin class statement missing");
+    }
+  },
+  {
+    name: "2HRZE/4HR + DTG does not return the 3HR or 4R TPT columns",
+    input: { regimen: "2HRZE/4HR", co_medications: ["DTG"] },
+    expect: (r) => {
+      assert.deepEqual(r.interactions.filter((i) => i.kind === "art_row"), []);
+      assert.ok(hit(r, { kind: "art_changes", effect: /twice daily/ }), "DS-TB ART change missing");
+    }
+  },
+  {
+    name: "EFV + BPaLM is unmatched and the response states the table coverage",
+    input: { regimen: "BPaLM", co_medications: ["EFV"] },
+    expect: (r) => {
+      assert.deepEqual(r.unmatched_co_medications, ["EFV"]);
+      assert.equal(r.coverage.indexed_tables.length, index.tables.length);
+      assert.match(r.coverage.note, new RegExp(`Only ${index.tables.length} WHO interaction tables`));
+      assert.match(r.note, /not evidence that no interaction exists/);
+    }
+  }
+];
+
+for (const { name, input, expect } of CASES) {
+  test(name, () => expect(findInteractions(index, input)));
+}
+
+test("the index covers the four WHO interaction tables", () => {
+  assert.equal(index.tables.length, 4);
+});
+
+test("rejects requests without a TB medicine or co-medication", () => {
+  assert.throws(() => findInteractions(index, { co_medications: ["DTG"] }), { statusCode: 400 });
+  assert.throws(() => findInteractions(index, { regimen: "3HP", co_medications: [] }), { statusCode: 400 });
+});
@@ -0,0 +1,97 @@
+// test/llm-provider.test.js
+// Provider selection and per-site models (lib/llm/index.js) and the offline
+// fake provider's deterministic chat, streaming and embeddings.
+
+import { test, afterEach } from "node:test";
+import assert from "node:assert/strict";
+
+import { chatModelFor, createProvider, embeddingModel } from "../lib/llm/index.js";
+import { createFakeProvider, fakeEmbedding } from "../lib/llm/fake.js";
+
+const ENV = ["TB_LLM_MODEL", "TB_LLM_MODEL_STATUS", "TB_EMBEDDING_MODEL"];
+const saved = Object.fromEntries(ENV.map((k) => [k, process.env[k]]));
+afterEach(() => {
+  for (const k of ENV) {
+    if (saved[k] === undefined) delete process.env[k];
+    else process.env[k] = saved[k];
+  }
+});
+
+const TOOLS = [{ type: "function", function: { name: "fetchRelevantTbGuidance", parameters: {} } }];
+const dot = (a, b) => a.reduce((sum, v, i) => sum + v * b[i], 0);
+
+test("createProvider knows openai, azure and fake", () => {
+  assert.equal(createProvider("fake").name, "fake");
+  assert.throws(() => createProvider("llama"), /Unknown TB_LLM_PROVIDER "llama"/);
+});
+
+test("each call site uses its own model, then TB_LLM_MODEL, then the default", () => {
+  for (const k of ENV) delete process.env[k];
+  assert.equal(chatModelFor("main"), "gpt-5.1");
+  assert.equal(embeddingModel(), "text-embedding-3-large");
+  process.env.TB_LLM_MODEL = "gpt-5-mini";
+  process.env.TB_LLM_MODEL_STATUS = "gpt-5-nano";
+  assert.equal(chatModelFor("main"), "gpt-5-mini");
+  assert.equal(chatModelFor("status"), "gpt-5-nano");
+});
+
+test("fake embeddings are deterministic unit vectors that reflect word overlap", () => {
+  const a = fakeEmbedding("isoniazid preventive therapy dose", 64);
+  assert.deepEqual(a, fakeEmbedding("isoniazid preventive therapy dose", 64));
+  assert.ok(Math.abs(dot(a, a) - 1) < 1e-9);
+  assert.ok(dot(a, fakeEmbedding("isoniazid dose in children", 64)) > dot(a, fakeEmbedding("chest x-ray findings", 64)));
+});
+
+test("the fake chat calls the guidance tool first, then answers from its results", async () => {
+  const llm = createFakeProvider({ dimensions: 8 });
+  const user = { role: "user", content: "Isoniazid dose?" };
+
+  const first = await llm.chat({ model: "m", messages: [user], tools: TOOLS });
+  const call = first.choices[0].message.tool_calls[0];
+  assert.equal(first.choices[0].finish_reason, "tool_calls");
+  assert.deepEqual(JSON.parse(call.function.arguments), { question: "Isoniazid dose?" });
+
+  const results = { results: [{ chunk_id: "c1", doc_id: "who_2022_module5", section_path: "5.2.1. Dosing" }] };
+  const second = await llm.chat({
+    model: "m",
+    messages: [user, first.choices[0].message, { role: "tool", tool_call_id: call.id, content: JSON.stringify(results) }],
+    tools: TOOLS
+  });
+  assert.match(second.choices[0].message.content, /Top passage: 5\.2\.1\. Dosing \(WHO 2022, Module 5, Ch\.5\.2\.1\)/);
+  assert.ok(second.usage.total_tokens > 0);
+});
+
+test("the fake chat streams content deltas and ends with a usage chunk", async () => {
+  const llm = createFakeProvider();
+  const stream = await llm.chat({ model: "m", messages: [{ role: "user", content: "hi" }], tools: TOOLS, tool_choice: "none", stream: true });
+  const chunks = [];
+  for await (const chunk of stream) chunks.push(chunk);
+
+  const text = chunks.map((c) => c.choices[0]?.delta?.content || "").join("");
+  assert.match(text, /^\[fake provider\] Deterministic answer/);
+  assert.ok(chunks.length > 2);
+  assert.ok(chunks.at(-1).usage.total_tokens > 0);
+});
+
+test("JSON-mode calls return the snapshot and status shapes", async () => {
+  const llm = createFakeProvider();
+  const reply = async (system) =>
+    JSON.parse(
+      (
+        await llm.chat({
+          model: "m",
+          response_format: { type: "json_object" },
+          messages: [{ role: "system", content: system }, { role: "user", content: "3-year-old with cough" }]
+        })
+      ).choices[0].message.content
+    );
+  assert.equal((await reply("You are a case summarizer.")).caseSummary, "3-year-old with cough");
+  assert.equal((await reply("You are a status summarizer.")).mode, "Synthesize");
+});
+
+test("fake embed returns one vector per input with token usage", async () => {
+  const out = await createFakeProvider({ dimensions: 16 }).embed({ input: ["a b", "c"] });
+  assert.equal(out.embeddings.length, 2);
+  assert.equal(out.embeddings[0].length, 16);
+  assert.ok(out.usage.prompt_tokens > 0);
+});
@@ -0,0 +1,57 @@
+// test/mentor-stream.test.js
+// The mentor's Server-Sent Events: tool events before the answer tokens, the
+// tokens adding up to the answer, follow-ups, and `done` matching the JSON body.
+
+import { test } from "node:test";
+import assert from "node:assert/strict";
+
+import { callRoute, parseSse, useRagProject } from "./helpers.js";
+
+const QUESTION = "What is the isoniazid preventive treatment dose for a child?";
+
+const app = useRagProject({ mentor: "../api/tb-mentor.js" });
+
+test("Accept: text/event-stream streams tool events, tokens, answer and done", async () => {
+  const res = await callRoute(app.mentor, {
+    headers: { accept: "text/event-stream" },
+    body: { message: QUESTION }
+  });
+  assert.match(res.headers["content-type"], /^text\/event-stream/);
+
+  const events = parseSse(res.chunks.join(""));
+  const names = events.map((e) => e.event);
+  const at = (name) => names.indexOf(name);
+
+  assert.equal(events[at("tool_call_started")].data.name, "fetchRelevantTbGuidance");
+  assert.ok(at("tool_call_started") < at("tool_call_finished"));
+  assert.ok(at("tool_call_finished") < at("token"));
+  assert.ok(at("token") < at("answer"));
+  for (const name of ["reasoning", "snapshot", "status"]) assert.ok(at(name) > at("answer"), name);
+  assert.equal(names.at(-1), "done");
+
+  const streamed = events.filter((e) => e.event === "token").map((e) => e.data.delta).join("");
+  const answer = events[at("answer")].data;
+  assert.equal(streamed, answer.output);
+
+  const done = events.at(-1).data;
+  assert.equal(done.output, answer.output);
+  assert.deepEqual(done.toolsUsed, answer.toolsUsed);
+  assert.equal(done.request_id, res.headers["x-request-id"]);
+});
+
+test("stream: true in the body also streams; without it the route answers JSON", async () => {
+  const streamed = await callRoute(app.mentor, { body: { message: QUESTION, stream: true } });
+  const done = parseSse(streamed.chunks.join("")).at(-1);
+  assert.equal(done.event, "done");
+
+  const json = await callRoute(app.mentor, { body: { message: QUESTION } });
+  assert.equal(json.statusCode, 200);
+  assert.equal(json.body.output, done.data.output);
+});
+
+test("a bad request is rejected as JSON before the stream opens", async () => {
+  const res = await callRoute(app.mentor, { headers: { accept: "text/event-stream" }, body: {} });
+  assert.equal(res.statusCode, 400);
+  assert.equal(res.chunks.length, 0);
+  assert.match(res.body.error, /message/);
+});
@@ -0,0 +1,78 @@
+// test/phi.test.js
+// PHI detection (lib/phi.js): phone numbers by cue or by shape, but not bare
+// lab sample numbers; names without swallowing clinical findings; and the
+// vault's stable placeholders across turns.
+
+import { test } from "node:test";
+import assert from "node:assert/strict";
+
+import { createPhiVault, createRestoreStream, detectPhi, redactPhi } from "../lib/phi.js";
+
+const types = (text) => detectPhi(text).map((s) => `${s.type}:${s.value}`);
+
+test("an 11-digit lab sample number is not a phone number", () => {
+  assert.deepEqual(types("Xpert sample 20231456789 was MTB detected"), []);
+  assert.deepEqual(types("Sputum sent, lab no 12345678901"), []);
+});
+
+test("dotted sample IDs and dashed register numbers are not phone numbers", () => {
+  assert.equal(redactPhi("Lab sample 2023.11.0045"), "Lab sample 2023.11.0045");
+  assert.equal(redactPhi("Ref 123-456-7890"), "Ref 123-456-7890");
+  assert.equal(redactPhi("Ref 2023-0712-345678"), "Ref 2023-0712-345678");
+  assert.equal(redactPhi("Call 0712-345-678."), "Call [PHONE].");
+});
+
+test("phone numbers are found by their formatting", () => {
+  assert.deepEqual(types("Mother reachable on +254 712 345 678."), ["PHONE:+254 712 345 678"]);
+  assert.deepEqual(types("Clinic line (020) 555-1234"), ["PHONE:(020) 555-1234"]);
+  assert.deepEqual(types("Ring 0712 345 678 after 5pm"), ["PHONE:0712 345 678"]);
+});
+
+test("unformatted digits are a phone number only after a cue", () => {
+  assert.deepEqual(types("phone 0712345678"), ["PHONE:0712345678"]);
+  assert.deepEqual(types("Mobile: 0712345678"), ["PHONE:0712345678"]);
+  assert.deepEqual(types("Contact number is 0712345678"), ["PHONE:0712345678"]);
+  assert.deepEqual(types("household contact 12345678901"), []);
+});
+
+test("space-separated doses are not a phone number", () => {
+  assert.equal(redactPhi("HRZE 150 75 400 275 mg daily"), "HRZE 150 75 400 275 mg daily");
+});
+
+test("cued identifiers are masked by type", () => {
+  assert.equal(
+    redactPhi("Patient name: Amina Otieno, DOB 02/03/2019, MRN 44521-B, weight 14 kg"),
+    "Patient name: [NAME], DOB [DOB], MRN [MRN], weight 14 kg"
+  );
+});
+
+test("symptoms and comorbidities after a role word are not names", () => {
+  assert.equal(redactPhi("Patient Fever since Monday"), "Patient Fever since Monday");
+  assert.equal(redactPhi("Child Night Sweats and cough"), "Child Night Sweats and cough");
+  assert.equal(redactPhi("Mother Diabetic, child 3y"), "Mother Diabetic, child 3y");
+});
+
+test("a role word alone takes one name word; a name cue takes the full name", () => {
+  assert.deepEqual(types("Patient Otieno Has Fever"), ["NAME:Otieno"]);
+  assert.deepEqual(types("Father Juma Baraka"), ["NAME:Juma"]);
+  assert.deepEqual(types("Mother's name is Achieng Auma"), ["NAME:Achieng Auma"]);
+  assert.deepEqual(types("Mr. Otieno Has Fever"), ["NAME:Otieno"]);
+});
+
+test("the vault keeps placeholders stable across turns and restores them", () => {
+  const vault = createPhiVault();
+  const first = vault.redact("Mr Juma Baraka, phone +254 722 000 111, has a cough");
+  assert.equal(first, "Mr [NAME_1], phone [PHONE_1], has a cough");
+
+  const resumed = createPhiVault(JSON.parse(JSON.stringify(vault.toJSON())));
+  assert.equal(resumed.redact("Juma is better; call +254 722 000 111"), "[NAME_1] is better; call [PHONE_1]");
+  assert.equal(resumed.restore("Review [NAME_1] in two weeks"), "Review Juma Baraka in two weeks");
+});
+
+test("a placeholder split across streamed deltas is restored whole", () => {
+  const vault = createPhiVault();
+  vault.redact("Mrs Wanjiru Kamau");
+  const stream = createRestoreStream(vault);
+  const out = stream.push("Dose for [NA") + stream.push("ME_1] is") + stream.flush();
+  assert.equal(out, "Dose for Wanjiru Kamau is");
+});
@@ -0,0 +1,103 @@
+// test/pricing.test.js
+// Model price lookup (exact name or dated snapshot only), per-request usage
+// metering, and the aggregated usage metrics behind /api/tb-usage?metrics=1.
+
+import { test, beforeEach } from "node:test";
+import assert from "node:assert/strict";
+
+import { compilePriceTable, estimateCost, modelPrice, setPriceTable } from "../lib/llm/pricing.js";
+import { createUsageMeter, meterProvider } from "../lib/llm/usage.js";
+import {
+  createFileUsageMetricsStore,
+  createMemoryUsageMetricsStore,
+  recordUsageMetrics,
+  setUsageMetricsStore,
+  usageMetrics
+} from "../lib/usage-metrics.js";
+import { tempDir } from "./helpers.js";
+
+const TABLE = compilePriceTable({
+  models: {
+    "gpt-5.1": { input: 1.25, cached_input: 0.125, output: 10 },
+    "gpt-5": { input: 1.25, output: 10 },
+    "gpt-5-mini": { input: 0.25, output: 2 },
+    "text-embedding-3-small": { input: 0.02, output: 0 }
+  }
+});
+
+beforeEach(() => setPriceTable(TABLE));
+
+test("compilePriceTable rejects a price that is not a non-negative number", () => {
+  assert.throws(() => compilePriceTable({ models: { m: { input: 1 } } }), /output must be a non-negative number/);
+  assert.throws(() => compilePriceTable({ models: { m: { input: -1, output: 1 } } }), /input/);
+  assert.throws(() => compilePriceTable({}), /expected \{ models/);
+});
+
+test("models match exactly or with a dated snapshot suffix", () => {
+  assert.equal(modelPrice("gpt-5-mini", TABLE).input, 0.25);
+  assert.equal(modelPrice("gpt-5.1-2025-11-13", TABLE).input, 1.25);
+  assert.equal(modelPrice("gpt-5-mini-20250807", TABLE).input, 0.25);
+  assert.equal(modelPrice("gpt-5-0613", TABLE).input, 1.25);
+});
+
+test("an unlisted variant is unpriced, not billed at the base model's rate", () => {
+  assert.equal(modelPrice("gpt-5.1-mini", TABLE), null);
+  assert.equal(modelPrice("gpt-5-nano-2025-08-07", TABLE), null);
+  assert.equal(modelPrice("gpt-5.1-codex", TABLE), null);
+  assert.equal(estimateCost("gpt-5.1-mini", { prompt_tokens: 1000, completion_tokens: 10 }, TABLE), null);
+});
+
+test("estimateCost bills cached prompt tokens at the cached rate", () => {
+  const usage = { prompt_tokens: 1_000_000, prompt_tokens_details: { cached_tokens: 400_000 }, completion_tokens: 100_000 };
+  // 600k * 1.25 + 400k * 0.125 + 100k * 10, per million
+  assert.equal(estimateCost("gpt-5.1", usage, TABLE), 0.75 + 0.05 + 1);
+});
+
+test("a metered provider records chat and embedding usage per stage", async () => {
+  const provider = {
+    chat: async () => ({ usage: { prompt_tokens: 2000, completion_tokens: 100 } }),
+    embed: async () => ({ usage: { prompt_tokens: 50 } })
+  };
+  const meter = createUsageMeter();
+  await meterProvider(provider, meter, "tool_loop").chat({ model: "gpt-5.1" });
+  await meterProvider(provider, meter, "tool_loop").chat({ model: "gpt-5.1-mini" });
+  await meterProvider(provider, meter, "rag_embedding").embed({ model: "text-embedding-3-small" });
+
+  const summary = meter.summary({ stages: ["tool_loop", "rag_embedding", "answer"] });
+  assert.equal(summary.calls, 3);
+  assert.equal(summary.stages.tool_loop.rounds.length, 2);
+  assert.equal(summary.stages.answer.calls, 0);
+  assert.equal(summary.stages.rag_embedding.prompt_tokens, 50);
+  assert.deepEqual(summary.unpriced_models, ["gpt-5.1-mini"]);
+  assert.equal(summary.cost_usd, 0.0035 + 0.000001);
+});
+
+for (const [kind, make] of [
+  ["memory", () => createMemoryUsageMetricsStore()],
+  ["file", () => createFileUsageMetricsStore(tempDir("tb-usage-metrics-"))]
+]) {
+  test(`${kind} metrics store: usage sums per day and stage, requests per route`, async () => {
+    setUsageMetricsStore(make());
+    const at = Date.UTC(2026, 3, 10, 9, 30);
+    const meter = createUsageMeter();
+    meter.record({ kind: "chat", stage: "tool_loop", model: "gpt-5.1", usage: { prompt_tokens: 1000, completion_tokens: 100 } });
+    meter.record({ kind: "embedding", stage: "rag_embedding", model: "text-embedding-3-small", usage: { prompt_tokens: 20 } });
+    await recordUsageMetrics({ route: "mentor", identity: { site_id: "site-1" }, meter, at });
+    await recordUsageMetrics({ route: "mentor", identity: { site_id: "site-1" }, meter, at: at + 3600_000 });
+
+    const byStage = await usageMetrics({ from: "2026-04-10", to: "2026-04-10", groupBy: ["day", "stage"] });
+    assert.deepEqual(
+      byStage.rows.map((r) => [r.day, r.stage, r.calls, r.prompt_tokens]),
+      [
+        ["2026-04-10", "rag_embedding", 2, 40],
+        ["2026-04-10", "tool_loop", 2, 2000]
+      ]
+    );
+
+    const byRoute = await usageMetrics({ groupBy: ["route", "site"] });
+    assert.equal(byRoute.rows.length, 1);
+    assert.equal(byRoute.rows[0].requests, 2);
+    assert.equal((await usageMetrics({ from: "2026-04-11" })).rows.length, 0);
+    setUsageMetricsStore(null);
+  });
+}
@@ -0,0 +1,139 @@
+// test/quotas.test.js
+// Quota config, token buckets and budgets, per-address anonymous subjects, and
+// the mentor validating its body before it spends a rate-limit token.
+
+import { test, beforeEach, afterEach } from "node:test";
+import assert from "node:assert/strict";
+
+import {
+  compileQuotaConfig,
+  setQuotaConfig,
+  createMemoryQuotaStore,
+  setQuotaStore,
+  checkQuota,
+  recordUsage,
+  usageReport,
+  quotaIdentity,
+  quotaSubjects
+} from "../lib/quotas.js";
+import mentorRoute from "../api/tb-mentor.js";
+import { callRoute } from "./helpers.js";
+
+const NOW = Date.UTC(2026, 3, 10, 12, 0, 0);
+const KEY_IDENTITY = { kind: "api_key", id: "key:clinic", site_id: "site-1" };
+
+function config(overrides = {}) {
+  return compileQuotaConfig({
+    defaults: {
+      identity: { rate: { requests_per_minute: 60, burst: 2 }, monthly: { tokens: 1000, cost_usd: null } },
+      site: { rate: null, monthly: { tokens: null, cost_usd: 5 } }
+    },
+    ...overrides
+  });
+}
+
+const saved = {};
+beforeEach(() => {
+  for (const k of ["VERCEL", "TB_TRUST_PROXY", "TB_API_KEYS", "TB_AUTH_TOKEN_SECRET"]) {
+    saved[k] = process.env[k];
+    delete process.env[k];
+  }
+  setQuotaConfig(config());
+  setQuotaStore(createMemoryQuotaStore());
+});
+afterEach(() => {
+  for (const [k, v] of Object.entries(saved)) {
+    if (v === undefined) delete process.env[k];
+    else process.env[k] = v;
+  }
+  setQuotaConfig(null);
+  setQuotaStore(null);
+});
+
+test("compileQuotaConfig merges overrides over defaults and rejects bad limits", () => {
+  const c = config({ identities: { "key:big": { monthly: { tokens: 5000 } } } });
+  const [big] = quotaSubjects({ kind: "api_key", id: "key:big" }, c);
+  assert.deepEqual(big.limits.monthly, { tokens: 5000, cost_usd: null });
+  assert.deepEqual(big.limits.rate, { requests_per_minute: 60, burst: 2 });
+  assert.throws(() => compileQuotaConfig({ defaults: { identity: { rate: { requests_per_minute: -1 } } } }), /positive/);
+});
+
+test("the token bucket allows the burst, then refills at the configured rate", async () => {
+  assert.equal((await checkQuota(KEY_IDENTITY, { now: NOW })).allowed, true);
+  assert.equal((await checkQuota(KEY_IDENTITY, { now: NOW })).allowed, true);
+  const refused = await checkQuota(KEY_IDENTITY, { now: NOW });
+  assert.equal(refused.allowed, false);
+  assert.equal(refused.code, "RATE_LIMITED");
+  assert.equal(refused.retry_after_seconds, 1);
+  assert.equal((await checkQuota(KEY_IDENTITY, { now: NOW + 1000 })).allowed, true);
+});
+
+test("monthly budgets are charged to identity and site and refuse the next request", async () => {
+  await recordUsage(KEY_IDENTITY, { total_tokens: 400, cost_usd: 5, by_model: {} }, { now: NOW });
+  const refused = await checkQuota(KEY_IDENTITY, { now: NOW });
+  assert.equal(refused.code, "QUOTA_EXCEEDED");
+  assert.equal(refused.kind, "site");
+
+  const other = { kind: "api_key", id: "key:other" };
+  await recordUsage(other, { total_tokens: 1000, cost_usd: 0, by_model: {} }, { now: NOW });
+  assert.equal((await checkQuota(other, { now: NOW })).kind, "identity");
+});
+
+test("anonymous callers get a subject per client address", async () => {
+  const anonymous = { kind: "anonymous", id: "anonymous" };
+  const a = quotaIdentity({ socket: { remoteAddress: "10.0.0.1" }, headers: {} }, anonymous);
+  const b = quotaIdentity({ socket: { remoteAddress: "10.0.0.2" }, headers: {} }, anonymous);
+  assert.equal(a.id, "anonymous:10.0.0.1");
+  assert.equal(quotaIdentity({}, KEY_IDENTITY), KEY_IDENTITY);
+
+  await checkQuota(a, { now: NOW });
+  await checkQuota(a, { now: NOW });
+  assert.equal((await checkQuota(a, { now: NOW })).allowed, false);
+  assert.equal((await checkQuota(b, { now: NOW })).allowed, true);
+
+  await recordUsage(a, { total_tokens: 10, cost_usd: 0, by_model: {} }, { now: NOW });
+  const report = await usageReport(b, { month: "2026-04" });
+  assert.equal(report.subjects[0].usage.total_tokens, 0);
+});
+
+test("X-Forwarded-For is used only behind a trusted proxy; the anonymous override applies to each address", () => {
+  const req = { socket: { remoteAddress: "10.0.0.1" }, headers: { "x-forwarded-for": "198.51.100.9, 203.0.113.7" } };
+  assert.equal(quotaIdentity(req, null).id, "anonymous:10.0.0.1");
+  process.env.TB_TRUST_PROXY = "true";
+  assert.equal(quotaIdentity(req, null).id, "anonymous:203.0.113.7");
+  process.env.TB_TRUST_PROXY = "2";
+  assert.equal(quotaIdentity(req, null).id, "anonymous:198.51.100.9");
+  process.env.TB_TRUST_PROXY = "true";
+
+  const c = config({ identities: { anonymous: { rate: { requests_per_minute: 6, burst: 1 } } } });
+  const [subject] = quotaSubjects(quotaIdentity(req, null), c);
+  assert.equal(subject.key, "identity:anonymous:203.0.113.7");
+  assert.equal(subject.limits.rate.burst, 1);
+});
+
+test("a spoofed X-Forwarded-For entry does not open a fresh anonymous bucket", async () => {
+  process.env.TB_TRUST_PROXY = "true";
+  const from = (spoofed) => ({
+    socket: { remoteAddress: "10.0.0.1" },
+    headers: { "x-forwarded-for": `${spoofed}, 203.0.113.7` }
+  });
+  assert.equal((await checkQuota(quotaIdentity(from("1.1.1.1"), null), { now: NOW })).allowed, true);
+  assert.equal((await checkQuota(quotaIdentity(from("2.2.2.2"), null), { now: NOW })).allowed, true);
+  const third = await checkQuota(quotaIdentity(from("3.3.3.3"), null), { now: NOW });
+  assert.equal(third.allowed, false);
+
+  process.env.VERCEL = "1";
+  const vercel = { socket: { remoteAddress: "10.0.0.1" }, headers: { "x-forwarded-for": "1.1.1.1", "x-real-ip": "203.0.113.8" } };
+  assert.equal(quotaIdentity(vercel, null).id, "anonymous:203.0.113.8");
+});
+
+test("tb-mentor rejects an invalid body without spending a rate-limit token", async () => {
+  for (let i = 0; i < 3; i++) {
+    const res = await callRoute(mentorRoute, { body: { tone: "shouty" } });
+    assert.equal(res.statusCode, 400);
+  }
+  const anon = quotaIdentity({ socket: { remoteAddress: "127.0.0.1" }, headers: {} }, null);
+  const check = await checkQuota(anon);
+  assert.equal(check.allowed, true);
+  assert.equal(check.rate.remaining, 1);
+});
@@ -0,0 +1,132 @@
+// test/rag-rules.test.js
+// The ranking rules in config/rag-rules.json and the document registry's
+// supersession labels, applied to synthetic chunks (chunk_meta.jsonl carries
+// no table subtypes).
+
+import { test } from "node:test";
+import assert from "node:assert/strict";
+
+import { applyScoreRules, compileRuleset, loadRankingRules } from "../lib/rag/rules.js";
+import { compileRegistry, loadDocumentRegistry, supersessionFor } from "../lib/rag/registry.js";
+
+const RULES = loadRankingRules("config/rag-rules.json");
+const REGISTRY = loadDocumentRegistry("config/document-registry.json");
+
+const M5 = "WHO_TB_handbook_module5_pediatrics_2022";
+const M4_DR_TEXT = {
+  doc_id: "WHO_TB_handbook_module4_treatment_2025",
+  section_path: "0208 Chapter 2 : Drug-resistant TB treatment | 2.1 Regimens",
+  content_type: "text"
+};
+const M1_TPT_TEXT = {
+  doc_id: "WHO_TB_handbook_module1_TPT_2024",
+  section_path: "1. Introduction | 1.1. Identifying populations for TB preventive treatment",
+  content_type: "text"
+};
+
+// Score multiplier each chunk gets from one rule phase.
+function factors(phase, chunks, ctx) {
+  const entries = chunks.map((_, index) => ({ index, score: 1 }));
+  applyScoreRules(RULES, phase, entries, chunks, ctx);
+  return entries.map((e) => Number(e.score.toFixed(4)));
+}
+
+test("the Module 5 table penalties are anchor-gated rules", () => {
+  for (const id of ["pediatric-dr-penalize-module5-regimen-tables", "tpt-penalize-module5-tpt-tables"]) {
+    const rule = RULES.rules.find((r) => r.id === id);
+    assert.ok(rule, id);
+    assert.equal(rule.phase, "anchored");
+  }
+});
+
+const DR_CTX = { scope: "treatment", intentFlags: ["special_populations", "drug_resistance"] };
+const TPT_CTX = { scope: "prevention", intentFlags: ["tpt"] };
+const CASES = [
+  {
+    name: "DR regimen table with a Module 4 DR anchor",
+    chunk: { doc_id: M5, section_path: "5.3 Treatment of DR-TB", content_type: "table", table_subtype: "regimen" },
+    ctx: { ...DR_CTX, anchors: [M4_DR_TEXT] },
+    factor: 0.97
+  },
+  {
+    name: "DR regimen table without the anchor",
+    chunk: { doc_id: M5, section_path: "5.3 Treatment of DR-TB", content_type: "table", table_subtype: "regimen" },
+    ctx: { ...DR_CTX, anchors: [] },
+    factor: 1
+  },
+  {
+    name: "DR regimen table on a question without DR intent",
+    chunk: { doc_id: M5, section_path: "5.3 Treatment of DR-TB", content_type: "table", table_subtype: "regimen" },
+    ctx: { scope: "treatment", intentFlags: ["special_populations"], anchors: [M4_DR_TEXT] },
+    factor: 1
+  },
+  {
+    name: "Module 5 section 5.3 text is never penalized",
+    chunk: { doc_id: M5, section_path: "5.3 Treatment of DR-TB", content_type: "text" },
+    ctx: { ...DR_CTX, anchors: [M4_DR_TEXT] },
+    factor: 1
+  },
+  {
+    name: "TPT table with a Module 1 TPT anchor",
+    chunk: { doc_id: M5, section_path: "3.3.5 TPT regimens", content_type: "table", table_subtype: "decision" },
+    ctx: { ...TPT_CTX, anchors: [M1_TPT_TEXT] },
+    factor: 0.97
+  },
+  {
+    name: "TPT table without the anchor",
+    chunk: { doc_id: M5, section_path: "3.3.5 TPT regimens", content_type: "table", table_subtype: "decision" },
+    ctx: { ...TPT_CTX, anchors: [M4_DR_TEXT] },
+    factor: 1
+  }
+];
+
+for (const c of CASES) {
+  test(`anchored phase: ${c.name}`, () => {
+    assert.deepEqual(factors("anchored", [c.chunk], c.ctx), [c.factor]);
+  });
+}
+
+// Before the rules file, the pediatric DS-TB boost matched text on the section
+// number or title but tables on the section number only.
+const DS_CTX = { scope: "treatment", intentFlags: ["special_populations"], anchors: [] };
+const DS_TITLE = "Treatment of drug-susceptible TB in children";
+const DS_CASES = [
+  { name: "text under the section title", chunk: { doc_id: M5, section_path: `5. Treatment | ${DS_TITLE}`, content_type: "text" }, factor: 1.03 },
+  { name: "table under the section title only", chunk: { doc_id: M5, section_path: `5. Treatment | ${DS_TITLE}`, content_type: "table" }, factor: 1 },
+  { name: "table numbered 5.2.", chunk: { doc_id: M5, section_path: "5.2.1 Regimens", content_type: "table" }, factor: 1.03 },
+  { name: "text numbered 5.2.", chunk: { doc_id: M5, section_path: "5.2.1 Regimens", content_type: "text" }, factor: 1.03 }
+];
+
+for (const c of DS_CASES) {
+  test(`pediatric DS-TB boost: ${c.name}`, () => {
+    assert.deepEqual(factors("initial", [c.chunk], DS_CTX), [c.factor]);
+  });
+}
+
+test("superseded sections are labelled, superseded editions penalized", () => {
+  const label = supersessionFor(REGISTRY, { doc_id: M5, section_path: "5. Treatment | 5.3.2 Children with MDR-TB" });
+  assert.equal(label.scope, "section");
+  assert.equal(label.superseded_by, "WHO_TB_handbook_module4_treatment_2025");
+  assert.equal(supersessionFor(REGISTRY, { doc_id: M5, section_path: "5.2 Drug-susceptible TB" }), null);
+  assert.deepEqual(Object.keys(REGISTRY.settings), ["superseded_edition_penalty"]);
+
+  const registry = compileRegistry({
+    documents: [
+      { doc_id: "m4_2022", module: 4, edition_year: 2022 },
+      { doc_id: "m4_2025", module: 4, edition_year: 2025 }
+    ]
+  });
+  assert.equal(supersessionFor(registry, { doc_id: "m4_2022" }).scope, "edition");
+  assert.equal(supersessionFor(registry, { doc_id: "m4_2025" }), null);
+});
+
+test("compileRuleset rejects duplicate ids and puts anchor rules in the anchored phase", () => {
+  const rule = {
+    id: "r",
+    when: { anchor: { doc_id: { contains_any: ["module4"] } } },
+    match: { content_type: { is: ["table"] } },
+    action: { type: "penalize", factor: 0.5 }
+  };
+  assert.equal(compileRuleset({ rules: [rule] }).rules[0].phase, "anchored");
+  assert.throws(() => compileRuleset({ rules: [rule, rule] }), /duplicate rule id/);
+});
@@ -0,0 +1,104 @@
+// test/sessions.test.js
+// Session stores (revisions, per-session locking), the sessions route, and two
+// concurrent mentor turns on one session both landing in its history.
+
+import { test, beforeEach } from "node:test";
+import assert from "node:assert/strict";
+
+import {
+  createFileSessionStore,
+  createMemorySessionStore,
+  lockSession,
+  newSession,
+  setSessionStore
+} from "../lib/session-store.js";
+import { queryParam } from "../lib/http.js";
+import { callRoute, tempDir, useRagProject } from "./helpers.js";
+
+const app = useRagProject({ mentor: "../api/tb-mentor.js", sessions: "../api/tb-sessions.js" });
+
+beforeEach(() => setSessionStore(createMemorySessionStore()));
+
+test("queryParam reads req.query or the URL", () => {
+  assert.equal(queryParam({ query: { id: "abc" } }, "id"), "abc");
+  assert.equal(queryParam({ url: "/api/tb-sessions?id=xyz&x=1" }, "id"), "xyz");
+  assert.equal(queryParam({ url: "/api/tb-sessions" }, "id"), null);
+});
+
+for (const [kind, make] of [
+  ["memory", () => createMemorySessionStore()],
+  ["file", () => createFileSessionStore(tempDir("tb-sessions-"))]
+]) {
+  test(`${kind} store: save bumps the revision and refuses a stale copy`, async () => {
+    const store = make();
+    const created = await store.create(newSession({ title: "t" }));
+    const a = await store.get(created.id);
+    const b = await store.get(created.id);
+
+    const saved = await store.save({ ...a, turnCount: 1 });
+    assert.equal(saved.revision, 1);
+    await assert.rejects(store.save({ ...b, turnCount: 1 }), { statusCode: 409, code: "SESSION_CONFLICT" });
+    assert.equal((await store.get(created.id)).revision, 1);
+  });
+}
+
+test("lockSession runs holders of one session in order and others freely", async () => {
+  const order = [];
+  const turn = async (id, label, ms) => {
+    const release = await lockSession(id);
+    try {
+      order.push(`${label}:start`);
+      await new Promise((r) => setTimeout(r, ms));
+      order.push(`${label}:end`);
+    } finally {
+      release();
+    }
+  };
+  await Promise.all([turn("s1", "a", 20), turn("s1", "b", 1), turn("s2", "c", 1)]);
+  assert.ok(order.indexOf("a:end") < order.indexOf("b:start"));
+  assert.ok(order.indexOf("c:end") < order.indexOf("a:end"));
+});
+
+test("sessions route: create, list and fetch are scoped to the owner", async () => {
+  const created = await callRoute(app.sessions, { body: { title: "Case A", tone: "general_doctor" } });
+  assert.equal(created.statusCode, 201);
+  const id = created.body.session.id;
+
+  const list = await callRoute(app.sessions, { method: "GET" });
+  assert.deepEqual(list.body.sessions.map((s) => s.id), [id]);
+  const one = await callRoute(app.sessions, { method: "GET", url: `/api/tb-sessions?id=${id}` });
+  assert.equal(one.body.session.title, "Case A");
+  const missing = await callRoute(app.sessions, { method: "GET", query: { id: "no-such-session" } });
+  assert.equal(missing.statusCode, 404);
+});
+
+test("two concurrent mentor turns on one session both reach its history", async () => {
+  const created = await callRoute(app.sessions, { body: {} });
+  const id = created.body.session.id;
+
+  const [first, second] = await Promise.all([
+    callRoute(app.mentor, { body: { session_id: id, message: "First question about isoniazid dosing" } }),
+    callRoute(app.mentor, { body: { session_id: id, message: "Second question about rifapentine" } })
+  ]);
+  assert.equal(first.statusCode, 200);
+  assert.equal(second.statusCode, 200);
+
+  const view = await callRoute(app.sessions, { method: "GET", query: { id } });
+  assert.equal(view.body.session.turnCount, 2);
+  const users = view.body.transcript.filter((m) => m.role === "user").map((m) => m.content);
+  assert.deepEqual(users, ["First question about isoniazid dosing", "Second question about rifapentine"]);
+});
+
+test("another caller's turn on a busy session is refused without waiting for its lock", { timeout: 5000 }, async () => {
+  const store = createMemorySessionStore();
+  setSessionStore(store);
+  const { id } = await store.create(newSession({ owner: { id: "key:other", kind: "api_key" } }));
+
+  const release = await lockSession(id);
+  try {
+    const res = await callRoute(app.mentor, { body: { session_id: id, message: "Isoniazid dose?" } });
+    assert.equal(res.statusCode, 404);
+  } finally {
+    release();
+  }
+});
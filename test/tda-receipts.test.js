@@ -0,0 +1,149 @@
+// test/tda-receipts.test.js
+// Receipt signing, the refusal to issue unsigned or unstored receipts, and the
+// status codes /api/tb_peds_tda returns for validation vs. receipt failures.
+
+import { test, beforeEach, afterEach } from "node:test";
+import assert from "node:assert/strict";
+
+import {
+  signReceipt,
+  verifyReceipt,
+  newTdaReceipt,
+  recordTdaReceipt,
+  createMemoryTdaReceiptStore,
+  setTdaReceiptStore,
+  getTdaReceiptStore,
+  checkTdaReceiptConfig
+} from "../lib/tda-receipts.js";
+import { compileApiKeys, setApiKeys } from "../lib/auth.js";
+import tdaRoute from "../api/tb_peds_tda.js";
+import { callRoute } from "./helpers.js";
+
+const SECRET = "test-receipt-secret";
+const AUTH = { authorization: "Bearer tda-test-key" };
+const SCORE_BODY = {
+  algorithm: "B",
+  age_months: 30,
+  symptoms: { cough_gt_2w: true, fever_gt_2w: true },
+  vitals: {},
+  cxr: {}
+};
+
+const saved = {};
+beforeEach(() => {
+  for (const k of ["TB_TDA_RECEIPT_SECRET", "TB_TDA_RECEIPT_STORE", "TB_TDA_RECEIPT_DIR", "NODE_ENV", "VERCEL"]) {
+    saved[k] = process.env[k];
+    delete process.env[k];
+  }
+  process.env.TB_TDA_RECEIPT_SECRET = SECRET;
+  setTdaReceiptStore(createMemoryTdaReceiptStore());
+  setApiKeys(compileApiKeys([{ name: "tda-test", key: "tda-test-key", scopes: ["tda"] }]));
+});
+afterEach(() => {
+  for (const [k, v] of Object.entries(saved)) {
+    if (v === undefined) delete process.env[k];
+    else process.env[k] = v;
+  }
+  setTdaReceiptStore(null);
+  setApiKeys(null);
+});
+
+function sampleReceipt() {
+  return newTdaReceipt({
+    kind: "score",
+    source: "test",
+    input: { algorithm: "B", age_months: 30 },
+    result: { algorithm_version: "v1", score: 15, threshold: 10, meets_threshold: true }
+  });
+}
+
+test("signed receipts verify and detect tampering", () => {
+  const signed = signReceipt(sampleReceipt());
+  assert.equal(signed.signature.alg, "HMAC-SHA256");
+  assert.equal(verifyReceipt(signed), true);
+  assert.equal(verifyReceipt({ ...signed, score: 0 }), false);
+  assert.equal(verifyReceipt(signed, "other-secret"), false);
+});
+
+test("no receipt is signed without TB_TDA_RECEIPT_SECRET", async () => {
+  delete process.env.TB_TDA_RECEIPT_SECRET;
+  assert.throws(() => signReceipt(sampleReceipt()), { statusCode: 503, code: "TDA_RECEIPT_UNAVAILABLE" });
+  await assert.rejects(
+    recordTdaReceipt({ kind: "score", source: "test", input: {}, result: {} }),
+    { code: "TDA_RECEIPT_UNAVAILABLE" }
+  );
+  assert.deepEqual(await getTdaReceiptStore().list(), []);
+});
+
+test("store failures surface instead of returning null", async () => {
+  setTdaReceiptStore({
+    kind: "broken",
+    async create() {
+      throw new Error("disk full");
+    }
+  });
+  await assert.rejects(
+    recordTdaReceipt({ kind: "score", source: "test", input: {}, result: {} }),
+    (err) => err.statusCode === 503 && err.code === "TDA_RECEIPT_UNAVAILABLE" && err.cause.message === "disk full"
+  );
+});
+
+test("the file store needs TB_TDA_RECEIPT_DIR in production", () => {
+  setTdaReceiptStore(null);
+  process.env.NODE_ENV = "production";
+  assert.throws(() => getTdaReceiptStore(), { code: "TDA_RECEIPT_UNAVAILABLE" });
+});
+
+test("the configuration check reports a missing secret or store", () => {
+  assert.equal(checkTdaReceiptConfig().ok, true);
+
+  delete process.env.TB_TDA_RECEIPT_SECRET;
+  setTdaReceiptStore(null);
+  process.env.NODE_ENV = "production";
+  const report = checkTdaReceiptConfig();
+  assert.equal(report.ok, false);
+  assert.deepEqual(
+    report.checks.map((c) => [c.id, c.status]),
+    [["tda_receipt_secret", "error"], ["tda_receipt_store", "error"]]
+  );
+  assert.match(report.checks[1].message, /TB_TDA_RECEIPT_DIR must be set in production/);
+});
+
+test("tb_peds_tda stores a receipt for each score", async () => {
+  const res = await callRoute(tdaRoute, { headers: AUTH, body: SCORE_BODY });
+  assert.equal(res.statusCode, 200);
+  const stored = await getTdaReceiptStore().get(res.body.receipt_id);
+  assert.equal(stored.score, res.body.score);
+  assert.equal(verifyReceipt(stored), true);
+});
+
+test("tb_peds_tda: validation is 400, receipt failures 503, internal errors 500", async () => {
+  const invalid = await callRoute(tdaRoute, { headers: AUTH, body: { ...SCORE_BODY, algorithm: "C" } });
+  assert.equal(invalid.statusCode, 400);
+  assert.equal(invalid.body.code, "TDA_INVALID_ALGORITHM");
+
+  delete process.env.TB_TDA_RECEIPT_SECRET;
+  const unsigned = await callRoute(tdaRoute, { headers: AUTH, body: SCORE_BODY });
+  assert.equal(unsigned.statusCode, 503);
+  assert.equal(unsigned.body.code, "TDA_RECEIPT_UNAVAILABLE");
+  assert.equal(unsigned.body.score, undefined);
+
+  process.env.TB_TDA_RECEIPT_SECRET = SECRET;
+  setTdaReceiptStore({
+    kind: "broken",
+    create() {
+      throw new TypeError("boom");
+    }
+  });
+  const flow = await callRoute(tdaRoute, { headers: AUTH, body: { ...SCORE_BODY, mode: "flow" } });
+  assert.equal(flow.statusCode, 503);
+
+  // A store that breaks its contract is a server bug, not a receipt outage.
+  setTdaReceiptStore({
+    kind: "contract-breaking",
+    async create() {}
+  });
+  const internal = await callRoute(tdaRoute, { headers: AUTH, body: SCORE_BODY });
+  assert.equal(internal.statusCode, 500);
+  assert.equal(internal.body.error, "Internal error");
+});
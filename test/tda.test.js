@@ -0,0 +1,211 @@
+// test/tda.test.js
+// The pediatric TB treatment decision algorithms in api/tb_peds_tda.js: the
+// full WHO flow from entry criteria to the recommended next step, strict input
+// validation with missing items and the possible score range, and the age band
+// and vital-sign thresholds derived from age in months.
+
+import { test } from "node:test";
+import assert from "node:assert/strict";
+
+import { computePediatricTbTdaScore, runPediatricTbAlgorithm } from "../api/tb_peds_tda.js";
+
+const CHILD = { age_months: 30, danger_signs: false, hiv: false, sam: false };
+const states = (result) => result.path.map((p) => p.state);
+
+test("a child without TB symptoms exits at entry", () => {
+  const result = runPediatricTbAlgorithm({ ...CHILD, symptoms: {} });
+  assert.deepEqual(states(result), ["entry"]);
+  assert.equal(result.next_step.action, "exit");
+  assert.equal(result.derived.age_band, "1-5y");
+});
+
+test("a clinician's presumptive TB judgement enters the flow without a listed symptom", () => {
+  const result = runPediatricTbAlgorithm({ ...CHILD, presumptive_tb: true, symptoms: {}, xpert: "mtb_detected" });
+  assert.equal(result.path[0].branch, "presumptive TB");
+  assert.equal(result.next_step.action, "treat");
+  assert.throws(() => runPediatricTbAlgorithm({ ...CHILD, presumptive_tb: "yes", symptoms: {} }), (err) => {
+    assert.equal(err.code, "TDA_INVALID_TYPE");
+    assert.deepEqual(err.issues.map((i) => i.field), ["presumptive_tb"]);
+    return true;
+  });
+});
+
+test("danger signs refer before any testing", () => {
+  const result = runPediatricTbAlgorithm({ ...CHILD, danger_signs: true, symptoms: { cough_gt_2w: true } });
+  assert.deepEqual(states(result), ["entry", "danger_signs"]);
+  assert.equal(result.next_step.action, "refer");
+});
+
+test("Xpert results branch to treat, refer or test", () => {
+  const run = (xpert, extra = {}) => runPediatricTbAlgorithm({ ...CHILD, symptoms: { cough_gt_2w: true }, xpert, ...extra });
+
+  const confirmed = run("mtb_detected");
+  assert.equal(confirmed.next_step.action, "treat");
+  assert.equal(confirmed.score, undefined);
+  assert.equal(run("rif_resistance_detected").next_step.action, "refer");
+  assert.equal(run(undefined).next_step.action, "test");
+  assert.deepEqual(states(run(undefined, { xpert_available: false })).slice(-2), ["score", "reassess"]);
+  assert.throws(() => run("positive"), { statusCode: 400, code: "TDA_INVALID_XPERT_RESULT" });
+});
+
+test("a negative Xpert is scored with Algorithm B without CXR and treated above the threshold", () => {
+  const result = runPediatricTbAlgorithm({
+    ...CHILD,
+    xpert: "not_detected",
+    symptoms: { cough_gt_2w: true, fever_gt_2w: true, night_sweats: true }
+  });
+  assert.deepEqual(states(result), ["entry", "danger_signs", "high_risk", "xpert", "score", "treat"]);
+  assert.equal(result.algorithm, "B");
+  assert.equal(result.score, 21);
+  assert.equal(result.next_step.action, "treat");
+});
+
+test("CXR findings select Algorithm A", () => {
+  const result = runPediatricTbAlgorithm({
+    ...CHILD,
+    xpert: "not_detected",
+    symptoms: { cough_gt_2w: true },
+    cxr: { enlarged_nodes: true }
+  });
+  assert.equal(result.algorithm, "A");
+  assert.equal(result.score, 19);
+});
+
+test("below the threshold high-risk children are reassessed sooner, then referred", () => {
+  const low = { ...CHILD, xpert: "not_detected", symptoms: { cough_gt_2w: true } };
+  assert.equal(runPediatricTbAlgorithm(low).next_step.weeks, 2);
+
+  const hiv = runPediatricTbAlgorithm({ ...low, hiv: true });
+  assert.equal(hiv.high_risk, true);
+  assert.equal(hiv.next_step.action, "reassess");
+  assert.equal(hiv.next_step.weeks, 1);
+
+  assert.equal(runPediatricTbAlgorithm({ ...low, reassessment: true }).next_step.action, "refer");
+});
+
+test("unanswered questions are recorded as assumptions", () => {
+  const result = runPediatricTbAlgorithm({ age_months: 30, symptoms: { cough_gt_2w: true }, xpert: "mtb_detected" });
+  assert.deepEqual(result.assumptions, [
+    "danger_signs not given; assumed absent",
+    "hiv not given; assumed HIV-negative",
+    "sam not given; assumed no severe acute malnutrition"
+  ]);
+});
+
+test("every input problem is reported at once with a field and code", () => {
+  const input = {
+    algorithm: "C",
+    age_months: 30,
+    symptoms: { cough_gt_2w: "yes", sneezing: true },
+    vitals: { hr: 400, temp: 38 },
+    cxr: []
+  };
+  assert.throws(() => computePediatricTbTdaScore(input), (err) => {
+    assert.equal(err.statusCode, 400);
+    assert.equal(err.code, "TDA_INVALID_ALGORITHM");
+    assert.deepEqual(
+      err.issues.map((i) => `${i.code} ${i.field}`),
+      [
+        "TDA_INVALID_ALGORITHM algorithm",
+        "TDA_INVALID_TYPE symptoms.cough_gt_2w",
+        "TDA_UNKNOWN_SYMPTOM symptoms.sneezing",
+        "TDA_INVALID_TYPE cxr",
+        "TDA_VITAL_OUT_OF_RANGE vitals.hr",
+        "TDA_UNKNOWN_VITAL vitals.temp"
+      ]
+    );
+    return true;
+  });
+});
+
+test("a misspelt top-level field is rejected instead of scoring nothing", () => {
+  assert.throws(() => computePediatricTbTdaScore({ algorithm: "A", age_months: 30, symptom: { cough: true } }), (err) => {
+    assert.equal(err.statusCode, 400);
+    assert.equal(err.code, "TDA_UNKNOWN_FIELD");
+    assert.deepEqual(err.issues.map((i) => i.field), ["symptom"]);
+    return true;
+  });
+  // Flow-only fields are unknown to the bare score, but not to the flow.
+  assert.throws(() => computePediatricTbTdaScore({ algorithm: "B", age_months: 30, hiv: true }), { code: "TDA_UNKNOWN_FIELD" });
+  assert.throws(() => runPediatricTbAlgorithm({ ...CHILD, symptoms: {}, xpert_result: "not_detected" }), {
+    code: "TDA_UNKNOWN_FIELD"
+  });
+});
+
+test("unassessed items are listed with the score range they allow", () => {
+  const partial = computePediatricTbTdaScore({
+    algorithm: "B",
+    age_months: 30,
+    symptoms: { cough_gt_2w: true, fever_gt_2w: false, lethargy: false, weight_loss_or_ftt: false },
+    vitals: { hr: 100 }
+  });
+  assert.equal(partial.score, 5);
+  assert.deepEqual(partial.missing_items, ["haemoptysis", "night_sweats", "swollen_nodes", "tachypnoea"]);
+  assert.deepEqual(partial.score_range, { min: 5, max: 29, could_flip: true });
+
+  const complete = computePediatricTbTdaScore({
+    algorithm: "A",
+    age_months: 30,
+    symptoms: Object.fromEntries(
+      ["cough_gt_2w", "fever_gt_2w", "lethargy", "weight_loss_or_ftt", "haemoptysis", "night_sweats", "swollen_nodes"].map((k) => [k, false])
+    ),
+    vitals: { hr: 100, rr: 50 },
+    cxr: { cavities: false, enlarged_nodes: false, opacities: false, miliary: false, effusion: false }
+  });
+  // Tachypnoea subtracts a point in Algorithm A.
+  assert.equal(complete.score, -1);
+  assert.deepEqual(complete.missing_items, []);
+  assert.equal(complete.score_range.could_flip, false);
+});
+
+test("CXR findings under Algorithm B raise a warning", () => {
+  const result = computePediatricTbTdaScore({ algorithm: "B", age_months: 30, cxr: { cavities: true } });
+  assert.equal(result.score, 0);
+  assert.match(result.warnings[0], /Algorithm B does not score CXR/);
+});
+
+test("the age band and HR/RR thresholds follow completed months", () => {
+  const derived = (input) => computePediatricTbTdaScore({ algorithm: "B", ...input }).derived;
+  assert.deepEqual(
+    [1.9, 2, 11, 12, 59, 60, 119].map((m) => derived({ age_months: m }).age_band),
+    ["<2m", "2-12m", "2-12m", "1-5y", "1-5y", ">5y", ">5y"]
+  );
+  assert.deepEqual(derived({ age_months: 6 }).thresholds, { hr: 160, rr: 50 });
+
+  // One day short of two months old is still in the first band.
+  const dob = derived({ date_of_birth: "2026-01-15", visit_date: "2026-03-14" });
+  assert.equal(dob.age_months, 1);
+  assert.equal(dob.age_band, "<2m");
+  assert.equal(dob.age_source, "date_of_birth");
+});
+
+test("tachycardia and tachypnoea are derived with the child's own thresholds", () => {
+  const vitals = { hr: 150, rr: 45 };
+  const infant = computePediatricTbTdaScore({ algorithm: "B", age_months: 6, vitals });
+  assert.equal(infant.derived.tachycardia, false);
+  assert.equal(infant.derived.tachypnoea, false);
+  const toddler = computePediatricTbTdaScore({ algorithm: "B", age_months: 30, vitals });
+  assert.equal(toddler.derived.tachycardia, true);
+  assert.equal(toddler.derived.tachypnoea, true);
+  assert.equal(toddler.score, 6);
+});
+
+test("a stated age band that disagrees with the age is ignored with a warning", () => {
+  const result = computePediatricTbTdaScore({ algorithm: "B", age_months: 30, age_band: ">5y" });
+  assert.equal(result.derived.age_band, "1-5y");
+  assert.match(result.warnings[0], /age_band ">5y" was ignored/);
+  assert.equal(computePediatricTbTdaScore({ algorithm: "B", age_band: "2-12m" }).derived.age_source, "age_band");
+});
+
+test("children of ten or over, and impossible dates, are rejected", () => {
+  assert.throws(() => computePediatricTbTdaScore({ algorithm: "B", age_months: 120 }), { code: "TDA_AGE_INELIGIBLE" });
+  assert.throws(
+    () => computePediatricTbTdaScore({ algorithm: "B", date_of_birth: "2025-02-30", visit_date: "2026-01-01" }),
+    { code: "TDA_INVALID_DATE" }
+  );
+  assert.throws(
+    () => computePediatricTbTdaScore({ algorithm: "B", date_of_birth: "2026-02-01", visit_date: "2026-01-01" }),
+    /visit_date is before date_of_birth/
+  );
+  assert.throws(() => computePediatricTbTdaScore({ algorithm: "B" }), { code: "TDA_MISSING_FIELD" });
+});
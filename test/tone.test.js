@@ -0,0 +1,76 @@
+// test/tone.test.js
+// MENTOR_TONE presets and the per-turn tone directive (lib/tone.js), and the
+// mentor validating, applying and reporting the requested tone.
+
+import { test, afterEach } from "node:test";
+import assert from "node:assert/strict";
+
+import { buildToneDirective, getDefaultTone, isValidTone } from "../lib/tone.js";
+import { createFakeProvider } from "../lib/llm/fake.js";
+import { setLlmProvider } from "../lib/llm/index.js";
+import { callRoute, useRagProject } from "./helpers.js";
+
+const app = useRagProject({ mentor: "../api/tb-mentor.js" });
+
+afterEach(() => {
+  delete process.env.MENTOR_TONE;
+  setLlmProvider(null);
+});
+
+// The fake provider, recording the system messages of the tool-loop calls.
+function recordingProvider() {
+  const fake = createFakeProvider();
+  const systems = [];
+  return {
+    systems,
+    provider: {
+      ...fake,
+      async chat(params, options) {
+        if (params.tools) systems.push(params.messages.filter((m) => m.role === "system").map((m) => m.content));
+        return fake.chat(params, options);
+      }
+    }
+  };
+}
+
+test("MENTOR_TONE sets the default tone; an invalid value falls back", () => {
+  assert.equal(getDefaultTone(), "general_doctor");
+  process.env.MENTOR_TONE = "specialist";
+  assert.equal(getDefaultTone(), "specialist");
+  process.env.MENTOR_TONE = "pirate";
+  assert.equal(getDefaultTone(), "general_doctor");
+  assert.equal(isValidTone("toString"), false);
+});
+
+test("the directive names the tone and adds patient-facing mode only for patients", () => {
+  const clinician = buildToneDirective("basic_clinical");
+  assert.match(clinician, /^MENTOR_TONE = "basic_clinical" \(Basic clinical\)\./);
+  assert.doesNotMatch(clinician, /PATIENT-FACING/);
+  assert.match(buildToneDirective("specialist", "patient"), /PATIENT-FACING MODE is ON/);
+});
+
+test("an unknown tone or audience is a 400", async () => {
+  const tone = await callRoute(app.mentor, { body: { message: "hi", tone: "casual" } });
+  assert.equal(tone.statusCode, 400);
+  assert.match(tone.body.error, /'tone' must be one of: basic_clinical, general_doctor, specialist/);
+  const audience = await callRoute(app.mentor, { body: { message: "hi", audience: "family" } });
+  assert.equal(audience.statusCode, 400);
+});
+
+test("the requested tone reaches the model and is reported back", async () => {
+  const { provider, systems } = recordingProvider();
+  setLlmProvider(provider);
+  const res = await callRoute(app.mentor, { body: { message: "Fever and cough in a child", tone: "basic_clinical" } });
+  assert.equal(res.statusCode, 200);
+  assert.ok(systems.length > 0);
+  for (const messages of systems) assert.match(messages[1], /^MENTOR_TONE = "basic_clinical"/);
+  assert.equal(res.body.mentorStatus.toneId, "basic_clinical");
+  assert.equal(res.body.mentorStatus.tone, "Basic clinical");
+  assert.equal(res.body.mentorStatus.audience, "clinician");
+});
+
+test("without a tone the mentor uses MENTOR_TONE", async () => {
+  process.env.MENTOR_TONE = "specialist";
+  const res = await callRoute(app.mentor, { body: { message: "Fever and cough in a child" } });
+  assert.equal(res.body.mentorStatus.toneId, "specialist");
+});
@@ -0,0 +1,107 @@
+// test/tool-loop.test.js
+// Tool-call argument checks (lib/tool-args.js) and the mentor's bounded tool
+// loop: invalid arguments go back to the model, and a model that never stops
+// calling tools is cut off by the per-turn budgets with a wrap-up answer.
+
+import { test, afterEach } from "node:test";
+import assert from "node:assert/strict";
+
+import { parseToolArgs, validateToolArgs } from "../lib/tool-args.js";
+import { createFakeProvider } from "../lib/llm/fake.js";
+import { setLlmProvider } from "../lib/llm/index.js";
+import { callRoute, useRagProject } from "./helpers.js";
+
+const app = useRagProject({ mentor: "../api/tb-mentor.js" });
+
+afterEach(() => setLlmProvider(null));
+
+// The fake provider, except that tool-loop rounds answer with nextCall(round,
+// messages): a { name, arguments } tool call, or null for a final answer.
+function scriptedProvider(nextCall) {
+  const fake = createFakeProvider();
+  const seen = [];
+  let round = 0;
+  const provider = {
+    ...fake,
+    async chat(params, options) {
+      if (!params.tools || params.stream) return fake.chat(params, options);
+      seen.push({ tool_choice: params.tool_choice, messages: params.messages.slice() });
+      round += 1;
+      const call = params.tool_choice === "none" ? null : nextCall(round, params.messages);
+      const message = call
+        ? {
+            role: "assistant",
+            content: null,
+            tool_calls: [{ id: `call_${round}`, type: "function", function: call }]
+          }
+        : { role: "assistant", content: `Final answer after ${round} round(s).` };
+      return { choices: [{ index: 0, message }], usage: { prompt_tokens: 10, completion_tokens: 5, total_tokens: 15 } };
+    }
+  };
+  return { provider, seen };
+}
+
+const lastToolResult = (messages) => JSON.parse(messages.filter((m) => m.role === "tool").at(-1).content);
+
+test("tool arguments are checked against the schema", () => {
+  const schema = {
+    type: "object",
+    required: ["drug", "weight_kg"],
+    additionalProperties: false,
+    properties: {
+      drug: { type: "string", minLength: 1 },
+      weight_kg: { type: "number", minimum: 0, maximum: 200 },
+      phase: { type: "string", enum: ["intensive", "continuation"] }
+    }
+  };
+  assert.deepEqual(validateToolArgs(schema, { drug: "isoniazid", weight_kg: 12.5 }), []);
+  assert.deepEqual(validateToolArgs(schema, { drug: " ", weight_kg: 900, phase: "daily", extra: 1 }), [
+    "drug: must be at least 1 character(s)",
+    "weight_kg: must be <= 200",
+    'phase: must be one of "intensive", "continuation"',
+    "extra: is not an allowed property"
+  ]);
+  assert.deepEqual(validateToolArgs(schema, { drug: 3 }), ["weight_kg: is required", "drug: expected string, got integer"]);
+  assert.match(parseToolArgs("{not json").error, /not valid JSON/);
+  assert.match(parseToolArgs("[1]").error, /must be a JSON object, got array/);
+});
+
+test("invalid or unparseable arguments go back to the model as tool errors", async () => {
+  const { provider, seen } = scriptedProvider((round) => {
+    if (round === 1) return { name: "calculateWeightBandDose", arguments: JSON.stringify({ weight_kg: "heavy" }) };
+    if (round === 2) return { name: "calculateWeightBandDose", arguments: "{weight" };
+    return null;
+  });
+  setLlmProvider(provider);
+
+  const res = await callRoute(app.mentor, { body: { message: "Dose for a 12 kg child" } });
+  assert.equal(res.statusCode, 200);
+  assert.equal(res.body.truncated, false);
+  assert.equal(res.body.output, "Final answer after 3 round(s).");
+
+  const invalid = lastToolResult(seen[1].messages);
+  assert.equal(invalid.error, "INVALID_TOOL_ARGUMENTS");
+  assert.ok(invalid.problems.includes("weight_kg: expected number, got string"), invalid.problems.join("; "));
+  const unparseable = lastToolResult(seen[2].messages);
+  assert.match(unparseable.detail, /Could not parse arguments for calculateWeightBandDose/);
+});
+
+test("a model that keeps calling tools is stopped by the turn budgets", async () => {
+  const { provider, seen } = scriptedProvider((round) => ({
+    name: "fetchRelevantTbGuidance",
+    arguments: JSON.stringify({ question: `isoniazid dose question ${round}` })
+  }));
+  setLlmProvider(provider);
+
+  const res = await callRoute(app.mentor, { body: { message: "Isoniazid dose" } });
+  assert.equal(res.statusCode, 200);
+  assert.equal(res.body.truncated, true);
+  assert.equal(res.body.truncationReason, "max_rounds");
+  // Six tool rounds, then one wrap-up completion without tools.
+  assert.equal(res.body.loop.rounds, 7);
+  assert.equal(res.body.loop.ragCalls, 4);
+  assert.equal(seen.at(-1).tool_choice, "none");
+  assert.match(seen.at(-1).messages.at(-1).content, /Tool budget for this turn is exhausted \(max_rounds\)/);
+  assert.equal(lastToolResult(seen.at(-1).messages).error, "TOOL_BUDGET_EXCEEDED");
+  assert.equal(res.body.output, "Final answer after 7 round(s).");
+});
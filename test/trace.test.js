@@ -0,0 +1,209 @@
+// test/trace.test.js
+// Request tracing (lib/trace.js), redacted structured logs (lib/log.js) and the
+// Prometheus series behind /api/metrics (lib/metrics.js).
+
+import { test, beforeEach, afterEach } from "node:test";
+import assert from "node:assert/strict";
+
+import { setApiKeys } from "../lib/auth.js";
+import { createLogger, redactFields } from "../lib/log.js";
+import { counter, histogram, renderMetrics, resetMetrics } from "../lib/metrics.js";
+import { createTrace, requestIdFrom, traceProvider, withRequestTrace } from "../lib/trace.js";
+import metricsRoute from "../api/metrics.js";
+import { callRoute } from "./helpers.js";
+
+const ENV = ["TB_API_KEYS", "TB_LOG_LEVEL", "TB_LOG_REDACT"];
+const saved = {};
+let lines;
+let restoreConsole;
+
+beforeEach(() => {
+  for (const k of ENV) saved[k] = process.env[k];
+  process.env.TB_LOG_LEVEL = "info";
+  delete process.env.TB_LOG_REDACT;
+  resetMetrics();
+  // Log lines are JSON on stdout (info) or stderr (warn, error).
+  lines = [];
+  const { log, error } = console;
+  console.log = (line) => lines.push({ stream: "stdout", ...JSON.parse(line) });
+  console.error = (line) => lines.push({ stream: "stderr", ...JSON.parse(line) });
+  restoreConsole = () => Object.assign(console, { log, error });
+});
+afterEach(() => {
+  restoreConsole();
+  for (const k of ENV) {
+    if (saved[k] === undefined) delete process.env[k];
+    else process.env[k] = saved[k];
+  }
+  setApiKeys(null);
+});
+
+const series = (name) =>
+  renderMetrics()
+    .split("\n")
+    .filter((l) => l.startsWith(name));
+
+test("a valid incoming request ID is kept; anything else gets a fresh one", () => {
+  assert.equal(requestIdFrom({ headers: { "x-request-id": "ehr-req.0001" } }), "ehr-req.0001");
+  for (const header of ["short", "has spaces in it", "x".repeat(129), ["ehr-req.0001"]]) {
+    assert.match(requestIdFrom({ headers: { "x-request-id": header } }), /^[0-9a-f-]{36}$/);
+  }
+});
+
+test("traced routes echo the request ID, count the request and log one summary line", async () => {
+  const route = withRequestTrace("demo", async (req, res) => {
+    await req.trace.span("embedding", async () => "vector");
+    res.status(201).json({ ok: true });
+  });
+  const res = await callRoute(route, { headers: { "x-request-id": "ehr-req.0001" } });
+
+  assert.equal(res.headers["x-request-id"], "ehr-req.0001");
+  assert.deepEqual(series("tb_http_requests_total{"), ['tb_http_requests_total{route="demo",status="201"} 1']);
+  assert.deepEqual(series('tb_stage_duration_seconds_count{route="demo"'), [
+    'tb_stage_duration_seconds_count{route="demo",stage="embedding"} 1'
+  ]);
+  const [summary] = lines.filter((l) => l.msg === "request");
+  assert.equal(summary.request_id, "ehr-req.0001");
+  assert.equal(summary.status, 201);
+  assert.deepEqual(summary.spans.map((s) => [s.name, s.ok]), [["embedding", true]]);
+});
+
+test("in-process calls share the caller's ID and spans without counting as requests", async () => {
+  const trace = createTrace({ route: "mentor", requestId: "mentor-req-01" });
+  let inner;
+  const route = withRequestTrace("rag", async (req, res) => {
+    inner = req.trace;
+    await req.trace.span("scoring", async () => null);
+    res.json({});
+  });
+  const res = await callRoute(route, { req: { parentTrace: trace } });
+
+  assert.equal(inner.requestId, "mentor-req-01");
+  assert.equal(inner.route, "rag");
+  assert.equal(res.headers["x-request-id"], undefined);
+  assert.deepEqual(trace.spans().map((s) => s.name), ["scoring"]);
+  assert.deepEqual(series("tb_http_requests_total{"), []);
+});
+
+test("failed spans and handler errors are counted by stage", async () => {
+  const route = withRequestTrace("demo", async (req) => {
+    await req.trace.span("table_rendering", async () => {
+      throw new Error("bad CSV");
+    });
+  });
+  await assert.rejects(callRoute(route), /bad CSV/);
+
+  assert.deepEqual(series("tb_errors_total{"), [
+    'tb_errors_total{route="demo",stage="table_rendering"} 1',
+    'tb_errors_total{route="demo",stage="handler"} 1'
+  ]);
+  const failed = lines.find((l) => l.msg === "unhandled error");
+  assert.equal(failed.stream, "stderr");
+  assert.equal(failed.err.error, "bad CSV");
+});
+
+test("traced providers time LLM calls and count streamed tokens once drained", async () => {
+  const provider = {
+    name: "scripted",
+    async *streamChat() {
+      yield { delta: "Hi" };
+      yield { usage: { prompt_tokens: 12, completion_tokens: 3 } };
+    },
+    chat(params) {
+      return params.stream ? this.streamChat() : { content: "Hi", usage: { prompt_tokens: 5, completion_tokens: 1 } };
+    },
+    async embed() {
+      throw new Error("embedding service down");
+    }
+  };
+  const trace = createTrace({ route: "mentor" });
+  const traced = traceProvider(provider, trace, "main");
+
+  await traced.chat({ model: "m", messages: [] });
+  const stream = await traced.chat({ model: "m", messages: [], stream: true });
+  assert.equal(trace.spans().length, 1);
+  for await (const _chunk of stream);
+  await assert.rejects(traced.embed({ model: "e", input: ["x"] }), /service down/);
+
+  assert.deepEqual(trace.spans().map((s) => [s.name, s.ok, s.model]), [
+    ["llm.main", true, "m"],
+    ["llm.main", true, "m"],
+    ["llm.main", false, "e"]
+  ]);
+  assert.deepEqual(series("tb_llm_tokens_total{"), [
+    'tb_llm_tokens_total{stage="main",model="m",type="prompt"} 17',
+    'tb_llm_tokens_total{stage="main",model="m",type="completion"} 4'
+  ]);
+  assert.deepEqual(series("tb_llm_call_duration_seconds_count{"), [
+    'tb_llm_call_duration_seconds_count{stage="main",model="m"} 2',
+    'tb_llm_call_duration_seconds_count{stage="main",model="e"} 1'
+  ]);
+});
+
+test("log fields drop credentials, shorten free text and mask identifiers", () => {
+  const out = redactFields({
+    request_id: "req-20260101-123456",
+    authorization: "Bearer abc",
+    question: "Child 3y, phone 0803 555 1234",
+    history: [{ role: "user" }, { role: "assistant" }],
+    note: "Seen 2026-01-05, mum at jane@example.org, ref 12345678",
+    nested: { api_key: "k", dose_mg: 50 }
+  });
+  assert.deepEqual(out, {
+    request_id: "req-20260101-123456",
+    question: "[redacted 29 chars]",
+    history: "[redacted 2 items]",
+    note: "Seen [date], mum at [EMAIL], ref [number]",
+    nested: { dose_mg: 50 }
+  });
+});
+
+test("the logger honours the level threshold and TB_LOG_REDACT=off", () => {
+  const log = createLogger({ component: "test" }).child({ request_id: "req-000001" });
+  log.debug("hidden");
+  log.warn("visible", { answer: "Give 10 mg/kg" });
+  process.env.TB_LOG_REDACT = "off";
+  log.info("raw", { answer: "Give 10 mg/kg" });
+
+  assert.deepEqual(lines.map((l) => [l.stream, l.level, l.msg, l.component, l.request_id, l.answer]), [
+    ["stderr", "warn", "visible", "test", "req-000001", "[redacted 13 chars]"],
+    ["stdout", "info", "raw", "test", "req-000001", "Give 10 mg/kg"]
+  ]);
+});
+
+test("metrics render as Prometheus text with escaped labels and cumulative buckets", () => {
+  const hits = counter("tb_test_hits_total", "Test hits.", ["path"]);
+  const latency = histogram("tb_test_latency_seconds", "Test latency.", [], [0.1, 1]);
+  hits.inc({ path: 'say "hi"\n' }, 2);
+  latency.observe({}, 0.05);
+  latency.observe({}, 0.5);
+
+  assert.equal(counter("tb_test_hits_total", "Again.", ["path"]), hits);
+  assert.throws(() => histogram("tb_test_hits_total", "Clash."), /already a counter/);
+  const text = renderMetrics();
+  assert.match(text, /# TYPE tb_test_hits_total counter\ntb_test_hits_total\{path="say \\"hi\\"\\n"\} 2\n/);
+  assert.deepEqual(series("tb_test_latency_seconds"), [
+    'tb_test_latency_seconds_bucket{le="0.1"} 1',
+    'tb_test_latency_seconds_bucket{le="1"} 2',
+    'tb_test_latency_seconds_bucket{le="+Inf"} 2',
+    "tb_test_latency_seconds_sum 0.55",
+    "tb_test_latency_seconds_count 2"
+  ]);
+});
+
+test("/api/metrics needs the metrics scope and serves the text format", async () => {
+  process.env.TB_API_KEYS = JSON.stringify([
+    { name: "prometheus", key: "scrape-key", scopes: ["metrics"] },
+    { name: "ehr", key: "ehr-key", scopes: ["mentor"] }
+  ]);
+  setApiKeys(null);
+  const scrape = (key) => callRoute(metricsRoute, { method: "GET", headers: { authorization: `Bearer ${key}` } });
+
+  assert.equal((await scrape("ehr-key")).statusCode, 403);
+  const res = await scrape("scrape-key");
+  assert.equal(res.statusCode, 200);
+  assert.match(res.headers["content-type"], /^text\/plain; version=0\.0\.4/);
+  assert.match(res.body, /# TYPE tb_http_requests_total counter/);
+  assert.match(res.body, /tb_http_requests_total\{route="metrics",status="403"\} 1/);
+  assert.equal((await callRoute(metricsRoute, { method: "POST" })).statusCode, 405);
+});